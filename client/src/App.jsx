@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Routes, Route, useNavigate, useLocation, Link } from 'react-router-dom';
 import Header from './components/Header';
 import UploadSection from './components/UploadSection';
@@ -6,40 +6,78 @@ import Dashboard from './components/Dashboard';
 import Network from './components/Network';
 import Alerts from './components/Alerts';
 import GeoPage from './components/Geo/GeoPage';
+import UploadHistory from './components/UploadHistory';
+import DuplicateReview from './components/DuplicateReview';
+import Entities from './components/Entities';
 import { apiUrl } from './utils/api';
 import './styles/dashboard.css';
 
+const NAV_TABS = [
+  { view: 'dashboard', path: '/', label: 'Dashboard' },
+  { view: 'network', path: '/network', label: 'Network' },
+  { view: 'alerts', path: '/alerts', label: 'Alerts' },
+  { view: 'map', path: '/map', label: 'Map' },
+  { view: 'entities', path: '/entities', label: 'Entities' },
+  { view: 'duplicates', path: '/duplicates', label: 'Duplicates' },
+  { view: 'uploads', path: '/uploads', label: 'Uploads' }
+];
+
+function ViewNavigation({ activeView }) {
+  return (
+    <div className="view-navigation">
+      <div className="container">
+        {NAV_TABS.map(tab => (
+          <Link
+            key={tab.view}
+            to={tab.path}
+            className={`nav-tab ${activeView === tab.view ? 'active' : ''}`}
+          >
+            {tab.label}
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function App() {
   const [uploadComplete, setUploadComplete] = useState(false);
   const [uploadSummary, setUploadSummary] = useState(null);
   const [currentUploadId, setCurrentUploadId] = useState(null);
+  const [currentUploadLabel, setCurrentUploadLabel] = useState(null);
   const [viewMode, setViewMode] = useState('current'); // 'current' | 'all'
+  const [cases, setCases] = useState([]);
+  const [currentCaseId, setCurrentCaseId] = useState(() => localStorage.getItem('currentCaseId'));
+  // Upload that the upload page is adding files to (null = new upload)
+  const [appendTarget, setAppendTarget] = useState(null);
   const navigate = useNavigate();
   const location = useLocation();
   
   // Determine active view from URL
   const activeView = location.pathname === '/network' ? 'network' : 
                      location.pathname === '/alerts' ? 'alerts' :
-                     location.pathname === '/map' ? 'map' : 'dashboard';
+                     location.pathname === '/map' ? 'map' :
+                     location.pathname === '/entities' ? 'entities' :
+                     location.pathname === '/duplicates' ? 'duplicates' :
+                     location.pathname === '/uploads' ? 'uploads' : 'dashboard';
 
   // Verify saved uploadId exists in database on mount
   useEffect(() => {
     const savedUploadId = localStorage.getItem('currentUploadId');
     if (savedUploadId) {
-      // Verify the uploadId actually has data in the database
-      // If database was cleared, this will fail and we'll show upload page
-      fetch(apiUrl(`/api/analytics/overview?uploadId=${savedUploadId}`))
+      // Verify the upload still exists and has events
+      // If it was deleted or the database was cleared, we'll show upload page
+      fetch(apiUrl(`/api/uploads/${savedUploadId}`))
         .then(res => res.json())
         .then(data => {
-          // If we get data back and totalEvents > 0, the uploadId is valid
-          if (data.totalEvents !== undefined && data.totalEvents > 0) {
+          if (data.eventCount > 0) {
             setCurrentUploadId(savedUploadId);
+            setCurrentUploadLabel(data.label || null);
             setUploadComplete(true);
-            // Optionally fetch summary for display
             setUploadSummary({
-              totalInserted: data.totalEvents,
-              totalFiles: 1, // We don't know exact count, but at least 1
-              totalSkipped: 0
+              totalInserted: data.eventCount,
+              totalFiles: data.fileNames.length || data.stats?.totalFiles || 1,
+              totalSkipped: data.stats?.totalSkipped || 0
             });
           } else {
             // UploadId exists but has no data, or database was cleared
@@ -59,19 +97,87 @@ function App() {
     // If no savedUploadId, uploadComplete stays false (shows upload page)
   }, []);
 
+  const fetchCases = useCallback(async () => {
+    try {
+      const response = await fetch(apiUrl('/api/cases'));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      setCases(data.cases);
+      return data.cases;
+    } catch (error) {
+      console.warn('Failed to load cases:', error);
+      return null;
+    }
+  }, []);
+
+  // Restore the saved case workspace (case-wide view) if it still exists
+  useEffect(() => {
+    const savedCaseId = localStorage.getItem('currentCaseId');
+    fetchCases().then(loaded => {
+      if (!savedCaseId || !loaded) return;
+      if (loaded.some(c => c.caseId === savedCaseId)) {
+        setViewMode('all');
+        setUploadComplete(true);
+      } else {
+        localStorage.removeItem('currentCaseId');
+        setCurrentCaseId(null);
+      }
+    });
+  }, [fetchCases]);
+
+  const currentCase = cases.find(c => c.caseId === currentCaseId) || null;
+  // Case-wide view reads every upload in the selected case; a single opened upload ignores the case
+  const scopeCaseId = viewMode === 'all' && currentCase ? currentCase.caseId : null;
+
+  const handleCaseChange = (caseId) => {
+    setCurrentCaseId(caseId);
+    if (caseId) {
+      localStorage.setItem('currentCaseId', caseId);
+      setUploadSummary(null);
+      setViewMode('all');
+      setUploadComplete(true);
+    } else {
+      localStorage.removeItem('currentCaseId');
+      setViewMode('current');
+      setUploadComplete(!!currentUploadId);
+    }
+    navigate('/');
+  };
+
+  const handleCreateCase = async (name) => {
+    try {
+      const response = await fetch(apiUrl('/api/cases'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      await fetchCases();
+      handleCaseChange(data.caseId);
+    } catch (error) {
+      window.alert(`Could not create case: ${error.message}`);
+    }
+  };
+
   const handleUploadComplete = (data) => {
     // Extract uploadId from response (new field name)
     const uploadId = data.uploadId || data.uploadSessionId || data.summary?.uploadId;
     if (uploadId) {
       setCurrentUploadId(uploadId);
+      // An appended upload keeps its label
+      setCurrentUploadLabel(data.mode === 'append' ? appendTarget?.label || null : null);
       localStorage.setItem('currentUploadId', uploadId);
     }
+    setAppendTarget(null);
     setUploadSummary(data.summary || data);
     setViewMode('current'); // Always switch to current view after new upload
     setUploadComplete(true);
+    fetchCases();
   };
 
   const handleNewUpload = () => {
+    setAppendTarget(null);
     setUploadComplete(false);
     setUploadSummary(null);
     navigate('/');
@@ -88,52 +194,93 @@ function App() {
     }
   };
 
+  const handleSelectUpload = (session) => {
+    setCurrentUploadId(session.uploadId);
+    setCurrentUploadLabel(session.label || null);
+    localStorage.setItem('currentUploadId', session.uploadId);
+    setUploadSummary(null);
+    setViewMode('current');
+    setUploadComplete(true);
+    navigate('/');
+  };
+
+  const handleAppendFiles = (session) => {
+    setAppendTarget({
+      uploadId: session.uploadId,
+      label: session.label || null,
+      timezone: session.timezone,
+      country: session.country
+    });
+    setUploadComplete(false);
+    navigate('/');
+  };
+
+  const handleCancelAppend = () => {
+    setAppendTarget(null);
+    // Back to whatever was being viewed before, or the upload list if nothing was open
+    if (currentUploadId || viewMode === 'all') {
+      setUploadComplete(true);
+    } else {
+      navigate('/uploads');
+    }
+  };
+
+  const handleViewAllUploads = () => {
+    setUploadSummary(null);
+    setViewMode('all');
+    setUploadComplete(true);
+    navigate('/');
+  };
+
+  const handleUploadUpdated = (session) => {
+    if (session.uploadId === currentUploadId) {
+      setCurrentUploadLabel(session.label || null);
+    }
+    fetchCases();
+  };
+
+  const handleUploadDeleted = (uploadId) => {
+    fetchCases();
+    if (uploadId !== currentUploadId) return;
+    setCurrentUploadId(null);
+    setCurrentUploadLabel(null);
+    setUploadSummary(null);
+    localStorage.removeItem('currentUploadId');
+    // "All uploads" still has data to show; a deleted current session does not
+    if (viewMode !== 'all') {
+      setUploadComplete(false);
+    }
+  };
+
   return (
     <div className="app">
-      <Header />
+      <Header
+        cases={cases}
+        currentCaseId={currentCase ? currentCase.caseId : null}
+        onCaseChange={handleCaseChange}
+        onCreateCase={handleCreateCase}
+      />
       <Routes>
         <Route 
           path="/" 
           element={
             !uploadComplete ? (
-              <UploadSection onUploadComplete={handleUploadComplete} />
+              <UploadSection
+                onUploadComplete={handleUploadComplete}
+                currentCase={currentCase}
+                appendTarget={appendTarget}
+                onCancelAppend={handleCancelAppend}
+              />
             ) : (
               <>
-                {/* Navigation Tabs */}
-                <div className="view-navigation">
-                  <div className="container">
-                    <Link
-                      to="/"
-                      className={`nav-tab ${activeView === 'dashboard' ? 'active' : ''}`}
-                    >
-                      Dashboard
-                    </Link>
-                    <Link
-                      to="/network"
-                      className={`nav-tab ${activeView === 'network' ? 'active' : ''}`}
-                    >
-                      Network
-                    </Link>
-                    <Link
-                      to="/alerts"
-                      className={`nav-tab ${activeView === 'alerts' ? 'active' : ''}`}
-                    >
-                      Alerts
-                    </Link>
-                    <Link
-                      to="/map"
-                      className={`nav-tab ${activeView === 'map' ? 'active' : ''}`}
-                    >
-                      Map
-                    </Link>
-                  </div>
-                </div>
+                <ViewNavigation activeView={activeView} />
 
                 <Dashboard 
                   uploadSummary={uploadSummary}
                   currentUploadId={currentUploadId}
+                  currentUploadLabel={currentUploadLabel}
+                  currentCase={currentCase}
                   viewMode={viewMode}
-                  onViewModeChange={setViewMode}
                   onNewUpload={handleNewUpload}
                 />
               </>
@@ -144,41 +291,19 @@ function App() {
           path="/network" 
           element={
             !uploadComplete ? (
-              <UploadSection onUploadComplete={handleUploadComplete} />
+              <UploadSection
+                onUploadComplete={handleUploadComplete}
+                currentCase={currentCase}
+                appendTarget={appendTarget}
+                onCancelAppend={handleCancelAppend}
+              />
             ) : (
               <>
-                {/* Navigation Tabs */}
-                <div className="view-navigation">
-                  <div className="container">
-                    <Link
-                      to="/"
-                      className={`nav-tab ${activeView === 'dashboard' ? 'active' : ''}`}
-                    >
-                      Dashboard
-                    </Link>
-                    <Link
-                      to="/network"
-                      className={`nav-tab ${activeView === 'network' ? 'active' : ''}`}
-                    >
-                      Network
-                    </Link>
-                    <Link
-                      to="/alerts"
-                      className={`nav-tab ${activeView === 'alerts' ? 'active' : ''}`}
-                    >
-                      Alerts
-                    </Link>
-                    <Link
-                      to="/map"
-                      className={`nav-tab ${activeView === 'map' ? 'active' : ''}`}
-                    >
-                      Map
-                    </Link>
-                  </div>
-                </div>
+                <ViewNavigation activeView={activeView} />
 
                 <Network 
                   currentUploadId={currentUploadId}
+                  caseId={scopeCaseId}
                   viewMode={viewMode}
                 />
               </>
@@ -189,41 +314,19 @@ function App() {
           path="/alerts" 
           element={
             !uploadComplete ? (
-              <UploadSection onUploadComplete={handleUploadComplete} />
+              <UploadSection
+                onUploadComplete={handleUploadComplete}
+                currentCase={currentCase}
+                appendTarget={appendTarget}
+                onCancelAppend={handleCancelAppend}
+              />
             ) : (
               <>
-                {/* Navigation Tabs */}
-                <div className="view-navigation">
-                  <div className="container">
-                    <Link
-                      to="/"
-                      className={`nav-tab ${activeView === 'dashboard' ? 'active' : ''}`}
-                    >
-                      Dashboard
-                    </Link>
-                    <Link
-                      to="/network"
-                      className={`nav-tab ${activeView === 'network' ? 'active' : ''}`}
-                    >
-                      Network
-                    </Link>
-                    <Link
-                      to="/alerts"
-                      className={`nav-tab ${activeView === 'alerts' ? 'active' : ''}`}
-                    >
-                      Alerts
-                    </Link>
-                    <Link
-                      to="/map"
-                      className={`nav-tab ${activeView === 'map' ? 'active' : ''}`}
-                    >
-                      Map
-                    </Link>
-                  </div>
-                </div>
+                <ViewNavigation activeView={activeView} />
 
                 <Alerts 
                   currentUploadId={currentUploadId}
+                  caseId={scopeCaseId}
                   viewMode={viewMode}
                 />
               </>
@@ -234,47 +337,90 @@ function App() {
           path="/map" 
           element={
             !uploadComplete ? (
-              <UploadSection onUploadComplete={handleUploadComplete} />
+              <UploadSection
+                onUploadComplete={handleUploadComplete}
+                currentCase={currentCase}
+                appendTarget={appendTarget}
+                onCancelAppend={handleCancelAppend}
+              />
             ) : (
               <>
-                {/* Navigation Tabs */}
-                <div className="view-navigation">
-                  <div className="container">
-                    <Link
-                      to="/"
-                      className={`nav-tab ${activeView === 'dashboard' ? 'active' : ''}`}
-                    >
-                      Dashboard
-                    </Link>
-                    <Link
-                      to="/network"
-                      className={`nav-tab ${activeView === 'network' ? 'active' : ''}`}
-                    >
-                      Network
-                    </Link>
-                    <Link
-                      to="/alerts"
-                      className={`nav-tab ${activeView === 'alerts' ? 'active' : ''}`}
-                    >
-                      Alerts
-                    </Link>
-                    <Link
-                      to="/map"
-                      className={`nav-tab ${activeView === 'map' ? 'active' : ''}`}
-                    >
-                      Map
-                    </Link>
-                  </div>
-                </div>
+                <ViewNavigation activeView={activeView} />
 
                 <GeoPage 
                   currentUploadId={currentUploadId}
+                  caseId={scopeCaseId}
                   viewMode={viewMode}
                 />
               </>
             )
           } 
         />
+        <Route 
+          path="/entities" 
+          element={
+            !uploadComplete ? (
+              <UploadSection
+                onUploadComplete={handleUploadComplete}
+                currentCase={currentCase}
+                appendTarget={appendTarget}
+                onCancelAppend={handleCancelAppend}
+              />
+            ) : (
+              <>
+                <ViewNavigation activeView={activeView} />
+
+                <Entities 
+                  currentUploadId={currentUploadId}
+                  caseId={scopeCaseId}
+                  viewMode={viewMode}
+                />
+              </>
+            )
+          } 
+        />
+        <Route 
+          path="/duplicates" 
+          element={
+            !uploadComplete ? (
+              <UploadSection
+                onUploadComplete={handleUploadComplete}
+                currentCase={currentCase}
+                appendTarget={appendTarget}
+                onCancelAppend={handleCancelAppend}
+              />
+            ) : (
+              <>
+                <ViewNavigation activeView={activeView} />
+
+                <DuplicateReview 
+                  currentUploadId={viewMode === 'current' ? currentUploadId : null}
+                  caseId={scopeCaseId}
+                />
+              </>
+            )
+          } 
+        />
+        <Route 
+          path="/uploads" 
+          element={
+            <>
+              {uploadComplete && <ViewNavigation activeView={activeView} />}
+
+              <UploadHistory
+                currentUploadId={currentUploadId}
+                viewMode={viewMode}
+                cases={cases}
+                currentCase={currentCase}
+                onSelectUpload={handleSelectUpload}
+                onAppendFiles={handleAppendFiles}
+                onViewAll={handleViewAllUploads}
+                onUploadUpdated={handleUploadUpdated}
+                onUploadDeleted={handleUploadDeleted}
+              />
+            </>
+          } 
+        />
       </Routes>
     </div>
   );
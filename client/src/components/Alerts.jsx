@@ -1,9 +1,9 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { apiUrl } from '../utils/api';
+import { apiUrl, appendScopeParams } from '../utils/api';
 import '../styles/dashboard.css';
 
-function Alerts({ currentUploadId, viewMode }) {
+function Alerts({ currentUploadId, caseId, viewMode }) {
   const navigate = useNavigate();
   const abortControllerRef = useRef(null);
 
@@ -12,7 +12,8 @@ function Alerts({ currentUploadId, viewMode }) {
     to: '',
     eventType: 'all',
     baselineRatio: 0.7,
-    phone: ''
+    phone: '',
+    groupBy: 'number'
   });
 
   const [alertsData, setAlertsData] = useState(null);
@@ -22,7 +23,7 @@ function Alerts({ currentUploadId, viewMode }) {
   const [selectedAlert, setSelectedAlert] = useState(null);
 
   const fetchAlerts = useCallback(async () => {
-    if (!currentUploadId && viewMode === 'current') {
+    if (!currentUploadId && !caseId) {
       setLoading(false);
       setAlertsData(null);
       setHasFetched(false); 
@@ -42,13 +43,14 @@ function Alerts({ currentUploadId, viewMode }) {
 
     try {
       const params = new URLSearchParams();
-      params.append('uploadId', currentUploadId);
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId, caseId }, { allowAll: false });
       // Only add filters if they have meaningful values (not empty strings)
       if (filters.from && filters.from.trim()) params.append('from', filters.from.trim());
       if (filters.to && filters.to.trim()) params.append('to', filters.to.trim());
       params.append('eventType', filters.eventType || 'all');
       params.append('baselineRatio', filters.baselineRatio.toString());
       if (filters.phone && filters.phone.trim()) params.append('phone', filters.phone.trim());
+      if (filters.groupBy !== 'number') params.append('groupBy', filters.groupBy);
 
       const url = apiUrl(`/api/analytics/anomalies?${params}`);
       
@@ -82,7 +84,7 @@ function Alerts({ currentUploadId, viewMode }) {
         abortControllerRef.current = null;
       }
     }
-  }, [currentUploadId, viewMode, filters]);
+  }, [currentUploadId, caseId, viewMode, filters]);
 
   const isInitialMount = React.useRef(true);
   
@@ -113,7 +115,8 @@ function Alerts({ currentUploadId, viewMode }) {
       to: '',
       eventType: 'all',
       baselineRatio: 0.7,
-      phone: ''
+      phone: '',
+      groupBy: 'number'
     });
     setSelectedAlert(null);
   };
@@ -159,6 +162,7 @@ function Alerts({ currentUploadId, viewMode }) {
     navigate('/network', { 
       state: { 
         focusPhone: alert.phone,
+        groupBy: alert.entity ? 'entity' : 'number',
         filterFrom,
         filterTo,
         eventType: filters.eventType || 'all',
@@ -168,9 +172,12 @@ function Alerts({ currentUploadId, viewMode }) {
     });
   };
 
+  // The events table filters on one number; an entity alert opens its first number
+  const alertNumber = (alert) => alert.entity ? alert.entity.numbers[0] : alert.phone;
+
   const handleViewEvents = (alert) => {
     navigate('/', { state: { 
-      filterPhone: alert.phone,
+      filterPhone: alertNumber(alert),
       filterFrom: alertsData?.recent?.startUtc,
       filterTo: alertsData?.recent?.endUtc
     }});
@@ -178,7 +185,7 @@ function Alerts({ currentUploadId, viewMode }) {
 
   const handleViewTimeline = (alert) => {
     navigate('/', { state: { 
-      filterPhone: alert.phone,
+      filterPhone: alertNumber(alert),
       filterFrom: alertsData?.baseline?.startUtc,
       filterTo: alertsData?.recent?.endUtc
     }});
@@ -208,6 +215,8 @@ function Alerts({ currentUploadId, viewMode }) {
       case 'NEW_CONTACT_EMERGENCE': return 'New Contact';
       case 'NIGHT_ACTIVITY_SHIFT': return 'Night Activity Shift';
       case 'BURST_PATTERN_CHANGE': return 'Burst Pattern Change';
+      case 'SIM_SWAP': return 'SIM Swap';
+      case 'HANDSET_CHANGE': return 'Handset Change';
       default: return type;
     }
   };
@@ -218,7 +227,8 @@ function Alerts({ currentUploadId, viewMode }) {
         <div className="alerts-header" style={{ marginBottom: 'var(--spacing-lg)' }}>
           <h1 style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--primary-color)', fontSize: '2rem', fontWeight: 700 }}>Anomaly Alerts</h1>
           <p className="subheader" style={{ color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
-            {currentUploadId ? `Upload: ${currentUploadId.substring(0, 8)}...` : 'No upload selected'}
+            {caseId ? 'All uploads in the selected case' :
+              currentUploadId ? `Upload: ${currentUploadId.substring(0, 8)}...` : 'No upload selected'}
           </p>
         </div>
 
@@ -311,6 +321,17 @@ function Alerts({ currentUploadId, viewMode }) {
               />
             </div>
 
+            <div className="filter-group">
+              <label title="Analyse the numbers linked on the Entities page as one party" style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                <input
+                  type="checkbox"
+                  checked={filters.groupBy === 'entity'}
+                  onChange={(e) => handleFilterChange('groupBy', e.target.checked ? 'entity' : 'number')}
+                />
+                Group by entity
+              </label>
+            </div>
+
             <button onClick={handleResetFilters} className="btn btn-secondary" style={{ fontSize: '0.875rem' }}>
               Reset Filters
             </button>
@@ -369,7 +390,7 @@ function Alerts({ currentUploadId, viewMode }) {
 
         {/* Main Content */}
         {/* FIX: Show distinct states: no upload, loading, error, empty (only after successful fetch) */}
-        {!currentUploadId && viewMode === 'current' ? (
+        {!currentUploadId && !caseId ? (
           <div className="empty-state" style={{ padding: 'var(--spacing-xl)', textAlign: 'center' }}>
             <p>No upload selected.</p>
             <p style={{ fontSize: '0.875rem', marginTop: 'var(--spacing-xs)', color: 'var(--text-secondary)' }}>
@@ -455,7 +476,12 @@ function Alerts({ currentUploadId, viewMode }) {
                           )}
                         </div>
                         <div style={{ fontWeight: 600, marginBottom: 'var(--spacing-xs)' }}>
-                          {alert.phone}
+                          {alert.entity ? alert.entity.name : alert.phone}
+                          {alert.entity && (
+                            <span style={{ fontWeight: 400, fontSize: '0.875rem', color: 'var(--text-secondary)', marginLeft: 'var(--spacing-xs)' }}>
+                              ({alert.entity.numbers.join(', ')})
+                            </span>
+                          )}
                         </div>
                         <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
                           {alert.explanation}
@@ -506,6 +532,8 @@ function AlertDetails({ alert, alertsData, onViewNetwork, onViewEvents, onViewTi
       case 'NEW_CONTACT_EMERGENCE': return 'New Contact Emergence';
       case 'NIGHT_ACTIVITY_SHIFT': return 'Night Activity Shift';
       case 'BURST_PATTERN_CHANGE': return 'Burst Pattern Change';
+      case 'SIM_SWAP': return 'SIM Swap';
+      case 'HANDSET_CHANGE': return 'Handset Change';
       default: return type;
     }
   };
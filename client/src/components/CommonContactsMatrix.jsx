@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import EventDetailsModal from './EventDetailsModal';
+import { apiUrl, appendScopeParams } from '../utils/api';
+import '../styles/dashboard.css';
+import '../styles/tables.css';
+import '../styles/filters.css';
+
+const DRILL_DOWN_LIMIT = 100;
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : '-';
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return '0m';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function parseNumbers(text) {
+  return text.split(/[\s,;]+/).map(entry => entry.trim()).filter(Boolean);
+}
+
+// Events between one target and one shared contact
+function DrillDown({ cell, filters, uploadId, caseId, viewMode, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchEvents = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams();
+        params.append('number', cell.target);
+        params.append('counterparty', cell.counterparty);
+        params.append('limit', String(DRILL_DOWN_LIMIT));
+        params.append('sortBy', 'startTime');
+        params.append('sortOrder', 'asc');
+        if (filters.startDate) params.append('startDate', filters.startDate);
+        if (filters.endDate) params.append('endDate', filters.endDate);
+        if (filters.eventType) params.append('eventType', filters.eventType);
+        appendScopeParams(params, { viewMode, uploadId, caseId });
+
+        const response = await fetch(apiUrl(`/api/events?${params}`));
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        if (!cancelled) {
+          setEvents(data.events || []);
+          setTotal(data.pagination?.total || 0);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load events');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchEvents();
+    return () => { cancelled = true; };
+  }, [cell, filters.startDate, filters.endDate, filters.eventType, uploadId, caseId, viewMode]);
+
+  return (
+    <div style={{ marginTop: 'var(--spacing-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-sm)' }}>
+        <h4 style={{ margin: 0, fontSize: '0.875rem' }}>
+          Events between {cell.target} and {cell.counterparty}
+          {total > events.length && (
+            <span style={{ fontWeight: 400, color: 'var(--text-secondary)' }}> (first {events.length} of {total})</span>
+          )}
+        </h4>
+        <button className="btn btn-secondary" onClick={onClose}>Close</button>
+      </div>
+
+      {loading ? (
+        <div className="loading" style={{ padding: 'var(--spacing-md)', textAlign: 'center' }}>Loading events...</div>
+      ) : error ? (
+        <div className="error-message">{error}</div>
+      ) : (
+        <div className="table-wrapper" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Type</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Duration</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={event._canonical?.record_id}>
+                  <td>{new Date(event._canonical?.timestamp_local || event.startTime).toLocaleString()}</td>
+                  <td>
+                    <span className={`badge badge-${(event.eventType || '').toLowerCase()}`}>{event.eventType}</span>
+                  </td>
+                  <td style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>{event.aParty || '-'}</td>
+                  <td style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>{event.bParty || '-'}</td>
+                  <td style={{ textAlign: 'right' }}>{event.durationSec ? `${event.durationSec}s` : '-'}</td>
+                  <td>
+                    <button className="view-details-btn" onClick={() => setSelectedEvent(event)}>View</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedEvent && (
+        <EventDetailsModal event={selectedEvent} onClose={() => setSelectedEvent(null)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Overlap matrix of the counterparties shared by several target numbers: one row per contact,
+ * one column per target, each cell the events between them. Clicking a cell lists those events.
+ */
+function CommonContactsMatrix({ filters, uploadId, caseId, viewMode }) {
+  const [numbersText, setNumbersText] = useState('');
+  const [requestedNumbers, setRequestedNumbers] = useState([]);
+  const [minTargets, setMinTargets] = useState('');
+  const [includeServiceNumbers, setIncludeServiceNumbers] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  const fetchCommonContacts = useCallback(async () => {
+    if (requestedNumbers.length < 2) return;
+    if (!uploadId && viewMode === 'current') return;
+
+    setLoading(true);
+    setError(null);
+    setSelectedCell(null);
+    try {
+      const params = new URLSearchParams();
+      params.append('numbers', requestedNumbers.join(','));
+      if (minTargets) params.append('minTargets', minTargets);
+      if (filters.startDate) params.append('startDate', filters.startDate);
+      if (filters.endDate) params.append('endDate', filters.endDate);
+      if (filters.eventType) params.append('eventType', filters.eventType);
+      if (includeServiceNumbers) params.append('includeServiceNumbers', 'true');
+      appendScopeParams(params, { viewMode, uploadId, caseId });
+
+      const response = await fetch(apiUrl(`/api/analytics/common-contacts?${params}`));
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setResult(data);
+    } catch (err) {
+      console.error('Failed to fetch common contacts:', err);
+      setError(err.message || 'Failed to load common contacts');
+      setResult(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [requestedNumbers, minTargets, includeServiceNumbers, filters.startDate, filters.endDate, filters.eventType, uploadId, caseId, viewMode]);
+
+  useEffect(() => {
+    fetchCommonContacts();
+  }, [fetchCommonContacts]);
+
+  const handleCompare = () => {
+    const numbers = parseNumbers(numbersText);
+    if (numbers.length < 2) {
+      setError('Enter at least two numbers, separated by commas');
+      return;
+    }
+    // A threshold above the new number of targets would be rejected
+    if (minTargets && parseInt(minTargets, 10) > numbers.length) {
+      setMinTargets('');
+    }
+    setRequestedNumbers(numbers);
+  };
+
+  const targets = result?.targets || [];
+  const contacts = result?.commonContacts || [];
+  const maxCount = Math.max(1, ...contacts.flatMap(contact => contact.perTarget.map(stats => stats?.count || 0)));
+
+  return (
+    <div className="chart-container">
+      <h3 className="chart-title">Common Contacts</h3>
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-md)', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 'var(--spacing-md)' }}>
+        <div className="filter-group" style={{ flex: '1 1 320px' }}>
+          <label className="filter-label">Target numbers</label>
+          <input
+            type="text"
+            className="filter-input"
+            placeholder="e.g. 03001234567, 03007654321, 03211112222"
+            value={numbersText}
+            onChange={(e) => setNumbersText(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleCompare(); }}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label">Shared by at least</label>
+          <select
+            className="filter-input"
+            value={minTargets}
+            onChange={(e) => setMinTargets(e.target.value)}
+            disabled={requestedNumbers.length < 3}
+          >
+            <option value="">All targets</option>
+            {requestedNumbers.slice(2).map((_number, index) => (
+              <option key={index} value={String(index + 2)}>{index + 2} targets</option>
+            ))}
+          </select>
+        </div>
+        <button className="btn btn-primary" onClick={handleCompare} disabled={loading}>
+          {loading ? 'Comparing...' : 'Compare'}
+        </button>
+      </div>
+      <label style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-sm)' }}>
+        <input
+          type="checkbox"
+          checked={includeServiceNumbers}
+          onChange={(e) => setIncludeServiceNumbers(e.target.checked)}
+        />
+        {' '}Include short codes, service numbers and sender IDs
+      </label>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!result && !error && (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+          Enter two or more numbers to find the counterparties they have in common.
+        </p>
+      )}
+
+      {result && contacts.length === 0 && (
+        <p style={{ color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+          No counterparty is shared by {result.minTargets === targets.length ? 'all' : `at least ${result.minTargets}`} of these numbers.
+        </p>
+      )}
+
+      {contacts.length > 0 && (
+        <>
+          <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-sm)' }}>
+            {result.totalCommonContacts} shared contact(s)
+            {result.totalCommonContacts > contacts.length && `, showing the top ${contacts.length}`}
+            {' '}• Click a cell to see the events behind it
+          </div>
+          <div className="table-wrapper" style={{ overflowX: 'auto' }}>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Contact</th>
+                  <th style={{ textAlign: 'center' }}>Shared by</th>
+                  {targets.map(target => (
+                    <th key={target} style={{ textAlign: 'center', fontFamily: 'monospace' }}>{target}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {contacts.map(contact => (
+                  <tr key={contact.number}>
+                    <td style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>
+                      {contact.number}
+                      {contact.numberClass && contact.numberClass !== 'subscriber' && (
+                        <span style={{ marginLeft: '8px', fontSize: '0.75rem', color: 'var(--text-muted)', fontFamily: 'inherit' }}>
+                          {contact.numberClass.replace('_', ' ')}
+                        </span>
+                      )}
+                    </td>
+                    <td style={{ textAlign: 'center' }}>{contact.targetCount}/{targets.length}</td>
+                    {contact.perTarget.map((stats, index) => {
+                      const isSelected = selectedCell?.target === targets[index] && selectedCell?.counterparty === contact.number;
+                      if (!stats) {
+                        return <td key={targets[index]} style={{ textAlign: 'center', color: 'var(--text-muted)' }}>-</td>;
+                      }
+                      return (
+                        <td
+                          key={targets[index]}
+                          onClick={() => setSelectedCell({ target: targets[index], counterparty: contact.number })}
+                          title={`${stats.calls} call(s), ${stats.sms} SMS • ${formatDate(stats.firstSeen)} – ${formatDate(stats.lastSeen)}`}
+                          style={{
+                            textAlign: 'center',
+                            cursor: 'pointer',
+                            background: `rgba(37, 99, 235, ${0.08 + 0.5 * (stats.count / maxCount)})`,
+                            outline: isSelected ? '2px solid var(--primary-color)' : 'none'
+                          }}
+                        >
+                          <div style={{ fontWeight: 600 }}>{stats.count}</div>
+                          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                            {formatDuration(stats.totalDuration)}
+                          </div>
+                          <div style={{ fontSize: '0.7rem', color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>
+                            {formatDate(stats.firstSeen)} – {formatDate(stats.lastSeen)}
+                          </div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {result?.directLinks?.length > 0 && (
+        <div style={{ marginTop: 'var(--spacing-md)', fontSize: '0.875rem' }}>
+          <strong>Targets in direct contact:</strong>
+          <ul style={{ margin: 'var(--spacing-xs) 0 0', paddingLeft: 'var(--spacing-lg)' }}>
+            {result.directLinks.map(link => (
+              <li key={link.numbers.join('-')}>
+                <button
+                  className="btn btn-secondary"
+                  style={{ fontSize: '0.75rem', padding: '2px 8px' }}
+                  onClick={() => setSelectedCell({ target: link.numbers[0], counterparty: link.numbers[1] })}
+                >
+                  {link.numbers[0]} ↔ {link.numbers[1]}
+                </button>
+                {' '}{link.count} event(s), {formatDuration(link.totalDuration)}, {formatDate(link.firstSeen)} – {formatDate(link.lastSeen)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {selectedCell && (
+        <DrillDown
+          cell={selectedCell}
+          filters={filters}
+          uploadId={uploadId}
+          caseId={caseId}
+          viewMode={viewMode}
+          onClose={() => setSelectedCell(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default CommonContactsMatrix;
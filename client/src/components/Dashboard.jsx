@@ -4,11 +4,13 @@ import Filters from './Filters';
 import SummaryCards from './SummaryCards';
 import TimelineChart from './TimelineChart';
 import TopContactsChart from './TopContactsChart';
+import CommonContactsMatrix from './CommonContactsMatrix';
+import DeviceHistory from './DeviceHistory';
 import EventsTable from './EventsTable';
-import { apiUrl } from '../utils/api';
+import { apiUrl, appendScopeParams } from '../utils/api';
 import '../styles/dashboard.css';
 
-function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange, onNewUpload }) {
+function Dashboard({ uploadSummary, currentUploadId, currentUploadLabel, currentCase, viewMode, onNewUpload }) {
   const location = useLocation();
   const navigate = useNavigate();
   const appliedNavRef = useRef(false);
@@ -49,6 +51,8 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
   const [error, setError] = useState(null);
   const [resolvedUploadId, setResolvedUploadId] = useState(currentUploadId); // Track resolved ID from API
   const [alertsSummary, setAlertsSummary] = useState(null);
+  // Case-wide view: every upload in the selected case
+  const caseId = viewMode === 'all' ? currentCase?.caseId || null : null;
 
   // Update resolvedUploadId when currentUploadId prop changes
   useEffect(() => {
@@ -77,17 +81,9 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
       if (filters.eventType) params.append('eventType', filters.eventType);
       if (filters.direction) params.append('direction', filters.direction);
       
-      // CRITICAL: Always send uploadId in current mode, includeAll in all mode
-      if (viewMode === 'all') {
-        params.append('includeAll', 'true');
-      } else {
-        // Current mode: send uploadId if available
-        const activeUploadId = currentUploadId || resolvedUploadId;
-        if (activeUploadId) {
-          params.append('uploadId', activeUploadId);
-        }
-        // If no uploadId, backend will default to most recent
-      }
+      // CRITICAL: Always send the scope - caseId, includeAll in all mode, otherwise uploadId
+      // (if no uploadId, backend will default to most recent)
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId || resolvedUploadId, caseId });
 
       const response = await fetch(apiUrl(`/api/analytics/overview?${params}`));
       
@@ -108,7 +104,7 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
     } finally {
       setLoading(false);
     }
-  }, [filters, viewMode, currentUploadId, resolvedUploadId]);
+  }, [filters, viewMode, currentUploadId, resolvedUploadId, caseId]);
 
   useEffect(() => {
     fetchOverview();
@@ -117,17 +113,15 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
   // Fetch alerts summary
   const fetchAlertsSummary = useCallback(async () => {
     if (!currentUploadId && viewMode === 'current') return;
+    // Anomaly baselines are never computed across unrelated uploads
+    if (viewMode === 'all' && !caseId) {
+      setAlertsSummary(null);
+      return;
+    }
     
     try {
       const params = new URLSearchParams();
-      if (viewMode === 'all') {
-        params.append('includeAll', 'true');
-      } else {
-        const activeUploadId = currentUploadId || resolvedUploadId;
-        if (activeUploadId) {
-          params.append('uploadId', activeUploadId);
-        }
-      }
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId || resolvedUploadId, caseId }, { allowAll: false });
       params.append('eventType', 'all');
       params.append('baselineRatio', '0.7');
       params.append('limit', '1'); // Just need summary
@@ -141,19 +135,17 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
       // Silently fail - alerts summary is optional
       console.warn('Failed to fetch alerts summary:', err);
     }
-  }, [currentUploadId, resolvedUploadId, viewMode]);
+  }, [currentUploadId, resolvedUploadId, viewMode, caseId]);
 
   useEffect(() => {
     fetchAlertsSummary();
   }, [fetchAlertsSummary]);
 
-  const handleViewModeChange = (newMode) => {
-    onViewModeChange(newMode);
-  };
-
   // Format uploadId for display (short version)
   const displayUploadId = currentUploadId || resolvedUploadId;
   const uploadIdShort = displayUploadId ? displayUploadId.substring(0, 8) + '...' : 'Loading...';
+  const sessionName = viewMode !== 'all' ? currentUploadLabel || `Upload ${uploadIdShort}` :
+                      currentCase ? `Case: ${currentCase.name}` : 'All Uploads';
 
   return (
     <div className="dashboard">
@@ -208,24 +200,12 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
             <span style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
               Showing results for:
             </span>
-            <select
-              value={viewMode}
-              onChange={(e) => handleViewModeChange(e.target.value)}
-              style={{
-                padding: 'var(--spacing-xs) var(--spacing-sm)',
-                borderRadius: 'var(--radius-sm)',
-                border: '1px solid var(--border-color)',
-                background: 'var(--bg-primary)',
-                color: 'var(--text-primary)',
-                fontSize: '0.875rem',
-                cursor: 'pointer'
-              }}
-            >
-              <option value="current">
-                Current Upload (Latest)
-              </option>
-              <option value="all">All Uploads</option>
-            </select>
+            <strong style={{ fontSize: '0.875rem', color: 'var(--text-primary)' }}>
+              {sessionName}
+            </strong>
+            <Link to="/uploads" style={{ fontSize: '0.875rem' }}>
+              Switch upload
+            </Link>
           </div>
           {uploadSummary && (
             <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
@@ -409,19 +389,34 @@ function Dashboard({ uploadSummary, currentUploadId, viewMode, onViewModeChange,
               <TimelineChart 
                 filters={filters} 
                 uploadId={currentUploadId || resolvedUploadId}
+                caseId={caseId}
                 viewMode={viewMode}
                 overview={overview}
               />
               <TopContactsChart 
                 filters={filters} 
                 uploadId={currentUploadId || resolvedUploadId}
+                caseId={caseId}
                 viewMode={viewMode}
                 overview={overview}
               />
             </div>
+            <CommonContactsMatrix
+              filters={filters}
+              uploadId={currentUploadId || resolvedUploadId}
+              caseId={caseId}
+              viewMode={viewMode}
+            />
+            <DeviceHistory
+              filters={filters}
+              uploadId={currentUploadId || resolvedUploadId}
+              caseId={caseId}
+              viewMode={viewMode}
+            />
             <EventsTable 
               filters={filters} 
               uploadId={currentUploadId || resolvedUploadId}
+              caseId={caseId}
               viewMode={viewMode}
               uploadSummary={uploadSummary}
             />
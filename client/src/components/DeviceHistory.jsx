@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { apiUrl, appendScopeParams } from '../utils/api';
+import '../styles/dashboard.css';
+import '../styles/tables.css';
+import '../styles/filters.css';
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : '-';
+}
+
+function formatDateTime(value) {
+  return value ? new Date(value).toLocaleString() : '-';
+}
+
+const monospace = { fontFamily: 'monospace', fontSize: '0.875rem' };
+const sectionTitle = { fontSize: '0.875rem', margin: 'var(--spacing-md) 0 var(--spacing-xs)' };
+const hint = { color: 'var(--text-secondary)', fontSize: '0.875rem' };
+
+function NumberButton({ number, onSelect }) {
+  return (
+    <button
+      className="btn btn-secondary"
+      style={{ fontSize: '0.75rem', padding: '2px 8px', marginRight: '4px', fontFamily: 'monospace' }}
+      onClick={() => onSelect(number)}
+    >
+      {number}
+    </button>
+  );
+}
+
+function useDeviceRequest(path, extraParams, { filters, uploadId, caseId, viewMode }, enabled) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || (!uploadId && viewMode === 'current')) {
+      setData(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const fetchDevices = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = new URLSearchParams(extraParams);
+        if (filters.startDate) params.append('startDate', filters.startDate);
+        if (filters.endDate) params.append('endDate', filters.endDate);
+        appendScopeParams(params, { viewMode, uploadId, caseId });
+
+        const response = await fetch(apiUrl(`/api/analytics/devices/${path}?${params}`));
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        if (!cancelled) setData(result);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load devices');
+          setData(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchDevices();
+    return () => { cancelled = true; };
+  }, [path, extraParams, filters.startDate, filters.endDate, uploadId, caseId, viewMode, enabled]);
+
+  return { data, loading, error };
+}
+
+/**
+ * Handsets (IMEI) and SIMs (IMSI) per number: handsets shared by several numbers across the scope,
+ * and for a chosen number the periods in which it kept one handset and SIM.
+ */
+function DeviceHistory({ filters, uploadId, caseId, viewMode }) {
+  const [numberText, setNumberText] = useState('');
+  const [historyParams, setHistoryParams] = useState(null);
+  const scopeProps = { filters, uploadId, caseId, viewMode };
+
+  const shared = useDeviceRequest('shared', '', scopeProps, true);
+  const history = useDeviceRequest('history', historyParams, scopeProps, Boolean(historyParams));
+
+  const showHistory = (number) => {
+    setNumberText(number);
+    setHistoryParams(`number=${encodeURIComponent(number)}`);
+  };
+
+  const handleShow = () => {
+    if (numberText.trim()) showHistory(numberText.trim());
+  };
+
+  const sharedHandsets = shared.data?.sharedHandsets || [];
+  const result = history.data;
+
+  return (
+    <div className="chart-container">
+      <h3 className="chart-title">Devices</h3>
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-md)', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 'var(--spacing-md)' }}>
+        <div className="filter-group" style={{ flex: '1 1 240px' }}>
+          <label className="filter-label">Number</label>
+          <input
+            type="text"
+            className="filter-input"
+            placeholder="e.g. 03001234567"
+            value={numberText}
+            onChange={(e) => setNumberText(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleShow(); }}
+          />
+        </div>
+        <button className="btn btn-primary" onClick={handleShow} disabled={history.loading}>
+          {history.loading ? 'Loading...' : 'Show History'}
+        </button>
+      </div>
+
+      {history.error && <div className="error-message">{history.error}</div>}
+
+      {result && (
+        <>
+          {result.handsets.length === 0 && result.sims.length === 0 ? (
+            <p style={hint}>No IMEI or IMSI was recorded for {result.number}.</p>
+          ) : (
+            <>
+              <h4 style={sectionTitle}>Timeline of {result.number}</h4>
+              <div className="table-wrapper" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>From</th>
+                      <th>To</th>
+                      <th>IMEI</th>
+                      <th>IMSI</th>
+                      <th style={{ textAlign: 'right' }}>Events</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.timeline.map(segment => (
+                      <tr key={`${segment.start}-${segment.imei}-${segment.imsi}`}>
+                        <td>{formatDateTime(segment.start)}</td>
+                        <td>{formatDateTime(segment.end)}</td>
+                        <td style={monospace}>{segment.imei || '-'}</td>
+                        <td style={monospace}>{segment.imsi || '-'}</td>
+                        <td style={{ textAlign: 'right' }}>{segment.eventCount}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {result.timelineTruncated && (
+                <p style={hint}>Only the first {result.timeline.length} periods are shown; narrow the date range to see the rest.</p>
+              )}
+              <p style={{ ...hint, marginTop: 'var(--spacing-xs)' }}>
+                {result.handsets.length} handset(s): {result.handsets.map(handset => handset.imei).join(', ') || '-'}
+                {' • '}
+                {result.sims.length} SIM(s): {result.sims.map(sim => sim.imsi).join(', ') || '-'}
+              </p>
+            </>
+          )}
+
+          {result.linkedNumbers.length > 0 && (
+            <div style={{ fontSize: '0.875rem', marginTop: 'var(--spacing-sm)' }}>
+              <strong>Numbers seen in the same handset:</strong>{' '}
+              {result.linkedNumbers.map(link => (
+                <span key={link.number} title={`IMEI ${link.imeis.join(', ')} • ${link.eventCount} event(s)`}>
+                  <NumberButton number={link.number} onSelect={showHistory} />
+                </span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      <h4 style={sectionTitle}>Shared Handsets</h4>
+      {shared.error && <div className="error-message">{shared.error}</div>}
+      {shared.loading && <div className="loading" style={{ padding: 'var(--spacing-md)', textAlign: 'center' }}>Loading devices...</div>}
+      {shared.data && sharedHandsets.length === 0 && (
+        <p style={hint}>
+          {shared.data.numbersWithDevices === 0
+            ? 'No IMEI or IMSI values were recorded in this data.'
+            : 'No handset was used by more than one number.'}
+        </p>
+      )}
+      {sharedHandsets.length > 0 && (
+        <div className="table-wrapper" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>IMEI</th>
+                <th>Numbers</th>
+                <th>First Seen</th>
+                <th>Last Seen</th>
+                <th style={{ textAlign: 'right' }}>Events</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sharedHandsets.map(handset => (
+                <tr key={handset.imei}>
+                  <td style={monospace}>{handset.imei}</td>
+                  <td>
+                    {handset.numbers.map(entry => (
+                      <NumberButton key={entry.number} number={entry.number} onSelect={showHistory} />
+                    ))}
+                  </td>
+                  <td>{formatDate(handset.firstSeen)}</td>
+                  <td>{formatDate(handset.lastSeen)}</td>
+                  <td style={{ textAlign: 'right' }}>{handset.eventCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {shared.data && shared.data.totalSharedHandsets > sharedHandsets.length && (
+        <p style={hint}>Showing {sharedHandsets.length} of {shared.data.totalSharedHandsets} shared handsets.</p>
+      )}
+    </div>
+  );
+}
+
+export default DeviceHistory;
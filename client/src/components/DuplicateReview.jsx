@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiUrl } from '../utils/api';
+import '../styles/dashboard.css';
+
+const TOLERANCE_OPTIONS = [2, 5, 10, 30, 60, 120];
+
+const FIELD_LABELS = {
+  timestamp_utc: 'Time (UTC)',
+  caller_number: 'Caller',
+  receiver_number: 'Receiver',
+  direction: 'Direction',
+  call_duration_seconds: 'Duration (s)',
+  cell_id: 'Cell',
+  imei: 'IMEI',
+  imsi: 'IMSI',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  service_provider: 'Provider',
+  source_file: 'Source File'
+};
+
+const TABLE_FIELDS = [
+  'timestamp_utc',
+  'caller_number',
+  'receiver_number',
+  'direction',
+  'call_duration_seconds',
+  'cell_id',
+  'imei',
+  'source_file'
+];
+
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'timestamp_utc') return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+  return String(value);
+}
+
+function ClusterCard({ cluster, deciding, onDecide }) {
+  const differing = new Set(cluster.differences.map(d => d.field));
+  const decided = cluster.decision?.decision;
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: 'var(--radius-md)',
+      border: '1px solid var(--border-color)',
+      padding: 'var(--spacing-md)',
+      marginBottom: 'var(--spacing-md)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-sm)' }}>
+        <div style={{ fontSize: '0.875rem' }}>
+          <strong>{cluster.records.length} {cluster.eventType === 'sms' ? 'SMS' : 'calls'}</strong>
+          {' '}within {cluster.spanSeconds}s
+          <span style={{ color: 'var(--text-secondary)', marginLeft: 'var(--spacing-sm)' }}>
+            {cluster.differences.length === 0
+              ? 'No differing fields'
+              : `Differs in: ${cluster.differences.map(d => FIELD_LABELS[d.field] || d.field).join(', ')}`}
+          </span>
+        </div>
+        {decided ? (
+          <span style={{
+            padding: '2px 8px',
+            borderRadius: 'var(--radius-sm)',
+            fontSize: '0.75rem',
+            fontWeight: 600,
+            background: decided === 'merge' ? '#dcfce7' : '#f3f4f6',
+            color: decided === 'merge' ? '#166534' : 'var(--text-secondary)'
+          }}>
+            {decided === 'merge' ? 'Merged' : 'Kept separate'}
+          </span>
+        ) : (
+          <div style={{ display: 'flex', gap: 'var(--spacing-xs)' }}>
+            <button
+              onClick={() => onDecide(cluster, 'merge')}
+              disabled={deciding}
+              className="btn btn-primary btn-sm"
+            >
+              Merge
+            </button>
+            <button
+              onClick={() => onDecide(cluster, 'separate')}
+              disabled={deciding}
+              className="btn btn-secondary btn-sm"
+            >
+              Keep Separate
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="table-wrapper">
+        <table className="table">
+          <thead>
+            <tr>
+              {TABLE_FIELDS.map(field => (
+                <th key={field}>{FIELD_LABELS[field]}</th>
+              ))}
+              <th>Row</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cluster.records.map((record, index) => (
+              <tr key={record.record_id}>
+                {TABLE_FIELDS.map(field => (
+                  <td
+                    key={field}
+                    style={differing.has(field) ? { background: '#fef3c7', fontWeight: 600 } : undefined}
+                  >
+                    {formatValue(field, record[field])}
+                  </td>
+                ))}
+                <td title={index === 0 ? 'Kept when merged' : undefined}>
+                  {record.source_row_number || '—'}{index === 0 ? ' ★' : ''}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function DuplicateReview({ currentUploadId, caseId }) {
+  const [tolerance, setTolerance] = useState(5);
+  const [pendingOnly, setPendingOnly] = useState(true);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [deciding, setDeciding] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const fetchClusters = useCallback(async () => {
+    if (!currentUploadId) {
+      setData(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({
+        uploadId: currentUploadId,
+        tolerance: String(tolerance),
+        pendingOnly: String(pendingOnly)
+      });
+      const response = await fetch(apiUrl(`/api/duplicates/near?${params}`));
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to scan for near-duplicates');
+      }
+
+      setData(result);
+    } catch (err) {
+      console.error('Near-duplicate scan error:', err);
+      setError(err.message || 'Failed to scan for near-duplicates');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUploadId, tolerance, pendingOnly]);
+
+  useEffect(() => {
+    fetchClusters();
+  }, [fetchClusters]);
+
+  const handleDecide = async (cluster, decision) => {
+    if (decision === 'merge' && !window.confirm(
+      `Merge ${cluster.records.length} records into one? The first record is kept; this cannot be undone.`
+    )) {
+      return;
+    }
+
+    setDeciding(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await fetch(apiUrl('/api/duplicates/decisions'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          uploadId: currentUploadId,
+          recordIds: cluster.records.map(r => r.record_id),
+          decision
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save decision');
+      }
+
+      setNotice(decision === 'merge'
+        ? `Merged ${result.merge.removedCount + 1} records`
+        : 'Records kept separate');
+      await fetchClusters();
+    } catch (err) {
+      console.error('Duplicate decision error:', err);
+      setError(err.message || 'Failed to save decision');
+    } finally {
+      setDeciding(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: 'var(--spacing-lg)' }}>
+      <div className="container">
+        <div style={{ marginBottom: 'var(--spacing-lg)' }}>
+          <h1 style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--primary-color)', fontSize: '2rem', fontWeight: 700 }}>Duplicate Review</h1>
+          <p style={{ color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+            Events between the same two numbers that are close in time but were not removed as exact duplicates.
+            Decisions are kept when the upload is ingested again.
+          </p>
+        </div>
+
+        {caseId || !currentUploadId ? (
+          <div className="empty-state" style={{ padding: 'var(--spacing-xl)', textAlign: 'center' }}>
+            <p>Select a single upload to review its near-duplicates.</p>
+            <p style={{ fontSize: '0.875rem', marginTop: 'var(--spacing-xs)', color: 'var(--text-secondary)' }}>
+              Review works on one upload at a time; pick it from Upload History.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              gap: 'var(--spacing-md)',
+              alignItems: 'flex-end',
+              padding: 'var(--spacing-md)',
+              background: 'var(--bg-secondary)',
+              borderRadius: 'var(--radius-md)',
+              marginBottom: 'var(--spacing-lg)'
+            }}>
+              <div className="filter-group">
+                <label className="filter-label">Time Tolerance</label>
+                <select
+                  value={tolerance}
+                  onChange={(e) => setTolerance(parseInt(e.target.value, 10))}
+                  className="filter-input"
+                  disabled={loading}
+                >
+                  {TOLERANCE_OPTIONS.map(seconds => (
+                    <option key={seconds} value={seconds}>{seconds} seconds</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="filter-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', fontSize: '0.875rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={pendingOnly}
+                    onChange={(e) => setPendingOnly(e.target.checked)}
+                    disabled={loading}
+                  />
+                  Undecided only
+                </label>
+              </div>
+
+              <button onClick={fetchClusters} disabled={loading} className="btn btn-secondary">
+                {loading ? 'Scanning...' : 'Rescan'}
+              </button>
+
+              {data && (
+                <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginLeft: 'auto' }}>
+                  {data.totalClusters.toLocaleString()} clusters, {data.pendingClusters.toLocaleString()} undecided
+                  {data.clusters.length < (pendingOnly ? data.pendingClusters : data.totalClusters) &&
+                    ` (showing first ${data.clusters.length})`}
+                </div>
+              )}
+            </div>
+
+            {error && <div className="error-message" style={{ marginBottom: 'var(--spacing-md)' }}>{error}</div>}
+            {notice && (
+              <div style={{ marginBottom: 'var(--spacing-md)', fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+                {notice}
+              </div>
+            )}
+
+            {loading && !data ? (
+              <div className="loading" style={{ padding: 'var(--spacing-xl)', textAlign: 'center' }}>
+                <div className="spinner"></div>
+                <p>Scanning for near-duplicates...</p>
+              </div>
+            ) : data && data.clusters.length === 0 ? (
+              <div className="empty-state" style={{ padding: 'var(--spacing-xl)', textAlign: 'center' }}>
+                <p>{pendingOnly && data.totalClusters > 0 ? 'Every cluster has been reviewed.' : 'No near-duplicates found.'}</p>
+                <p style={{ fontSize: '0.875rem', marginTop: 'var(--spacing-xs)', color: 'var(--text-secondary)' }}>
+                  Try a wider time tolerance to find looser matches.
+                </p>
+              </div>
+            ) : data && data.clusters.map(cluster => (
+              <ClusterCard
+                key={cluster.clusterKey}
+                cluster={cluster}
+                deciding={deciding}
+                onDecide={handleDecide}
+              />
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateReview;
@@ -0,0 +1,470 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiUrl } from '../utils/api';
+import '../styles/dashboard.css';
+import '../styles/tables.css';
+import '../styles/filters.css';
+
+const CONFIDENCE_COLORS = {
+  high: { background: '#fee2e2', color: '#991b1b' },
+  medium: { background: '#fef3c7', color: '#92400e' },
+  low: { background: '#f3f4f6', color: 'var(--text-secondary)' }
+};
+
+const hint = { color: 'var(--text-secondary)', fontSize: '0.875rem' };
+
+function parseNumbers(text) {
+  return text.split(/[\s,;]+/).map(value => value.trim()).filter(Boolean);
+}
+
+function describeReason(reason) {
+  if (reason.type === 'shared_handset') {
+    return `Used in the same handset (IMEI ${reason.imei})`;
+  }
+  if (reason.type === 'co_location') {
+    return `At the same cell together on ${reason.dayCount} days (${reason.meetingCount} meetings)`;
+  }
+  if (reason.type === 'handover') {
+    return `${reason.toNumber} started ${reason.gapHours}h after ${reason.fromNumber} went quiet; ` +
+      `${reason.sharedContactCount} contacts in common`;
+  }
+  return reason.type;
+}
+
+async function sendEntityRequest(path, method, body) {
+  const response = await fetch(apiUrl(`/api/entities${path}`), {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+}
+
+function EntityCard({ entity, saving, onUpdate, onDelete }) {
+  const [name, setName] = useState(entity.name);
+  const [notes, setNotes] = useState(entity.notes || '');
+  const [numberText, setNumberText] = useState('');
+
+  useEffect(() => {
+    setName(entity.name);
+    setNotes(entity.notes || '');
+  }, [entity.name, entity.notes]);
+
+  const handleAddNumbers = async () => {
+    const added = parseNumbers(numberText);
+    if (added.length === 0) return;
+    if (await onUpdate(entity, { numbers: [...entity.numbers, ...added] })) {
+      setNumberText('');
+    }
+  };
+
+  const handleRemoveNumber = (number) => {
+    if (entity.numbers.length === 1) {
+      onDelete(entity);
+      return;
+    }
+    onUpdate(entity, { numbers: entity.numbers.filter(value => value !== number) });
+  };
+
+  const edited = name !== entity.name || notes !== (entity.notes || '');
+
+  return (
+    <div style={{
+      background: 'white',
+      borderRadius: 'var(--radius-md)',
+      border: '1px solid var(--border-color)',
+      padding: 'var(--spacing-md)',
+      marginBottom: 'var(--spacing-md)'
+    }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr auto auto', gap: 'var(--spacing-sm)', alignItems: 'end' }}>
+        <div className="filter-group">
+          <label className="filter-label">Name</label>
+          <input
+            type="text"
+            className="filter-input"
+            value={name}
+            maxLength={200}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label">Notes</label>
+          <input
+            type="text"
+            className="filter-input"
+            value={notes}
+            maxLength={5000}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </div>
+        <button
+          className="btn btn-primary btn-sm"
+          onClick={() => onUpdate(entity, { name, notes })}
+          disabled={saving || !edited || !name.trim()}
+        >
+          Save
+        </button>
+        <button className="btn btn-secondary btn-sm" onClick={() => onDelete(entity)} disabled={saving}>
+          Delete
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-xs)', alignItems: 'center', marginTop: 'var(--spacing-sm)' }}>
+        {entity.numbers.map(number => (
+          <span
+            key={number}
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: '4px',
+              padding: '2px 8px',
+              borderRadius: 'var(--radius-sm)',
+              background: 'var(--bg-secondary)',
+              fontFamily: 'monospace',
+              fontSize: '0.875rem'
+            }}
+          >
+            {number}
+            <button
+              onClick={() => handleRemoveNumber(number)}
+              disabled={saving}
+              title={entity.numbers.length === 1 ? 'Removing the last number deletes the entity' : 'Unlink this number'}
+              style={{ border: 'none', background: 'none', cursor: 'pointer', color: 'var(--text-secondary)', padding: 0 }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          className="filter-input"
+          style={{ width: '200px' }}
+          placeholder="Add number(s)"
+          value={numberText}
+          onChange={(e) => setNumberText(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleAddNumbers(); }}
+        />
+        <button className="btn btn-secondary btn-sm" onClick={handleAddNumbers} disabled={saving || !numberText.trim()}>
+          Link
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function SuggestionAction({ suggestion, saving, onAddToEntity, onStartEntity }) {
+  const [first, second] = suggestion.entities;
+  if (first && second) {
+    return <span style={hint}>Linked to {first.name} and {second.name}</span>;
+  }
+  if (first || second) {
+    const entity = first || second;
+    const number = suggestion.numbers[first ? 1 : 0];
+    return (
+      <button className="btn btn-primary btn-sm" onClick={() => onAddToEntity(entity, number)} disabled={saving}>
+        Add to {entity.name}
+      </button>
+    );
+  }
+  return (
+    <button className="btn btn-primary btn-sm" onClick={() => onStartEntity(suggestion.numbers)} disabled={saving}>
+      Link as Entity
+    </button>
+  );
+}
+
+/**
+ * Entities of the open case (or single upload): the numbers one person uses, linked by hand,
+ * and suggested links from shared handsets, co-location and one number taking over from another.
+ */
+function Entities({ currentUploadId, caseId, viewMode }) {
+  const [entities, setEntities] = useState([]);
+  const [suggestions, setSuggestions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [suggestionsLoading, setSuggestionsLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [suggestionsError, setSuggestionsError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [newNumbers, setNewNumbers] = useState('');
+  const [newNotes, setNewNotes] = useState('');
+
+  // Entities belong to a case, or to one upload outside any case
+  const scope = caseId ? { caseId } : viewMode === 'current' && currentUploadId ? { uploadId: currentUploadId } : null;
+  const scopeQuery = scope ? new URLSearchParams(scope).toString() : null;
+
+  const fetchEntities = useCallback(async () => {
+    if (!scopeQuery) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(apiUrl(`/api/entities?${scopeQuery}`));
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+      setEntities(result.entities);
+    } catch (err) {
+      console.error('Entities error:', err);
+      setError(err.message || 'Failed to load entities');
+    } finally {
+      setLoading(false);
+    }
+  }, [scopeQuery]);
+
+  const fetchSuggestions = useCallback(async () => {
+    if (!scopeQuery) return;
+    setSuggestionsLoading(true);
+    setSuggestionsError(null);
+    try {
+      const response = await fetch(apiUrl(`/api/entities/suggestions?${scopeQuery}`));
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+      setSuggestions(result.suggestions);
+    } catch (err) {
+      console.error('Entity suggestions error:', err);
+      setSuggestionsError(err.message || 'Failed to load suggestions');
+    } finally {
+      setSuggestionsLoading(false);
+    }
+  }, [scopeQuery]);
+
+  useEffect(() => {
+    setEntities([]);
+    setSuggestions(null);
+    fetchEntities();
+    fetchSuggestions();
+  }, [fetchEntities, fetchSuggestions]);
+
+  // Links change which pairs are still worth suggesting
+  const afterChange = async () => {
+    await fetchEntities();
+    fetchSuggestions();
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await sendEntityRequest('', 'POST', { ...scope, name: newName, numbers: parseNumbers(newNumbers), notes: newNotes });
+      setNewName('');
+      setNewNumbers('');
+      setNewNotes('');
+      await afterChange();
+    } catch (err) {
+      setError(err.message || 'Failed to create entity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (entity, changes) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await sendEntityRequest(`/${entity.entityId}`, 'PATCH', changes);
+      await afterChange();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to update entity');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (entity) => {
+    if (!window.confirm(`Delete ${entity.name}? Its numbers are analysed separately again.`)) {
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    try {
+      await sendEntityRequest(`/${entity.entityId}`, 'DELETE');
+      await afterChange();
+    } catch (err) {
+      setError(err.message || 'Failed to delete entity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddToEntity = (entity, number) => {
+    handleUpdate(entity, { numbers: [...entity.numbers, number] });
+  };
+
+  const handleStartEntity = (numbers) => {
+    setNewNumbers(numbers.join(', '));
+    setNewName('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  return (
+    <div style={{ padding: 'var(--spacing-lg)' }}>
+      <div className="container">
+        <div style={{ marginBottom: 'var(--spacing-lg)' }}>
+          <h1 style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--primary-color)', fontSize: '2rem', fontWeight: 700 }}>Entities</h1>
+          <p style={hint}>
+            Link the numbers one person uses. Network, Top Contacts and Alerts can then group those numbers
+            into a single party.
+          </p>
+        </div>
+
+        {!scope ? (
+          <div className="empty-state" style={{ padding: 'var(--spacing-xl)', textAlign: 'center' }}>
+            <p>Open a case or a single upload to manage its entities.</p>
+            <p style={{ fontSize: '0.875rem', marginTop: 'var(--spacing-xs)', color: 'var(--text-secondary)' }}>
+              Entities are kept per case; uploads outside a case keep their own.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: '1fr 2fr 1fr auto',
+              gap: 'var(--spacing-sm)',
+              alignItems: 'end',
+              padding: 'var(--spacing-md)',
+              background: 'var(--bg-secondary)',
+              borderRadius: 'var(--radius-md)',
+              marginBottom: 'var(--spacing-lg)'
+            }}>
+              <div className="filter-group">
+                <label className="filter-label">Name</label>
+                <input
+                  type="text"
+                  className="filter-input"
+                  value={newName}
+                  maxLength={200}
+                  placeholder="e.g. Suspect A"
+                  onChange={(e) => setNewName(e.target.value)}
+                />
+              </div>
+              <div className="filter-group">
+                <label className="filter-label">Numbers</label>
+                <input
+                  type="text"
+                  className="filter-input"
+                  value={newNumbers}
+                  placeholder="Separate with commas or spaces"
+                  onChange={(e) => setNewNumbers(e.target.value)}
+                />
+              </div>
+              <div className="filter-group">
+                <label className="filter-label">Notes</label>
+                <input
+                  type="text"
+                  className="filter-input"
+                  value={newNotes}
+                  maxLength={5000}
+                  onChange={(e) => setNewNotes(e.target.value)}
+                />
+              </div>
+              <button
+                className="btn btn-primary"
+                onClick={handleCreate}
+                disabled={saving || !newName.trim() || parseNumbers(newNumbers).length === 0}
+              >
+                {saving ? 'Saving...' : 'Create Entity'}
+              </button>
+            </div>
+
+            {error && <div className="error-message" style={{ marginBottom: 'var(--spacing-md)' }}>{error}</div>}
+
+            {loading && entities.length === 0 ? (
+              <div className="loading" style={{ padding: 'var(--spacing-xl)', textAlign: 'center' }}>
+                <div className="spinner"></div>
+                <p>Loading entities...</p>
+              </div>
+            ) : entities.length === 0 ? (
+              <p style={{ ...hint, marginBottom: 'var(--spacing-lg)' }}>No entities yet.</p>
+            ) : entities.map(entity => (
+              <EntityCard
+                key={entity.entityId}
+                entity={entity}
+                saving={saving}
+                onUpdate={handleUpdate}
+                onDelete={handleDelete}
+              />
+            ))}
+
+            <div className="chart-container">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 className="chart-title">Suggested Links</h3>
+                <button className="btn btn-secondary btn-sm" onClick={fetchSuggestions} disabled={suggestionsLoading}>
+                  {suggestionsLoading ? 'Scanning...' : 'Rescan'}
+                </button>
+              </div>
+              <p style={{ ...hint, marginBottom: 'var(--spacing-sm)' }}>
+                Pairs of subscriber numbers that shared a handset, moved together, or where one took over from the other.
+                Review the evidence before linking.
+              </p>
+
+              {suggestionsError && <div className="error-message">{suggestionsError}</div>}
+              {suggestionsLoading && !suggestions && (
+                <div className="loading" style={{ padding: 'var(--spacing-md)', textAlign: 'center' }}>Looking for links...</div>
+              )}
+              {suggestions && suggestions.length === 0 && <p style={hint}>No links to suggest.</p>}
+              {suggestions && suggestions.length > 0 && (
+                <div className="table-wrapper">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Numbers</th>
+                        <th>Evidence</th>
+                        <th>Confidence</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {suggestions.map(suggestion => (
+                        <tr key={suggestion.numbers.join('|')}>
+                          <td style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>
+                            {suggestion.numbers.map((number, index) => (
+                              <div key={number}>
+                                {number}
+                                {suggestion.entities[index] && (
+                                  <span style={{ ...hint, fontFamily: 'inherit' }}> ({suggestion.entities[index].name})</span>
+                                )}
+                              </div>
+                            ))}
+                          </td>
+                          <td style={{ fontSize: '0.875rem' }}>
+                            {suggestion.reasons.map((reason, index) => (
+                              <div key={index}>{describeReason(reason)}</div>
+                            ))}
+                          </td>
+                          <td>
+                            <span style={{
+                              padding: '2px 8px',
+                              borderRadius: 'var(--radius-sm)',
+                              fontSize: '0.75rem',
+                              fontWeight: 600,
+                              textTransform: 'capitalize',
+                              ...CONFIDENCE_COLORS[suggestion.confidence]
+                            }}>
+                              {suggestion.confidence}
+                            </span>
+                          </td>
+                          <td style={{ textAlign: 'right' }}>
+                            <SuggestionAction
+                              suggestion={suggestion}
+                              saving={saving}
+                              onAddToEntity={handleAddToEntity}
+                              onStartEntity={handleStartEntity}
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Entities;
@@ -1,6 +1,28 @@
 import React from 'react';
 import '../styles/dashboard.css';
 
+const NUMBER_CLASS_LABELS = {
+  short_code: 'Short code',
+  service: 'Service number',
+  alphanumeric: 'Sender ID',
+  unknown: 'Unrecognized format'
+};
+
+// Original number as written in the source file, plus its class when it is not a subscriber
+function PartyOrigin({ raw, canonical, numberClass }) {
+  const showRaw = raw && raw !== canonical;
+  const classLabel = NUMBER_CLASS_LABELS[numberClass];
+  if (!showRaw && !classLabel) return null;
+
+  return (
+    <span style={{ marginLeft: 'var(--spacing-sm)', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+      {showRaw && <>as sent: <span style={{ fontFamily: 'monospace' }}>{raw}</span></>}
+      {showRaw && classLabel && ' · '}
+      {classLabel}
+    </span>
+  );
+}
+
 function EventDetailsModal({ event, onClose }) {
   if (!event) return null;
 
@@ -97,11 +119,13 @@ function EventDetailsModal({ event, onClose }) {
           <div className="detail-row">
             <span className="detail-label">A Party:</span>
             <span style={{ fontFamily: 'monospace' }}>{String(event.aParty || '-')}</span>
+            <PartyOrigin raw={event._canonical?.caller_number_raw} canonical={event.aParty} numberClass={event._canonical?.caller_number_class} />
           </div>
 
           <div className="detail-row">
             <span className="detail-label">B Party:</span>
             <span style={{ fontFamily: 'monospace' }}>{String(event.bParty || '-')}</span>
+            <PartyOrigin raw={event._canonical?.receiver_number_raw} canonical={event.bParty} numberClass={event._canonical?.receiver_number_class} />
           </div>
 
           <div className="detail-row">
@@ -181,15 +205,27 @@ function EventDetailsModal({ event, onClose }) {
                 borderRadius: '4px',
                 background: event._canonical.location_source === 'gps' ? '#10b98120' : 
                            event._canonical.location_source === 'cell_id' ? '#3b82f620' : 
+                           event._canonical.location_source === 'cell_tower' ? '#f59e0b20' : 
                            '#64748b20',
                 color: event._canonical.location_source === 'gps' ? '#10b981' : 
                       event._canonical.location_source === 'cell_id' ? '#3b82f6' : 
+                      event._canonical.location_source === 'cell_tower' ? '#f59e0b' : 
                       '#64748b'
               }}>
                 {event._canonical.location_source.toUpperCase()}
               </span>
             </div>
           )}
+          {event._canonical?.cell_site_name && (
+            <div className="detail-row">
+              <span className="detail-label">Cell Site:</span>
+              <span>
+                {event._canonical.cell_site_name}
+                {event._canonical.cell_azimuth !== null && event._canonical.cell_azimuth !== undefined &&
+                  ` (azimuth ${event._canonical.cell_azimuth}°)`}
+              </span>
+            </div>
+          )}
 
           {/* Additional Canonical Fields */}
           {event._canonical && (
@@ -314,6 +350,34 @@ function EventDetailsModal({ event, onClose }) {
                 <span style={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>{event._canonical.record_id}</span>
               </div>
             )}
+            {event._canonical?.is_duplicate && (
+              <div className="detail-row">
+                <span className="detail-label">Duplicate Of:</span>
+                <span style={{ fontSize: '0.875rem' }}>
+                  <span style={{ fontFamily: 'monospace' }}>{event._canonical.duplicate_of}</span>
+                  {' '}(upload {String(event._canonical.duplicate_of_upload || '').substring(0, 8)})
+                </span>
+              </div>
+            )}
+            {event._canonical?.sources?.length > 1 && (
+              <div style={{ marginTop: 'var(--spacing-sm)' }}>
+                <span className="detail-label" style={{ display: 'block', marginBottom: 'var(--spacing-xs)' }}>
+                  Reported by {event._canonical.sources.length} source rows:
+                </span>
+                <ul style={{ margin: 0, paddingLeft: 'var(--spacing-lg)', fontSize: '0.875rem' }}>
+                  {event._canonical.sources.map((source, idx) => (
+                    <li key={idx}>
+                      {source.fileName || '-'}
+                      {source.sheetName ? ` / ${source.sheetName}` : ''}
+                      {source.rowNumber ? `, row ${source.rowNumber}` : ''}
+                      {source.linked && source.uploadId && (
+                        <span style={{ color: 'var(--text-secondary)' }}> (upload {source.uploadId.substring(0, 8)})</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           {event.normalizationWarnings && event.normalizationWarnings.length > 0 && (
@@ -1,9 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import EventDetailsModal from './EventDetailsModal';
-import { apiUrl } from '../utils/api';
+import { apiUrl, appendScopeParams } from '../utils/api';
 import '../styles/tables.css';
 
-function EventsTable({ filters, uploadId, viewMode, uploadSummary }) {
+function EventsTable({ filters, uploadId, caseId, viewMode, uploadSummary }) {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -17,7 +17,7 @@ function EventsTable({ filters, uploadId, viewMode, uploadSummary }) {
 
   useEffect(() => {
     fetchEvents();
-  }, [filters, pagination.page, sortBy, sortOrder, uploadId, viewMode]);
+  }, [filters, pagination.page, sortBy, sortOrder, uploadId, caseId, viewMode]);
 
   const fetchEvents = async () => {
     if (!uploadId && viewMode === 'current') {
@@ -40,13 +40,8 @@ function EventsTable({ filters, uploadId, viewMode, uploadSummary }) {
       if (filters.eventType) params.append('eventType', filters.eventType);
       if (filters.direction) params.append('direction', filters.direction);
       
-      // CRITICAL: Always send uploadId in current mode, includeAll in all mode
-      if (viewMode === 'all') {
-        params.append('includeAll', 'true');
-      } else if (uploadId) {
-        params.append('uploadId', uploadId);
-      }
-      // If no uploadId in current mode, backend will default to most recent
+      // CRITICAL: Always send the scope - caseId, includeAll in all mode, otherwise uploadId
+      appendScopeParams(params, { viewMode, uploadId, caseId });
 
       const response = await fetch(apiUrl(`/api/events?${params}`));
       if (!response.ok) {
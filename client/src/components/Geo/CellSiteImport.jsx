@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { apiUrl } from '../../utils/api';
+
+function CellSiteImport({ onImported }) {
+  const [file, setFile] = useState(null);
+  const [replace, setReplace] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleImport = async () => {
+    if (!file) return;
+
+    setImporting(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (replace) formData.append('replace', 'true');
+
+      const response = await fetch(apiUrl('/api/cell-sites/import'), {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        const found = data.headers?.filter(Boolean).join(', ');
+        throw new Error(found ? `${data.error} (found: ${found})` : data.error || 'Import failed');
+      }
+
+      setResult(data);
+      setFile(null);
+      if (onImported) onImported(data);
+    } catch (err) {
+      console.error('Cell site import error:', err);
+      setError(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="geo-controls">
+      <div className="control-group">
+        <label>Cell Site Reference</label>
+        <input
+          type="file"
+          accept=".csv,.xls,.xlsx"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          disabled={importing}
+        />
+        <small>Cell ID, LAC, MCC/MNC, latitude, longitude, azimuth, site name</small>
+      </div>
+
+      <div className="control-group">
+        <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', fontWeight: 400 }}>
+          <input
+            type="checkbox"
+            checked={replace}
+            onChange={(e) => setReplace(e.target.checked)}
+            disabled={importing}
+          />
+          Replace existing sites
+        </label>
+      </div>
+
+      <div className="control-actions">
+        <button
+          onClick={handleImport}
+          disabled={!file || importing}
+          className="btn btn-primary"
+        >
+          {importing ? 'Importing...' : 'Import Cell Sites'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message" style={{ width: '100%' }}>{error}</div>
+      )}
+
+      {result && (
+        <div className="geo-summary" style={{ width: '100%' }}>
+          <div className="summary-item">
+            <span className="label">Sites Imported:</span>
+            <span className="value">{(result.inserted + result.updated).toLocaleString()}</span>
+          </div>
+          {result.rejectedRows > 0 && (
+            <div
+              className="summary-item"
+              title={result.errors.slice(0, 5).map(e => `Row ${e.rowNumber}: ${e.reason}`).join('\n')}
+            >
+              <span className="label">Rows Rejected:</span>
+              <span className="value">{result.rejectedRows.toLocaleString()}</span>
+            </div>
+          )}
+          <div className="summary-item">
+            <span className="label">Events Located:</span>
+            <span className="value">{result.backfill.eventsLocated.toLocaleString()}</span>
+          </div>
+          {result.backfill.cellsUnmatched + result.backfill.cellsAmbiguous > 0 && (
+            <div className="summary-item">
+              <span className="label">Cells Not Found:</span>
+              <span className="value">
+                {(result.backfill.cellsUnmatched + result.backfill.cellsAmbiguous).toLocaleString()}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CellSiteImport;
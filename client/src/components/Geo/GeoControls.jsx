@@ -79,6 +79,19 @@ function GeoControls({ filters, viewMode, summary, onFilterChange, onViewModeCha
         </select>
       </div>
 
+      <div className="control-group">
+        <label>Location Source</label>
+        <select
+          value={filters.locationSource}
+          onChange={(e) => onFilterChange('locationSource', e.target.value)}
+          disabled={loading}
+        >
+          <option value="all">All</option>
+          <option value="gps">GPS</option>
+          <option value="cell_tower">Cell Tower</option>
+        </select>
+      </div>
+
       <div className="control-group">
         <label>Phone (optional)</label>
         <input
@@ -88,7 +101,7 @@ function GeoControls({ filters, viewMode, summary, onFilterChange, onViewModeCha
           placeholder="Enter phone number"
           disabled={loading}
         />
-        <small>Required for Path view</small>
+        <small>Required for Path and Meetings views</small>
       </div>
 
       <div className="control-group">
@@ -116,9 +129,71 @@ function GeoControls({ filters, viewMode, summary, onFilterChange, onViewModeCha
           >
             Path
           </button>
+          <button
+            className={`btn btn-sm ${viewMode === 'meetings' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => onViewModeChange('meetings')}
+            disabled={loading || !filters.phone}
+            title={!filters.phone ? 'Enter a phone number to find where it met other numbers' : ''}
+          >
+            Meetings
+          </button>
         </div>
       </div>
 
+      {viewMode === 'meetings' && (
+        <>
+          <div className="control-group">
+            <label>Meets With (optional)</label>
+            <input
+              type="text"
+              value={filters.meetWith}
+              onChange={(e) => onFilterChange('meetWith', e.target.value)}
+              placeholder="Other numbers, comma-separated"
+              disabled={loading}
+            />
+            <small>Leave empty to find every number co-located with the phone</small>
+          </div>
+          <div className="control-group">
+            <label>Same Place Means</label>
+            <select
+              value={filters.coLocationRule}
+              onChange={(e) => onFilterChange('coLocationRule', e.target.value)}
+              disabled={loading}
+            >
+              <option value="cell">Same cell</option>
+              <option value="distance">Within a distance</option>
+            </select>
+          </div>
+          {filters.coLocationRule === 'distance' && (
+            <div className="control-group">
+              <label>Distance (m)</label>
+              <input
+                type="number"
+                min="10"
+                max="50000"
+                value={filters.distanceMeters}
+                onChange={(e) => onFilterChange('distanceMeters', parseInt(e.target.value, 10) || 500)}
+                disabled={loading}
+              />
+            </div>
+          )}
+          <div className="control-group">
+            <label>Time Tolerance</label>
+            <select
+              value={filters.toleranceMinutes}
+              onChange={(e) => onFilterChange('toleranceMinutes', parseInt(e.target.value, 10))}
+              disabled={loading}
+            >
+              <option value="5">5 minutes</option>
+              <option value="15">15 minutes</option>
+              <option value="30">30 minutes</option>
+              <option value="60">1 hour</option>
+              <option value="180">3 hours</option>
+            </select>
+          </div>
+        </>
+      )}
+
       {viewMode === 'heatmap' && (
         <div className="control-group">
           <label>Grid Size</label>
@@ -177,6 +252,18 @@ function GeoControls({ filters, viewMode, summary, onFilterChange, onViewModeCha
             <span className="label">Unique Locations:</span>
             <span className="value">{summary.uniqueLocationsCount.toLocaleString()}</span>
           </div>
+          {summary.cellTowerEvents > 0 && (
+            <div className="summary-item">
+              <span className="label">From Cell Towers:</span>
+              <span className="value">{summary.cellTowerEvents.toLocaleString()}</span>
+            </div>
+          )}
+          {summary.cellOnlyEvents > 0 && (
+            <div className="summary-item" title="Events with a cell ID that is not in the cell site reference table">
+              <span className="label">Cell ID, Not Located:</span>
+              <span className="value">{summary.cellOnlyEvents.toLocaleString()}</span>
+            </div>
+          )}
         </div>
       )}
     </div>
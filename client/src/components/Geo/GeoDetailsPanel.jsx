@@ -1,6 +1,148 @@
 import React from 'react';
 
-function GeoDetailsPanel({ selectedPoint, traceData, viewMode }) {
+function formatWindow(meeting) {
+  const start = new Date(meeting.start);
+  const end = new Date(meeting.end);
+  return start.toDateString() === end.toDateString()
+    ? `${start.toLocaleString()} – ${end.toLocaleTimeString()}`
+    : `${start.toLocaleString()} – ${end.toLocaleString()}`;
+}
+
+function MeetingDetails({ meeting }) {
+  return (
+    <div className="panel-section">
+      <h3>Meeting</h3>
+      <div className="detail-row">
+        <span className="detail-label">Numbers:</span>
+        <span className="detail-value">{meeting.numbers.join(' & ')}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">When:</span>
+        <span className="detail-value">{formatWindow(meeting)}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Duration:</span>
+        <span className="detail-value">{meeting.durationMinutes} min</span>
+      </div>
+      {meeting.cellIds.length > 0 && (
+        <div className="detail-row">
+          <span className="detail-label">Cell:</span>
+          <span className="detail-value">
+            {meeting.cellIds.join(', ')}{meeting.cellSiteName ? ` (${meeting.cellSiteName})` : ''}
+          </span>
+        </div>
+      )}
+      {meeting.distanceMeters !== null && (
+        <div className="detail-row">
+          <span className="detail-label">Closest:</span>
+          <span className="detail-value">{meeting.distanceMeters} m apart</span>
+        </div>
+      )}
+      <h3 style={{ marginTop: '12px' }}>Supporting Events ({meeting.eventCount})</h3>
+      {meeting.events.map(event => (
+        <div key={event.recordId} className="detail-row">
+          <span className="detail-label">{new Date(event.timestampUtc).toLocaleTimeString()}</span>
+          <span className="detail-value">
+            {event.number} {event.eventType}{event.counterparty ? ` with ${event.counterparty}` : ''}
+            {event.cellId ? ` @ ${event.cellId}` : ''}
+          </span>
+        </div>
+      ))}
+      {meeting.eventCount > meeting.events.length && (
+        <p className="hint">Showing the first {meeting.events.length} events.</p>
+      )}
+    </div>
+  );
+}
+
+// Meetings view: the selected meeting, or who met the phone and when
+function MeetingsPanel({ selectedPoint, meetingsData, meetingsError, onPointSelect }) {
+  if (meetingsError) {
+    return (
+      <div className="geo-details-panel">
+        <div className="panel-section">
+          <h3>Meetings</h3>
+          <p className="hint">{meetingsError}</p>
+        </div>
+      </div>
+    );
+  }
+  if (selectedPoint?.type === 'meeting') {
+    return (
+      <div className="geo-details-panel">
+        <MeetingDetails meeting={selectedPoint} />
+        <button className="btn btn-secondary btn-sm" onClick={() => onPointSelect(null)}>
+          Back to all meetings
+        </button>
+      </div>
+    );
+  }
+  if (!meetingsData) {
+    return (
+      <div className="geo-details-panel">
+        <div className="panel-section">
+          <h3>Meetings</h3>
+          <p className="hint">Loading meetings...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const unplotted = meetingsData.meetings.filter(meeting => meeting.lat == null).length;
+
+  return (
+    <div className="geo-details-panel">
+      {meetingsData.mode === 'around' && (
+        <div className="panel-section">
+          <h3>Co-located With {meetingsData.number}</h3>
+          {meetingsData.coLocatedNumbers.length === 0 && <p className="hint">No other number shared a location with it.</p>}
+          {meetingsData.coLocatedNumbers.map(entry => (
+            <div key={entry.number} className="detail-row">
+              <span className="detail-label">{entry.number}</span>
+              <span className="detail-value">
+                {entry.meetingCount} meeting(s), {new Date(entry.firstMet).toLocaleDateString()} – {new Date(entry.lastMet).toLocaleDateString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="panel-section">
+        <h3>Meetings ({meetingsData.totalMeetings})</h3>
+        {meetingsData.totalMeetings === 0 && <p className="hint">No shared locations within the tolerance.</p>}
+        {unplotted > 0 && (
+          <p className="hint">{unplotted} meeting(s) are at cells without coordinates and are not on the map.</p>
+        )}
+        {meetingsData.meetings.map((meeting, idx) => (
+          <div
+            key={`${meeting.numbers.join('-')}-${meeting.start}`}
+            className="detail-row"
+            style={{ cursor: 'pointer' }}
+            onClick={() => onPointSelect({ ...meeting, index: idx, type: 'meeting' })}
+          >
+            <span className="detail-label">{meeting.numbers.join(' & ')}</span>
+            <span className="detail-value">{formatWindow(meeting)}</span>
+          </div>
+        ))}
+        {meetingsData.totalMeetings > meetingsData.meetings.length && (
+          <p className="hint">Showing the first {meetingsData.meetings.length} meetings.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function GeoDetailsPanel({ selectedPoint, traceData, meetingsData, meetingsError, viewMode, onPointSelect }) {
+  if (viewMode === 'meetings') {
+    return (
+      <MeetingsPanel
+        selectedPoint={selectedPoint}
+        meetingsData={meetingsData}
+        meetingsError={meetingsError}
+        onPointSelect={onPointSelect}
+      />
+    );
+  }
+
   if (!selectedPoint || selectedPoint.type === 'fit') {
     return (
       <div className="geo-details-panel">
@@ -28,6 +170,20 @@ function GeoDetailsPanel({ selectedPoint, traceData, viewMode }) {
           <span className="detail-label">Longitude:</span>
           <span className="detail-value">{selectedPoint.lng?.toFixed(6)}</span>
         </div>
+        {selectedPoint.locationSource && (
+          <div className="detail-row">
+            <span className="detail-label">Location Source:</span>
+            <span className="detail-value">
+              {selectedPoint.locationSource === 'cell_tower' ? 'Cell tower (approximate)' : 'GPS'}
+            </span>
+          </div>
+        )}
+        {selectedPoint.cellSiteName && (
+          <div className="detail-row">
+            <span className="detail-label">Cell Site:</span>
+            <span className="detail-value">{selectedPoint.cellSiteName}</span>
+          </div>
+        )}
         {selectedPoint.timestampUtc && (
           <div className="detail-row">
             <span className="detail-label">Time:</span>
@@ -11,6 +11,15 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
 });
 
+// Tower-derived positions are the serving cell site, not the handset, so they are drawn apart from GPS fixes
+const GPS_COLOR = '#3b82f6';
+const CELL_TOWER_COLOR = '#f59e0b';
+const MEETING_COLOR = '#8b5cf6';
+
+function pointColor(point) {
+  return point.locationSource === 'cell_tower' ? CELL_TOWER_COLOR : GPS_COLOR;
+}
+
 // Heatmap Layer Component
 function HeatmapLayer({ data }) {
   const map = useMap();
@@ -111,8 +120,8 @@ function PointsLayer({ data, filters, onPointClick, selectedPoint }) {
             center={[point.lat, point.lng]}
             radius={isSelected ? 8 : 4}
             pathOptions={{
-              color: isSelected ? '#ff0000' : '#3b82f6',
-              fillColor: isSelected ? '#ff0000' : '#3b82f6',
+              color: isSelected ? '#ff0000' : pointColor(point),
+              fillColor: isSelected ? '#ff0000' : pointColor(point),
               fillOpacity: 0.6,
               weight: isSelected ? 3 : 1
             }}
@@ -141,7 +150,7 @@ function TracePath({ data, onPointClick, selectedPoint }) {
       <Polyline
         positions={pathPositions}
         pathOptions={{
-          color: '#3b82f6',
+          color: GPS_COLOR,
           weight: 3,
           opacity: 0.7
         }}
@@ -185,8 +194,8 @@ function TracePath({ data, onPointClick, selectedPoint }) {
             center={[point.lat, point.lng]}
             radius={isSelected ? 6 : 4}
             pathOptions={{
-              color: isSelected ? '#ff0000' : '#3b82f6',
-              fillColor: isSelected ? '#ff0000' : '#3b82f6',
+              color: isSelected ? '#ff0000' : pointColor(point),
+              fillColor: isSelected ? '#ff0000' : pointColor(point),
               fillOpacity: 0.6,
               weight: isSelected ? 2 : 1
             }}
@@ -200,7 +209,39 @@ function TracePath({ data, onPointClick, selectedPoint }) {
   );
 }
 
-function GeoMap({ summary, heatmapData, traceData, pointsData, viewMode, filters, selectedPoint, onPointSelect }) {
+// Meetings Layer Component (meetings without coordinates are listed in the details panel only)
+function MeetingsLayer({ data, onPointClick, selectedPoint }) {
+  if (!data?.meetings || data.meetings.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      {data.meetings.map((meeting, idx) => {
+        if (meeting.lat == null || meeting.lng == null) return null;
+        const isSelected = selectedPoint?.type === 'meeting' && selectedPoint.index === idx;
+        return (
+          <CircleMarker
+            key={`meeting-${idx}`}
+            center={[meeting.lat, meeting.lng]}
+            radius={Math.min(6 + meeting.eventCount, 16)}
+            pathOptions={{
+              color: isSelected ? '#ff0000' : MEETING_COLOR,
+              fillColor: isSelected ? '#ff0000' : MEETING_COLOR,
+              fillOpacity: 0.5,
+              weight: isSelected ? 3 : 2
+            }}
+            eventHandlers={{
+              click: () => onPointClick({ ...meeting, index: idx, type: 'meeting' })
+            }}
+          />
+        );
+      })}
+    </>
+  );
+}
+
+function GeoMap({ summary, heatmapData, traceData, pointsData, meetingsData, viewMode, filters, selectedPoint, onPointSelect }) {
   const mapRef = useRef(null);
   const fitBoundsTrigger = useRef(0);
 
@@ -273,6 +314,13 @@ function GeoMap({ summary, heatmapData, traceData, pointsData, viewMode, filters
             selectedPoint={selectedPoint}
           />
         )}
+        {viewMode === 'meetings' && (
+          <MeetingsLayer
+            data={meetingsData}
+            onPointClick={onPointSelect}
+            selectedPoint={selectedPoint}
+          />
+        )}
         {viewMode === 'path' && (
           <TracePath
             data={traceData}
@@ -1,26 +1,34 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { apiUrl } from '../../utils/api';
+import { apiUrl, appendScopeParams } from '../../utils/api';
 import GeoMap from './GeoMap';
 import GeoControls from './GeoControls';
 import GeoDetailsPanel from './GeoDetailsPanel';
+import CellSiteImport from './CellSiteImport';
 import 'leaflet/dist/leaflet.css';
 import '../../styles/geo.css';
 
-function GeoPage({ currentUploadId, viewMode }) {
+function GeoPage({ currentUploadId, caseId, viewMode }) {
   const [filters, setFilters] = useState({
     from: '',
     to: '',
     eventType: 'all',
+    locationSource: 'all',
     phone: '',
     gridSize: 0.01,
-    pointLimit: 2000
+    pointLimit: 2000,
+    meetWith: '',
+    coLocationRule: 'cell',
+    toleranceMinutes: 15,
+    distanceMeters: 500
   });
 
-  const [geoViewMode, setGeoViewMode] = useState('heatmap'); // 'heatmap' | 'points' | 'path'
+  const [geoViewMode, setGeoViewMode] = useState('heatmap'); // 'heatmap' | 'points' | 'path' | 'meetings'
   const [summary, setSummary] = useState(null);
   const [heatmapData, setHeatmapData] = useState(null);
   const [traceData, setTraceData] = useState(null);
   const [pointsData, setPointsData] = useState(null);
+  const [meetingsData, setMeetingsData] = useState(null);
+  const [meetingsError, setMeetingsError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedPoint, setSelectedPoint] = useState(null);
@@ -30,10 +38,11 @@ function GeoPage({ currentUploadId, viewMode }) {
   const heatmapAbortRef = useRef(null);
   const pointsAbortRef = useRef(null);
   const traceAbortRef = useRef(null);
+  const meetingsAbortRef = useRef(null);
 
   // Fetch geographic summary
   const fetchSummary = useCallback(async () => {
-    if (!currentUploadId) {
+    if (!currentUploadId && !caseId) {
       setLoading(false);
       setSummary(null);
       return;
@@ -50,10 +59,11 @@ function GeoPage({ currentUploadId, viewMode }) {
 
     try {
       const params = new URLSearchParams();
-      params.append('uploadId', currentUploadId);
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId, caseId }, { allowAll: false });
       if (filters.from) params.append('from', filters.from);
       if (filters.to) params.append('to', filters.to);
       params.append('eventType', filters.eventType);
+      params.append('locationSource', filters.locationSource);
       if (filters.phone && filters.phone.trim()) {
         params.append('phone', filters.phone.trim());
       }
@@ -88,10 +98,10 @@ function GeoPage({ currentUploadId, viewMode }) {
         summaryAbortRef.current = null;
       }
     }
-  }, [currentUploadId, filters.from, filters.to, filters.eventType, filters.phone]);
+  }, [currentUploadId, caseId, viewMode, filters.from, filters.to, filters.eventType, filters.locationSource, filters.phone]);
 
   const fetchHeatmap = useCallback(async () => {
-    if (!currentUploadId || geoViewMode !== 'heatmap') {
+    if ((!currentUploadId && !caseId) || geoViewMode !== 'heatmap') {
       setHeatmapData(null);
       return;
     }
@@ -104,10 +114,11 @@ function GeoPage({ currentUploadId, viewMode }) {
 
     try {
       const params = new URLSearchParams();
-      params.append('uploadId', currentUploadId);
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId, caseId }, { allowAll: false });
       if (filters.from) params.append('from', filters.from);
       if (filters.to) params.append('to', filters.to);
       params.append('eventType', filters.eventType);
+      params.append('locationSource', filters.locationSource);
       params.append('grid', filters.gridSize.toString());
       if (filters.phone && filters.phone.trim()) {
         params.append('phone', filters.phone.trim());
@@ -136,10 +147,10 @@ function GeoPage({ currentUploadId, viewMode }) {
       }
       console.error('Failed to fetch heatmap:', err);
     }
-  }, [currentUploadId, filters.from, filters.to, filters.eventType, filters.phone, filters.gridSize, geoViewMode]);
+  }, [currentUploadId, caseId, viewMode, filters.from, filters.to, filters.eventType, filters.locationSource, filters.phone, filters.gridSize, geoViewMode]);
 
   const fetchPoints = useCallback(async () => {
-    if (!currentUploadId || geoViewMode !== 'points') {
+    if ((!currentUploadId && !caseId) || geoViewMode !== 'points') {
       setPointsData(null);
       return;
     }
@@ -152,10 +163,11 @@ function GeoPage({ currentUploadId, viewMode }) {
 
     try {
       const params = new URLSearchParams();
-      params.append('uploadId', currentUploadId);
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId, caseId }, { allowAll: false });
       if (filters.from) params.append('from', filters.from);
       if (filters.to) params.append('to', filters.to);
       params.append('eventType', filters.eventType);
+      params.append('locationSource', filters.locationSource);
       params.append('limit', filters.pointLimit.toString());
       if (filters.phone && filters.phone.trim()) {
         params.append('phone', filters.phone.trim());
@@ -187,10 +199,10 @@ function GeoPage({ currentUploadId, viewMode }) {
       }
       console.error('Failed to fetch points:', err);
     }
-  }, [currentUploadId, filters.from, filters.to, filters.eventType, filters.phone, filters.pointLimit, geoViewMode]);
+  }, [currentUploadId, caseId, viewMode, filters.from, filters.to, filters.eventType, filters.locationSource, filters.phone, filters.pointLimit, geoViewMode]);
 
   const fetchTrace = useCallback(async () => {
-    if (!currentUploadId || geoViewMode !== 'path' || !filters.phone || !filters.phone.trim()) {
+    if ((!currentUploadId && !caseId) || geoViewMode !== 'path' || !filters.phone || !filters.phone.trim()) {
       setTraceData(null);
       return;
     }
@@ -203,10 +215,11 @@ function GeoPage({ currentUploadId, viewMode }) {
 
     try {
       const params = new URLSearchParams();
-      params.append('uploadId', currentUploadId);
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId, caseId }, { allowAll: false });
       if (filters.from) params.append('from', filters.from);
       if (filters.to) params.append('to', filters.to);
       params.append('eventType', filters.eventType);
+      params.append('locationSource', filters.locationSource);
       params.append('phone', filters.phone.trim());
       params.append('limit', filters.pointLimit.toString());
 
@@ -233,7 +246,65 @@ function GeoPage({ currentUploadId, viewMode }) {
       }
       console.error('Failed to fetch trace:', err);
     }
-  }, [currentUploadId, filters.from, filters.to, filters.eventType, filters.phone, filters.pointLimit, geoViewMode]);
+  }, [currentUploadId, caseId, viewMode, filters.from, filters.to, filters.eventType, filters.locationSource, filters.phone, filters.pointLimit, geoViewMode]);
+
+  // Meetings of the phone with the numbers in meetWith, or with any number when meetWith is empty
+  const fetchMeetings = useCallback(async () => {
+    if ((!currentUploadId && !caseId) || geoViewMode !== 'meetings' || !filters.phone || !filters.phone.trim()) {
+      setMeetingsData(null);
+      setMeetingsError(null);
+      return;
+    }
+
+    if (meetingsAbortRef.current) {
+      meetingsAbortRef.current.abort();
+    }
+    meetingsAbortRef.current = new AbortController();
+    const currentAbortController = meetingsAbortRef.current;
+
+    try {
+      const params = new URLSearchParams();
+      appendScopeParams(params, { viewMode, uploadId: currentUploadId, caseId }, { allowAll: false });
+      if (filters.from) params.append('from', filters.from);
+      if (filters.to) params.append('to', filters.to);
+      const others = filters.meetWith.split(/[\s,;]+/).filter(Boolean);
+      if (others.length > 0) {
+        params.append('numbers', [filters.phone.trim(), ...others].join(','));
+      } else {
+        params.append('number', filters.phone.trim());
+      }
+      params.append('rule', filters.coLocationRule);
+      params.append('toleranceMinutes', String(filters.toleranceMinutes));
+      if (filters.coLocationRule === 'distance') {
+        params.append('distanceMeters', String(filters.distanceMeters));
+      }
+
+      const response = await fetch(apiUrl(`/api/analytics/geo/colocation?${params}`), {
+        signal: currentAbortController.signal
+      });
+
+      if (currentAbortController.signal.aborted) {
+        return;
+      }
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to fetch meetings: ${response.status}`);
+      }
+
+      if (!currentAbortController.signal.aborted) {
+        setMeetingsData(data);
+        setMeetingsError(null);
+      }
+    } catch (err) {
+      if (err.name === 'AbortError' || currentAbortController.signal.aborted) {
+        return;
+      }
+      console.error('Failed to fetch meetings:', err);
+      setMeetingsData(null);
+      setMeetingsError(err.message || 'Failed to load meetings');
+    }
+  }, [currentUploadId, caseId, viewMode, filters.from, filters.to, filters.phone, filters.meetWith, filters.coLocationRule, filters.toleranceMinutes, filters.distanceMeters, geoViewMode]);
 
   useEffect(() => {
     fetchSummary();
@@ -275,6 +346,16 @@ function GeoPage({ currentUploadId, viewMode }) {
     };
   }, [fetchTrace]);
 
+  useEffect(() => {
+    fetchMeetings();
+
+    return () => {
+      if (meetingsAbortRef.current) {
+        meetingsAbortRef.current.abort();
+      }
+    };
+  }, [fetchMeetings]);
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
     setSelectedPoint(null);
@@ -290,14 +371,28 @@ function GeoPage({ currentUploadId, viewMode }) {
       from: '',
       to: '',
       eventType: 'all',
+      locationSource: 'all',
       phone: '',
       gridSize: 0.01,
-      pointLimit: 2000
+      pointLimit: 2000,
+      meetWith: '',
+      coLocationRule: 'cell',
+      toleranceMinutes: 15,
+      distanceMeters: 500
     });
     setGeoViewMode('heatmap');
     setSelectedPoint(null);
   };
 
+  // A reference import can locate events in this upload, so reload everything on the map
+  const handleCellSitesImported = () => {
+    fetchSummary();
+    fetchHeatmap();
+    fetchPoints();
+    fetchTrace();
+    fetchMeetings();
+  };
+
   const handleFitToData = () => {
     if (summary?.bbox) {
       setSelectedPoint({ type: 'fit', bbox: summary.bbox });
@@ -315,6 +410,14 @@ function GeoPage({ currentUploadId, viewMode }) {
           maxLng: Math.max(...lngs)
         };
       }
+    } else if (geoViewMode === 'meetings' && meetingsData?.meetings?.some(m => m.lat != null)) {
+      const located = meetingsData.meetings.filter(m => m.lat != null && m.lng != null);
+      bbox = {
+        minLat: Math.min(...located.map(m => m.lat)),
+        maxLat: Math.max(...located.map(m => m.lat)),
+        minLng: Math.min(...located.map(m => m.lng)),
+        maxLng: Math.max(...located.map(m => m.lng))
+      };
     } else if (geoViewMode === 'points' && pointsData?.points && pointsData.points.length > 0) {
       const lats = pointsData.points.map(p => p.lat).filter(l => l != null);
       const lngs = pointsData.points.map(p => p.lng).filter(l => l != null);
@@ -338,7 +441,8 @@ function GeoPage({ currentUploadId, viewMode }) {
         <div className="geo-header">
           <h1>Geographic Analysis</h1>
           <p className="subheader">
-            {currentUploadId ? `Upload: ${currentUploadId.substring(0, 8)}...` : 'No upload selected'}
+            {caseId ? 'All uploads in the selected case' :
+              currentUploadId ? `Upload: ${currentUploadId.substring(0, 8)}...` : 'No upload selected'}
           </p>
         </div>
 
@@ -353,6 +457,8 @@ function GeoPage({ currentUploadId, viewMode }) {
           loading={loading}
         />
 
+        <CellSiteImport onImported={handleCellSitesImported} />
+
         <div className="geo-content-wrapper">
           {loading ? (
             <div className="loading-state">
@@ -369,10 +475,16 @@ function GeoPage({ currentUploadId, viewMode }) {
           ) : (!summary || (summary.eventsWithCoords === 0 && 
             !(geoViewMode === 'path' && traceData?.points?.length > 0) &&
             !(geoViewMode === 'points' && pointsData?.points?.length > 0) &&
+            !(geoViewMode === 'meetings' && meetingsData?.meetings?.length > 0) &&
             !(geoViewMode === 'heatmap' && heatmapData?.cells?.length > 0))) ? (
             <div className="empty-state">
               <p>No location coordinates available in this filter window.</p>
               <p className="hint">Try adjusting your filters or ensure your dataset includes latitude/longitude data.</p>
+              {summary?.cellOnlyEvents > 0 && (
+                <p className="hint">
+                  {summary.cellOnlyEvents} events have a cell ID only. Import a cell site reference table to place them on the map.
+                </p>
+              )}
               {summary && (
                 <div className="hint" style={{ marginTop: '10px', fontSize: '0.875rem' }}>
                   <p>Summary: {summary.eventsWithCoords} events with coordinates found.</p>
@@ -389,6 +501,7 @@ function GeoPage({ currentUploadId, viewMode }) {
                 heatmapData={geoViewMode === 'heatmap' ? heatmapData : null}
                 traceData={geoViewMode === 'path' ? traceData : null}
                 pointsData={geoViewMode === 'points' ? pointsData : null}
+                meetingsData={geoViewMode === 'meetings' ? meetingsData : null}
                 viewMode={geoViewMode}
                 filters={filters}
                 selectedPoint={selectedPoint}
@@ -397,7 +510,10 @@ function GeoPage({ currentUploadId, viewMode }) {
               <GeoDetailsPanel
                 selectedPoint={selectedPoint}
                 traceData={traceData}
+                meetingsData={meetingsData}
+                meetingsError={meetingsError}
                 viewMode={geoViewMode}
+                onPointSelect={setSelectedPoint}
               />
             </div>
           )}
@@ -1,7 +1,14 @@
 import React from 'react';
 import '../styles/layout.css';
 
-function Header() {
+function Header({ cases = [], currentCaseId, onCaseChange, onCreateCase }) {
+  const handleNewCase = () => {
+    const name = window.prompt('Name of the new case');
+    if (name && name.trim()) {
+      onCreateCase(name.trim());
+    }
+  };
+
   return (
     <header style={{
       background: 'var(--bg-primary)',
@@ -9,21 +16,61 @@ function Header() {
       boxShadow: 'var(--shadow-sm)',
       padding: 'var(--spacing-lg) 0'
     }}>
-      <div className="container">
-        <h1 style={{ 
-          fontSize: '1.75rem', 
-          fontWeight: 700,
-          color: 'var(--primary-color)',
-          marginBottom: 'var(--spacing-xs)'
-        }}>
-          CDR Dashboard
-        </h1>
-        <p style={{ 
-          color: 'var(--text-secondary)',
-          fontSize: '0.875rem'
-        }}>
-          Operation ECHO - Investigation Analytics Platform
-        </p>
+      <div className="container" style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 'var(--spacing-md)'
+      }}>
+        <div>
+          <h1 style={{ 
+            fontSize: '1.75rem', 
+            fontWeight: 700,
+            color: 'var(--primary-color)',
+            marginBottom: 'var(--spacing-xs)'
+          }}>
+            CDR Dashboard
+          </h1>
+          <p style={{ 
+            color: 'var(--text-secondary)',
+            fontSize: '0.875rem'
+          }}>
+            Operation ECHO - Investigation Analytics Platform
+          </p>
+        </div>
+
+        {/* Case workspace selector */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+          <label htmlFor="case-select" style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+            Case:
+          </label>
+          <select
+            id="case-select"
+            value={currentCaseId || ''}
+            onChange={(e) => onCaseChange(e.target.value || null)}
+            style={{
+              padding: 'var(--spacing-xs) var(--spacing-sm)',
+              borderRadius: 'var(--radius-sm)',
+              border: '1px solid var(--border-color)',
+              background: 'var(--bg-primary)',
+              color: 'var(--text-primary)',
+              fontSize: '0.875rem',
+              cursor: 'pointer',
+              minWidth: '180px'
+            }}
+          >
+            <option value="">No case (individual uploads)</option>
+            {cases.map(c => (
+              <option key={c.caseId} value={c.caseId}>
+                {c.name} ({c.uploadCount} upload{c.uploadCount === 1 ? '' : 's'})
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-secondary" onClick={handleNewCase}>
+            New Case
+          </button>
+        </div>
       </div>
     </header>
   );
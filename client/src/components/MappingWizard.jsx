@@ -0,0 +1,435 @@
+import React, { useState } from 'react';
+import '../styles/tables.css';
+
+const FIELD_LABELS = {
+  startTime: 'Start Time',
+  endTime: 'End Time',
+  aParty: 'A Party',
+  bParty: 'B Party',
+  eventType: 'Event Type',
+  direction: 'Direction',
+  duration: 'Duration',
+  durationMins: 'Duration (minutes)',
+  durationSecs: 'Duration (seconds)',
+  cellId: 'Cell ID',
+  lacId: 'LAC',
+  lat: 'Latitude',
+  lng: 'Longitude',
+  site: 'Site',
+  imei: 'IMEI',
+  imsi: 'IMSI',
+  provider: 'Provider'
+};
+
+const REQUIRED_FIELDS = ['startTime', 'aParty', 'bParty'];
+
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252 (Western)',
+  'windows-1256': 'Windows-1256 (Arabic)'
+};
+
+const DELIMITER_LABELS = {
+  ',': 'Comma',
+  ';': 'Semicolon',
+  '\t': 'Tab',
+  '|': 'Pipe'
+};
+
+const FORMAT_LABELS = {
+  'fixed-width': 'Fixed-width text',
+  'key-value': 'Key=value log lines',
+  ber: 'ASN.1 BER records'
+};
+
+const MATCH_BADGES = {
+  exact: { label: 'Exact', color: 'var(--success-color)' },
+  partial: { label: 'Guessed', color: 'var(--warning-color)' },
+  manual: { label: 'Manual', color: 'var(--primary-color)' }
+};
+
+function PreviewSummary({ preview }) {
+  const topEntries = (counts) => Object.entries(counts || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5);
+  const rejectColor = preview.projectedRejectRate > 20
+    ? 'var(--error-color)'
+    : preview.projectedRejectRate > 0 ? 'var(--warning-color)' : 'var(--success-color)';
+
+  return (
+    <div style={{
+      padding: 'var(--spacing-md)',
+      background: 'var(--bg-secondary)',
+      borderRadius: 'var(--radius-md)',
+      fontSize: '0.875rem',
+      color: 'var(--text-secondary)'
+    }}>
+      <div style={{ marginBottom: 'var(--spacing-xs)' }}>
+        Dry run on the first {preview.rowsScanned.toLocaleString()} rows:{' '}
+        {preview.acceptedCount.toLocaleString()} accepted, {preview.rejectedCount.toLocaleString()} rejected{' '}
+        <strong style={{ color: rejectColor }}>({preview.projectedRejectRate}% projected reject rate)</strong>
+      </div>
+      {topEntries(preview.rejectReasons).map(([reason, count]) => (
+        <div key={reason} style={{ fontSize: '0.75rem', color: 'var(--error-color)' }}>
+          {count.toLocaleString()} x {reason}
+        </div>
+      ))}
+      {topEntries(preview.warningCounts).map(([warning, count]) => (
+        <div key={warning} style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {count.toLocaleString()} x warning: {warning}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Missing required mappings for one file ('startTime' and at least one party)
+ */
+export function getMappingProblems(mapping) {
+  const problems = [];
+  if (!mapping?.startTime) problems.push('Start Time is not mapped');
+  if (!mapping?.aParty && !mapping?.bParty) problems.push('Map at least one of A Party or B Party');
+  return problems;
+}
+
+/**
+ * Names of workbooks whose sheets are all left out; each needs at least one sheet to ingest
+ */
+function getWorkbooksWithoutSheets(files) {
+  const sheets = files.filter(f => f.sheetCount > 0);
+  return [...new Set(sheets.map(f => f.filename))]
+    .filter(filename => !sheets.some(f => f.filename === filename && f.include))
+    .map(filename => sheets.find(f => f.filename === filename).originalName);
+}
+
+function MappingWizard({
+  files,
+  profiles,
+  canonicalFields,
+  busy,
+  onProfileChange,
+  onMappingChange,
+  onSaveProfile,
+  onPreview,
+  uploadTimezone,
+  timezoneOptions,
+  onTimezoneChange,
+  onDialectChange,
+  onSheetIncludeChange,
+  onHeaderRowChange,
+  onConfirm,
+  onCancel
+}) {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [profileName, setProfileName] = useState('');
+  const [operator, setOperator] = useState('');
+
+  const file = files[Math.min(activeIndex, files.length - 1)];
+  const fields = canonicalFields.length > 0 ? canonicalFields : Object.keys(FIELD_LABELS);
+  // Sheets left out of a workbook are not ingested, so their mapping does not matter
+  const isIncluded = f => f.include !== false;
+  const problems = isIncluded(file) ? getMappingProblems(file.mapping) : [];
+  const emptyWorkbooks = getWorkbooksWithoutSheets(files);
+  const allValid = emptyWorkbooks.length === 0
+    && files.every(f => !isIncluded(f) || getMappingProblems(f.mapping).length === 0);
+
+  // Header -> canonical field, to label preview columns
+  const fieldByHeader = {};
+  Object.entries(file.mapping || {}).forEach(([field, header]) => {
+    if (header) fieldByHeader[header] = field;
+  });
+
+  const handleSave = () => {
+    if (!profileName.trim()) return;
+    onSaveProfile(activeIndex, { name: profileName.trim(), operator: operator.trim() || null });
+    setProfileName('');
+    setOperator('');
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-md)' }}>
+      {files.length > 1 && (
+        <div style={{ display: 'flex', gap: 'var(--spacing-xs)', flexWrap: 'wrap' }}>
+          {files.map((f, index) => {
+            const fileValid = !isIncluded(f) || getMappingProblems(f.mapping).length === 0;
+            return (
+              <button
+                key={`${f.filename}:${f.sheetName || ''}`}
+                onClick={() => setActiveIndex(index)}
+                className={index === activeIndex ? 'btn btn-primary' : 'btn btn-secondary'}
+                style={{ fontSize: '0.75rem', padding: '4px 8px', opacity: isIncluded(f) ? 1 : 0.6 }}
+              >
+                {f.originalName}{f.sheetCount ? ` / ${f.sheetName}` : ''}
+                {isIncluded(f) ? '' : ' (skipped)'}{fileValid ? '' : ' (!)'}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-md)', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <div className="filter-group" style={{ minWidth: '220px' }}>
+          <label className="filter-label">Mapping profile</label>
+          <select
+            className="filter-input"
+            value={file.profileId}
+            disabled={busy}
+            onChange={(e) => onProfileChange(activeIndex, e.target.value)}
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}{profile.operator ? ` (${profile.operator})` : ''}
+                {profile.id === file.suggestedProfileId ? ' - suggested' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group" style={{ minWidth: '200px' }}>
+          <label className="filter-label">Source timezone</label>
+          <select
+            className="filter-input"
+            value={file.timezone || ''}
+            disabled={busy}
+            onChange={(e) => onTimezoneChange(activeIndex, e.target.value)}
+          >
+            <option value="">Upload default ({uploadTimezone})</option>
+            {timezoneOptions.map(zone => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+        </div>
+        {file.sheetCount > 0 && (
+          <>
+            <div className="filter-group" style={{ width: '110px' }}>
+              <label className="filter-label">Header row</label>
+              <input
+                // Re-created when the header row is re-read, so a rejected entry snaps back
+                key={`${file.filename}:${file.sheetName}:${file.headerRowIndex}`}
+                type="number"
+                min="1"
+                className="filter-input"
+                defaultValue={file.headerRowIndex + 1}
+                disabled={busy || !isIncluded(file)}
+                onBlur={(e) => {
+                  const row = parseInt(e.target.value, 10);
+                  if (row >= 1 && row - 1 !== file.headerRowIndex) onHeaderRowChange(activeIndex, row - 1);
+                  else e.target.value = file.headerRowIndex + 1;
+                }}
+              />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', fontSize: '0.875rem' }}>
+              <input
+                type="checkbox"
+                checked={isIncluded(file)}
+                disabled={busy}
+                onChange={(e) => onSheetIncludeChange(activeIndex, e.target.checked)}
+              />
+              Ingest this sheet
+            </label>
+          </>
+        )}
+        {file.dialect && (
+          <>
+            <div className="filter-group" style={{ minWidth: '180px' }}>
+              <label className="filter-label">Encoding</label>
+              <select
+                className="filter-input"
+                value={file.encoding || ''}
+                disabled={busy}
+                onChange={(e) => onDialectChange(activeIndex, { encoding: e.target.value || null })}
+              >
+                <option value="">Auto-detect</option>
+                {Object.entries(ENCODING_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {file.dialect.delimiter && (
+              <div className="filter-group" style={{ minWidth: '140px' }}>
+                <label className="filter-label">Delimiter</label>
+                <select
+                  className="filter-input"
+                  value={file.delimiter || ''}
+                  disabled={busy}
+                  onChange={(e) => onDialectChange(activeIndex, { delimiter: e.target.value || null })}
+                >
+                  <option value="">Auto-detect</option>
+                  {Object.entries(DELIMITER_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </>
+        )}
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+          {FORMAT_LABELS[file.format] ? `${FORMAT_LABELS[file.format]}, ` : ''}
+          {file.sheetName ? `Sheet "${file.sheetName}", ` : ''}
+          {file.sheetCount > 0 && `${file.rowCount.toLocaleString()} data rows, `}
+          {file.format === 'fixed-width' && `data from line ${file.headerRowIndex + 1}, ${file.headers.length} columns from the profile layout`}
+          {file.format === 'key-value' && `${file.headers.length} keys found in the first lines`}
+          {file.format === 'ber' && `${file.headers.length} fields decoded per record`}
+          {!FORMAT_LABELS[file.format] && `header on row ${file.headerRowIndex + 1}, ${file.headers.length} columns`}
+          {file.sheetCount > 0 && file.detectedHeaderRowIndex !== file.headerRowIndex
+            && ` (detected row ${file.detectedHeaderRowIndex + 1})`}
+          {file.dialect && (
+            <div>
+              Read as {ENCODING_LABELS[file.dialect.encoding] || file.dialect.encoding}
+              {file.dialect.encodingSource === 'bom' ? ' (byte order mark)' : file.dialect.encodingSource === 'detected' ? ' (detected)' : ''}
+              {file.dialect.delimiter && (
+                <>
+                  ,{' '}{(DELIMITER_LABELS[file.dialect.delimiter] || file.dialect.delimiter).toLowerCase()}-delimited
+                  {file.dialect.delimiterSource === 'detected' ? ' (detected)' : ''}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))',
+        gap: 'var(--spacing-sm)'
+      }}>
+        {fields.map(field => {
+          const header = file.mapping?.[field] || '';
+          const badge = header ? MATCH_BADGES[file.matchTypes?.[field]] : null;
+          const required = REQUIRED_FIELDS.includes(field);
+
+          return (
+            <div key={field} className="filter-group">
+              <label className="filter-label" style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>{FIELD_LABELS[field] || field}{required ? ' *' : ''}</span>
+                {badge && (
+                  <span style={{ color: badge.color, fontSize: '0.7rem', fontWeight: 600 }}>{badge.label}</span>
+                )}
+              </label>
+              <select
+                className="filter-input"
+                value={header}
+                disabled={busy}
+                onChange={(e) => onMappingChange(activeIndex, field, e.target.value || null)}
+              >
+                <option value="">Not mapped</option>
+                {file.headers.map(h => (
+                  <option key={h} value={h}>{h}</option>
+                ))}
+              </select>
+            </div>
+          );
+        })}
+      </div>
+
+      {problems.length > 0 && (
+        <div className="error-message" style={{ marginBottom: 0 }}>
+          {problems.join('. ')}
+        </div>
+      )}
+      {!isIncluded(file) && (
+        <div style={{ fontSize: '0.875rem', color: 'var(--text-muted)' }}>
+          This sheet is skipped during ingestion.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-sm)' }}>
+        <div>
+          <button
+            onClick={() => onPreview(activeIndex)}
+            disabled={busy || problems.length > 0 || !isIncluded(file)}
+            className="btn btn-secondary"
+          >
+            Test Mapping
+          </button>
+        </div>
+        {file.preview && <PreviewSummary preview={file.preview} />}
+      </div>
+
+      <div>
+        <div style={{ fontSize: '0.875rem', fontWeight: 500, color: 'var(--text-secondary)', marginBottom: 'var(--spacing-xs)' }}>
+          Preview (first {file.rows.length} rows)
+        </div>
+        <div className="table-wrapper" style={{ overflowX: 'auto', maxHeight: '280px' }}>
+          <table className="table" style={{ fontSize: '0.75rem' }}>
+            <thead>
+              <tr>
+                {file.headers.map(h => (
+                  <th key={h} style={{ whiteSpace: 'nowrap' }}>
+                    <div>{h}</div>
+                    <div style={{ fontWeight: 400, color: fieldByHeader[h] ? 'var(--primary-color)' : 'var(--text-muted)' }}>
+                      {fieldByHeader[h] ? FIELD_LABELS[fieldByHeader[h]] || fieldByHeader[h] : 'ignored'}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {file.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {file.headers.map((h, colIndex) => (
+                    <td key={h} style={{ whiteSpace: 'nowrap' }}>{row[colIndex]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-sm)', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+        <div className="filter-group">
+          <label className="filter-label">Save this mapping as a profile</label>
+          <input
+            className="filter-input"
+            placeholder="Profile name"
+            value={profileName}
+            disabled={busy}
+            onChange={(e) => setProfileName(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label">Operator</label>
+          <input
+            className="filter-input"
+            placeholder="e.g. Jazz"
+            value={operator}
+            disabled={busy}
+            onChange={(e) => setOperator(e.target.value)}
+          />
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={busy || !profileName.trim() || problems.length > 0}
+          className="btn btn-secondary"
+        >
+          Save Profile
+        </button>
+      </div>
+
+      {emptyWorkbooks.length > 0 && (
+        <div className="error-message" style={{ marginBottom: 0 }}>
+          Select at least one sheet to ingest in {emptyWorkbooks.join(', ')}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+        <button
+          onClick={onConfirm}
+          disabled={busy || !allValid}
+          className="btn btn-primary"
+          style={{ flex: 1 }}
+        >
+          Confirm Mapping and Ingest
+        </button>
+        <button onClick={onCancel} disabled={busy} className="btn btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default MappingWizard;
@@ -1,9 +1,9 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import { getNetworkGraph } from '../utils/api';
+import { getNetworkGraph, getCallChains } from '../utils/api';
 import '../styles/network.css';
 
-function Network({ currentUploadId, viewMode }) {
+function Network({ currentUploadId, caseId, viewMode }) {
   const location = useLocation();
   const navigate = useNavigate();
   const navState = location.state || {};
@@ -26,7 +26,9 @@ function Network({ currentUploadId, viewMode }) {
     to: navState.filterTo || '',
     eventType: navState.eventType || 'all',
     minEdgeWeight: 10,
-    limitNodes: 500 
+    limitNodes: 500,
+    includeServiceNumbers: false,
+    groupBy: navState.groupBy || 'number'
   };
 
   const [filters, setFilters] = useState(defaultFilters);
@@ -40,6 +42,13 @@ function Network({ currentUploadId, viewMode }) {
   const [selectedNode, setSelectedNode] = useState(null);
   const [selectedEdge, setSelectedEdge] = useState(null);
   const [highlightedCommunity, setHighlightedCommunity] = useState(null);
+
+  // Call chains (A calls B, then B calls C): search settings, results and the one drawn on the graph
+  const [chainOptions, setChainOptions] = useState({ length: 2, maxGapMinutes: 10, fromSelected: false });
+  const [chainsData, setChainsData] = useState(null);
+  const [chainsLoading, setChainsLoading] = useState(false);
+  const [chainsError, setChainsError] = useState(null);
+  const [highlightedChain, setHighlightedChain] = useState(null);
   
   const abortControllerRef = useRef(null);
 
@@ -55,7 +64,9 @@ function Network({ currentUploadId, viewMode }) {
     
     try {
       const params = {
+        viewMode,
         uploadId: currentUploadId,
+        caseId,
         ...filters
       };
       
@@ -70,10 +81,10 @@ function Network({ currentUploadId, viewMode }) {
       setLoading(false);
       abortControllerRef.current = null;
     }
-  }, [currentUploadId, filters]);
+  }, [currentUploadId, caseId, viewMode, filters]);
 
   useEffect(() => {
-    if (currentUploadId) {
+    if (currentUploadId || caseId) {
       fetchNetworkGraph();
     }
     
@@ -82,7 +93,45 @@ function Network({ currentUploadId, viewMode }) {
         abortControllerRef.current.abort();
       }
     };
-  }, [currentUploadId, fetchNetworkGraph]);
+  }, [currentUploadId, caseId, fetchNetworkGraph]);
+
+  // Chains found for other filters no longer match the graph
+  useEffect(() => {
+    setChainsData(null);
+    setChainsError(null);
+    setHighlightedChain(null);
+  }, [currentUploadId, caseId, filters]);
+
+  const fetchCallChains = async () => {
+    setChainsLoading(true);
+    setChainsError(null);
+    setHighlightedChain(null);
+    try {
+      const data = await getCallChains({
+        viewMode,
+        uploadId: currentUploadId,
+        caseId,
+        from: filters.from,
+        to: filters.to,
+        eventType: filters.eventType,
+        includeServiceNumbers: filters.includeServiceNumbers,
+        groupBy: filters.groupBy,
+        length: chainOptions.length,
+        maxGapMinutes: chainOptions.maxGapMinutes,
+        seed: chainOptions.fromSelected ? selectedNode : null
+      });
+      setChainsData(data);
+    } catch (err) {
+      setChainsError(err.message || 'Failed to find call chains');
+    } finally {
+      setChainsLoading(false);
+    }
+  };
+
+  const handleChainClick = (chain) => {
+    const key = chain.path.join('>');
+    setHighlightedChain(highlightedChain?.path.join('>') === key ? null : chain);
+  };
 
   // Rebuild canonical node/edge registries when graphData changes
   // Ensures stable lookups regardless of array order or node object recreation
@@ -134,24 +183,25 @@ function Network({ currentUploadId, viewMode }) {
         to: navState.filterTo ?? prev.to,
         eventType: navState.eventType ?? prev.eventType,
         minEdgeWeight: navState.minEdgeWeight ?? prev.minEdgeWeight,
-        limitNodes: navState.limitNodes ?? prev.limitNodes
+        limitNodes: navState.limitNodes ?? prev.limitNodes,
+        groupBy: navState.groupBy ?? prev.groupBy
       }));
       navApplyRef.current.appliedFiltersKey = navKey;
       fetchTriggeredRef.current = false; // Reset fetch trigger
     }
 
     // Trigger immediate refetch after applying nav filters
-    if (navApplyRef.current.appliedFiltersKey === navKey && !fetchTriggeredRef.current && currentUploadId) {
+    if (navApplyRef.current.appliedFiltersKey === navKey && !fetchTriggeredRef.current && (currentUploadId || caseId)) {
       fetchTriggeredRef.current = true;
       // Trigger fetch immediately after state update (use setTimeout to let state settle)
       const timer = setTimeout(() => {
-        if (currentUploadId) {
+        if (currentUploadId || caseId) {
           fetchNetworkGraph();
         }
       }, 0);
       return () => clearTimeout(timer);
     }
-  }, [navKey, navState.filterFrom, navState.filterTo, navState.eventType, navState.minEdgeWeight, navState.limitNodes, currentUploadId, fetchNetworkGraph]);
+  }, [navKey, navState.filterFrom, navState.filterTo, navState.eventType, navState.minEdgeWeight, navState.limitNodes, navState.groupBy, currentUploadId, caseId, fetchNetworkGraph]);
 
   // FIX: Focus node effect - apply focusPhone after graphData loads AND filters are applied
   useEffect(() => {
@@ -181,6 +231,9 @@ function Network({ currentUploadId, viewMode }) {
     }
   }, [focusPhone, graphData, navKey, location.pathname, navigate]);
 
+  // Entity name for an entity node, the number itself otherwise
+  const nodeLabel = (id) => nodeIndexRef.current.get(normalizeId(id))?.label || id;
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
@@ -318,7 +371,8 @@ function Network({ currentUploadId, viewMode }) {
         <div className="network-header">
           <h1>Network Analysis</h1>
           <p className="subheader">
-            {currentUploadId ? `Upload: ${currentUploadId.substring(0, 8)}...` : 'No upload selected'}
+            {caseId ? 'All uploads in the selected case' :
+              currentUploadId ? `Upload: ${currentUploadId.substring(0, 8)}...` : 'No upload selected'}
             {graphData?.truncated && (
               <span className="warning-badge">Graph truncated</span>
             )}
@@ -385,6 +439,28 @@ function Network({ currentUploadId, viewMode }) {
             </select>
           </div>
 
+          <div className="filter-group">
+            <label title="Short codes, service lines and SMS sender IDs link many unrelated subscribers, so they are hidden by default">
+              <input
+                type="checkbox"
+                checked={filters.includeServiceNumbers}
+                onChange={(e) => handleFilterChange('includeServiceNumbers', e.target.checked)}
+              />
+              {' '}Include service numbers
+            </label>
+          </div>
+
+          <div className="filter-group">
+            <label title="Draw the numbers linked on the Entities page as one node per entity">
+              <input
+                type="checkbox"
+                checked={filters.groupBy === 'entity'}
+                onChange={(e) => handleFilterChange('groupBy', e.target.checked ? 'entity' : 'number')}
+              />
+              {' '}Group by entity
+            </label>
+          </div>
+
           <button
             className="btn btn-secondary"
             onClick={handleResetFilters}
@@ -395,7 +471,7 @@ function Network({ currentUploadId, viewMode }) {
           <button
             className="btn btn-primary"
             onClick={fetchNetworkGraph}
-            disabled={loading || !currentUploadId}
+            disabled={loading || (!currentUploadId && !caseId)}
           >
             {loading ? 'Loading...' : 'Refresh'}
           </button>
@@ -488,6 +564,7 @@ function Network({ currentUploadId, viewMode }) {
               selectedNode={selectedNode}
               selectedEdge={selectedEdge}
               highlightedCommunity={highlightedCommunity}
+              highlightedChain={highlightedChain?.path || null}
               onNodeClick={handleNodeClick}
               onEdgeClick={handleEdgeClick}
               isPaused={isLayoutPaused}
@@ -542,6 +619,82 @@ function Network({ currentUploadId, viewMode }) {
                   )}
                 </div>
 
+                {/* Call Chains */}
+                <div className="sidebar-section">
+                  <h3>Call Chains</h3>
+                  <div className="chain-controls">
+                    <div className="filter-group">
+                      <label>Calls</label>
+                      <select
+                        value={chainOptions.length}
+                        onChange={(e) => setChainOptions(prev => ({ ...prev, length: parseInt(e.target.value, 10) }))}
+                      >
+                        <option value="2">2 (A→B→C)</option>
+                        <option value="3">3</option>
+                        <option value="4">4</option>
+                      </select>
+                    </div>
+                    <div className="filter-group">
+                      <label>Max gap (min)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="1440"
+                        value={chainOptions.maxGapMinutes}
+                        onChange={(e) => setChainOptions(prev => ({ ...prev, maxGapMinutes: e.target.value }))}
+                      />
+                    </div>
+                  </div>
+                  <label className="chain-seed" title="Only chains that start with a call from the selected node">
+                    <input
+                      type="checkbox"
+                      checked={chainOptions.fromSelected && !!selectedNode}
+                      disabled={!selectedNode}
+                      onChange={(e) => setChainOptions(prev => ({ ...prev, fromSelected: e.target.checked }))}
+                    />
+                    {' '}Start from {selectedNode ? nodeLabel(selectedNode) : 'the selected node'}
+                  </label>
+                  <button className="btn btn-secondary btn-sm" onClick={fetchCallChains} disabled={chainsLoading}>
+                    {chainsLoading ? 'Searching...' : 'Find Chains'}
+                  </button>
+
+                  {chainsError && <p className="chain-note error">{chainsError}</p>}
+                  {chainsData && (
+                    <>
+                      <p className="chain-note">
+                        {chainsData.totalChains === 0
+                          ? 'No chains found.'
+                          : `${chainsData.totalChains} chain(s) in ${chainsData.eventsScanned.toLocaleString()} events; click one to draw it.`}
+                        {chainsData.truncated && ' The search stopped early; narrow the date range to cover everything.'}
+                      </p>
+                      <div className="chains-list">
+                        {chainsData.chains.map(chain => {
+                          const key = chain.path.join('>');
+                          const missing = chain.path.filter(id => !nodeIndexRef.current.has(normalizeId(id))).length;
+                          return (
+                            <div
+                              key={key}
+                              className={`node-item ${highlightedChain?.path.join('>') === key ? 'selected' : ''}`}
+                              onClick={() => handleChainClick(chain)}
+                            >
+                              <div className="node-number">{chain.labels.join(' → ')}</div>
+                              <div className="node-stats">
+                                <span>{chain.occurrences}× on {chain.dayCount} day(s)</span>
+                                <span>Avg gap {chain.avgGapMinutes} min</span>
+                              </div>
+                              {missing > 0 && (
+                                <div className="node-stats">
+                                  <span>{missing} number(s) not in the graph</span>
+                                </div>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </>
+                  )}
+                </div>
+
                 {/* Top Nodes */}
                 <div className="sidebar-section">
                   <h3>Top Nodes</h3>
@@ -556,7 +709,7 @@ function Network({ currentUploadId, viewMode }) {
                           className={`node-item ${normalizeId(selectedNode) === normalizeId(node.id) ? 'selected' : ''}`}
                           onClick={() => handleNodeClick(normalizeId(node.id))}
                         >
-                          <div className="node-number">{node.id}</div>
+                          <div className="node-number">{node.label || node.id}</div>
                           <div className="node-stats">
                             <span>Degree: {node.degree}</span>
                             <span>Events: {node.totalEvents}</span>
@@ -657,10 +810,23 @@ function Network({ currentUploadId, viewMode }) {
                   <div className="sidebar-section">
                     <h3>Node Details</h3>
                     <div className="node-details">
-                      <div className="detail-row">
-                        <span className="detail-label">Number:</span>
-                        <span className="detail-value">{selectedNodeData.id}</span>
-                      </div>
+                      {selectedNodeData.entity ? (
+                        <>
+                          <div className="detail-row">
+                            <span className="detail-label">Entity:</span>
+                            <span className="detail-value">{selectedNodeData.entity.name}</span>
+                          </div>
+                          <div className="detail-row">
+                            <span className="detail-label">Numbers:</span>
+                            <span className="detail-value">{selectedNodeData.entity.numbers.join(', ')}</span>
+                          </div>
+                        </>
+                      ) : (
+                        <div className="detail-row">
+                          <span className="detail-label">Number:</span>
+                          <span className="detail-value">{selectedNodeData.id}</span>
+                        </div>
+                      )}
                       <div className="detail-row">
                         <span className="detail-label">Community:</span>
                         <span className="detail-value">
@@ -705,7 +871,7 @@ function Network({ currentUploadId, viewMode }) {
                     <div className="contacts-list">
                       {topContacts.map((contact, idx) => (
                         <div key={idx} className="contact-item">
-                          <span className="contact-number">{contact.number}</span>
+                          <span className="contact-number">{nodeLabel(contact.number)}</span>
                           <span className="contact-weight">{contact.weight} events</span>
                         </div>
                       ))}
@@ -719,11 +885,11 @@ function Network({ currentUploadId, viewMode }) {
                     <div className="edge-details">
                       <div className="detail-row">
                         <span className="detail-label">From:</span>
-                        <span className="detail-value">{selectedEdgeData.source}</span>
+                        <span className="detail-value">{nodeLabel(selectedEdgeData.source)}</span>
                       </div>
                       <div className="detail-row">
                         <span className="detail-label">To:</span>
-                        <span className="detail-value">{selectedEdgeData.target}</span>
+                        <span className="detail-value">{nodeLabel(selectedEdgeData.target)}</span>
                       </div>
                       <div className="detail-row">
                         <span className="detail-label">Weight:</span>
@@ -762,7 +928,7 @@ function Network({ currentUploadId, viewMode }) {
 }
 
 // Network Graph Visualization Component (Canvas-based)
-function NetworkGraph({ graphData, selectedNode, selectedEdge, highlightedCommunity, onNodeClick, onEdgeClick, isPaused = false, isStabilizing = false, onStabilizationComplete }) {
+function NetworkGraph({ graphData, selectedNode, selectedEdge, highlightedCommunity, highlightedChain, onNodeClick, onEdgeClick, isPaused = false, isStabilizing = false, onStabilizationComplete }) {
   // FIX: Canonicalize ALL node IDs using helper (consistent with parent)
   const normalizeId = (v) => String(v ?? '').trim();
   
@@ -859,6 +1025,10 @@ function NetworkGraph({ graphData, selectedNode, selectedEdge, highlightedCommun
       if (isPaused && !isStabilizing) {
         // Render final frame and STOP animation loop
         renderFrame();
+        // A drawn call chain keeps moving along its path while the layout stays still
+        if (highlightedChain) {
+          animationId = requestAnimationFrame(animate);
+        }
         return; // Do NOT schedule another RAF - truly stop
       }
 
@@ -997,6 +1167,43 @@ function NetworkGraph({ graphData, selectedNode, selectedEdge, highlightedCommun
         ctx.stroke();
       });
 
+      // Highlighted call chain: directed hops, dashes flowing from caller to receiver
+      if (highlightedChain) {
+        const dashOffset = -((performance.now() / 40) % 16);
+        ctx.strokeStyle = '#7c3aed';
+        ctx.fillStyle = '#7c3aed';
+        ctx.lineWidth = 3;
+        highlightedChain.slice(1).forEach((targetId, index) => {
+          const sourcePos = positions[normalizeId(highlightedChain[index])];
+          const targetPos = positions[normalizeId(targetId)];
+          if (!sourcePos || !targetPos) return;
+
+          const dx = targetPos.x - sourcePos.x;
+          const dy = targetPos.y - sourcePos.y;
+          const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+          // Stop at the receiver's edge so the arrowhead stays visible
+          const targetSize = (localNodeIndexRef.current.get(normalizeId(targetId))?.size || 10) + 4;
+          const tipX = targetPos.x - (dx / dist) * targetSize;
+          const tipY = targetPos.y - (dy / dist) * targetSize;
+
+          ctx.setLineDash([10, 6]);
+          ctx.lineDashOffset = dashOffset;
+          ctx.beginPath();
+          ctx.moveTo(sourcePos.x, sourcePos.y);
+          ctx.lineTo(tipX, tipY);
+          ctx.stroke();
+          ctx.setLineDash([]);
+
+          const angle = Math.atan2(dy, dx);
+          ctx.beginPath();
+          ctx.moveTo(tipX, tipY);
+          ctx.lineTo(tipX - 12 * Math.cos(angle - Math.PI / 7), tipY - 12 * Math.sin(angle - Math.PI / 7));
+          ctx.lineTo(tipX - 12 * Math.cos(angle + Math.PI / 7), tipY - 12 * Math.sin(angle + Math.PI / 7));
+          ctx.closePath();
+          ctx.fill();
+        });
+      }
+
       // Draw nodes
       nodes.forEach(node => {
         const nodeId = normalizeId(node.id);
@@ -1020,12 +1227,12 @@ function NetworkGraph({ graphData, selectedNode, selectedEdge, highlightedCommun
           ctx.stroke();
         }
 
-        // Label for selected or important nodes
-        if (isSelected || node.weightedDegree > 10) {
+        // Label for selected or important nodes, and the numbers of a drawn chain
+        if (isSelected || node.weightedDegree > 10 || highlightedChain?.includes(nodeId)) {
           ctx.fillStyle = '#000';
           ctx.font = '11px Arial';
           ctx.textAlign = 'center';
-          ctx.fillText(node.id.substring(0, 10), pos.x, pos.y - node.size - 5);
+          ctx.fillText((node.label || node.id).substring(0, 10), pos.x, pos.y - node.size - 5);
         }
       });
     };
@@ -1105,7 +1312,7 @@ function NetworkGraph({ graphData, selectedNode, selectedEdge, highlightedCommun
       window.removeEventListener('mousemove', handleMouseMove);
       window.removeEventListener('mouseup', handleMouseUp);
     };
-  }, [nodes, edges, selectedNode, selectedEdge, highlightedCommunity, isDragging, dragNode, isPaused, isStabilizing, onStabilizationComplete, onNodeClick]);
+  }, [nodes, edges, selectedNode, selectedEdge, highlightedCommunity, highlightedChain, isDragging, dragNode, isPaused, isStabilizing, onStabilizationComplete, onNodeClick]);
 
   return (
     <div className="network-graph">
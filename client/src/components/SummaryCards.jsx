@@ -103,8 +103,13 @@ function SummaryCards({ overview }) {
         <div className="summary-card-value">
           {overview.temporal?.nightActivityPercentage || 0}%
         </div>
+        {overview.timezone && (
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '4px' }}>
+            {overview.timezone === 'mixed' ? 'Mixed source timezones' : overview.timezone}
+          </div>
+        )}
         {tooltip === 'nightActivity' && (
-          <TooltipContent text="Percentage of events occurring between 10 PM and 6 AM (local time)" />
+          <TooltipContent text="Percentage of events occurring between 10 PM and 6 AM (local time in the upload's source timezone)" />
         )}
       </div>
 
@@ -1,19 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { apiUrl } from '../utils/api';
+import { apiUrl, appendScopeParams } from '../utils/api';
 import '../styles/dashboard.css';
 
-function TimelineChart({ filters, uploadId, viewMode, overview }) {
+function TimelineChart({ filters, uploadId, caseId, viewMode, overview }) {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [chartType, setChartType] = useState('stacked'); // 'line' or 'stacked'
   const [showBaselineRecent, setShowBaselineRecent] = useState(false);
   const [baselineRecentData, setBaselineRecentData] = useState(null);
+  const [timezone, setTimezone] = useState(null); // Zone the date/hour buckets are expressed in
 
   useEffect(() => {
     fetchTimeline();
-  }, [filters, uploadId, viewMode, showBaselineRecent]);
+  }, [filters, uploadId, caseId, viewMode, showBaselineRecent]);
 
   const fetchTimeline = async () => {
     if (!uploadId && viewMode === 'current') {
@@ -32,13 +33,8 @@ function TimelineChart({ filters, uploadId, viewMode, overview }) {
       if (filters.number) params.append('number', filters.number);
       if (filters.eventType) params.append('eventType', filters.eventType);
       
-      // CRITICAL: Always send uploadId in current mode, includeAll in all mode
-      if (viewMode === 'all') {
-        params.append('includeAll', 'true');
-      } else if (uploadId) {
-        params.append('uploadId', uploadId);
-      }
-      // If no uploadId in current mode, backend will default to most recent
+      // CRITICAL: Always send the scope - caseId, includeAll in all mode, otherwise uploadId
+      appendScopeParams(params, { viewMode, uploadId, caseId });
       
       params.append('groupBy', 'day');
       
@@ -54,6 +50,7 @@ function TimelineChart({ filters, uploadId, viewMode, overview }) {
         throw new Error(`Failed to fetch timeline: ${response.status} ${response.statusText}`);
       }
       const result = await response.json();
+      setTimezone(result.timezone || null);
       
       if (result.mode === 'baselineRecent') {
         if (result.error) {
@@ -110,7 +107,14 @@ function TimelineChart({ filters, uploadId, viewMode, overview }) {
         flexWrap: 'wrap',
         gap: 'var(--spacing-sm)'
       }}>
-        <h3 className="chart-title" style={{ margin: 0 }}>Timeline - Events Over Time</h3>
+        <div>
+          <h3 className="chart-title" style={{ margin: 0 }}>Timeline - Events Over Time</h3>
+          {timezone && (
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+              {timezone === 'mixed' ? 'Buckets in each upload\'s source timezone' : `Buckets in ${timezone} local time`}
+            </div>
+          )}
+        </div>
         <div style={{ display: 'flex', gap: 'var(--spacing-xs)', alignItems: 'center', flexWrap: 'wrap' }}>
           <button
             onClick={() => {
@@ -1,13 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { apiUrl } from '../utils/api';
+import { apiUrl, appendScopeParams } from '../utils/api';
 import '../styles/dashboard.css';
 
-function TopContactsChart({ filters, uploadId, viewMode, overview }) {
+function TopContactsChart({ filters, uploadId, caseId, viewMode, overview }) {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedContact, setSelectedContact] = useState(null);
+  const [includeServiceNumbers, setIncludeServiceNumbers] = useState(false);
+  const [groupByEntity, setGroupByEntity] = useState(false);
+  // Entity the searched number belongs to, when grouping by entity
+  const [targetEntity, setTargetEntity] = useState(null);
 
   useEffect(() => {
     if (filters.number) {
@@ -16,7 +20,7 @@ function TopContactsChart({ filters, uploadId, viewMode, overview }) {
       setData([]);
       setLoading(false);
     }
-  }, [filters, uploadId, viewMode]);
+  }, [filters, uploadId, caseId, viewMode, includeServiceNumbers, groupByEntity]);
 
   const fetchTopContacts = async () => {
     if (!uploadId && viewMode === 'current') {
@@ -34,22 +38,21 @@ function TopContactsChart({ filters, uploadId, viewMode, overview }) {
       if (filters.endDate) params.append('endDate', filters.endDate);
       if (filters.eventType) params.append('eventType', filters.eventType);
       
-      // CRITICAL: Always send uploadId in current mode, includeAll in all mode
-      if (viewMode === 'all') {
-        params.append('includeAll', 'true');
-      } else if (uploadId) {
-        params.append('uploadId', uploadId);
-      }
-      // If no uploadId in current mode, backend will default to most recent
+      // CRITICAL: Always send the scope - caseId, includeAll in all mode, otherwise uploadId
+      appendScopeParams(params, { viewMode, uploadId, caseId });
       
       params.append('limit', '10');
+      if (includeServiceNumbers) params.append('includeServiceNumbers', 'true');
+      if (groupByEntity) params.append('groupBy', 'entity');
 
       const response = await fetch(apiUrl(`/api/analytics/top-contacts?${params}`));
       if (!response.ok) {
         throw new Error(`Failed to fetch top contacts: ${response.status} ${response.statusText}`);
       }
       const result = await response.json();
-      setData(result.topContacts || []);
+      // Entities are shown by name; the rest by number
+      setData((result.topContacts || []).map(contact => ({ ...contact, label: contact.entity?.name || contact.number })));
+      setTargetEntity(result.entity || null);
       setError(null);
     } catch (err) {
       console.error('Failed to fetch top contacts:', err);
@@ -90,8 +93,30 @@ function TopContactsChart({ filters, uploadId, viewMode, overview }) {
   return (
     <div className="chart-container">
       <h3 className="chart-title">
-        Top Contacts {filters.number ? `for ${filters.number}` : '(Enter a number to view)'}
+        Top Contacts {filters.number
+          ? `for ${targetEntity ? `${targetEntity.name} (${targetEntity.numbers.join(', ')})` : filters.number}`
+          : '(Enter a number to view)'}
       </h3>
+      {filters.number && (
+        <label style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-sm)' }}>
+          <input
+            type="checkbox"
+            checked={includeServiceNumbers}
+            onChange={(e) => setIncludeServiceNumbers(e.target.checked)}
+          />
+          {' '}Include short codes, service numbers and sender IDs
+        </label>
+      )}
+      {filters.number && (
+        <label style={{ display: 'block', fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-sm)' }}>
+          <input
+            type="checkbox"
+            checked={groupByEntity}
+            onChange={(e) => setGroupByEntity(e.target.checked)}
+          />
+          {' '}Group linked numbers by entity
+        </label>
+      )}
       {loading ? (
         <div className="loading" style={{ padding: 'var(--spacing-lg)', textAlign: 'center' }}>
           Loading chart...
@@ -133,7 +158,7 @@ function TopContactsChart({ filters, uploadId, viewMode, overview }) {
             <BarChart data={data}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
               <XAxis 
-                dataKey="number" 
+                dataKey="label" 
                 stroke="#64748b"
                 style={{ fontSize: '0.75rem' }}
                 angle={-45}
@@ -203,7 +228,12 @@ function TopContactsChart({ filters, uploadId, viewMode, overview }) {
                       onMouseLeave={(e) => e.currentTarget.style.background = selectedContact?.number === contact.number ? 'var(--bg-tertiary)' : 'transparent'}
                     >
                       <td style={{ padding: '8px', borderBottom: '1px solid var(--border-color)' }}>
-                        {contact.number}
+                        {contact.label}
+                        {contact.entity && (
+                          <span style={{ marginLeft: '8px', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                            {contact.entity.numbers.join(', ')}
+                          </span>
+                        )}
                         {isNewContact(contact.number) && (
                           <span style={{ 
                             marginLeft: '8px', 
@@ -214,6 +244,11 @@ function TopContactsChart({ filters, uploadId, viewMode, overview }) {
                             NEW
                           </span>
                         )}
+                        {contact.numberClass && contact.numberClass !== 'subscriber' && (
+                          <span style={{ marginLeft: '8px', fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                            {contact.numberClass.replace('_', ' ')}
+                          </span>
+                        )}
                       </td>
                       <td style={{ padding: '8px', textAlign: 'right', borderBottom: '1px solid var(--border-color)' }}>
                         {contact.count}
@@ -0,0 +1,743 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiUrl } from '../utils/api';
+import '../styles/tables.css';
+import '../styles/filters.css';
+
+const JOB_STATUS_COLORS = {
+  completed: '#10b981',
+  running: '#3b82f6',
+  queued: '#3b82f6',
+  failed: '#ef4444',
+  cancelled: '#64748b'
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '-';
+}
+
+function formatSpan(session) {
+  if (!session.firstEvent) return '-';
+  const first = new Date(session.firstEvent).toLocaleDateString();
+  const last = new Date(session.lastEvent).toLocaleDateString();
+  return first === last ? first : `${first} – ${last}`;
+}
+
+function sessionName(session) {
+  return session.label || `Upload ${session.uploadId.substring(0, 8)}`;
+}
+
+const FIELD_LABELS = {
+  event_type: 'Event type',
+  timestamp_utc: 'Timestamp',
+  date: 'Date',
+  hour: 'Hour',
+  caller_number: 'Caller',
+  receiver_number: 'Receiver',
+  caller_number_class: 'Caller class',
+  receiver_number_class: 'Receiver class',
+  direction: 'Direction',
+  call_duration_seconds: 'Duration',
+  contact_pair_key: 'Contact pair',
+  cell_id: 'Cell ID',
+  imei: 'IMEI',
+  imsi: 'IMSI',
+  service_provider: 'Provider'
+};
+
+function ReprocessPanel({ uploadId, onReprocessed }) {
+  const [diff, setDiff] = useState(null);
+  const [job, setJob] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const running = job && (job.status === 'queued' || job.status === 'running');
+
+  // Follow the reprocess job until it finishes
+  useEffect(() => {
+    if (!running) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetch(apiUrl(`/api/ingest/jobs/${job.jobId}`));
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        setJob(data);
+        if (data.status === 'completed') {
+          setDiff(null);
+          onReprocessed();
+        } else if (data.status === 'failed') {
+          setError(data.error || 'Reprocessing failed');
+        }
+      } catch (err) {
+        setError(err.message || 'Lost track of the reprocess job');
+        setJob(null);
+      }
+    }, 2000);
+
+    return () => clearInterval(timer);
+  }, [running, job?.jobId, onReprocessed]);
+
+  const request = async (confirm) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await fetch(apiUrl(`/api/uploads/${uploadId}/reprocess`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ confirm })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      if (confirm) {
+        setJob(data.job);
+      } else {
+        setDiff(data.diff);
+        setJob(null);
+      }
+    } catch (err) {
+      setError(err.message || 'Reprocessing failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const activeStage = job?.stages.find(stage => stage.status === 'running');
+
+  return (
+    <div style={{ borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)', display: 'grid', gap: 'var(--spacing-sm)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+        <div className="filter-label" style={{ marginRight: 'auto' }}>
+          Reprocess from stored rows
+          <div style={{ fontWeight: 400, fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+            Rebuilds every event with the current normalization, deduplication and enrichment; the original files are not needed
+          </div>
+        </div>
+        <button className="btn btn-secondary" onClick={() => request(false)} disabled={busy || running}>
+          {busy && !diff ? 'Comparing...' : 'Preview Changes'}
+        </button>
+        {diff && (
+          <button className="btn btn-primary" onClick={() => request(true)} disabled={busy || running}>
+            Apply Reprocess
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {running && (
+        <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+          Reprocessing{activeStage ? `: ${activeStage.name}` : '...'}
+          {activeStage?.total > 0 && ` (${activeStage.processed.toLocaleString()} / ${activeStage.total.toLocaleString()})`}
+        </div>
+      )}
+      {job?.status === 'completed' && (
+        <div style={{ fontSize: '0.875rem', color: '#10b981' }}>Reprocessing finished; the upload now uses the rebuilt events.</div>
+      )}
+      {job?.status === 'cancelled' && (
+        <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>Reprocessing was cancelled; the stored events were kept.</div>
+      )}
+
+      {diff && !running && (
+        <div style={{ display: 'grid', gap: 'var(--spacing-sm)', fontSize: '0.875rem' }}>
+          <div>
+            {diff.recordsChecked.toLocaleString()} events checked • {diff.recordsChanged.toLocaleString()} would change •{' '}
+            {diff.recordsUnchanged.toLocaleString()} unchanged •{' '}
+            <span style={{ color: diff.rejectedRows > 0 ? '#ef4444' : undefined }}>
+              {diff.rejectedRows.toLocaleString()} would be rejected
+            </span>
+            {diff.withoutRawRecord > 0 && ` • ${diff.withoutRawRecord.toLocaleString()} have no stored row and are kept as they are`}
+          </div>
+
+          {Object.keys(diff.fieldChanges).length > 0 && (
+            <div>
+              Changed fields:{' '}
+              {Object.entries(diff.fieldChanges)
+                .map(([field, count]) => `${FIELD_LABELS[field] || field} (${count.toLocaleString()})`)
+                .join(', ')}
+            </div>
+          )}
+
+          {diff.changeSamples.length > 0 && (
+            <div className="table-wrapper">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Field</th>
+                    <th>Stored</th>
+                    <th>Rebuilt</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.changeSamples.flatMap(sample => sample.changes.map(change => (
+                    <tr key={`${sample.record_id}-${change.field}`}>
+                      <td>{sample.fileName ? `${sample.fileName}, ` : ''}row {sample.rowNumber ?? '-'}</td>
+                      <td>{FIELD_LABELS[change.field] || change.field}</td>
+                      <td>{change.before ?? '-'}</td>
+                      <td>{change.after ?? '-'}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {diff.rejectedSamples.length > 0 && (
+            <ul style={{ margin: 0, paddingLeft: 'var(--spacing-lg)' }}>
+              {diff.rejectedSamples.map(sample => (
+                <li key={sample.record_id}>
+                  {sample.fileName ? `${sample.fileName}, ` : ''}row {sample.rowNumber}: {sample.reason}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {(diff.newWarnings.length > 0 || diff.resolvedWarnings.length > 0) && (
+            <div style={{ color: 'var(--text-secondary)' }}>
+              {diff.newWarnings.length > 0 && (
+                <div>New warnings: {diff.newWarnings.map(w => `${w.warning} (${w.count.toLocaleString()})`).join(', ')}</div>
+              )}
+              {diff.resolvedWarnings.length > 0 && (
+                <div>Resolved warnings: {diff.resolvedWarnings.map(w => `${w.warning} (${w.count.toLocaleString()})`).join(', ')}</div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function EvidencePanel({ uploadId, evidence }) {
+  const [file, setFile] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleVerify = async () => {
+    if (!file) return;
+    setVerifying(true);
+    setError(null);
+    setResult(null);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await fetch(apiUrl(`/api/uploads/${uploadId}/evidence/verify`), {
+        method: 'POST',
+        body: formData
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setResult(data);
+    } catch (err) {
+      setError(err.message || 'Verification failed');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: 'var(--spacing-sm)' }}>
+      <div className="filter-label">Chain of Custody</div>
+      {evidence.length === 0 ? (
+        <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+          No file hashes recorded (uploaded before hashing was introduced)
+        </div>
+      ) : (
+        <div className="table-wrapper">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>SHA-256</th>
+                <th>Size</th>
+                <th>Received</th>
+                <th>Uploaded By</th>
+                <th>Original Kept</th>
+              </tr>
+            </thead>
+            <tbody>
+              {evidence.map((entry, idx) => (
+                <tr key={idx}>
+                  <td>
+                    {entry.fileName}
+                    {entry.archive && (
+                      <div
+                        style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}
+                        title={`Archive SHA-256 ${entry.archive.sha256}`}
+                      >
+                        from {entry.archive.fileName} ({formatBytes(entry.archive.size)}){entry.archive.retained ? ', archive kept' : ''}
+                      </div>
+                    )}
+                  </td>
+                  <td style={{ fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all' }}>{entry.sha256}</td>
+                  <td>{formatBytes(entry.size)}</td>
+                  <td>{formatDate(entry.receivedAt)}</td>
+                  <td>{entry.uploadedBy || '-'}</td>
+                  <td>{entry.retained ? 'Yes' : 'No'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-sm)', alignItems: 'center', flexWrap: 'wrap', fontSize: '0.875rem' }}>
+        <input
+          type="file"
+          onChange={(e) => { setFile(e.target.files[0] || null); setResult(null); }}
+          disabled={verifying}
+        />
+        <button className="btn btn-secondary" onClick={handleVerify} disabled={!file || verifying}>
+          {verifying ? 'Hashing...' : 'Verify File'}
+        </button>
+        {result && (
+          <span style={{ color: result.match ? '#10b981' : '#ef4444', fontWeight: 600 }}>
+            {result.match
+              ? result.archiveMatch
+                ? `Matches archive ${result.matches[0].archive.fileName} (${result.matches.length} files) received ${formatDate(result.matches[0].receivedAt)}`
+                : `Matches ${result.matches[0].fileName} received ${formatDate(result.matches[0].receivedAt)}`
+              : result.sameNameMismatches.length > 0
+                ? `Does not match: ${result.fileName} was recorded with a different hash`
+                : 'Does not match any file in this upload'}
+          </span>
+        )}
+      </div>
+      {result && (
+        <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+          SHA-256 {result.sha256} ({formatBytes(result.size)})
+          {result.retainedStatus && ` · copy in the evidence store: ${result.retainedStatus}`}
+        </div>
+      )}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+function SessionDetails({ uploadId, cases, onSaved, onReprocessed }) {
+  const [details, setDetails] = useState(null);
+  const [label, setLabel] = useState('');
+  const [notes, setNotes] = useState('');
+  const [caseId, setCaseId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+
+    fetch(apiUrl(`/api/uploads/${uploadId}`))
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => {
+        if (cancelled) return;
+        setDetails(data);
+        setLabel(data.label || '');
+        setNotes(data.notes || '');
+        setCaseId(data.caseId || '');
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load upload details');
+      });
+
+    return () => { cancelled = true; };
+  }, [uploadId]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(apiUrl(`/api/uploads/${uploadId}`), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label, notes, caseId: caseId || null })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      onSaved(data);
+    } catch (err) {
+      setError(err.message || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (error && !details) {
+    return <div className="error-message">{error}</div>;
+  }
+  if (!details) {
+    return <div style={{ color: 'var(--text-secondary)' }}>Loading details...</div>;
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 'var(--spacing-md)' }}>
+      {error && <div className="error-message">{error}</div>}
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr 1fr auto', gap: 'var(--spacing-sm)', alignItems: 'end' }}>
+        <div className="filter-group">
+          <label className="filter-label">Label</label>
+          <input
+            type="text"
+            className="filter-input"
+            value={label}
+            maxLength={200}
+            placeholder={`Upload ${uploadId.substring(0, 8)}`}
+            onChange={(e) => setLabel(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label">Notes</label>
+          <input
+            type="text"
+            className="filter-input"
+            value={notes}
+            maxLength={5000}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label className="filter-label">Case</label>
+          <select className="filter-input" value={caseId} onChange={(e) => setCaseId(e.target.value)}>
+            <option value="">No case</option>
+            {cases.map(c => (
+              <option key={c.caseId} value={c.caseId}>{c.name}</option>
+            ))}
+          </select>
+        </div>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+        Timezone: {details.timezone || '-'} • Numbering plan: {details.country || '-'}
+        {details.reprocessedAt && ` • Reprocessed ${formatDate(details.reprocessedAt)}`}
+        {details.job?.error && (
+          <span style={{ color: '#ef4444' }}> • Last job error: {details.job.error}</span>
+        )}
+      </div>
+
+      {details.status === 'failed' && (
+        <div className="error-message">
+          Ingestion failed{details.failureReason ? ` (${details.failureReason})` : ''}; every record it had stored was
+          removed. Delete this upload and upload the files again.
+        </div>
+      )}
+
+      <div className="table-wrapper">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>File</th>
+              <th>Rows</th>
+              <th>Inserted</th>
+              <th>Skipped</th>
+              <th>Warnings</th>
+              <th>Mapping Profile</th>
+              <th>Timezone</th>
+            </tr>
+          </thead>
+          <tbody>
+            {details.fileSummaries.length === 0 ? (
+              <tr><td colSpan={7} style={{ color: 'var(--text-secondary)' }}>No file summaries recorded</td></tr>
+            ) : details.fileSummaries.map((file, idx) => (
+              <tr key={idx}>
+                <td>{file.fileName}</td>
+                <td>{file.totalRows ?? '-'}</td>
+                <td>{file.inserted ?? '-'}</td>
+                <td>{file.skipped ?? '-'}</td>
+                <td>{file.warningsCount ?? '-'}</td>
+                <td>{file.mappingProfile || '-'}</td>
+                <td>{file.timezone || details.timezone || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <EvidencePanel uploadId={uploadId} evidence={details.evidence || []} />
+
+      {details.errorSamples.length > 0 && (
+        <div>
+          <div className="filter-label" style={{ marginBottom: 'var(--spacing-xs)' }}>
+            Rejected Row Samples
+          </div>
+          <ul style={{ margin: 0, paddingLeft: 'var(--spacing-lg)', fontSize: '0.875rem' }}>
+            {details.errorSamples.map((sample, idx) => (
+              <li key={idx}>
+                {sample.fileName ? `${sample.fileName}, ` : ''}row {sample.rowNumber}: {sample.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {details.status !== 'failed' && (
+        <ReprocessPanel uploadId={uploadId} onReprocessed={onReprocessed} />
+      )}
+    </div>
+  );
+}
+
+function UploadHistory({
+  currentUploadId,
+  viewMode,
+  cases = [],
+  currentCase,
+  onSelectUpload,
+  onAppendFiles,
+  onViewAll,
+  onUploadUpdated,
+  onUploadDeleted
+}) {
+  const [sessions, setSessions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  // '' = every upload, 'none' = uploads not in any case
+  const [caseFilter, setCaseFilter] = useState(currentCase?.caseId || '');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (search.trim()) params.append('search', search.trim());
+      if (caseFilter) params.append('caseId', caseFilter);
+      params.append('limit', '200');
+
+      const response = await fetch(apiUrl(`/api/uploads?${params}`));
+      if (!response.ok) {
+        throw new Error(`Failed to fetch uploads: ${response.status}`);
+      }
+      const data = await response.json();
+      setSessions(data.uploads);
+      setTotal(data.pagination.total);
+    } catch (err) {
+      console.error('Failed to fetch uploads:', err);
+      setError(err.message || 'Failed to load upload history');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, caseFilter]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  // Follow the case picked in the header
+  useEffect(() => {
+    setCaseFilter(currentCase?.caseId || '');
+  }, [currentCase?.caseId]);
+
+  const caseNames = new Map(cases.map(c => [c.caseId, c.name]));
+
+  const handleSaved = (updated) => {
+    const leftFilter = caseFilter && (caseFilter === 'none' ? !!updated.caseId : updated.caseId !== caseFilter);
+    if (leftFilter) {
+      setSessions(prev => prev.filter(s => s.uploadId !== updated.uploadId));
+      setTotal(prev => prev - 1);
+      setExpandedId(null);
+    } else {
+      setSessions(prev => prev.map(s => (s.uploadId === updated.uploadId ? { ...s, ...updated } : s)));
+    }
+    onUploadUpdated(updated);
+  };
+
+  const handleDelete = async (session) => {
+    const confirmed = window.confirm(
+      `Delete "${sessionName(session)}" and its ${session.eventCount.toLocaleString()} events? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    setDeletingId(session.uploadId);
+    setError(null);
+    try {
+      const response = await fetch(apiUrl(`/api/uploads/${session.uploadId}`), { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+      setSessions(prev => prev.filter(s => s.uploadId !== session.uploadId));
+      setTotal(prev => prev - 1);
+      if (expandedId === session.uploadId) setExpandedId(null);
+      onUploadDeleted(session.uploadId);
+    } catch (err) {
+      setError(err.message || 'Failed to delete upload');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="container section">
+      <div className="card">
+        <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+          <h2 className="card-title">Upload History</h2>
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)', alignItems: 'center' }}>
+            <input
+              type="text"
+              className="filter-input"
+              value={search}
+              placeholder="Search label, file or ID"
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <select className="filter-input" value={caseFilter} onChange={(e) => setCaseFilter(e.target.value)}>
+              <option value="">All cases</option>
+              <option value="none">Not in a case</option>
+              {cases.map(c => (
+                <option key={c.caseId} value={c.caseId}>{c.name}</option>
+              ))}
+            </select>
+            <button
+              className={`btn ${viewMode === 'all' ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={onViewAll}
+              disabled={currentCase ? currentCase.uploadCount === 0 : total === 0}
+              title={currentCase ? `Analyze every upload in ${currentCase.name} together` : 'Analyze all uploads together'}
+            >
+              {currentCase ? 'View Whole Case' : 'View All Uploads'}
+            </button>
+          </div>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {loading ? (
+          <div style={{ padding: 'var(--spacing-lg)', color: 'var(--text-secondary)' }}>Loading uploads...</div>
+        ) : sessions.length === 0 ? (
+          <div style={{ padding: 'var(--spacing-lg)', color: 'var(--text-secondary)' }}>
+            {search || caseFilter ? 'No uploads match these filters.' : 'No uploads yet.'}
+          </div>
+        ) : (
+          <div className="table-wrapper">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Session</th>
+                  <th>Uploaded</th>
+                  <th>Files</th>
+                  <th>Events</th>
+                  <th>Activity Span</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map(session => {
+                  const isCurrent = viewMode === 'current' && session.uploadId === currentUploadId;
+                  const isExpanded = expandedId === session.uploadId;
+                  const jobStatus = session.job?.status;
+                  const isActive = jobStatus === 'queued' || jobStatus === 'running';
+                  const isFailed = session.status === 'failed';
+
+                  return (
+                    <React.Fragment key={session.uploadId}>
+                      <tr style={isCurrent ? { background: 'var(--bg-secondary)' } : undefined}>
+                        <td>
+                          <div style={{ fontWeight: 600 }}>
+                            {sessionName(session)}
+                            {isCurrent && (
+                              <span style={{ marginLeft: 'var(--spacing-xs)', fontSize: '0.75rem', color: 'var(--primary-color)' }}>
+                                (viewing)
+                              </span>
+                            )}
+                          </div>
+                          {session.caseId && caseFilter !== session.caseId && (
+                            <div style={{ fontSize: '0.75rem', color: 'var(--primary-color)' }}>
+                              Case: {caseNames.get(session.caseId) || session.caseId.substring(0, 8)}
+                            </div>
+                          )}
+                          {session.notes && (
+                            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{session.notes}</div>
+                          )}
+                        </td>
+                        <td>{formatDate(session.createdAt)}</td>
+                        <td title={session.fileNames.join('\n')}>
+                          {session.fileNames.length || session.stats?.totalFiles || 0}
+                        </td>
+                        <td>{session.eventCount.toLocaleString()}</td>
+                        <td>{formatSpan(session)}</td>
+                        <td>
+                          {jobStatus ? (
+                            <span style={{ color: JOB_STATUS_COLORS[jobStatus], fontWeight: 600, fontSize: '0.875rem' }}>
+                              {isActive && session.job.mode === 'reprocess' ? 'reprocessing' : jobStatus}
+                            </span>
+                          ) : '-'}
+                          {isFailed && (
+                            <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }} title={session.failureReason || ''}>
+                              rolled back
+                            </div>
+                          )}
+                        </td>
+                        <td style={{ whiteSpace: 'nowrap' }}>
+                          <button
+                            className="btn btn-primary"
+                            onClick={() => onSelectUpload(session)}
+                            disabled={session.eventCount === 0 || isActive}
+                          >
+                            Open
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            style={{ marginLeft: 'var(--spacing-xs)' }}
+                            onClick={() => onAppendFiles(session)}
+                            disabled={isActive || isFailed}
+                            title={isFailed ? 'Upload failed to ingest; start a new upload instead' : 'Append another batch of files to this upload'}
+                          >
+                            Add Files
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            style={{ marginLeft: 'var(--spacing-xs)' }}
+                            onClick={() => setExpandedId(isExpanded ? null : session.uploadId)}
+                          >
+                            {isExpanded ? 'Hide' : 'Details'}
+                          </button>
+                          <button
+                            className="btn btn-secondary"
+                            style={{ marginLeft: 'var(--spacing-xs)', color: '#ef4444' }}
+                            onClick={() => handleDelete(session)}
+                            disabled={deletingId === session.uploadId || isActive}
+                            title={isActive ? 'Cancel the ingestion job before deleting' : ''}
+                          >
+                            {deletingId === session.uploadId ? 'Deleting...' : 'Delete'}
+                          </button>
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr>
+                          <td colSpan={7}>
+                            <SessionDetails
+                              uploadId={session.uploadId}
+                              cases={cases}
+                              onSaved={handleSaved}
+                              onReprocessed={fetchSessions}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UploadHistory;
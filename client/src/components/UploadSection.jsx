@@ -1,25 +1,156 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
+import { Link } from 'react-router-dom';
 import { apiUrl } from '../utils/api';
+import MappingWizard from './MappingWizard';
 import '../styles/filters.css';
 import '../styles/dashboard.css';
 
-function UploadSection({ onUploadComplete }) {
+const STAGE_LABELS = {
+  hash: 'Hash Files',
+  parse: 'Parse',
+  canonicalize: 'Canonicalize',
+  enrich: 'Enrich',
+  dedupe: 'Deduplicate',
+  locate: 'Locate Cells',
+  insert: 'Insert',
+  readiness: 'Readiness'
+};
+
+// Source timezones offered at upload; CDR exports carry wall-clock times in the operator's zone
+export const TIMEZONE_OPTIONS = [
+  'Asia/Karachi',
+  'Asia/Dubai',
+  'Asia/Riyadh',
+  'Asia/Qatar',
+  'Asia/Kuwait',
+  'Asia/Bahrain',
+  'Asia/Muscat',
+  'Europe/London',
+  'UTC'
+];
+
+// Numbering plans supported by the server (server/utils/numberingPlan.js)
+export const COUNTRY_OPTIONS = [
+  { code: 'PK', name: 'Pakistan' },
+  { code: 'AE', name: 'United Arab Emirates' },
+  { code: 'SA', name: 'Saudi Arabia' },
+  { code: 'QA', name: 'Qatar' },
+  { code: 'KW', name: 'Kuwait' },
+  { code: 'BH', name: 'Bahrain' },
+  { code: 'OM', name: 'Oman' },
+  { code: 'GB', name: 'United Kingdom' }
+];
+
+const STAGE_COLORS = {
+  pending: 'var(--border-color)',
+  running: 'var(--primary-color)',
+  completed: 'var(--success-color)',
+  failed: 'var(--error-color)',
+  cancelled: 'var(--text-muted)'
+};
+
+function IngestionProgress({ job }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-sm)' }}>
+      {job.stages.map(stage => {
+        // Streamed stages report a running count without a known total until they finish
+        const indeterminate = stage.status === 'running' && !stage.total;
+        const percent = stage.status === 'completed' || indeterminate
+          ? 100
+          : stage.total > 0 ? Math.round((stage.processed / stage.total) * 100) : 0;
+        let detail = stage.status;
+        if (stage.status === 'running') {
+          detail = stage.total > 0
+            ? `${percent}%`
+            : `${(stage.processed || 0).toLocaleString()} records`;
+        }
+
+        return (
+          <div key={stage.name}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              fontSize: '0.75rem',
+              color: 'var(--text-secondary)',
+              marginBottom: 'var(--spacing-xs)'
+            }}>
+              <span style={{ fontWeight: 500 }}>{STAGE_LABELS[stage.name] || stage.name}</span>
+              <span>{detail}</span>
+            </div>
+            <div style={{
+              height: '6px',
+              background: 'var(--bg-secondary)',
+              borderRadius: 'var(--radius-sm)',
+              overflow: 'hidden'
+            }}>
+              <div style={{
+                width: `${percent}%`,
+                height: '100%',
+                background: STAGE_COLORS[stage.status] || STAGE_COLORS.pending,
+                opacity: indeterminate ? 0.4 : 1,
+                transition: 'width 0.3s'
+              }} />
+            </div>
+            {stage.message && (
+              <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: 'var(--spacing-xs)' }}>
+                {stage.message}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function UploadSection({ onUploadComplete, currentCase, appendTarget, onCancelAppend }) {
   const [files, setFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(null);
+  const [job, setJob] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  // Uploaded files awaiting mapping confirmation (detected headers, sample rows, chosen mapping)
+  const [mappingFiles, setMappingFiles] = useState(null);
+  // Archive members the server could not ingest, shown while mapping the rest
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [canonicalFields, setCanonicalFields] = useState([]);
+  const [mappingBusy, setMappingBusy] = useState(false);
+  const [timezone, setTimezone] = useState(TIMEZONE_OPTIONS[0]);
+  const [country, setCountry] = useState(COUNTRY_OPTIONS[0].code);
+  // Recorded with each file's SHA-256 in the upload's chain of custody
+  const [uploadedBy, setUploadedBy] = useState(() => localStorage.getItem('uploadedBy') || '');
+  const [retainEvidence, setRetainEvidence] = useState(false);
   const fileInputRef = useRef(null);
+  const eventSourceRef = useRef(null);
+
+  // Appended files default to the upload's timezone and must use its numbering plan
+  useEffect(() => {
+    if (!appendTarget) return;
+    if (appendTarget.timezone) setTimezone(appendTarget.timezone);
+    if (appendTarget.country) setCountry(appendTarget.country);
+  }, [appendTarget]);
+
+  // Close any open progress stream on unmount
+  useEffect(() => {
+    return () => {
+      if (eventSourceRef.current) {
+        eventSourceRef.current.close();
+      }
+    };
+  }, []);
 
   const handleFileChange = (e) => {
     const selectedFiles = Array.from(e.target.files);
     const validFiles = selectedFiles.filter(file => {
       const ext = file.name.toLowerCase().split('.').pop();
-      return ['csv', 'xls', 'xlsx'].includes(ext);
+      return ['csv', 'xls', 'xlsx', 'txt', 'dat', 'fwf', 'log', 'ber', 'asn', 'asn1', 'cdr', 'zip', 'gz'].includes(ext);
     });
 
     if (validFiles.length !== selectedFiles.length) {
-      setError('Some files were skipped. Only CSV, XLS, and XLSX files are allowed.');
+      setError('Some files were skipped. Only CSV, XLS, XLSX, text (TXT, DAT, FWF, LOG), BER (BER, ASN, ASN1, CDR, DAT), ZIP and GZ files are allowed.');
     } else {
       setError(null);
     }
@@ -36,6 +167,49 @@ function UploadSection({ onUploadComplete }) {
     // The input will be reset when all files are removed or after successful upload
   };
 
+  /**
+   * Follow a background ingestion job over SSE until it finishes
+   * @returns {Promise<string>} Final job status
+   */
+  const watchJob = (jobId) => new Promise((resolve, reject) => {
+    const source = new EventSource(apiUrl(`/api/ingest/jobs/${jobId}/events`));
+    eventSourceRef.current = source;
+    let finished = false;
+
+    source.addEventListener('progress', (e) => {
+      setJob(JSON.parse(e.data));
+    });
+
+    source.addEventListener('end', (e) => {
+      finished = true;
+      source.close();
+      eventSourceRef.current = null;
+      resolve(JSON.parse(e.data).status);
+    });
+
+    source.onerror = () => {
+      if (finished) return;
+      source.close();
+      eventSourceRef.current = null;
+      reject(new Error('Lost connection to ingestion progress stream'));
+    };
+  });
+
+  const loadProfiles = async () => {
+    const response = await axios.get(apiUrl('/api/mapping-profiles'));
+    setProfiles(response.data.profiles);
+    setCanonicalFields(response.data.canonicalFields);
+    return response.data.profiles;
+  };
+
+  const resetFiles = () => {
+    setFiles([]);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Step 1: Upload files, then detect headers and suggest a mapping profile for each
   const handleUpload = async () => {
     if (files.length === 0) {
       setError('Please select at least one file');
@@ -44,11 +218,14 @@ function UploadSection({ onUploadComplete }) {
 
     setUploading(true);
     setError(null);
+    setJob(null);
+    setRejectedFiles([]);
     setUploadProgress('Uploading files...');
 
     try {
-      // Step 1: Upload files
       const formData = new FormData();
+      // Archives are expanded on receipt, so they are kept in the evidence store then or never
+      formData.append('retainEvidence', String(retainEvidence));
       files.forEach(file => {
         formData.append('files', file);
       });
@@ -57,29 +234,298 @@ function UploadSection({ onUploadComplete }) {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
 
-      setUploadProgress('Processing files...');
+      setUploadProgress('Detecting columns...');
+      await loadProfiles();
+
+      const detected = [];
+      for (const uploaded of uploadResponse.data.files) {
+        const response = await axios.post(apiUrl('/api/mapping-profiles/detect'), {
+          filename: uploaded.filename,
+          originalName: uploaded.originalName
+        });
+        const { sheets, ...detectedFile } = response.data;
+        const archive = uploaded.archive || null;
+        if (sheets?.length > 0) {
+          // Each sheet of a workbook is included and mapped on its own
+          sheets.forEach(sheet => detected.push({ ...detectedFile, ...sheet, archive, sheetCount: sheets.length }));
+        } else {
+          detected.push({ ...detectedFile, archive });
+        }
+      }
+
+      setUploadProgress(null);
+      setRejectedFiles(uploadResponse.data.rejected || []);
+      setMappingFiles(detected);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Upload failed');
+      setRejectedFiles(err.response?.data?.rejected || []);
+      setUploadProgress(null);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const updateMappingFile = (index, changes) => {
+    setMappingFiles(prev => prev.map((f, i) => (i === index ? { ...f, ...changes } : f)));
+  };
 
-      // Step 2: Ingest files using canonical endpoint
-      const ingestResponse = await axios.post(apiUrl('/api/ingest/canonical'), {
-        files: uploadResponse.data.files
+  const handleProfileChange = async (index, profileId) => {
+    const file = mappingFiles[index];
+    setMappingBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(apiUrl('/api/mapping-profiles/detect'), {
+        filename: file.filename,
+        originalName: file.originalName,
+        profileId,
+        encoding: file.encoding || undefined,
+        delimiter: file.delimiter || undefined,
+        sheetName: file.sheetName || undefined,
+        headerRowIndex: file.sheetCount ? file.headerRowIndex : undefined
+      });
+      updateMappingFile(index, {
+        profileId,
+        // Another profile's layout cuts a fixed-width file into other columns
+        headers: response.data.headers,
+        rows: response.data.rows,
+        headerRowIndex: response.data.headerRowIndex,
+        mapping: response.data.mapping,
+        matchTypes: response.data.matchTypes,
+        preview: null
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to apply mapping profile');
+    } finally {
+      setMappingBusy(false);
+    }
+  };
+
+  // Another encoding or delimiter changes the headers, so they are detected again
+  const handleDialectChange = async (index, changes) => {
+    const file = mappingFiles[index];
+    const overrides = { encoding: file.encoding || null, delimiter: file.delimiter || null, ...changes };
+    setMappingBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(apiUrl('/api/mapping-profiles/detect'), {
+        filename: file.filename,
+        originalName: file.originalName,
+        profileId: file.profileId,
+        encoding: overrides.encoding || undefined,
+        delimiter: overrides.delimiter || undefined
+      });
+      updateMappingFile(index, { ...response.data, ...overrides, preview: null });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to re-read the file');
+    } finally {
+      setMappingBusy(false);
+    }
+  };
+
+  // A sheet read from another header row has other columns, so they are detected again
+  const handleHeaderRowChange = async (index, headerRowIndex) => {
+    const file = mappingFiles[index];
+    setMappingBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(apiUrl('/api/mapping-profiles/detect'), {
+        filename: file.filename,
+        originalName: file.originalName,
+        profileId: file.profileId,
+        sheetName: file.sheetName,
+        headerRowIndex
+      });
+      const sheet = response.data.sheets.find(s => s.sheetName === file.sheetName);
+      updateMappingFile(index, {
+        headers: response.data.headers,
+        rows: response.data.rows,
+        headerRowIndex: response.data.headerRowIndex,
+        rowCount: sheet.rowCount,
+        mapping: response.data.mapping,
+        matchTypes: response.data.matchTypes,
+        preview: null
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to re-read the sheet');
+    } finally {
+      setMappingBusy(false);
+    }
+  };
+
+  const handleSheetIncludeChange = (index, include) => {
+    updateMappingFile(index, { include, preview: null });
+  };
+
+  const handleMappingChange = (index, field, header) => {
+    const file = mappingFiles[index];
+    const matchTypes = { ...file.matchTypes };
+    if (header) {
+      matchTypes[field] = 'manual';
+    } else {
+      delete matchTypes[field];
+    }
+    updateMappingFile(index, { mapping: { ...file.mapping, [field]: header }, matchTypes, preview: null });
+  };
+
+  // Dry-run the first rows with the current mapping to see the projected reject rate
+  const handlePreview = async (index) => {
+    const file = mappingFiles[index];
+    setMappingBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(apiUrl('/api/ingest/preview'), {
+        filename: file.filename,
+        originalName: file.originalName,
+        mapping: file.mapping,
+        mappingProfileId: file.profileId,
+        timezone: file.timezone || timezone,
+        country,
+        encoding: file.encoding || undefined,
+        delimiter: file.delimiter || undefined,
+        sheetName: file.sheetName || undefined,
+        headerRowIndex: file.sheetCount ? file.headerRowIndex : undefined
       });
+      updateMappingFile(index, { preview: response.data });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Preview failed');
+    } finally {
+      setMappingBusy(false);
+    }
+  };
+
+  // The timezone belongs to the file, so it changes for every sheet of a workbook
+  const handleFileTimezoneChange = (index, fileTimezone) => {
+    const { filename } = mappingFiles[index];
+    setMappingFiles(prev => prev.map(f => (
+      f.filename === filename ? { ...f, timezone: fileTimezone || null, preview: null } : f
+    )));
+  };
+
+  const handleSaveProfile = async (index, { name, operator }) => {
+    const file = mappingFiles[index];
+    const fields = {};
+    Object.entries(file.mapping).forEach(([field, header]) => {
+      if (header) fields[field] = [header];
+    });
+
+    setMappingBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(apiUrl('/api/mapping-profiles'), { name, operator, fields });
+      await loadProfiles();
+      updateMappingFile(index, { profileId: response.data.id });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to save mapping profile');
+    } finally {
+      setMappingBusy(false);
+    }
+  };
+
+  const handleCancelMapping = async () => {
+    const pending = mappingFiles;
+    setMappingFiles(null);
+    setRejectedFiles([]);
+    // Uploaded files that will not be ingested are removed from the server
+    const filenames = [...new Set(pending.map(f => f.filename))];
+    await Promise.all(filenames.map(filename =>
+      axios.delete(apiUrl(`/api/uploads/files/${encodeURIComponent(filename)}`)).catch(() => null)
+    ));
+  };
+
+  // Step 2: Ingest with the confirmed mappings
+  const handleConfirmMapping = async () => {
+    // Workbook sheets go back as one file that lists the sheets to ingest, each with its own mapping
+    const confirmed = [];
+    mappingFiles.forEach(f => {
+      const file = {
+        filename: f.filename,
+        originalName: f.originalName,
+        timezone: f.timezone || undefined,
+        archive: f.archive || undefined
+      };
+      if (!f.sheetCount) {
+        confirmed.push({
+          ...file,
+          mapping: f.mapping,
+          mappingProfileId: f.profileId,
+          encoding: f.encoding || undefined,
+          delimiter: f.delimiter || undefined
+        });
+        return;
+      }
+      let workbook = confirmed.find(c => c.filename === f.filename);
+      if (!workbook) {
+        workbook = { ...file, sheets: [] };
+        confirmed.push(workbook);
+      }
+      if (f.include) {
+        workbook.sheets.push({
+          name: f.sheetName,
+          headerRowIndex: f.headerRowIndex,
+          mapping: f.mapping,
+          mappingProfileId: f.profileId
+        });
+      }
+    });
+
+    setUploading(true);
+    setError(null);
+    setJob(null);
+    setMappingFiles(null);
+    setRejectedFiles([]);
+    setUploadProgress('Processing files...');
+
+    try {
+      // Start a background ingestion job using the canonical endpoint
+      const jobResponse = await axios.post(apiUrl('/api/ingest/canonical'), {
+        timezone,
+        country,
+        uploadedBy: uploadedBy.trim() || undefined,
+        retainEvidence,
+        caseId: appendTarget ? undefined : currentCase?.caseId,
+        appendTo: appendTarget?.uploadId,
+        files: confirmed
+      });
+      setJob(jobResponse.data);
+
+      // Follow progress until the job finishes
+      const status = await watchJob(jobResponse.data.jobId);
+
+      if (status === 'cancelled') {
+        setUploadProgress(null);
+        setError('Ingestion was cancelled. No data from these files was kept.');
+        return;
+      }
+
+      // Fetch the stored result (also returns the failure reason if the job failed)
+      const resultResponse = await axios.get(apiUrl(`/api/ingest/canonical/${jobResponse.data.uploadId}`));
 
       setUploadProgress(null);
+      setJob(null);
       
       // Reset files and input after successful upload
-      setFiles([]);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+      resetFiles();
       
       // Pass full response data including uploadSessionId
-      onUploadComplete(ingestResponse.data);
+      onUploadComplete(resultResponse.data);
 
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Upload failed');
       setUploadProgress(null);
     } finally {
       setUploading(false);
+      setCancelling(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!job) return;
+    setCancelling(true);
+    try {
+      await axios.post(apiUrl(`/api/ingest/jobs/${job.jobId}/cancel`));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to cancel ingestion');
+      setCancelling(false);
     }
   };
 
@@ -96,16 +542,58 @@ function UploadSection({ onUploadComplete }) {
   return (
     <div className="container section">
       <div className="card">
-        <div className="card-header">
-          <h2 className="card-title">Upload CDR Files</h2>
+        <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h2 className="card-title">
+            {appendTarget ? `Add Files to ${appendTarget.label || `Upload ${appendTarget.uploadId.substring(0, 8)}`}` : 'Upload CDR Files'}
+          </h2>
+          {appendTarget ? (
+            <button className="btn btn-secondary" onClick={onCancelAppend} disabled={uploading}>
+              Cancel
+            </button>
+          ) : (
+            <Link to="/uploads" style={{ fontSize: '0.875rem' }}>
+              Open a previous upload
+            </Link>
+          )}
         </div>
 
+        {appendTarget && (
+          <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-sm)' }}>
+            New records are merged into this upload; duplicates and enrichment are recomputed across all of its files.
+          </div>
+        )}
+
+        {currentCase && !appendTarget && (
+          <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-sm)' }}>
+            Adding to case: <strong>{currentCase.name}</strong>
+          </div>
+        )}
+
         {error && (
           <div className="error-message">
             {error}
           </div>
         )}
 
+        {rejectedFiles.length > 0 && (
+          <div style={{
+            padding: 'var(--spacing-sm) var(--spacing-md)',
+            background: '#fef3c7',
+            border: '1px solid #f59e0b',
+            borderRadius: 'var(--radius-md)',
+            color: '#92400e',
+            fontSize: '0.875rem',
+            marginBottom: 'var(--spacing-md)'
+          }}>
+            <strong>{rejectedFiles.length} file{rejectedFiles.length === 1 ? '' : 's'} in the archives will not be ingested:</strong>
+            <ul style={{ margin: 'var(--spacing-xs) 0 0', paddingLeft: 'var(--spacing-lg)' }}>
+              {rejectedFiles.map(file => (
+                <li key={file.fileName}>{file.fileName}: {file.reason}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div style={{ marginBottom: 'var(--spacing-lg)' }}>
           <label style={{
             display: 'block',
@@ -113,15 +601,15 @@ function UploadSection({ onUploadComplete }) {
             fontWeight: 500,
             color: 'var(--text-secondary)'
           }}>
-            Select Files (CSV, XLS, XLSX)
+            Select Files (CSV, XLS, XLSX, fixed-width or key=value text, ASN.1 BER, or ZIP / GZ archives of them)
           </label>
           <input
             ref={fileInputRef}
             type="file"
             multiple
-            accept=".csv,.xls,.xlsx"
+            accept=".csv,.xls,.xlsx,.txt,.dat,.fwf,.log,.ber,.asn,.asn1,.cdr,.zip,.gz"
             onChange={handleFileChange}
-            disabled={uploading}
+            disabled={uploading || !!mappingFiles}
             style={{
               width: '100%',
               padding: 'var(--spacing-md)',
@@ -133,6 +621,89 @@ function UploadSection({ onUploadComplete }) {
           />
         </div>
 
+        <div style={{ marginBottom: 'var(--spacing-lg)', maxWidth: '320px' }}>
+          <label style={{
+            display: 'block',
+            marginBottom: 'var(--spacing-sm)',
+            fontWeight: 500,
+            color: 'var(--text-secondary)'
+          }}>
+            Source Timezone
+          </label>
+          <select
+            className="filter-input"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            disabled={uploading || !!mappingFiles}
+          >
+            {TIMEZONE_OPTIONS.map(zone => (
+              <option key={zone} value={zone}>{zone}</option>
+            ))}
+          </select>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: 'var(--spacing-xs)' }}>
+            Zone the timestamps in these files were exported in. Files can override it in the mapping step.
+          </div>
+        </div>
+
+        <div style={{ marginBottom: 'var(--spacing-lg)', maxWidth: '320px' }}>
+          <label style={{
+            display: 'block',
+            marginBottom: 'var(--spacing-sm)',
+            fontWeight: 500,
+            color: 'var(--text-secondary)'
+          }}>
+            Numbering Plan
+          </label>
+          <select
+            className="filter-input"
+            value={country}
+            onChange={(e) => setCountry(e.target.value)}
+            disabled={uploading || !!mappingFiles || !!appendTarget}
+          >
+            {COUNTRY_OPTIONS.map(option => (
+              <option key={option.code} value={option.code}>{option.name} ({option.code})</option>
+            ))}
+          </select>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: 'var(--spacing-xs)' }}>
+            Country used to read numbers written without a country code (e.g. 0300...).
+          </div>
+        </div>
+
+        <div style={{ marginBottom: 'var(--spacing-lg)', maxWidth: '320px' }}>
+          <label style={{
+            display: 'block',
+            marginBottom: 'var(--spacing-sm)',
+            fontWeight: 500,
+            color: 'var(--text-secondary)'
+          }}>
+            Uploaded By
+          </label>
+          <input
+            type="text"
+            className="filter-input"
+            value={uploadedBy}
+            maxLength={200}
+            placeholder="Investigator name or badge number"
+            onChange={(e) => {
+              setUploadedBy(e.target.value);
+              localStorage.setItem('uploadedBy', e.target.value);
+            }}
+            disabled={uploading || !!mappingFiles}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', marginTop: 'var(--spacing-sm)', fontSize: '0.875rem' }}>
+            <input
+              type="checkbox"
+              checked={retainEvidence}
+              onChange={(e) => setRetainEvidence(e.target.checked)}
+              disabled={uploading || !!mappingFiles}
+            />
+            Keep original files in the evidence store
+          </label>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: 'var(--spacing-xs)' }}>
+            Every file's SHA-256, size and receipt time are recorded either way.
+          </div>
+        </div>
+
         {files.length > 0 && (
           <div style={{ marginBottom: 'var(--spacing-lg)' }}>
             <h3 style={{ 
@@ -159,7 +730,7 @@ function UploadSection({ onUploadComplete }) {
                   <span style={{ fontSize: '0.875rem' }}>{file.name}</span>
                   <button
                     onClick={() => handleRemoveFile(index)}
-                    disabled={uploading}
+                    disabled={uploading || !!mappingFiles}
                     style={{
                       background: 'var(--error-color)',
                       color: 'white',
@@ -184,21 +755,62 @@ function UploadSection({ onUploadComplete }) {
             background: 'var(--bg-tertiary)',
             borderRadius: 'var(--radius-md)',
             marginBottom: 'var(--spacing-md)',
-            textAlign: 'center',
+            textAlign: job ? 'left' : 'center',
             color: 'var(--text-secondary)'
           }}>
-            {uploadProgress}
+            {job ? <IngestionProgress job={job} /> : uploadProgress}
           </div>
         )}
 
-        <button
-          onClick={handleUpload}
-          disabled={uploading || files.length === 0}
-          className="btn btn-primary"
-          style={{ width: '100%' }}
-        >
-          {uploading ? 'Processing...' : 'Upload and Process Files'}
-        </button>
+        {mappingFiles ? (
+          <div style={{ marginBottom: 'var(--spacing-md)' }}>
+            <h3 style={{
+              fontSize: '1rem',
+              marginBottom: 'var(--spacing-md)',
+              color: 'var(--text-secondary)'
+            }}>
+              Confirm Column Mapping
+            </h3>
+            <MappingWizard
+              files={mappingFiles}
+              profiles={profiles}
+              canonicalFields={canonicalFields}
+              busy={mappingBusy}
+              onProfileChange={handleProfileChange}
+              onMappingChange={handleMappingChange}
+              onSaveProfile={handleSaveProfile}
+              onPreview={handlePreview}
+              uploadTimezone={timezone}
+              timezoneOptions={TIMEZONE_OPTIONS}
+              onTimezoneChange={handleFileTimezoneChange}
+              onDialectChange={handleDialectChange}
+              onSheetIncludeChange={handleSheetIncludeChange}
+              onHeaderRowChange={handleHeaderRowChange}
+              onConfirm={handleConfirmMapping}
+              onCancel={handleCancelMapping}
+            />
+          </div>
+        ) : (
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+            <button
+              onClick={handleUpload}
+              disabled={uploading || files.length === 0}
+              className="btn btn-primary"
+              style={{ flex: 1 }}
+            >
+              {uploading ? 'Processing...' : 'Upload and Map Columns'}
+            </button>
+            {uploading && job && (
+              <button
+                onClick={handleCancel}
+                disabled={cancelling || job.cancelRequested}
+                className="btn btn-secondary"
+              >
+                {cancelling || job.cancelRequested ? 'Cancelling...' : 'Cancel'}
+              </button>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2,6 +2,25 @@ export const apiUrl = (endpoint) => {
   return endpoint;
 };
 
+/**
+ * Add the analytics scope to query params
+ * - caseId: every upload in that case
+ * - 'all' view without a case: every upload (only where allowAll; network, alerts and map never combine unrelated uploads)
+ * - otherwise the given upload; the backend defaults to the most recent upload when none is sent
+ * @param {URLSearchParams} params - Query params to extend
+ * @param {Object} scope - { viewMode, uploadId, caseId }
+ * @param {Object} options - { allowAll } (default true)
+ */
+export function appendScopeParams(params, { viewMode, uploadId, caseId }, { allowAll = true } = {}) {
+  if (caseId) {
+    params.append('caseId', caseId);
+  } else if (viewMode === 'all' && allowAll) {
+    params.append('includeAll', 'true');
+  } else if (uploadId) {
+    params.append('uploadId', uploadId);
+  }
+}
+
 /**
  * Fetch network graph data
  * @param {Object} params - Query parameters
@@ -10,13 +29,15 @@ export const apiUrl = (endpoint) => {
 export async function getNetworkGraph(params) {
   const queryParams = new URLSearchParams();
   
-  if (params.uploadId) queryParams.append('uploadId', params.uploadId);
+  appendScopeParams(queryParams, params, { allowAll: false });
   if (params.from) queryParams.append('from', params.from);
   if (params.to) queryParams.append('to', params.to);
   if (params.eventType) queryParams.append('eventType', params.eventType);
   if (params.minEdgeWeight) queryParams.append('minEdgeWeight', params.minEdgeWeight);
   if (params.limitNodes) queryParams.append('limitNodes', params.limitNodes);
   if (params.limitEdges) queryParams.append('limitEdges', params.limitEdges);
+  if (params.includeServiceNumbers) queryParams.append('includeServiceNumbers', 'true');
+  if (params.groupBy && params.groupBy !== 'number') queryParams.append('groupBy', params.groupBy);
 
   const response = await fetch(apiUrl(`/api/analytics/network?${queryParams}`));
   
@@ -27,3 +48,31 @@ export async function getNetworkGraph(params) {
   
   return response.json();
 }
+
+/**
+ * Fetch recurring call chains (A calls B, then B calls C within the gap)
+ * @param {Object} params - Scope, date range, eventType, length, maxGapMinutes, seed, groupBy
+ * @returns {Promise<Object>} Chains ranked by occurrences
+ */
+export async function getCallChains(params) {
+  const queryParams = new URLSearchParams();
+
+  appendScopeParams(queryParams, params, { allowAll: false });
+  if (params.from) queryParams.append('from', params.from);
+  if (params.to) queryParams.append('to', params.to);
+  if (params.eventType) queryParams.append('eventType', params.eventType);
+  if (params.length) queryParams.append('length', params.length);
+  if (params.maxGapMinutes !== undefined && params.maxGapMinutes !== '') queryParams.append('maxGapMinutes', params.maxGapMinutes);
+  if (params.seed) queryParams.append('seed', params.seed);
+  if (params.includeServiceNumbers) queryParams.append('includeServiceNumbers', 'true');
+  if (params.groupBy && params.groupBy !== 'number') queryParams.append('groupBy', params.groupBy);
+
+  const response = await fetch(apiUrl(`/api/analytics/chains?${queryParams}`));
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Chain request failed' }));
+    throw new Error(error.error || `HTTP ${response.status}`);
+  }
+
+  return response.json();
+}
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const caseSchema = new mongoose.Schema({
+  caseId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 5000,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Case = mongoose.model('Case', caseSchema, 'cases');
+
+export default Case;
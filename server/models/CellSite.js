@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const cellSiteSchema = new mongoose.Schema({
+  // Cell identity as written in CDRs (decimal string, leading zeros and ".0" artefacts removed)
+  cell_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Location/tracking area code; null when the reference file does not carry one
+  lac: {
+    type: String,
+    default: null
+  },
+  mcc: {
+    type: String,
+    default: null
+  },
+  mnc: {
+    type: String,
+    default: null
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  // Sector bearing in degrees from north
+  azimuth: {
+    type: Number,
+    default: null
+  },
+  site_name: {
+    type: String,
+    default: null
+  },
+  source_file: String,
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One row per cell; re-importing a reference file updates rows in place
+cellSiteSchema.index({ cell_id: 1, lac: 1, mcc: 1, mnc: 1 }, { unique: true });
+
+const CellSite = mongoose.model('CellSite', cellSiteSchema, 'cell_sites');
+
+export default CellSite;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const duplicateDecisionSchema = new mongoose.Schema({
+  decisionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  uploadId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Hash of the member fingerprints; identifies the cluster across re-ingestion, when record IDs change
+  clusterKey: {
+    type: String,
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['merge', 'separate'],
+    required: true
+  },
+  // Content fingerprints (deduplication.generateFingerprint) of the records in the cluster
+  fingerprints: [String],
+  contact_pair_key: String,
+  // Time span of the cluster, used to find its records again after re-ingestion
+  firstTimestamp: Date,
+  lastTimestamp: Date,
+  note: {
+    type: String,
+    maxlength: 2000,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+duplicateDecisionSchema.index({ uploadId: 1, clusterKey: 1 }, { unique: true });
+
+const DuplicateDecision = mongoose.model('DuplicateDecision', duplicateDecisionSchema, 'duplicate_decisions');
+
+export default DuplicateDecision;
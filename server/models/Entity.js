@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A person (or organisation) behind several numbers, linked by an investigator
+const entitySchema = new mongoose.Schema({
+  entityId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Entities belong to a case, or to an upload outside any case (caseId null)
+  caseId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  uploadId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Canonical (E.164) numbers; a number belongs to at most one entity of a case or upload
+  numbers: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    maxlength: 5000,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Entity = mongoose.model('Entity', entitySchema, 'entities');
+
+export default Entity;
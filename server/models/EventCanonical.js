@@ -64,6 +64,14 @@ const canonicalEventSchema = new mongoose.Schema({
     type: Boolean,
     index: true
   },
+  // IANA zone the local fields (date, hour, day_of_week, is_weekend, is_night) are expressed in
+  source_timezone: {
+    type: String
+  },
+  // ISO country whose numbering plan was applied to national-format numbers
+  source_country: {
+    type: String
+  },
   
   // Communication parties
   caller_number: {
@@ -74,6 +82,22 @@ const canonicalEventSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // Party numbers as written in the source file (caller_number/receiver_number hold the E.164 form)
+  caller_number_raw: {
+    type: String
+  },
+  receiver_number_raw: {
+    type: String
+  },
+  // subscriber | short_code | service | alphanumeric | unknown (see utils/numberingPlan.js)
+  caller_number_class: {
+    type: String,
+    enum: ['subscriber', 'short_code', 'service', 'alphanumeric', 'unknown', null]
+  },
+  receiver_number_class: {
+    type: String,
+    enum: ['subscriber', 'short_code', 'service', 'alphanumeric', 'unknown', null]
+  },
   direction: {
     type: String,
     enum: ['outgoing', 'incoming', 'internal', 'unknown'],
@@ -100,11 +124,19 @@ const canonicalEventSchema = new mongoose.Schema({
   longitude: {
     type: Number
   },
+  // gps = coordinates from the CDR; cell_tower = coordinates of the serving cell from the
+  // cell_sites reference table; cell_id = cell known but not (yet) located
   location_source: {
     type: String,
-    enum: ['cell_id', 'gps', 'unknown'],
+    enum: ['cell_id', 'cell_tower', 'gps', 'unknown'],
     default: 'unknown'
   },
+  cell_site_name: {
+    type: String
+  },
+  cell_azimuth: {
+    type: Number
+  },
   
   // Device identifiers
   imei: {
@@ -164,6 +196,10 @@ const canonicalEventSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Job that inserted the record; an upload can be built up by several jobs (appends)
+  ingestionJobId: {
+    type: String
+  },
   normalizationWarnings: [{
     type: String
   }],
@@ -172,10 +208,32 @@ const canonicalEventSchema = new mongoose.Schema({
     confidence: String, // 'high', 'medium', 'low'
     factors: [String]
   },
+  // Set on a copy of an event stored in another upload of the same case; the copy is kept so
+  // its own upload stays complete, but case-wide views count only the event it points to
   is_duplicate: {
     type: Boolean,
     default: false
   },
+  duplicate_of: {
+    type: String,
+    default: null
+  },
+  duplicate_of_upload: {
+    type: String,
+    default: null
+  },
+  // Every CDR row that reported this event. Rows dropped as duplicates within the upload are
+  // merged in permanently; rows of duplicates in other uploads are marked linked. Rows an append
+  // merged into a record stored before it carry the job's id, so a rolled-back append removes them
+  sources: [{
+    _id: false,
+    uploadId: String,
+    source_file: String,
+    source_sheet: String,
+    source_row_number: Number,
+    linked: Boolean,
+    ingestionJobId: String
+  }],
   
   // Legacy fields (for backward compatibility)
   aParty: String,
@@ -197,6 +255,11 @@ canonicalEventSchema.index({ caller_number: 1, receiver_number: 1 });
 canonicalEventSchema.index({ date: 1, event_type: 1 });
 canonicalEventSchema.index({ burst_session_id: 1, timestamp_utc: 1 });
 canonicalEventSchema.index({ baseline_window_label: 1, timestamp_utc: 1 });
+// Sorted cursors used when deduplicating and enriching stored records (uploadFinalizer)
+canonicalEventSchema.index({ uploadId: 1, contact_pair_key: 1, timestamp_utc: 1 });
+canonicalEventSchema.index({ uploadId: 1, caller_number: 1, receiver_number: 1, event_type: 1, timestamp_utc: 1 });
+// Cell-only events looked up against cell_sites (cellSites.locateStoredEvents)
+canonicalEventSchema.index({ location_source: 1, cell_id: 1, lacId: 1 });
 
 const EventCanonical = mongoose.model('EventCanonical', canonicalEventSchema, 'events_canonical');
 
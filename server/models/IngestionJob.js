@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  message: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { _id: false });
+
+const ingestionJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  uploadId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // 'append' adds files to an existing upload instead of creating one;
+  // 'reprocess' rebuilds an upload's records from raw_record without any files
+  mode: {
+    type: String,
+    enum: ['create', 'append', 'reprocess'],
+    default: 'create'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  files: [{
+    filename: String,
+    originalName: String,
+    // Confirmed canonical field -> header name from the mapping wizard (null = detect from headers)
+    mapping: mongoose.Schema.Types.Mixed,
+    mappingProfile: String,
+    timezone: String,
+    // CSV encoding and delimiter chosen in the mapping wizard (null = detect)
+    encoding: String,
+    delimiter: String,
+    // Column layout of a fixed-width text file, copied from its mapping profile
+    layout: mongoose.Schema.Types.Mixed,
+    // BER tag map of a binary CDR file, copied from its mapping profile
+    berTagMap: mongoose.Schema.Types.Mixed,
+    // Workbook sheets to ingest: [{ name, headerRowIndex, mapping, mappingProfile }] (null = every sheet)
+    sheets: mongoose.Schema.Types.Mixed,
+    // Archive the file was expanded from by POST /api/uploads
+    archive: {
+      fileName: String,
+      sha256: String,
+      size: Number
+    }
+  }],
+  // Recorded with each file's hash in the upload's chain of custody
+  uploadedBy: {
+    type: String,
+    default: null
+  },
+  // Keep the original files in the evidence store after ingestion
+  retainEvidence: {
+    type: Boolean,
+    default: false
+  },
+  stages: [stageSchema],
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: String,
+  // Final ingestion response (summary, reports, readiness), kept so it can be fetched by uploadId
+  result: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  startedAt: Date,
+  finishedAt: Date
+});
+
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema, 'ingestion_jobs');
+
+export default IngestionJob;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const mappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Carrier the profile was built for (e.g. Jazz, Zong, Telenor, Ufone)
+  operator: {
+    type: String,
+    trim: true
+  },
+  description: String,
+  // Canonical field -> header names used by this operator's exports (matched exactly, case-insensitive)
+  fields: {
+    type: Map,
+    of: [String],
+    default: {}
+  },
+  // Column layout for fixed-width text exports: { skipLines, columns: [{ name, start, length }] }
+  // with 1-based start positions; the column names are the headers the fields above refer to
+  fixedWidth: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Record types of binary BER exports laid over the 3GPP defaults in berDecoder.js:
+  // { records: { '<record tag>': { name, eventType, direction, fields: [{ tag, field, type }] } } }
+  berTagMap: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MappingProfile = mongoose.model('MappingProfile', mappingProfileSchema, 'mapping_profiles');
+
+export default MappingProfile;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE } from '../utils/canonicalNormalizer.js';
+import { DEFAULT_COUNTRY } from '../utils/numberingPlan.js';
 
 const uploadSchema = new mongoose.Schema({
   uploadId: {
@@ -11,18 +13,113 @@ const uploadSchema = new mongoose.Schema({
     default: Date.now,
     index: true // Index for finding most recent upload
   },
+  // 'pending' while the first ingestion job is still writing records, which stay hidden until it
+  // commits; 'failed' when that job failed and its records were removed. Uploads stored before
+  // the status was recorded have none and count as committed.
+  status: {
+    type: String,
+    enum: ['pending', 'committed', 'failed'],
+    default: 'committed',
+    index: true
+  },
+  // Job whose records are stored under the upload but hidden until it commits (set for the
+  // whole of any ingestion, append or reprocess job)
+  stagingJobId: {
+    type: String,
+    default: null
+  },
+  // Why the ingestion of a failed upload stopped
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Case workspace the upload belongs to (null = not assigned to a case)
+  caseId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Investigator-facing name and notes for the session (set from Upload History)
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 5000,
+    default: null
+  },
+  // Source timezone of the uploaded CDRs (IANA name); individual files may override it
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE
+  },
+  // Numbering plan (ISO country code) used to canonicalize national-format phone numbers
+  country: {
+    type: String,
+    default: DEFAULT_COUNTRY
+  },
   fileSummaries: [{
     fileName: String,
     inserted: Number,
     skipped: Number,
     totalRows: Number,
-    warningsCount: Number
+    warningsCount: Number,
+    mappingProfile: String,
+    timezone: String,
+    sha256: String,
+    // Parser the file was read with: csv, excel, fixed-width, key-value, ber
+    format: String,
+    // CSV and text files: { encoding, delimiter, encodingSource, delimiterSource } (no delimiter for text)
+    csvDialect: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Workbooks ingested sheet by sheet: [{ name, headerRowIndex, mappingProfile }]
+    sheets: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+  // Chain of custody: one entry per source file received, in the order received
+  evidence: [{
+    _id: false,
+    fileName: String,
+    sha256: String,
+    size: Number,
+    receivedAt: Date,
+    uploadedBy: String,
+    // Ingestion job that received the file
+    jobId: String,
+    // ZIP or GZ archive the file was delivered in, hashed before it was expanded; retained when
+    // POST /api/uploads kept the archive itself in the evidence store
+    archive: {
+      type: {
+        fileName: String,
+        sha256: String,
+        size: Number,
+        retained: Boolean
+      },
+      default: null
+    },
+    // Original kept in the content-addressed evidence store (evidenceStore.js)
+    retained: {
+      type: Boolean,
+      default: false
+    }
   }],
   errorSamples: [{
     rowNumber: Number,
     reason: String,
     fileName: String
   }],
+  // Last time the records were rebuilt from raw_record with the current normalizer
+  reprocessedAt: {
+    type: Date,
+    default: null
+  },
   stats: {
     totalInserted: Number,
     totalSkipped: Number,
@@ -1,7 +1,14 @@
 import express from 'express';
 import EventCanonical from '../models/EventCanonical.js';
-import { resolveUploadId } from '../utils/uploadSession.js';
+import { resolveScope, getScopeTimezone, getScopeCountry, SCOPE_NOT_FOUND_ERROR } from '../utils/uploadSession.js';
+import { DEFAULT_TIMEZONE } from '../utils/canonicalNormalizer.js';
+import { canonicalizeNumber, toNumberSearchPattern, NON_SUBSCRIBER_CLASSES } from '../utils/numberingPlan.js';
 import { buildGraph, detectCommunities, computeGraphStats, trimGraph } from '../utils/networkGraph.js';
+import { parseTargetNumbers, findCommonContacts } from '../utils/commonContacts.js';
+import { parseCoLocationOptions, findMeetings, findCoLocatedNumbers } from '../utils/coLocation.js';
+import { getDeviceUsage, findSharedHandsets, getDeviceTimeline } from '../utils/deviceHistory.js';
+import { resolveGrouping, GROUP_BY_OPTIONS, ENTITY_KEY_PREFIX } from '../utils/entities.js';
+import { parseChainOptions, findCallChains } from '../utils/callChains.js';
 
 const router = express.Router();
 
@@ -10,13 +17,16 @@ router.get('/overview', async (req, res) => {
   try {
     const { startDate, endDate, number } = req.query;
 
-    const uploadId = await resolveUploadId(req.query);
+    const scope = await resolveScope(req.query);
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
+    const timezone = await getScopeTimezone(scope);
 
     const filter = {};
     
-    if (uploadId) {
-      filter.uploadId = uploadId;
-    }
+    Object.assign(filter, scope.filter);
     
     if (startDate || endDate) {
       filter.timestamp_utc = {};
@@ -24,9 +34,10 @@ router.get('/overview', async (req, res) => {
       if (endDate) filter.timestamp_utc.$lte = new Date(endDate);
     }
     if (number) {
+      const numberPattern = toNumberSearchPattern(number, await getScopeCountry(scope));
       filter.$or = [
-        { caller_number: { $regex: number, $options: 'i' } },
-        { receiver_number: { $regex: number, $options: 'i' } }
+        { caller_number: { $regex: numberPattern, $options: 'i' } },
+        { receiver_number: { $regex: numberPattern, $options: 'i' } }
       ];
     }
 
@@ -74,7 +85,7 @@ router.get('/overview', async (req, res) => {
       EventCanonical.countDocuments({ ...filter, latitude: { $exists: true, $ne: null }, longitude: { $exists: true, $ne: null } }),
       EventCanonical.countDocuments({ ...filter, cell_id: { $exists: true, $ne: null }, latitude: { $exists: false }, longitude: { $exists: false } }),
       EventCanonical.countDocuments({ ...filter, cell_id: { $exists: false }, latitude: { $exists: false } }),
-      EventCanonical.countDocuments({ ...filter, is_duplicate: true }),
+      EventCanonical.countDocuments({ ...filter, ...scope.duplicatesFilter }),
       EventCanonical.countDocuments({ ...filter, normalizationWarnings: { $exists: true, $ne: [] } }),
       EventCanonical.aggregate([
         { $match: filter },
@@ -134,7 +145,9 @@ router.get('/overview', async (req, res) => {
     const gpsPercentage = totalEvents > 0 ? ((eventsWithGPS / totalEvents) * 100).toFixed(1) : 0;
     const cellIdOnlyPercentage = totalEvents > 0 ? ((eventsWithCellIdOnly / totalEvents) * 100).toFixed(1) : 0;
     const noLocationPercentage = totalEvents > 0 ? ((eventsWithNoLocation / totalEvents) * 100).toFixed(1) : 0;
-    const duplicatePercentage = totalEvents > 0 ? ((duplicateCount / totalEvents) * 100).toFixed(1) : 0;
+    // Linked copies are not part of totalEvents, so they are measured against all stored records
+    const storedRecords = totalEvents + duplicateCount;
+    const duplicatePercentage = storedRecords > 0 ? ((duplicateCount / storedRecords) * 100).toFixed(1) : 0;
     const warningsPercentage = totalEvents > 0 ? ((recordsWithWarnings / totalEvents) * 100).toFixed(1) : 0;
     const nightActivityPercentage = totalEvents > 0 ? ((nightActivityCount / totalEvents) * 100).toFixed(1) : 0;
     
@@ -156,6 +169,9 @@ router.get('/overview', async (req, res) => {
       incomingCount,
       outgoingCount,
       uploadId: uploadId || null,
+      caseId: scope.caseId,
+      // Zone that peakHour, peakDayOfWeek, night activity and daily stats are expressed in
+      timezone,
       
       // Data Coverage & Quality Indicators
       dataCoverage: {
@@ -165,6 +181,7 @@ router.get('/overview', async (req, res) => {
         cellIdOnlyPercentage: parseFloat(cellIdOnlyPercentage),
         noLocationPercentage: parseFloat(noLocationPercentage),
         duplicatePercentage: parseFloat(duplicatePercentage),
+        linkedDuplicates: duplicateCount,
         warningsPercentage: parseFloat(warningsPercentage)
       },
       
@@ -211,15 +228,18 @@ router.get('/timeline', async (req, res) => {
   try {
     const { startDate, endDate, number, eventType, groupBy = 'day', mode = 'stacked' } = req.query;
 
-    const uploadId = await resolveUploadId(req.query);
+    const scope = await resolveScope(req.query);
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
+    const timezone = await getScopeTimezone(scope);
 
     // Build canonical filter
     const filter = {};
     
-    // STEP 1: Add uploadId filter FIRST
-    if (uploadId) {
-      filter.uploadId = uploadId;
-    }
+    // STEP 1: Add scope filter FIRST
+    Object.assign(filter, scope.filter);
     
     // STEP 2: Add other filters - using canonical field names
     if (startDate || endDate) {
@@ -228,9 +248,10 @@ router.get('/timeline', async (req, res) => {
       if (endDate) filter.timestamp_utc.$lte = new Date(endDate);
     }
     if (number) {
+      const numberPattern = toNumberSearchPattern(number, await getScopeCountry(scope));
       filter.$or = [
-        { caller_number: { $regex: number, $options: 'i' } },
-        { receiver_number: { $regex: number, $options: 'i' } }
+        { caller_number: { $regex: numberPattern, $options: 'i' } },
+        { receiver_number: { $regex: numberPattern, $options: 'i' } }
       ];
     }
     
@@ -261,7 +282,9 @@ router.get('/timeline', async (req, res) => {
         return res.json({
           mode: 'baselineRecent',
           error: 'No data available for baseline/recent analysis',
-          uploadId: uploadId || null
+          uploadId: uploadId || null,
+          caseId: scope.caseId,
+          timezone
         });
       }
 
@@ -276,7 +299,9 @@ router.get('/timeline', async (req, res) => {
           mode: 'baselineRecent',
           error: 'Not enough time span to compare baseline vs recent. Minimum 2 days required.',
           timeSpanDays: timeSpanDays.toFixed(2),
-          uploadId: uploadId || null
+          uploadId: uploadId || null,
+          caseId: scope.caseId,
+          timezone
         });
       }
 
@@ -383,14 +408,23 @@ router.get('/timeline', async (req, res) => {
           nightActivityBaselinePct: parseFloat(nightActivityBaselinePct),
           nightActivityRecentPct: parseFloat(nightActivityRecentPct)
         },
-        uploadId: uploadId || null
+        uploadId: uploadId || null,
+        caseId: scope.caseId,
+        timezone
       });
     }
 
     // DEFAULT MODE: Stacked timeline (existing behavior)
-    // Use canonical "date" field (YYYY-MM-DD) for day grouping, timestamp_utc for hour grouping
+    // Use canonical "date" field (YYYY-MM-DD) for day grouping; hour buckets are formatted in each
+    // record's source timezone so they line up with the local date
     const groupFormat = groupBy === 'hour'
-      ? { $dateToString: { format: '%Y-%m-%d %H:00', date: '$timestamp_utc' } }
+      ? {
+        $dateToString: {
+          format: '%Y-%m-%d %H:00',
+          date: '$timestamp_utc',
+          timezone: { $ifNull: ['$source_timezone', DEFAULT_TIMEZONE] }
+        }
+      }
       : '$date'; // Use pre-computed date field for efficiency
 
     // Aggregate using EventCanonical
@@ -419,7 +453,9 @@ router.get('/timeline', async (req, res) => {
     res.json({ 
       mode: 'stacked',
       timeline,
-      uploadId: uploadId || null // Return resolved uploadId
+      uploadId: uploadId || null, // Return resolved uploadId
+      caseId: scope.caseId,
+      timezone
     });
 
   } catch (error) {
@@ -431,26 +467,42 @@ router.get('/timeline', async (req, res) => {
 // GET /api/analytics/top-contacts - Get top contacts for a number
 router.get('/top-contacts', async (req, res) => {
   try {
-    const { number, startDate, endDate, eventType, limit = 10 } = req.query;
+    const { number, startDate, endDate, eventType, limit = 10, includeServiceNumbers, groupBy = 'number' } = req.query;
 
     if (!number) {
       return res.status(400).json({ error: 'Number parameter is required' });
     }
 
-    const uploadId = await resolveUploadId(req.query);
+    const scope = await resolveScope(req.query);
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
+
+    // With groupBy=entity, the target and its counterparties are whole entities where linked
+    const grouping = await resolveGrouping(scope, groupBy);
+    if (!grouping) {
+      return res.status(400).json({ error: `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}` });
+    }
+
+    // Match the number in its canonical form, so "0300..." and "+92300..." find the same party;
+    // an entity key (a network node in entity mode) is taken as is
+    const targetNumber = grouping.groupBy === 'entity' && number.startsWith(ENTITY_KEY_PREFIX)
+      ? number
+      : grouping.keyOf(canonicalizeNumber(number, await getScopeCountry(scope)).number);
+    const targetNumbers = grouping.numbersOf(targetNumber);
+    const withServiceNumbers = includeServiceNumbers === 'true';
 
     // Build canonical filter
     const filter = {
       $or: [
-        { caller_number: { $regex: number, $options: 'i' } },
-        { receiver_number: { $regex: number, $options: 'i' } }
+        { caller_number: { $in: targetNumbers } },
+        { receiver_number: { $in: targetNumbers } }
       ]
     };
     
-    // STEP 1: Add uploadId filter (CRITICAL - must be included)
-    if (uploadId) {
-      filter.uploadId = uploadId;
-    }
+    // STEP 1: Add scope filter (CRITICAL - must be included)
+    Object.assign(filter, scope.filter);
     
     // STEP 2: Add date filters - using canonical field names
     if (startDate || endDate) {
@@ -470,25 +522,24 @@ router.get('/top-contacts', async (req, res) => {
 
     // Query EventCanonical
     const events = await EventCanonical.find(filter)
-      .select('caller_number receiver_number call_duration_seconds event_type direction timestamp_utc')
+      .select('caller_number receiver_number caller_number_class receiver_number_class call_duration_seconds event_type direction timestamp_utc')
       .lean();
 
     // Group by counterparty (other party)
     const contactMap = new Map();
-    
-    // Normalize target number for exact matching
-    const targetNumber = String(number).trim();
 
     events.forEach(event => {
-      // Skip self-calls (caller === receiver)
-      if (event.caller_number && event.receiver_number && 
-          String(event.caller_number).trim() === String(event.receiver_number).trim()) {
+      const caller = event.caller_number && grouping.keyOf(String(event.caller_number).trim());
+      const receiver = event.receiver_number && grouping.keyOf(String(event.receiver_number).trim());
+
+      // Skip self-calls (caller === receiver), including calls between numbers of one entity
+      if (caller && receiver && caller === receiver) {
         return; // Skip self-calls
       }
       
       // Determine if target is caller or receiver (exact match)
-      const callerMatch = event.caller_number && String(event.caller_number).trim() === targetNumber;
-      const receiverMatch = event.receiver_number && String(event.receiver_number).trim() === targetNumber;
+      const callerMatch = caller === targetNumber;
+      const receiverMatch = receiver === targetNumber;
       
       // Skip if target is not involved in this event
       if (!callerMatch && !receiverMatch) {
@@ -496,16 +547,23 @@ router.get('/top-contacts', async (req, res) => {
       }
       
       // Determine counterparty: the OTHER party (not the target)
-      const counterparty = callerMatch ? event.receiver_number : event.caller_number;
+      const counterparty = callerMatch ? receiver : caller;
 
       // Exclude if counterparty is missing, empty, or same as target
       if (!counterparty || String(counterparty).trim() === '' || String(counterparty).trim() === targetNumber) {
         return;
       }
 
+      // Short codes, service lines and sender IDs are not people; listed only on request
+      const numberClass = (callerMatch ? event.receiver_number_class : event.caller_number_class) || null;
+      if (!withServiceNumbers && NON_SUBSCRIBER_CLASSES.includes(numberClass)) {
+        return;
+      }
+
       if (!contactMap.has(counterparty)) {
         contactMap.set(counterparty, {
           number: counterparty,
+          numberClass,
           count: 0,
           totalDuration: 0,
           calls: 0,
@@ -534,6 +592,8 @@ router.get('/top-contacts', async (req, res) => {
         const sortedTimestamps = contact.timestamps.sort((a, b) => a - b);
         return {
           number: contact.number,
+          entity: grouping.entityOf(contact.number),
+          numberClass: contact.numberClass,
           count: contact.count,
           totalDuration: contact.totalDuration,
           totalDurationHours: (contact.totalDuration / 3600).toFixed(2),
@@ -550,7 +610,11 @@ router.get('/top-contacts', async (req, res) => {
 
     res.json({ 
       topContacts,
-      uploadId: uploadId || null // Return resolved uploadId
+      number: targetNumber,
+      entity: grouping.entityOf(targetNumber),
+      groupBy: grouping.groupBy,
+      uploadId: uploadId || null, // Return resolved uploadId
+      caseId: scope.caseId
     });
 
   } catch (error) {
@@ -559,20 +623,176 @@ router.get('/top-contacts', async (req, res) => {
   }
 });
 
+// GET /api/analytics/common-contacts - Counterparties shared by two or more target numbers
+router.get('/common-contacts', async (req, res) => {
+  try {
+    const { numbers, startDate, endDate, eventType, minTargets, limit = 50, includeServiceNumbers } = req.query;
+
+    if (!numbers) {
+      return res.status(400).json({ error: 'numbers parameter is required (two or more, comma-separated)' });
+    }
+
+    const scope = await resolveScope(req.query);
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
+
+    // Targets are matched in canonical form, like top-contacts
+    const parsed = parseTargetNumbers(numbers, await getScopeCountry(scope));
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const { targets } = parsed;
+
+    // By default a contact must be shared by every target
+    const minTargetCount = minTargets === undefined ? targets.length : parseInt(minTargets, 10);
+    if (!Number.isInteger(minTargetCount) || minTargetCount < 2 || minTargetCount > targets.length) {
+      return res.status(400).json({ error: `minTargets must be between 2 and ${targets.length}` });
+    }
+
+    const filter = { ...scope.filter };
+    if (startDate || endDate) {
+      filter.timestamp_utc = {};
+      if (startDate) filter.timestamp_utc.$gte = new Date(startDate);
+      if (endDate) filter.timestamp_utc.$lte = new Date(endDate);
+    }
+    if (eventType === 'call' || eventType === 'sms') {
+      filter.event_type = eventType;
+    }
+
+    const result = await findCommonContacts(filter, targets, {
+      minTargets: minTargetCount,
+      includeServiceNumbers: includeServiceNumbers === 'true',
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    });
+
+    res.json({
+      targets,
+      minTargets: minTargetCount,
+      ...result,
+      uploadId: uploadId || null,
+      caseId: scope.caseId
+    });
+  } catch (error) {
+    console.error('Analytics common-contacts error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scope filter narrowed to startDate/endDate, for the device endpoints
+async function resolveDeviceRequest(req) {
+  const scope = await resolveScope(req.query);
+  if (!scope) return null;
+
+  const { startDate, endDate } = req.query;
+  const filter = { ...scope.filter };
+  if (startDate || endDate) {
+    filter.timestamp_utc = {};
+    if (startDate) filter.timestamp_utc.$gte = new Date(startDate);
+    if (endDate) filter.timestamp_utc.$lte = new Date(endDate);
+  }
+  return { scope, filter, country: await getScopeCountry(scope) };
+}
+
+// GET /api/analytics/devices/history - Handsets and SIMs a number appeared with, and the numbers sharing its handsets
+router.get('/devices/history', async (req, res) => {
+  try {
+    if (!req.query.number) {
+      return res.status(400).json({ error: 'number parameter is required' });
+    }
+
+    const request = await resolveDeviceRequest(req);
+    if (!request) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { scope, filter, country } = request;
+
+    const number = canonicalizeNumber(req.query.number, country).number;
+    if (!number) {
+      return res.status(400).json({ error: 'number is empty' });
+    }
+
+    const [usage, timeline] = await Promise.all([
+      getDeviceUsage(filter),
+      getDeviceTimeline(filter, number)
+    ]);
+    const own = usage.get(number) || { handsets: [], sims: [] };
+    const ownHandsets = new Set(own.handsets.map(handset => handset.imei));
+    const sharedHandsets = findSharedHandsets(usage).filter(handset => ownHandsets.has(handset.imei));
+
+    // Other numbers seen in any of its handsets
+    const linked = new Map();
+    sharedHandsets.forEach(handset => {
+      handset.numbers.forEach(entry => {
+        if (entry.number === number) return;
+        if (!linked.has(entry.number)) linked.set(entry.number, { number: entry.number, imeis: [], eventCount: 0 });
+        const link = linked.get(entry.number);
+        link.imeis.push(handset.imei);
+        link.eventCount += entry.eventCount;
+      });
+    });
+
+    res.json({
+      number,
+      handsets: own.handsets,
+      sims: own.sims,
+      timeline: timeline.segments,
+      timelineTruncated: timeline.truncated,
+      sharedHandsets,
+      linkedNumbers: [...linked.values()].sort((a, b) => b.imeis.length - a.imeis.length || b.eventCount - a.eventCount),
+      uploadId: scope.uploadId || null,
+      caseId: scope.caseId
+    });
+  } catch (error) {
+    console.error('Analytics device history error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/analytics/devices/shared - Handsets used by two or more numbers
+router.get('/devices/shared', async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+
+    const request = await resolveDeviceRequest(req);
+    if (!request) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { scope, filter } = request;
+
+    const usage = await getDeviceUsage(filter);
+    const sharedHandsets = findSharedHandsets(usage);
+
+    res.json({
+      sharedHandsets: sharedHandsets.slice(0, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)),
+      totalSharedHandsets: sharedHandsets.length,
+      numbersWithDevices: usage.size,
+      uploadId: scope.uploadId || null,
+      caseId: scope.caseId
+    });
+  } catch (error) {
+    console.error('Analytics shared devices error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/analytics/geo - Get geographic data or top sites/cells
 router.get('/geo', async (req, res) => {
   try {
     const { startDate, endDate, number, type = 'sites' } = req.query;
 
-    const uploadId = await resolveUploadId(req.query);
+    const scope = await resolveScope(req.query);
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
 
     // Build canonical filter
     const filter = {};
     
-    // STEP 1: Add uploadId filter FIRST
-    if (uploadId) {
-      filter.uploadId = uploadId;
-    }
+    // STEP 1: Add scope filter FIRST
+    Object.assign(filter, scope.filter);
     
     // STEP 2: Add other filters - using canonical field names
     if (startDate || endDate) {
@@ -581,9 +801,10 @@ router.get('/geo', async (req, res) => {
       if (endDate) filter.timestamp_utc.$lte = new Date(endDate);
     }
     if (number) {
+      const numberPattern = toNumberSearchPattern(number, await getScopeCountry(scope));
       filter.$or = [
-        { caller_number: { $regex: number, $options: 'i' } },
-        { receiver_number: { $regex: number, $options: 'i' } }
+        { caller_number: { $regex: numberPattern, $options: 'i' } },
+        { receiver_number: { $regex: numberPattern, $options: 'i' } }
       ];
     }
 
@@ -608,7 +829,8 @@ router.get('/geo', async (req, res) => {
 
       res.json({ 
         locations: mappedLocations,
-        uploadId: uploadId || null
+        uploadId: uploadId || null,
+        caseId: scope.caseId
       });
     } else {
       // Return top sites or cells
@@ -645,7 +867,8 @@ router.get('/geo', async (req, res) => {
       res.json({ 
         topItems, 
         type,
-        uploadId: uploadId || null
+        uploadId: uploadId || null,
+        caseId: scope.caseId
       });
     }
 
@@ -660,24 +883,37 @@ router.get('/network', async (req, res) => {
   try {
     const {
       uploadId: queryUploadId,
+      caseId,
       from,
       to,
       eventType = 'all',
       minEdgeWeight = 1,
       limitNodes,
-      limitEdges
+      limitEdges,
+      includeServiceNumbers,
+      groupBy = 'number'
     } = req.query;
 
-    // uploadId is required for network analysis
-    const uploadId = await resolveUploadId({ uploadId: queryUploadId });
-    if (!uploadId) {
+    // One upload or one case: never every upload, so unrelated cases do not share graph nodes
+    const scope = await resolveScope({ uploadId: queryUploadId, caseId });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
+    if (!scope.uploadIds) {
       return res.status(400).json({ 
-        error: 'uploadId is required for network analysis. Use specific uploadId or ensure at least one upload exists.' 
+        error: 'uploadId or caseId is required for network analysis. Use specific uploadId or ensure at least one upload exists.' 
       });
     }
 
+    // With groupBy=entity, the numbers of an entity become one node
+    const grouping = await resolveGrouping(scope, groupBy);
+    if (!grouping) {
+      return res.status(400).json({ error: `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}` });
+    }
+
     // Build filter
-    const filter = { uploadId };
+    const filter = { ...scope.filter };
     
     // Date range filter
     if (from || to) {
@@ -714,12 +950,22 @@ router.get('/network', async (req, res) => {
       { $expr: { $ne: ['$caller_number', '$receiver_number'] } } // Exclude self-calls
     ];
 
+    // Short codes, service lines and SMS sender IDs would otherwise become hubs joining unrelated people
+    const withServiceNumbers = includeServiceNumbers === 'true';
+    if (!withServiceNumbers) {
+      filter.$and.push(
+        { caller_number_class: { $nin: NON_SUBSCRIBER_CLASSES } },
+        { receiver_number_class: { $nin: NON_SUBSCRIBER_CLASSES } }
+      );
+    }
+
     // Check if any records exist
     const recordCount = await EventCanonical.countDocuments(filter);
     if (recordCount === 0) {
       return res.json({
         uploadId,
-        filters: { from, to, eventType, minEdgeWeight, limitNodes, limitEdges },
+        caseId: scope.caseId,
+        filters: { from, to, eventType, minEdgeWeight, limitNodes, limitEdges, includeServiceNumbers: withServiceNumbers, groupBy: grouping.groupBy },
         graph: { nodes: [], edges: [] },
         communities: [],
         stats: {
@@ -741,6 +987,7 @@ router.get('/network', async (req, res) => {
     // Use contact_pair_key if available, otherwise create normalized pair
     const edgesPipeline = [
       { $match: filter },
+      ...grouping.stages,
       {
         $project: {
           caller: '$caller_number',
@@ -802,6 +1049,7 @@ router.get('/network', async (req, res) => {
     // Build node statistics - aggregate all nodes that appear in events
     const nodesPipeline = [
       { $match: filter },
+      ...grouping.stages,
       {
         $project: {
           nodes: {
@@ -908,7 +1156,8 @@ router.get('/network', async (req, res) => {
       const attrs = graph.getNodeAttributes(nodeId);
       return {
         id: nodeId,
-        label: nodeId,
+        label: grouping.label(nodeId),
+        entity: grouping.entityOf(nodeId),
         degree: attrs.degree || 0,
         weightedDegree: attrs.weightedDegree || 0,
         totalEvents: attrs.totalEvents || 0,
@@ -936,7 +1185,8 @@ router.get('/network', async (req, res) => {
 
     res.json({
       uploadId,
-      filters: { from, to, eventType, minEdgeWeight, limitNodes, limitEdges },
+      caseId: scope.caseId,
+      filters: { from, to, eventType, minEdgeWeight, limitNodes, limitEdges, includeServiceNumbers: withServiceNumbers, groupBy: grouping.groupBy },
       graph: {
         nodes,
         edges: graphEdges
@@ -954,12 +1204,80 @@ router.get('/network', async (req, res) => {
   }
 });
 
+// GET /api/analytics/chains - Recurring relays (A calls B, then B calls C within the gap), from a seed or across the scope
+router.get('/chains', async (req, res) => {
+  try {
+    const scope = await resolveScope(req.query, { allowAll: false });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    if (!scope.uploadIds) {
+      return res.status(400).json({ error: 'uploadId or caseId is required' });
+    }
+
+    const { seed, from, to, limit = '50', includeServiceNumbers, groupBy = 'number' } = req.query;
+
+    const parsedOptions = parseChainOptions(req.query);
+    if (parsedOptions.error) {
+      return res.status(400).json({ error: parsedOptions.error });
+    }
+
+    // Chains run between entities when grouping, matching the network nodes they are drawn on
+    const grouping = await resolveGrouping(scope, groupBy);
+    if (!grouping) {
+      return res.status(400).json({ error: `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}` });
+    }
+
+    let seedKey = null;
+    if (seed) {
+      seedKey = grouping.groupBy === 'entity' && seed.startsWith(ENTITY_KEY_PREFIX)
+        ? seed
+        : grouping.keyOf(canonicalizeNumber(seed, await getScopeCountry(scope)).number);
+    }
+
+    const filter = { ...scope.filter };
+    if (from || to) {
+      filter.timestamp_utc = {};
+      if (from) filter.timestamp_utc.$gte = new Date(from);
+      if (to) filter.timestamp_utc.$lte = new Date(to);
+    }
+
+    const withServiceNumbers = includeServiceNumbers === 'true';
+    const result = await findCallChains(filter, {
+      ...parsedOptions.options,
+      includeServiceNumbers: withServiceNumbers,
+      seed: seedKey,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)
+    }, grouping);
+
+    res.json({
+      ...result,
+      chains: result.chains.map(chain => ({
+        ...chain,
+        labels: chain.path.map(key => grouping.label(key)),
+        entities: chain.path.map(key => grouping.entityOf(key))
+      })),
+      seed: seedKey,
+      ...parsedOptions.options,
+      groupBy: grouping.groupBy,
+      includeServiceNumbers: withServiceNumbers,
+      uploadId: scope.uploadId || null,
+      caseId: scope.caseId
+    });
+  } catch (error) {
+    console.error('Analytics chains error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 const anomalyCache = new Map();
 const CACHE_TTL = 3 * 60 * 1000;
 const MAX_CACHE_SIZE = 50;
 
-function getCacheKey(uploadId, from, to, eventType, baselineRatio, phone) {
-  return `${uploadId}|${from || ''}|${to || ''}|${eventType || 'all'}|${baselineRatio}|${phone || ''}`;
+function getCacheKey(scope, from, to, eventType, baselineRatio, phone, grouping) {
+  // Keyed by the uploads in scope, so adding an upload to a case invalidates the case's entry;
+  // likewise the entity links when grouping by entity
+  return `${scope.uploadIds.join(',')}|${from || ''}|${to || ''}|${eventType || 'all'}|${baselineRatio}|${phone || ''}|${grouping.groupBy}|${grouping.signature}`;
 }
 
 function getCached(key) {
@@ -1002,26 +1320,46 @@ function calculateConfidence(baselineDaysCount, baselineSampleSize) {
 // GET /api/analytics/anomalies - Detect anomalies using baseline vs recent comparison
 router.get('/anomalies', async (req, res) => {
   try {
-    const { uploadId, from, to, eventType = 'all', baselineRatio = 0.7, limit = 50, phone } = req.query;
+    const { uploadId: queryUploadId, caseId, from, to, eventType = 'all', baselineRatio = 0.7, limit = 50, phone: phoneParam, groupBy = 'number' } = req.query;
 
-    if (!uploadId) {
-      return res.status(400).json({ error: 'uploadId is required' });
+    if (!queryUploadId && !caseId) {
+      return res.status(400).json({ error: 'uploadId or caseId is required' });
     }
 
+    // Baselines are computed within one upload or one case, never across cases
+    const scope = await resolveScope({ uploadId: queryUploadId, caseId });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    const { uploadId } = scope;
+
     const baselineRatioNum = parseFloat(baselineRatio);
     if (isNaN(baselineRatioNum) || baselineRatioNum < 0.5 || baselineRatioNum > 0.9) {
       return res.status(422).json({ error: 'baselineRatio must be between 0.5 and 0.9' });
     }
 
+    // With groupBy=entity, the numbers of an entity are analysed as one party keyed by the entity
+    const grouping = await resolveGrouping(scope, groupBy);
+    if (!grouping) {
+      return res.status(400).json({ error: `groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}` });
+    }
+
+    // Alerts are keyed by canonical (E.164) numbers, or entity keys
+    const phone = phoneParam
+      ? grouping.keyOf(canonicalizeNumber(phoneParam, await getScopeCountry(scope)).number)
+      : undefined;
+
     // Check cache
-    const cacheKey = getCacheKey(uploadId, from, to, eventType, baselineRatioNum, phone);
+    const cacheKey = getCacheKey(scope, from, to, eventType, baselineRatioNum, phone, grouping);
     const cached = getCached(cacheKey);
     if (cached) {
       return res.json(cached);
     }
 
+    const timezone = await getScopeTimezone(scope);
+
     // Build base filter
-    const baseFilter = { uploadId };
+    const baseFilter = { ...scope.filter };
     if (from || to) {
       baseFilter.timestamp_utc = {};
       if (from) baseFilter.timestamp_utc.$gte = new Date(from);
@@ -1038,9 +1376,10 @@ router.get('/anomalies', async (req, res) => {
     }
 
     if (phone) {
+      const phoneNumbers = grouping.numbersOf(phone);
       baseFilter.$or = [
-        { caller_number: phone },
-        { receiver_number: phone }
+        { caller_number: { $in: phoneNumbers } },
+        { receiver_number: { $in: phoneNumbers } }
       ];
     }
 
@@ -1059,7 +1398,9 @@ router.get('/anomalies', async (req, res) => {
     if (timeRange.length === 0 || !timeRange[0].minTime || !timeRange[0].maxTime) {
       return res.json({
         uploadId,
-        filters: { from, to, eventType, baselineRatio: baselineRatioNum, phone },
+        caseId: scope.caseId,
+        timezone,
+        filters: { from, to, eventType, baselineRatio: baselineRatioNum, phone, groupBy: grouping.groupBy },
         baseline: { startUtc: null, endUtc: null, daysCount: 0, cutoffUtc: null },
         recent: { startUtc: null, endUtc: null, daysCount: 0 },
         summary: { totalAlerts: 0, high: 0, medium: 0, low: 0 },
@@ -1100,30 +1441,42 @@ router.get('/anomalies', async (req, res) => {
 
     // ANOMALY 1: VOLUME_SPIKE
     const volumeSpikeAlerts = await computeVolumeSpike(
-      baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phone
+      baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phone, grouping
     );
     alerts.push(...volumeSpikeAlerts);
 
     // ANOMALY 2: NEW_CONTACT_EMERGENCE
     const newContactAlerts = await computeNewContactEmergence(
-      baselineFilter, recentFilter, phone
+      baselineFilter, recentFilter, phone, grouping
     );
     alerts.push(...newContactAlerts);
 
     // ANOMALY 3: NIGHT_ACTIVITY_SHIFT
     const nightActivityAlerts = await computeNightActivityShift(
-      baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phone
+      baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phone, grouping
     );
     alerts.push(...nightActivityAlerts);
 
     // ANOMALY 4: BURST_PATTERN_CHANGE
     const burstPatternAlerts = await computeBurstPatternChange(
-      baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phone
+      baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phone, grouping
     );
     alerts.push(...burstPatternAlerts);
 
+    // ANOMALY 5: SIM_SWAP and HANDSET_CHANGE
+    const deviceChangeAlerts = await computeDeviceChanges(
+      baselineFilter, recentFilter, baselineDaysCount, phone, grouping
+    );
+    alerts.push(...deviceChangeAlerts);
+
+    // Short codes, service lines and sender IDs are not suspects or new contacts of interest
+    const nonSubscribers = await getNonSubscriberNumbers(baseFilter);
+    const subscriberAlerts = alerts
+      .filter(alert => !nonSubscribers.has(alert.phone) && !nonSubscribers.has(alert.related?.otherPhone))
+      .map(alert => (grouping.groupBy === 'entity' ? { ...alert, entity: grouping.entityOf(alert.phone) } : alert));
+
     // Sort alerts: severity desc, then by score/type
-    alerts.sort((a, b) => {
+    subscriberAlerts.sort((a, b) => {
       const severityOrder = { high: 3, medium: 2, low: 1 };
       if (severityOrder[b.severity] !== severityOrder[a.severity]) {
         return severityOrder[b.severity] - severityOrder[a.severity];
@@ -1132,7 +1485,7 @@ router.get('/anomalies', async (req, res) => {
     });
 
     // Limit results
-    const limitedAlerts = alerts.slice(0, parseInt(limit) || 50);
+    const limitedAlerts = subscriberAlerts.slice(0, parseInt(limit) || 50);
 
     // Calculate summary
     const summary = {
@@ -1144,7 +1497,9 @@ router.get('/anomalies', async (req, res) => {
 
     const result = {
       uploadId,
-      filters: { from, to, eventType, baselineRatio: baselineRatioNum, phone },
+      caseId: scope.caseId,
+      timezone,
+      filters: { from, to, eventType, baselineRatio: baselineRatioNum, phone, groupBy: grouping.groupBy },
       baseline: {
         startUtc: minTime.toISOString(),
         endUtc: cutoffTime.toISOString(),
@@ -1171,14 +1526,26 @@ router.get('/anomalies', async (req, res) => {
   }
 });
 
+/**
+ * Numbers in scope classed as short codes, service numbers or alphanumeric sender IDs
+ */
+async function getNonSubscriberNumbers(filter) {
+  const [callers, receivers] = await Promise.all([
+    EventCanonical.distinct('caller_number', { ...filter, caller_number_class: { $in: NON_SUBSCRIBER_CLASSES } }),
+    EventCanonical.distinct('receiver_number', { ...filter, receiver_number_class: { $in: NON_SUBSCRIBER_CLASSES } })
+  ]);
+  return new Set([...callers, ...receivers]);
+}
+
 // ANOMALY 1: VOLUME_SPIKE
-async function computeVolumeSpike(baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phoneFilter) {
+async function computeVolumeSpike(baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phoneFilter, grouping) {
   const alerts = [];
 
   // Aggregate daily volumes per phone
   // Count events where phone is caller OR receiver
   const baselineDaily = await EventCanonical.aggregate([
     { $match: baselineFilter },
+    ...grouping.stages,
     {
       $project: {
         date: 1,
@@ -1227,6 +1594,7 @@ async function computeVolumeSpike(baselineFilter, recentFilter, baselineDaysCoun
 
   const recentDaily = await EventCanonical.aggregate([
     { $match: recentFilter },
+    ...grouping.stages,
     {
       $project: {
         date: 1,
@@ -1327,7 +1695,7 @@ async function computeVolumeSpike(baselineFilter, recentFilter, baselineDaysCoun
 }
 
 // ANOMALY 2: NEW_CONTACT_EMERGENCE
-async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFilter) {
+async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFilter, grouping) {
   const alerts = [];
 
   // Get all owner phones to analyze (from both caller and receiver in baseline+recent)
@@ -1342,13 +1710,16 @@ async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFil
       EventCanonical.distinct('caller_number', { ...recentFilter, caller_number: { $exists: true, $nin: [null, ''] } }),
       EventCanonical.distinct('receiver_number', { ...recentFilter, receiver_number: { $exists: true, $nin: [null, ''] } })
     ]);
-    const allPhones = new Set([...baselineCallers, ...baselineReceivers, ...recentCallers, ...recentReceivers]);
+    const allPhones = new Set(
+      [...baselineCallers, ...baselineReceivers, ...recentCallers, ...recentReceivers].map(grouping.keyOf)
+    );
     phonesToAnalyze = Array.from(allPhones).filter(p => p && String(p).trim().length > 0);
   }
 
   // Compute baseline counterparties (bidirectional) for all owners at once
   const baselineCounterpartiesMap = await EventCanonical.aggregate([
     { $match: baselineFilter },
+    ...grouping.stages,
     {
       $project: {
         caller: { $ifNull: ['$caller_number', ''] },
@@ -1428,16 +1799,18 @@ async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFil
     const baselineCounterparties = baselineMap.get(ownerTrim) || new Set();
 
     // Get recent counterparties and their bidirectional event counts
+    const ownerNumbers = grouping.numbersOf(ownerTrim);
     const recentCounterparties = await EventCanonical.aggregate([
       {
         $match: {
           ...recentFilter,
           $or: [
-            { caller_number: ownerTrim },
-            { receiver_number: ownerTrim }
+            { caller_number: { $in: ownerNumbers } },
+            { receiver_number: { $in: ownerNumbers } }
           ]
         }
       },
+      ...grouping.stages,
       {
         $project: {
           counterparty: {
@@ -1468,7 +1841,8 @@ async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFil
       {
         $match: {
           counterpartyTrim: { $ne: '' },
-          counterpartyTrim: { $nin: Array.from(baselineCounterparties).map(c => String(c).trim()) }
+          // Calls between numbers of one entity have the owner on both sides
+          counterpartyTrim: { $nin: [...Array.from(baselineCounterparties).map(c => String(c).trim()), ownerTrim] }
         }
       },
       {
@@ -1484,8 +1858,8 @@ async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFil
     const totalRecentEvents = await EventCanonical.countDocuments({
       ...recentFilter,
       $or: [
-        { caller_number: ownerTrim },
-        { receiver_number: ownerTrim }
+        { caller_number: { $in: ownerNumbers } },
+        { receiver_number: { $in: ownerNumbers } }
       ]
     });
 
@@ -1516,7 +1890,7 @@ async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFil
             sharePct: (sharePct * 100).toFixed(1),
             firstSeenRecent: contact.firstSeen.toISOString()
           },
-          explanation: `New contact ${newContactPhone} emerged with ${recentEventCount} events (${(sharePct * 100).toFixed(1)}% of recent activity)`,
+          explanation: `New contact ${grouping.label(newContactPhone)} emerged with ${recentEventCount} events (${(sharePct * 100).toFixed(1)}% of recent activity)`,
           recommendedActions: ['VIEW_EVENTS', 'VIEW_NETWORK', 'VIEW_TIMELINE']
         });
       }
@@ -1527,12 +1901,13 @@ async function computeNewContactEmergence(baselineFilter, recentFilter, phoneFil
 }
 
 // ANOMALY 3: NIGHT_ACTIVITY_SHIFT
-async function computeNightActivityShift(baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phoneFilter) {
+async function computeNightActivityShift(baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phoneFilter, grouping) {
   const alerts = [];
 
   // Aggregate night activity per phone
   const baselineNight = await EventCanonical.aggregate([
     { $match: { ...baselineFilter, is_night: true } },
+    ...grouping.stages,
     {
       $project: {
         phones: {
@@ -1572,6 +1947,7 @@ async function computeNightActivityShift(baselineFilter, recentFilter, baselineD
 
   const baselineTotal = await EventCanonical.aggregate([
     { $match: baselineFilter },
+    ...grouping.stages,
     {
       $project: {
         phones: {
@@ -1611,6 +1987,7 @@ async function computeNightActivityShift(baselineFilter, recentFilter, baselineD
 
   const recentNight = await EventCanonical.aggregate([
     { $match: { ...recentFilter, is_night: true } },
+    ...grouping.stages,
     {
       $project: {
         phones: {
@@ -1650,6 +2027,7 @@ async function computeNightActivityShift(baselineFilter, recentFilter, baselineD
 
   const recentTotal = await EventCanonical.aggregate([
     { $match: recentFilter },
+    ...grouping.stages,
     {
       $project: {
         phones: {
@@ -1745,12 +2123,13 @@ async function computeNightActivityShift(baselineFilter, recentFilter, baselineD
 }
 
 // ANOMALY 4: BURST_PATTERN_CHANGE
-async function computeBurstPatternChange(baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phoneFilter) {
+async function computeBurstPatternChange(baselineFilter, recentFilter, baselineDaysCount, recentDaysCount, phoneFilter, grouping) {
   const alerts = [];
 
   // Aggregate burst sizes per phone per burst_session_id
   const baselineBursts = await EventCanonical.aggregate([
     { $match: { ...baselineFilter, burst_session_id: { $exists: true, $ne: null } } },
+    ...grouping.stages,
     {
       $project: {
         phones: {
@@ -1799,6 +2178,7 @@ async function computeBurstPatternChange(baselineFilter, recentFilter, baselineD
 
   const recentBursts = await EventCanonical.aggregate([
     { $match: { ...recentFilter, burst_session_id: { $exists: true, $ne: null } } },
+    ...grouping.stages,
     {
       $project: {
         phones: {
@@ -1914,20 +2294,100 @@ async function computeBurstPatternChange(baselineFilter, recentFilter, baselineD
   return alerts;
 }
 
+// A new IMSI or IMEI seen on fewer records than this is more likely a bad record than a change
+const MIN_NEW_DEVICE_EVENTS = 2;
+
+// ANOMALY 5: SIM_SWAP / HANDSET_CHANGE
+async function computeDeviceChanges(baselineFilter, recentFilter, baselineDaysCount, phoneFilter, grouping) {
+  const alerts = [];
+
+  const phoneNumbers = phoneFilter ? grouping.numbersOf(phoneFilter) : undefined;
+  const [baselineUsage, recentUsage] = await Promise.all([
+    getDeviceUsage(baselineFilter, phoneNumbers, grouping.stages),
+    getDeviceUsage(recentFilter, phoneNumbers, grouping.stages)
+  ]);
+
+  const kinds = [
+    { type: 'SIM_SWAP', list: 'sims', key: 'imsi', windowKey: 'imsis', label: 'IMSI', noun: 'SIM', title: 'SIM' },
+    { type: 'HANDSET_CHANGE', list: 'handsets', key: 'imei', windowKey: 'imeis', label: 'IMEI', noun: 'handset', title: 'Handset' }
+  ];
+
+  for (const [phone, recent] of recentUsage.entries()) {
+    const baseline = baselineUsage.get(phone);
+    if (!baseline) continue;
+
+    for (const kind of kinds) {
+      const baselineIds = new Set(baseline[kind.list].map(entry => entry[kind.key]));
+      if (baselineIds.size === 0) continue;
+
+      const recentIds = new Set(recent[kind.list].map(entry => entry[kind.key]));
+      const newEntries = recent[kind.list].filter(entry =>
+        !baselineIds.has(entry[kind.key]) && entry.eventCount >= MIN_NEW_DEVICE_EVENTS
+      );
+      if (newEntries.length === 0) continue;
+
+      const previousIds = [...baselineIds];
+      const newIds = newEntries.map(entry => entry[kind.key]);
+      const replaced = previousIds.every(id => !recentIds.has(id));
+      const newEventCount = newEntries.reduce((sum, entry) => sum + entry.eventCount, 0);
+      const firstSeenNew = newEntries[0].firstSeen;
+
+      // A SIM taken over by a new one is the classic swap; a second handset alongside the old one is the weakest signal
+      let severity;
+      if (kind.type === 'SIM_SWAP') severity = replaced ? 'high' : 'medium';
+      else severity = replaced ? 'medium' : 'low';
+
+      const baselineEvents = baseline[kind.list].reduce((sum, entry) => sum + entry.eventCount, 0);
+      const recentEvents = recent[kind.list].reduce((sum, entry) => sum + entry.eventCount, 0);
+      const confidence = calculateConfidence(baselineDaysCount, baselineEvents);
+      const firstSeenDate = firstSeenNew.toISOString().slice(0, 10);
+
+      alerts.push({
+        id: generateAlertId(kind.type, phone, newIds.join(','), recentFilter.timestamp_utc.$lte, { replaced }),
+        type: kind.type,
+        severity,
+        confidence,
+        phone,
+        related: {},
+        window: {
+          baseline: { [kind.windowKey]: previousIds.join(', '), events: baselineEvents },
+          recent: { [kind.windowKey]: [...recentIds].join(', '), events: recentEvents }
+        },
+        metrics: {
+          [`previous${kind.label}s`]: previousIds,
+          [`new${kind.label}s`]: newIds,
+          replaced,
+          newEventCount,
+          firstSeenNew: firstSeenNew.toISOString()
+        },
+        explanation: replaced
+          ? `${kind.title} changed: ${kind.label} ${newIds.join(', ')} replaced ${previousIds.join(', ')} from ${firstSeenDate} (${newEventCount} events)`
+          : `New ${kind.noun} ${kind.label} ${newIds.join(', ')} appeared on ${firstSeenDate} with ${newEventCount} events while ${previousIds.join(', ')} stayed in use`,
+        recommendedActions: ['VIEW_EVENTS', 'VIEW_NETWORK', 'VIEW_TIMELINE']
+      });
+    }
+  }
+
+  return alerts;
+}
+
 // GEOGRAPHY ANALYTICS ENDPOINTS
 
 // GET /api/geo/summary - Get geographic summary statistics
 router.get('/geo/summary', async (req, res) => {
   try {
-    const uploadId = await resolveUploadId(req.query);
-    if (!uploadId) {
-      return res.status(400).json({ error: 'uploadId is required' });
+    const scope = await resolveScope(req.query, { allowAll: false });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    if (!scope.uploadIds) {
+      return res.status(400).json({ error: 'uploadId or caseId is required' });
     }
 
-    const { from, to, eventType = 'all', phone } = req.query;
+    const { from, to, eventType = 'all', phone, locationSource = 'all' } = req.query;
 
     // Build filter
-    const filter = { uploadId };
+    const filter = { ...scope.filter };
     
     if (from || to) {
       filter.timestamp_utc = {};
@@ -1939,8 +2399,13 @@ router.get('/geo/summary', async (req, res) => {
       filter.event_type = eventType;
     }
 
+    // gps = coordinates from the CDR, cell_tower = position of the serving cell site
+    if (locationSource && locationSource !== 'all') {
+      filter.location_source = locationSource;
+    }
+
     if (phone) {
-      const phoneStr = String(phone).trim();
+      const phoneStr = canonicalizeNumber(phone, await getScopeCountry(scope)).number;
       filter.$or = [
         { caller_number: phoneStr },
         { receiver_number: phoneStr }
@@ -1960,10 +2425,20 @@ router.get('/geo/summary', async (req, res) => {
       $lte: 180
     };
 
+    // Events that have a cell ID but no reference site yet (not on the map)
+    const cellOnlyFilter = { ...filter, location_source: 'cell_id' };
+    delete cellOnlyFilter.latitude;
+    delete cellOnlyFilter.longitude;
+
     // Get summary stats
-    const [totalEventsInWindow, eventsWithCoords, bboxResult] = await Promise.all([
-      EventCanonical.countDocuments({ uploadId, ...(from || to ? { timestamp_utc: filter.timestamp_utc } : {}) }),
+    const [totalEventsInWindow, eventsWithCoords, sourceCounts, cellOnlyEvents, bboxResult] = await Promise.all([
+      EventCanonical.countDocuments({ ...scope.filter, ...(from || to ? { timestamp_utc: filter.timestamp_utc } : {}) }),
       EventCanonical.countDocuments(filter),
+      EventCanonical.aggregate([
+        { $match: filter },
+        { $group: { _id: '$location_source', count: { $sum: 1 } } }
+      ]),
+      EventCanonical.countDocuments(cellOnlyFilter),
       EventCanonical.aggregate([
         { $match: filter },
         {
@@ -2007,9 +2482,14 @@ router.get('/geo/summary', async (req, res) => {
       }
     ]);
 
+    const countBySource = (source) => sourceCounts.find(s => s._id === source)?.count || 0;
+
     res.json({
       totalEventsInWindow,
       eventsWithCoords,
+      gpsEvents: countBySource('gps'),
+      cellTowerEvents: countBySource('cell_tower'),
+      cellOnlyEvents,
       uniqueLocationsCount: uniqueLocations[0]?.count || 0,
       bbox: bbox ? {
         minLat: bbox.minLat,
@@ -2031,16 +2511,19 @@ router.get('/geo/summary', async (req, res) => {
 // GET /api/geo/heatmap - Get aggregated heatmap data
 router.get('/geo/heatmap', async (req, res) => {
   try {
-    const uploadId = await resolveUploadId(req.query);
-    if (!uploadId) {
-      return res.status(400).json({ error: 'uploadId is required' });
+    const scope = await resolveScope(req.query, { allowAll: false });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    if (!scope.uploadIds) {
+      return res.status(400).json({ error: 'uploadId or caseId is required' });
     }
 
-    const { from, to, eventType = 'all', phone, grid = '0.01' } = req.query;
+    const { from, to, eventType = 'all', phone, locationSource = 'all', grid = '0.01' } = req.query;
     const gridSize = parseFloat(grid) || 0.01;
 
     // Build filter
-    const filter = { uploadId };
+    const filter = { ...scope.filter };
     
     if (from || to) {
       filter.timestamp_utc = {};
@@ -2052,8 +2535,13 @@ router.get('/geo/heatmap', async (req, res) => {
       filter.event_type = eventType;
     }
 
+    // gps = coordinates from the CDR, cell_tower = position of the serving cell site
+    if (locationSource && locationSource !== 'all') {
+      filter.location_source = locationSource;
+    }
+
     if (phone) {
-      const phoneStr = String(phone).trim();
+      const phoneStr = canonicalizeNumber(phone, await getScopeCountry(scope)).number;
       filter.$or = [
         { caller_number: phoneStr },
         { receiver_number: phoneStr }
@@ -2129,16 +2617,19 @@ router.get('/geo/heatmap', async (req, res) => {
 // GET /api/geo/trace - Get movement trace for a specific phone
 router.get('/geo/trace', async (req, res) => {
   try {
-    const uploadId = await resolveUploadId(req.query);
-    if (!uploadId) {
-      return res.status(400).json({ error: 'uploadId is required' });
+    const scope = await resolveScope(req.query, { allowAll: false });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    if (!scope.uploadIds) {
+      return res.status(400).json({ error: 'uploadId or caseId is required' });
     }
 
-    const { from, to, eventType = 'all', phone, limit = '2000' } = req.query;
+    const { from, to, eventType = 'all', phone, locationSource = 'all', limit = '2000' } = req.query;
     const limitNum = parseInt(limit) || 2000;
 
     // Build filter
-    const filter = { uploadId };
+    const filter = { ...scope.filter };
     
     if (from || to) {
       filter.timestamp_utc = {};
@@ -2150,9 +2641,13 @@ router.get('/geo/trace', async (req, res) => {
       filter.event_type = eventType;
     }
 
+    if (locationSource && locationSource !== 'all') {
+      filter.location_source = locationSource;
+    }
+
     // Phone filter is optional (if provided, filter by phone; otherwise return all points)
+    const phoneStr = phone ? canonicalizeNumber(phone, await getScopeCountry(scope)).number : null;
     if (phone) {
-      const phoneStr = String(phone).trim();
       filter.$or = [
         { caller_number: phoneStr },
         { receiver_number: phoneStr }
@@ -2185,9 +2680,11 @@ router.get('/geo/trace', async (req, res) => {
           lng: '$longitude',
           timestampUtc: '$timestamp_utc',
           eventType: '$event_type',
+          locationSource: '$location_source',
+          cellSiteName: '$cell_site_name',
           counterparty: phone ? {
             $cond: [
-              { $eq: [{ $trim: { $input: '$caller_number' } }, String(phone).trim()] },
+              { $eq: [{ $trim: { $input: '$caller_number' } }, phoneStr] },
               '$receiver_number',
               '$caller_number'
             ]
@@ -2222,4 +2719,59 @@ router.get('/geo/trace', async (req, res) => {
   }
 });
 
+// GET /api/geo/colocation - When numbers shared a location (same cell or within a distance)
+// numbers=A,B[,...] finds meetings between the given numbers; number=X finds every number that met X
+router.get('/geo/colocation', async (req, res) => {
+  try {
+    const scope = await resolveScope(req.query, { allowAll: false });
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+    }
+    if (!scope.uploadIds) {
+      return res.status(400).json({ error: 'uploadId or caseId is required' });
+    }
+
+    const { numbers, number, from, to, limit = '500' } = req.query;
+    if (!numbers === !number) {
+      return res.status(400).json({ error: 'Provide either numbers (two or more) or number' });
+    }
+
+    const parsedOptions = parseCoLocationOptions(req.query);
+    if (parsedOptions.error) {
+      return res.status(400).json({ error: parsedOptions.error });
+    }
+    const options = {
+      ...parsedOptions.options,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 500, 1), 5000)
+    };
+
+    const filter = { ...scope.filter };
+    if (from || to) {
+      filter.timestamp_utc = {};
+      if (from) filter.timestamp_utc.$gte = new Date(from);
+      if (to) filter.timestamp_utc.$lte = new Date(to);
+    }
+
+    const country = await getScopeCountry(scope);
+    if (numbers) {
+      const parsed = parseTargetNumbers(numbers, country);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const result = await findMeetings(filter, parsed.targets, options);
+      return res.json({ mode: 'pairs', targets: parsed.targets, ...parsedOptions.options, ...result });
+    }
+
+    const subject = canonicalizeNumber(number, country).number;
+    if (!subject) {
+      return res.status(400).json({ error: 'number is empty' });
+    }
+    const result = await findCoLocatedNumbers(filter, subject, options);
+    res.json({ mode: 'around', number: subject, ...parsedOptions.options, ...result });
+  } catch (error) {
+    console.error('Geo colocation error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,186 @@
+/**
+ * CASE ROUTES
+ *
+ * Case workspaces group the uploads of one investigation. Analytics, events and geo routes
+ * accept caseId to read every upload in a case without mixing in other cases.
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import Case from '../models/Case.js';
+import Upload from '../models/Upload.js';
+import EventCanonical from '../models/EventCanonical.js';
+import Entity from '../models/Entity.js';
+import { unlinkDuplicates } from '../utils/uploadFinalizer.js';
+import { getActiveJobForUpload } from '../utils/ingestionJobs.js';
+
+const router = express.Router();
+
+function toCaseResponse(doc, counts = {}) {
+  return {
+    caseId: doc.caseId,
+    name: doc.name,
+    description: doc.description || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    uploadCount: counts.uploadCount || 0,
+    eventCount: counts.eventCount || 0
+  };
+}
+
+/**
+ * Upload and event counts per case
+ */
+async function getCaseCounts(caseIds) {
+  const uploads = await Upload.find({ caseId: { $in: caseIds } }).select('uploadId caseId').lean();
+  const caseByUpload = new Map(uploads.map(u => [u.uploadId, u.caseId]));
+
+  const eventCounts = await EventCanonical.aggregate([
+    // Copies linked to an event in another upload of the case are counted once
+    { $match: { uploadId: { $in: uploads.map(u => u.uploadId) }, is_duplicate: { $ne: true } } },
+    { $group: { _id: '$uploadId', count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map(caseIds.map(id => [id, { uploadCount: 0, eventCount: 0 }]));
+  uploads.forEach(u => { counts.get(u.caseId).uploadCount++; });
+  eventCounts.forEach(({ _id, count }) => { counts.get(caseByUpload.get(_id)).eventCount += count; });
+  return counts;
+}
+
+// GET /api/cases - List cases, most recently created first
+router.get('/', async (req, res) => {
+  try {
+    const cases = await Case.find().sort({ createdAt: -1 }).lean();
+    const counts = await getCaseCounts(cases.map(c => c.caseId));
+
+    res.json({ cases: cases.map(c => toCaseResponse(c, counts.get(c.caseId))) });
+  } catch (error) {
+    console.error('List cases error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/cases - Create a case
+router.post('/', async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Case name is required' });
+    }
+
+    const doc = await Case.create({
+      caseId: uuidv4(),
+      name: String(name).trim(),
+      description: description ? String(description) : null
+    });
+
+    res.status(201).json(toCaseResponse(doc.toObject()));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A case with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create case error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/cases/:caseId - Case with its upload and event counts
+router.get('/:caseId', async (req, res) => {
+  try {
+    const doc = await Case.findOne({ caseId: req.params.caseId }).lean();
+
+    if (!doc) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const counts = await getCaseCounts([doc.caseId]);
+    res.json(toCaseResponse(doc, counts.get(doc.caseId)));
+  } catch (error) {
+    console.error('Get case error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/cases/:caseId - Rename a case or edit its description
+router.patch('/:caseId', async (req, res) => {
+  try {
+    const update = { updatedAt: new Date() };
+    if (req.body.name !== undefined) {
+      if (!req.body.name || !String(req.body.name).trim()) {
+        return res.status(400).json({ error: 'Case name is required' });
+      }
+      update.name = String(req.body.name).trim();
+    }
+    if (req.body.description !== undefined) {
+      update.description = req.body.description ? String(req.body.description) : null;
+    }
+
+    const doc = await Case.findOneAndUpdate(
+      { caseId: req.params.caseId },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!doc) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const counts = await getCaseCounts([doc.caseId]);
+    res.json(toCaseResponse(doc, counts.get(doc.caseId)));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A case with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update case error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/cases/:caseId - Delete a case with its entities; its uploads are kept and become unassigned
+router.delete('/:caseId', async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const existing = await Case.findOne({ caseId }).select('caseId').lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    // A running job saves its upload and links its duplicates with the case it started in
+    const uploadIds = await Upload.distinct('uploadId', { caseId });
+    for (const uploadId of uploadIds) {
+      const activeJob = await getActiveJobForUpload(uploadId);
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'An upload of the case is still being ingested; wait for the job to finish before deleting the case',
+          uploadId,
+          jobId: activeJob.jobId
+        });
+      }
+    }
+
+    const result = await Case.deleteOne({ caseId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const released = await Upload.updateMany({ caseId }, { $set: { caseId: null } });
+    // Uploads outside a case are not deduplicated against each other
+    await unlinkDuplicates(uploadIds);
+    const entities = await Entity.deleteMany({ caseId });
+
+    res.json({ deleted: true, caseId, uploadsReleased: released.modifiedCount, entitiesDeleted: entities.deletedCount });
+  } catch (error) {
+    console.error('Delete case error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+/**
+ * CELL SITE ROUTES
+ *
+ * Import of cell site reference tables (cell ID, LAC, MCC/MNC, coordinates, azimuth, site name)
+ * and the backfill that geolocates already-ingested cell-only events from them.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import CellSite from '../models/CellSite.js';
+import { parseCellSiteFile, saveCellSites, locateStoredEvents } from '../utils/cellSites.js';
+import { committedEventFilter } from '../utils/uploadSession.js';
+
+const router = express.Router();
+
+// Reference tables are a few rows per cell, far smaller than CDR dumps, so they are parsed in memory
+const MAX_REFERENCE_SIZE_MB = 100;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_REFERENCE_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.xls', '.xlsx'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, XLS, and XLSX files are allowed'), false);
+    }
+  }
+});
+
+// GET /api/cell-sites - List imported cell sites
+router.get('/', async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+    const filter = {};
+    if (search) {
+      const pattern = String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { cell_id: { $regex: `^${pattern}`, $options: 'i' } },
+        { site_name: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [sites, total] = await Promise.all([
+      CellSite.find(filter)
+        .sort({ cell_id: 1, lac: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      CellSite.countDocuments(filter)
+    ]);
+
+    res.json({
+      sites,
+      pagination: { page: pageNum, limit: limitNum, total }
+    });
+  } catch (error) {
+    console.error('Cell sites error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/cell-sites/import - Import a reference file, then locate cell-only events in all committed uploads
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const parsed = parseCellSiteFile(req.file.buffer, req.file.originalname);
+    if (parsed.missingColumns.length > 0) {
+      return res.status(400).json({
+        error: `Missing required columns: ${parsed.missingColumns.join(', ')}`,
+        headers: parsed.headers
+      });
+    }
+    if (parsed.sites.length === 0) {
+      return res.status(400).json({ error: 'No valid cell sites found in file', errors: parsed.errors });
+    }
+
+    const saved = await saveCellSites(parsed.sites, { replace: req.body.replace === 'true' });
+    // Records a running job has staged are located by that job, against the table it reads then
+    const backfill = await locateStoredEvents(await committedEventFilter());
+
+    res.json({
+      fileName: req.file.originalname,
+      totalRows: parsed.totalRows,
+      validSites: parsed.sites.length,
+      rejectedRows: parsed.totalRows - parsed.sites.length,
+      ...saved,
+      errors: parsed.errors,
+      backfill
+    });
+  } catch (error) {
+    console.error('Cell site import error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/cell-sites/backfill - Locate cell-only events from the current reference table
+router.post('/backfill', async (req, res) => {
+  try {
+    const { uploadId } = req.body || {};
+    const filter = await committedEventFilter(uploadId ? String(uploadId) : null);
+
+    const result = await locateStoredEvents(filter);
+
+    res.json({ uploadId: uploadId || null, ...result });
+  } catch (error) {
+    console.error('Cell site backfill error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Error handling middleware for multer (must be after routes)
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: `File size too large. Maximum size is ${MAX_REFERENCE_SIZE_MB}MB.` });
+    }
+    return res.status(400).json({ error: `Upload error: ${err.message}` });
+  }
+  if (err) {
+    return res.status(400).json({ error: err.message || 'File upload failed' });
+  }
+  next(err);
+});
+
+export default router;
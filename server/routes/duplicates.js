@@ -0,0 +1,153 @@
+/**
+ * NEAR-DUPLICATE ROUTES
+ *
+ * Review of records that look like the same event but were not close enough to be removed
+ * during ingestion. Each cluster is merged or kept separate; decisions survive re-ingestion.
+ */
+
+import express from 'express';
+import Upload from '../models/Upload.js';
+import DuplicateDecision from '../models/DuplicateDecision.js';
+import { getActiveJobForUpload } from '../utils/ingestionJobs.js';
+import { relinkCaseDuplicates } from '../utils/uploadSession.js';
+import {
+  findNearDuplicateClusters,
+  decideCluster,
+  DEFAULT_TOLERANCE_SECONDS,
+  MAX_TOLERANCE_SECONDS,
+  DEFAULT_CLUSTER_LIMIT,
+  MAX_CLUSTER_LIMIT
+} from '../utils/nearDuplicates.js';
+
+const router = express.Router();
+
+// GET /api/duplicates/near - Near-duplicate clusters of an upload
+// Query params: uploadId (required), tolerance (seconds, default 5), limit, pendingOnly
+router.get('/near', async (req, res) => {
+  try {
+    const { uploadId, tolerance, limit, pendingOnly } = req.query;
+
+    if (!uploadId) {
+      return res.status(400).json({ error: 'uploadId is required' });
+    }
+
+    const toleranceSeconds = tolerance === undefined ? DEFAULT_TOLERANCE_SECONDS : Number(tolerance);
+    if (!Number.isFinite(toleranceSeconds) || toleranceSeconds < 0 || toleranceSeconds > MAX_TOLERANCE_SECONDS) {
+      return res.status(400).json({ error: `tolerance must be between 0 and ${MAX_TOLERANCE_SECONDS} seconds` });
+    }
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_CLUSTER_LIMIT, 1), MAX_CLUSTER_LIMIT);
+
+    const upload = await Upload.exists({ uploadId: String(uploadId) });
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const result = await findNearDuplicateClusters(String(uploadId), {
+      toleranceSeconds,
+      limit: limitNum,
+      pendingOnly: pendingOnly === 'true'
+    });
+
+    res.json({ uploadId, toleranceSeconds, limit: limitNum, ...result });
+  } catch (error) {
+    console.error('Near-duplicate scan error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/duplicates/decisions - Decisions recorded for an upload, newest first
+router.get('/decisions', async (req, res) => {
+  try {
+    const { uploadId } = req.query;
+
+    if (!uploadId) {
+      return res.status(400).json({ error: 'uploadId is required' });
+    }
+
+    const decisions = await DuplicateDecision.find({ uploadId: String(uploadId) })
+      .select('-_id -__v -fingerprints')
+      .sort({ decidedAt: -1 })
+      .lean();
+
+    res.json({ decisions });
+  } catch (error) {
+    console.error('List duplicate decisions error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/duplicates/decisions - Merge a cluster or keep its records separate
+// Body: { uploadId, recordIds: [record_id, ...], decision: 'merge' | 'separate', note }
+router.post('/decisions', async (req, res) => {
+  try {
+    const { uploadId, recordIds, decision, note } = req.body;
+
+    if (!uploadId) {
+      return res.status(400).json({ error: 'uploadId is required' });
+    }
+    if (!Array.isArray(recordIds) || recordIds.length < 2) {
+      return res.status(400).json({ error: 'recordIds must list at least two records' });
+    }
+    if (!['merge', 'separate'].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'merge' or 'separate'" });
+    }
+
+    const upload = await Upload.findOne({ uploadId: String(uploadId) }).select('caseId').lean();
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const activeJob = await getActiveJobForUpload(String(uploadId));
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'Upload is still being ingested; review its duplicates once the job has finished',
+        jobId: activeJob.jobId
+      });
+    }
+
+    const result = await decideCluster(String(uploadId), recordIds.map(String), {
+      decision,
+      note: note ? String(note) : null
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // The removed records may have been what other uploads of the case were linked to
+    if (result.merge) {
+      await relinkCaseDuplicates(upload.caseId);
+    }
+
+    const { _id, __v, fingerprints, ...saved } = result.decision;
+    res.status(201).json({ decision: saved, merge: result.merge });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Record duplicate decision error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/duplicates/decisions/:decisionId - Withdraw a keep-separate decision
+router.delete('/decisions/:decisionId', async (req, res) => {
+  try {
+    const decision = await DuplicateDecision.findOne({ decisionId: req.params.decisionId }).lean();
+
+    if (!decision) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+    if (decision.decision === 'merge') {
+      // The extra records are gone; only re-ingesting the upload would bring them back
+      return res.status(409).json({ error: 'A merge cannot be undone' });
+    }
+
+    await DuplicateDecision.deleteOne({ decisionId: decision.decisionId });
+    res.json({ deleted: true, decisionId: decision.decisionId });
+  } catch (error) {
+    console.error('Delete duplicate decision error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
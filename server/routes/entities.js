@@ -0,0 +1,212 @@
+/**
+ * ENTITY ROUTES
+ *
+ * Entities link the numbers one person uses, within a case (or an upload outside any case).
+ * Network, top-contacts and anomalies take groupBy=entity to treat those numbers as one party.
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import Entity from '../models/Entity.js';
+import { resolveScope, getScopeCountry, SCOPE_NOT_FOUND_ERROR } from '../utils/uploadSession.js';
+import { canonicalizeNumber } from '../utils/numberingPlan.js';
+import { entityKey, entityScopeFilter, loadEntityGrouping } from '../utils/entities.js';
+import { suggestEntityLinks } from '../utils/entitySuggestions.js';
+
+const router = express.Router();
+
+function toEntityResponse(doc) {
+  return {
+    entityId: doc.entityId,
+    key: entityKey(doc.entityId),
+    caseId: doc.caseId,
+    uploadId: doc.uploadId,
+    name: doc.name,
+    numbers: doc.numbers,
+    notes: doc.notes || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+// A case, or an upload outside any case; entities never span all uploads
+async function resolveEntityScope(query) {
+  const scope = await resolveScope(query, { allowAll: false });
+  if (!scope) return { status: 404, error: SCOPE_NOT_FOUND_ERROR };
+  if (!scope.caseId && !scope.uploadId) return { status: 400, error: 'uploadId or caseId is required' };
+  return { scope };
+}
+
+/**
+ * Canonical numbers of a request body, without repeats
+ * @returns {Promise<Object>} { numbers } or { error }
+ */
+async function parseEntityNumbers(value, scope) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'numbers must be a non-empty array' };
+  }
+  const country = await getScopeCountry(scope);
+  const numbers = [...new Set(value.map(entry => canonicalizeNumber(String(entry), country).number).filter(Boolean))];
+  if (numbers.length === 0) {
+    return { error: 'numbers must contain at least one number' };
+  }
+  return { numbers };
+}
+
+/**
+ * 409 message when any of the numbers already belongs to another entity of the scope
+ */
+async function findLinkConflict(entity, numbers) {
+  const other = await Entity.findOne({
+    ...entityScopeFilter(entity),
+    entityId: { $ne: entity.entityId },
+    numbers: { $in: numbers }
+  }).lean();
+  if (!other) return null;
+  const taken = numbers.filter(number => other.numbers.includes(number));
+  return `${taken.join(', ')} already belong${taken.length === 1 ? 's' : ''} to ${other.name}`;
+}
+
+// GET /api/entities - Entities of a case or upload, oldest first
+router.get('/', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveEntityScope(req.query);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const entities = await Entity.find(entityScopeFilter(scope)).sort({ createdAt: 1 }).lean();
+    res.json({ entities: entities.map(toEntityResponse), caseId: scope.caseId, uploadId: scope.uploadId });
+  } catch (error) {
+    console.error('List entities error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/entities/suggestions - Numbers that are probably one person, with the evidence
+router.get('/suggestions', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveEntityScope(req.query);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const grouping = await loadEntityGrouping(scope);
+    const suggestions = await suggestEntityLinks(scope.filter, grouping);
+    res.json({ suggestions, caseId: scope.caseId, uploadId: scope.uploadId });
+  } catch (error) {
+    console.error('Entity suggestions error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/entities - Create an entity
+// Body: { caseId | uploadId, name, numbers: [...], notes }
+router.post('/', async (req, res) => {
+  try {
+    const { scope, status, error } = await resolveEntityScope(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { name, notes } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Entity name is required' });
+    }
+    const parsed = await parseEntityNumbers(req.body.numbers, scope);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const entity = {
+      entityId: uuidv4(),
+      caseId: scope.caseId,
+      uploadId: scope.caseId ? null : scope.uploadId
+    };
+    const conflict = await findLinkConflict(entity, parsed.numbers);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const doc = await Entity.create({
+      ...entity,
+      name: String(name).trim(),
+      numbers: parsed.numbers,
+      notes: notes ? String(notes) : null
+    });
+
+    res.status(201).json(toEntityResponse(doc.toObject()));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create entity error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/entities/:entityId - Rename an entity, replace its numbers or edit its notes
+router.patch('/:entityId', async (req, res) => {
+  try {
+    const entity = await Entity.findOne({ entityId: req.params.entityId }).lean();
+    if (!entity) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+
+    const update = { updatedAt: new Date() };
+    if (req.body.name !== undefined) {
+      if (!req.body.name || !String(req.body.name).trim()) {
+        return res.status(400).json({ error: 'Entity name is required' });
+      }
+      update.name = String(req.body.name).trim();
+    }
+    if (req.body.notes !== undefined) {
+      update.notes = req.body.notes ? String(req.body.notes) : null;
+    }
+    if (req.body.numbers !== undefined) {
+      const scope = await resolveScope(entity.caseId ? { caseId: entity.caseId } : { uploadId: entity.uploadId }, { allowAll: false });
+      if (!scope) {
+        return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
+      }
+      const parsed = await parseEntityNumbers(req.body.numbers, scope);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const conflict = await findLinkConflict(entity, parsed.numbers);
+      if (conflict) {
+        return res.status(409).json({ error: conflict });
+      }
+      update.numbers = parsed.numbers;
+    }
+
+    const doc = await Entity.findOneAndUpdate(
+      { entityId: entity.entityId },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    res.json(toEntityResponse(doc));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update entity error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/entities/:entityId - Delete an entity; its numbers become separate parties again
+router.delete('/:entityId', async (req, res) => {
+  try {
+    const result = await Entity.deleteOne({ entityId: req.params.entityId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Entity not found' });
+    }
+    res.json({ deleted: true, entityId: req.params.entityId });
+  } catch (error) {
+    console.error('Delete entity error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
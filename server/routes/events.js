@@ -2,7 +2,8 @@ import express from 'express';
 // MIGRATION: EventCanonical is now the single source of truth
 // import Event from '../models/Event.js'; // DISABLED - canonical migration complete
 import EventCanonical from '../models/EventCanonical.js';
-import { resolveUploadId } from '../utils/uploadSession.js';
+import { resolveScope, getScopeCountry, SCOPE_NOT_FOUND_ERROR } from '../utils/uploadSession.js';
+import { canonicalizeNumber, toNumberSearchPattern } from '../utils/numberingPlan.js';
 
 const router = express.Router();
 
@@ -15,22 +16,22 @@ router.get('/', async (req, res) => {
       startDate,
       endDate,
       number,
+      counterparty,
       eventType,
       direction,
       sortBy = 'startTime', // Frontend expects startTime, we'll map to timestamp_utc
       sortOrder = 'desc'
     } = req.query;
 
-    // Resolve uploadId filter (string, not ObjectId)
-    const uploadId = await resolveUploadId(req.query);
-    
-    // Build canonical filter
-    const filter = {};
-
-    // Add uploadId filter if specified
-    if (uploadId) {
-      filter.uploadId = uploadId;
+    // Resolve upload/case scope (uploadId strings, not ObjectId)
+    const scope = await resolveScope(req.query);
+    if (!scope) {
+      return res.status(404).json({ error: SCOPE_NOT_FOUND_ERROR });
     }
+    const { uploadId } = scope;
+    
+    // Build canonical filter, starting from the scope's uploads
+    const filter = { ...scope.filter };
 
     // Date filters - use timestamp_utc
     if (startDate || endDate) {
@@ -43,11 +44,25 @@ router.get('/', async (req, res) => {
       }
     }
 
-    // Number filter - use caller_number/receiver_number
-    if (number) {
+    if (counterparty && !number) {
+      return res.status(400).json({ error: 'counterparty needs a number to pair it with' });
+    }
+
+    // Number filter - use caller_number/receiver_number. With a counterparty only the events
+    // between the two numbers match (exact canonical numbers, for drill-down from common contacts)
+    if (number && counterparty) {
+      const country = await getScopeCountry(scope);
+      const a = canonicalizeNumber(number, country).number;
+      const b = canonicalizeNumber(counterparty, country).number;
+      filter.$or = [
+        { caller_number: a, receiver_number: b },
+        { caller_number: b, receiver_number: a }
+      ];
+    } else if (number) {
+      const numberPattern = toNumberSearchPattern(number, await getScopeCountry(scope));
       filter.$or = [
-        { caller_number: { $regex: number, $options: 'i' } },
-        { receiver_number: { $regex: number, $options: 'i' } }
+        { caller_number: { $regex: numberPattern, $options: 'i' } },
+        { receiver_number: { $regex: numberPattern, $options: 'i' } }
       ];
     }
 
@@ -130,14 +145,31 @@ router.get('/', async (req, res) => {
         longitude: event.longitude,
         cell_id: event.cell_id,
         location_source: event.location_source,
+        cell_site_name: event.cell_site_name || null,
+        cell_azimuth: event.cell_azimuth ?? null,
         timestamp_local: event.timestamp_local,
         timestamp_utc: event.timestamp_utc,
+        source_timezone: event.source_timezone || null,
         call_duration_seconds: event.call_duration_seconds,
         caller_number: event.caller_number,
         receiver_number: event.receiver_number,
+        caller_number_raw: event.caller_number_raw || null,
+        receiver_number_raw: event.receiver_number_raw || null,
+        caller_number_class: event.caller_number_class || null,
+        receiver_number_class: event.receiver_number_class || null,
         imei: event.imei,
         imsi: event.imsi,
-        service_provider: event.service_provider
+        service_provider: event.service_provider,
+        is_duplicate: !!event.is_duplicate,
+        duplicate_of: event.duplicate_of || null,
+        duplicate_of_upload: event.duplicate_of_upload || null,
+        sources: (event.sources || []).map(source => ({
+          uploadId: source.uploadId || null,
+          fileName: source.source_file || null,
+          sheetName: source.source_sheet || null,
+          rowNumber: source.source_row_number || null,
+          linked: !!source.linked
+        }))
       }
     }));
 
@@ -149,7 +181,8 @@ router.get('/', async (req, res) => {
         total,
         pages: Math.ceil(total / parseInt(limit))
       },
-      uploadId: uploadId || null // Return resolved uploadId
+      uploadId: uploadId || null, // Return resolved uploadId
+      caseId: scope.caseId
     });
 
   } catch (error) {
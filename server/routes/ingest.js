@@ -2,7 +2,7 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parseFile } from '../utils/fileParser.js';
+import { streamFile } from '../utils/fileParser.js';
 import Event from '../models/Event.js';
 import Upload from '../models/Upload.js';
 import { v4 as uuidv4 } from 'uuid';
@@ -12,6 +12,41 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+/**
+ * Insert a batch of parsed rows for the upload, returning how many were written
+ */
+async function insertEvents(results, uploadId, fileName) {
+  if (results.length === 0) return 0;
+
+  // Attach uploadId to all events before inserting
+  // CRITICAL: Ensure uploadId is a string and is attached to EVERY event
+  const eventsWithSession = results.map(event => {
+    // Ensure uploadId is explicitly set (no old field names)
+    const eventWithUploadId = { ...event };
+    delete eventWithUploadId.uploadSessionId; // Remove any old field
+    eventWithUploadId.uploadId = uploadId; // Set new field
+    return eventWithUploadId;
+  });
+
+  try {
+    // Use insertMany with ordered: false to continue on errors
+    const insertResult = await Event.insertMany(eventsWithSession, { ordered: false });
+    return insertResult.length;
+  } catch (error) {
+    // Some records may have failed, but some may have succeeded
+    // Count actual inserted by checking writeErrors
+    if (error.writeErrors && Array.isArray(error.writeErrors)) {
+      return results.length - error.writeErrors.length;
+    }
+    if (error.insertedDocs && Array.isArray(error.insertedDocs)) {
+      return error.insertedDocs.length;
+    }
+    // If we can't determine, assume none were inserted
+    console.error(`Database insert error for ${fileName}:`, error.message);
+    return 0;
+  }
+}
+
 // POST /api/ingest - Process uploaded files
 router.post('/', async (req, res) => {
   try {
@@ -56,37 +91,35 @@ router.post('/', async (req, res) => {
         continue;
       }
 
-      let buffer;
+      // Streamed batch by batch, like canonical ingestion, so a large file is never held in memory
+      let inserted = 0;
+      let rowCount = 0;
+      let errorCount = 0;
+      let warningsCount = 0;
+      const errorSamples = [];
       try {
-        buffer = fs.readFileSync(filePath);
-      } catch (readError) {
-        console.error(`Error reading file ${filePath}:`, readError.message);
-        fileSummaries.push({
-          fileName: fileInfo.originalName,
-          inserted: 0,
-          skipped: 0,
-          totalRows: 0,
-          error: `File read error: ${readError.message}`
+        await streamFile(filePath, fileInfo.originalName, async ({ results, errors }) => {
+          errorCount += errors.length;
+          // Error samples are limited to 10 per file for privacy
+          errors.slice(0, 10 - errorSamples.length).forEach(err => errorSamples.push({
+            rowNumber: err.rowNumber,
+            reason: err.reason,
+            fileName: fileInfo.originalName
+          }));
+          rowCount += results.length;
+          warningsCount += results.filter(r => r.normalizationWarnings && r.normalizationWarnings.length > 0).length;
+          inserted += await insertEvents(results, uploadId, fileInfo.originalName);
         });
-        totalSkipped += 1;
-        continue;
-      }
-
-      let results = [];
-      let errors = [];
-      try {
-        const parseResult = parseFile(buffer, fileInfo.originalName);
-        results = parseResult.results || [];
-        errors = parseResult.errors || [];
       } catch (parseError) {
         console.error(`Error parsing file ${fileInfo.originalName}:`, parseError.message);
         fileSummaries.push({
           fileName: fileInfo.originalName,
-          inserted: 0,
+          inserted,
           skipped: 0,
           totalRows: 0,
           error: `Parse error: ${parseError.message}`
         });
+        totalInserted += inserted;
         totalSkipped += 1;
         // Clean up file even if parsing failed
         try {
@@ -97,58 +130,16 @@ router.post('/', async (req, res) => {
         continue;
       }
 
-      // Attach uploadId to all events before inserting
-      // CRITICAL: Ensure uploadId is a string and is attached to EVERY event
-      const eventsWithSession = results.map(event => {
-        // Ensure uploadId is explicitly set (no old field names)
-        const eventWithUploadId = { ...event };
-        delete eventWithUploadId.uploadSessionId; // Remove any old field
-        eventWithUploadId.uploadId = uploadId; // Set new field
-        return eventWithUploadId;
-      });
-
-      // Insert valid records
-      let inserted = 0;
-      if (eventsWithSession.length > 0) {
-        try {
-          // Use insertMany with ordered: false to continue on errors
-          const insertResult = await Event.insertMany(eventsWithSession, { ordered: false });
-          inserted = insertResult.length;
-        } catch (error) {
-          // Some records may have failed, but some may have succeeded
-          // Count actual inserted by checking writeErrors
-          if (error.writeErrors && Array.isArray(error.writeErrors)) {
-            inserted = results.length - error.writeErrors.length;
-          } else if (error.insertedDocs && Array.isArray(error.insertedDocs)) {
-            inserted = error.insertedDocs.length;
-          } else {
-            // If we can't determine, assume none were inserted
-            inserted = 0;
-            console.error(`Database insert error for ${fileInfo.originalName}:`, error.message);
-          }
-        }
-      }
-
-      const skipped = errors.length + (results.length - inserted);
+      const skipped = errorCount + (rowCount - inserted);
       totalInserted += inserted;
       totalSkipped += skipped;
-
-      // Store error samples (limit to 10 per file for privacy)
-      const errorSamples = errors.slice(0, 10).map(err => ({
-        rowNumber: err.rowNumber,
-        reason: err.reason,
-        fileName: fileInfo.originalName
-      }));
       allErrorSamples.push(...errorSamples);
 
-      // Count warnings for this file
-      const warningsCount = results.filter(r => r.normalizationWarnings && r.normalizationWarnings.length > 0).length;
-
       fileSummaries.push({
         fileName: fileInfo.originalName,
         inserted,
         skipped,
-        totalRows: results.length + errors.length,
+        totalRows: rowCount + errorCount,
         warningsCount
       });
 
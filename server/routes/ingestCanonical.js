@@ -1,188 +1,386 @@
 /**
  * CANONICAL INGESTION ROUTE
- * 
+ *
  * Uses the new canonical normalization pipeline for analytics-ready data processing.
  * This route produces the canonical schema with all derived analytics fields.
+ * Ingestion runs as a background job; progress is streamed over Server-Sent Events.
  */
 
 import express from 'express';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { processFiles } from '../utils/ingestionPipeline.js';
-import EventCanonical from '../models/EventCanonical.js';
+import Case from '../models/Case.js';
 import Upload from '../models/Upload.js';
-import { v4 as uuidv4 } from 'uuid';
-import { generateAnalyticsReadinessVerdict, generateColumnSummary } from '../utils/analyticsReadiness.js';
-// Header mappings imported dynamically in ingestionPipeline
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  createIngestionJob,
+  getActiveJobForUpload,
+  getJobSnapshot,
+  getJobByUploadId,
+  requestCancellation,
+  subscribeToJob,
+  isTerminalStatus,
+  getUploadedFilePath
+} from '../utils/ingestionJobs.js';
+import {
+  getMappingProfile,
+  sanitizeConfirmedMapping,
+  sanitizeSheetSelection,
+  parseHeaderRowIndex,
+  MAX_HEADER_ROW_INDEX
+} from '../utils/mappingProfiles.js';
+import { previewFile } from '../utils/ingestionPipeline.js';
+import { legacyWorkbookSizeError } from '../utils/fileParser.js';
+import { isValidTimezone } from '../utils/canonicalNormalizer.js';
+import { isSupportedCountry } from '../utils/numberingPlan.js';
+import { validateCsvOverrides } from '../utils/csvDialect.js';
 
 const router = express.Router();
 
-// POST /api/ingest/canonical - Process files with canonical schema
+const SSE_HEARTBEAT_MS = 15000;
+const MAX_UPLOADED_BY_LENGTH = 200;
+
+/**
+ * A files entry of POST /canonical: an object naming a stored file (and optionally its original name)
+ */
+function isFileEntry(file) {
+  return file !== null && typeof file === 'object' && !Array.isArray(file) &&
+    typeof file.filename === 'string' && file.filename.trim() !== '' &&
+    (file.originalName === undefined || typeof file.originalName === 'string');
+}
+
+/**
+ * Why a stored file cannot be read at all (a legacy XLS workbook over the size limit), or null.
+ * Missing files are left to the job, which reports them per file.
+ */
+function storedFileSizeError(file) {
+  const filePath = getUploadedFilePath(file.filename);
+  if (!fs.existsSync(filePath)) return null;
+  return legacyWorkbookSizeError(String(file.originalName || file.filename), fs.statSync(filePath).size);
+}
+
+// POST /api/ingest/canonical - Start a canonical ingestion job for uploaded files
 router.post('/canonical', async (req, res) => {
   try {
-    const { files } = req.body;
+    const { files, timezone, country, caseId, appendTo, uploadedBy, retainEvidence } = req.body;
 
     if (!files || !Array.isArray(files) || files.length === 0) {
       return res.status(400).json({ error: 'No files specified for ingestion' });
     }
+    const invalidEntry = files.findIndex(f => !isFileEntry(f));
+    if (invalidEntry >= 0) {
+      return res.status(400).json({
+        error: `files[${invalidEntry}] must be an object with a filename from POST /api/uploads`
+      });
+    }
 
-    const uploadId = uuidv4();
-    
-    // Create Upload record
-    const uploadRecord = new Upload({
-      uploadId,
-      fileSummaries: [],
-      errorSamples: [],
-      stats: {
-        totalInserted: 0,
-        totalSkipped: 0,
-        totalFiles: files.length
+    const invalidZone = [timezone, ...files.map(f => f.timezone)].find(zone => zone && !isValidTimezone(zone));
+    if (invalidZone) {
+      return res.status(400).json({ error: `Unknown timezone: ${invalidZone}` });
+    }
+    if (country && !isSupportedCountry(country)) {
+      return res.status(400).json({ error: `Unsupported numbering plan country: ${country}` });
+    }
+    const dialectError = files.map(f => validateCsvOverrides(f)).find(Boolean);
+    if (dialectError) {
+      return res.status(400).json({ error: dialectError });
+    }
+    if (uploadedBy !== undefined && uploadedBy !== null && String(uploadedBy).length > MAX_UPLOADED_BY_LENGTH) {
+      return res.status(400).json({ error: `uploadedBy must be at most ${MAX_UPLOADED_BY_LENGTH} characters` });
+    }
+    if (caseId && !(await Case.exists({ caseId: String(caseId) }))) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    // Appending keeps the upload's numbering plan so its numbers stay comparable
+    if (appendTo) {
+      const target = await Upload.findOne({ uploadId: String(appendTo) }).select('country status').lean();
+      if (!target) {
+        return res.status(404).json({ error: 'Upload to append to not found' });
       }
-    });
-    await uploadRecord.save();
-
-    // Prepare files with buffers
-    const filesWithBuffers = [];
-    
-    for (const fileInfo of files) {
-      const filePath = path.join(__dirname, '../uploads', fileInfo.filename);
-      
-      if (!fs.existsSync(filePath)) {
-        uploadRecord.fileSummaries.push({
-          fileName: fileInfo.originalName,
-          inserted: 0,
-          skipped: 0,
-          totalRows: 0,
-          error: 'File not found'
-        });
-        continue;
+      if (target.status === 'failed') {
+        return res.status(400).json({ error: 'Upload failed to ingest; start a new upload instead of appending to it' });
       }
-
-      let buffer;
-      try {
-        buffer = fs.readFileSync(filePath);
-        filesWithBuffers.push({
-          buffer: buffer,
-          originalName: fileInfo.originalName,
-          fileName: fileInfo.filename
+      if (country && country !== target.country) {
+        return res.status(400).json({
+          error: `Upload uses the ${target.country} numbering plan; appended files cannot use ${country}`
         });
-      } catch (readError) {
-        console.error(`Error reading file ${filePath}:`, readError.message);
-        uploadRecord.fileSummaries.push({
-          fileName: fileInfo.originalName,
-          inserted: 0,
-          skipped: 0,
-          totalRows: 0,
-          error: `File read error: ${readError.message}`
+      }
+      const activeJob = await getActiveJobForUpload(String(appendTo));
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'Upload is still being ingested; wait for the current job to finish',
+          jobId: activeJob.jobId
         });
-        continue;
       }
     }
 
-    if (filesWithBuffers.length === 0) {
+    const hasAvailableFile = files.some(f => fs.existsSync(getUploadedFilePath(f.filename)));
+    if (!hasAvailableFile) {
       return res.status(400).json({ error: 'No valid files to process' });
     }
 
-    // Process files through canonical pipeline
-    const pipelineResult = await processFiles(filesWithBuffers, uploadId);
-    
-    // Insert canonical records into database
-    let totalInserted = 0;
-    
-    if (pipelineResult.records.length > 0) {
-      try {
-        // Insert in batches to avoid memory issues
-        const batchSize = 1000;
-        for (let i = 0; i < pipelineResult.records.length; i += batchSize) {
-          const batch = pipelineResult.records.slice(i, i + batchSize);
-          await EventCanonical.insertMany(batch, { ordered: false });
-          totalInserted += batch.length;
+    // Files confirmed in the mapping wizard carry an explicit column mapping, workbooks one per
+    // selected sheet; fixed-width and BER files are read with their profile's layout or tag map
+    const jobFiles = [];
+    for (const file of files) {
+      // Refused before the job starts, so the upload is not committed without the file's records
+      const sizeError = storedFileSizeError(file);
+      if (sizeError) {
+        return res.status(400).json({ error: `${file.originalName}: ${sizeError}` });
+      }
+
+      if (file.sheets !== undefined) {
+        const { sheets, errors } = sanitizeSheetSelection(file.sheets);
+        if (errors.length > 0) {
+          return res.status(400).json({ error: `Invalid sheets for ${file.originalName}: ${errors.join('; ')}` });
         }
-      } catch (error) {
-        console.error('Database insert error:', error.message);
-        // Some records may have succeeded
-        if (error.insertedDocs && Array.isArray(error.insertedDocs)) {
-          totalInserted = error.insertedDocs.length;
+        for (const sheet of sheets) {
+          const sheetProfile = sheet.mappingProfileId ? await getMappingProfile(sheet.mappingProfileId) : null;
+          if (sheet.mappingProfileId && !sheetProfile) {
+            return res.status(404).json({
+              error: `Mapping profile not found for sheet ${sheet.name} of ${file.originalName}`
+            });
+          }
+          delete sheet.mappingProfileId;
+          sheet.mappingProfile = sheetProfile ? sheetProfile.name : null;
         }
+        const profileNames = [...new Set(sheets.map(sheet => sheet.mappingProfile).filter(Boolean))];
+        jobFiles.push({ ...file, mapping: null, sheets, mappingProfile: profileNames.join(', ') || null });
+        continue;
       }
-    }
 
-    // Calculate accurate summary statistics
-    const totalInvalid = pipelineResult.errors.length;
-    const totalDuplicates = pipelineResult.duplicates.length;
-    const totalSkipped = totalInvalid + totalDuplicates; // Skipped = invalid + duplicates
-    const totalProcessed = totalInserted + totalSkipped; 
-
-    // Update upload record with accurate breakdown
-    uploadRecord.fileSummaries = pipelineResult.fileSummaries;
-    uploadRecord.errorSamples = pipelineResult.errors.slice(0, 50);
-    uploadRecord.stats = {
-      totalInserted: totalInserted,
-      totalInvalid: totalInvalid,
-      totalDuplicates: totalDuplicates,
-      totalSkipped: totalSkipped,
-      totalProcessed: totalProcessed,
-      totalFiles: files.length
-    };
-    await uploadRecord.save();
-
-    // Generate analytics readiness assessment
-    let analyticsVerdict = null;
-    let columnSummary = null;
-    
-    try {
-      analyticsVerdict = await generateAnalyticsReadinessVerdict(uploadId);
-      columnSummary = await generateColumnSummary(uploadId);
-    } catch (error) {
-      console.error('Error generating analytics readiness:', error.message);
-    }
-
-    // Clean up uploaded files
-    filesWithBuffers.forEach(fileInfo => {
-      const filePath = path.join(__dirname, '../uploads', fileInfo.fileName);
-      try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      } catch (err) {
-        console.warn(`Could not delete file ${filePath}:`, err.message);
+      const profile = file.mappingProfileId ? await getMappingProfile(file.mappingProfileId) : null;
+      if (file.mappingProfileId && !profile) {
+        return res.status(404).json({ error: `Mapping profile not found for ${file.originalName}` });
+      }
+      const formatOptions = { layout: profile?.fixedWidth || null, berTagMap: profile?.berTagMap || null };
+      if (!file.mapping) {
+        jobFiles.push({ ...file, ...formatOptions });
+        continue;
       }
-    });
 
-    // Return comprehensive response with accurate summary
-    res.json({
-      uploadId,
-      summary: {
-        totalInserted,
-        totalInvalid,
-        totalDuplicates,
-        totalSkipped: totalSkipped, // Skipped = invalid + duplicates
-        totalProcessed,
-        totalFiles: files.length,
-        fileSummaries: pipelineResult.fileSummaries,
-        errorSamples: pipelineResult.errors.slice(0, 20)
-      },
-      reports: {
-        normalization: pipelineResult.reports?.normalization,
-        schemaMapping: pipelineResult.reports?.schemaMapping,
-        dataQuality: pipelineResult.reports?.dataQuality
-      },
-      analyticsReadiness: analyticsVerdict,
-      columnSummary: columnSummary
+      const { mapping, errors } = sanitizeConfirmedMapping(file.mapping);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid mapping for ${file.originalName}: ${errors.join('; ')}` });
+      }
+      if (!mapping.startTime || (!mapping.aParty && !mapping.bParty)) {
+        return res.status(400).json({
+          error: `Mapping for ${file.originalName} must include startTime and at least one of aParty or bParty`
+        });
+      }
+
+      jobFiles.push({ ...file, mapping, mappingProfile: profile ? profile.name : null, ...formatOptions });
+    }
+
+    const job = await createIngestionJob(jobFiles, {
+      timezone,
+      country,
+      caseId: caseId ? String(caseId) : null,
+      appendTo: appendTo ? String(appendTo) : null,
+      uploadedBy: uploadedBy ? String(uploadedBy).trim() || null : null,
+      retainEvidence: typeof retainEvidence === 'boolean' ? retainEvidence : undefined
     });
 
+    res.status(202).json(job);
   } catch (error) {
     console.error('Canonical ingestion error:', error.message);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
+    res.status(500).json({
       error: error.message || 'An unexpected error occurred during canonical ingestion',
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
 });
 
+// POST /api/ingest/preview - Dry-run the pipeline on the first rows of an uploaded file (nothing is stored)
+router.post('/preview', async (req, res) => {
+  try {
+    const {
+      filename, originalName, rows, timezone, country, encoding, delimiter, mappingProfileId, sheetName
+    } = req.body;
+
+    if (!filename) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+    }
+    const dialectError = validateCsvOverrides({ encoding, delimiter });
+    if (dialectError) {
+      return res.status(400).json({ error: dialectError });
+    }
+    if (country && !isSupportedCountry(country)) {
+      return res.status(400).json({ error: `Unsupported numbering plan country: ${country}` });
+    }
+
+    const filePath = getUploadedFilePath(filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Uploaded file not found' });
+    }
+
+    let mapping = null;
+    if (req.body.mapping) {
+      const sanitized = sanitizeConfirmedMapping(req.body.mapping);
+      if (sanitized.errors.length > 0) {
+        return res.status(400).json({ error: `Invalid mapping: ${sanitized.errors.join('; ')}` });
+      }
+      mapping = sanitized.mapping;
+    }
+
+    const maxRows = rows !== undefined ? parseInt(rows, 10) : undefined;
+    if (maxRows !== undefined && (isNaN(maxRows) || maxRows < 1)) {
+      return res.status(400).json({ error: 'rows must be a positive integer' });
+    }
+    const headerRowIndex = parseHeaderRowIndex(req.body.headerRowIndex);
+    if (Number.isNaN(headerRowIndex)) {
+      return res.status(400).json({ error: `headerRowIndex must be an integer from 0 to ${MAX_HEADER_ROW_INDEX}` });
+    }
+    if (headerRowIndex !== null && !sheetName) {
+      return res.status(400).json({ error: 'headerRowIndex needs a sheetName' });
+    }
+
+    const profile = mappingProfileId ? await getMappingProfile(mappingProfileId) : null;
+    if (mappingProfileId && !profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    const preview = await previewFile(filePath, originalName || filename, {
+      mapping,
+      maxRows,
+      timezone,
+      country,
+      encoding,
+      delimiter,
+      layout: profile?.fixedWidth || null,
+      berTagMap: profile?.berTagMap || null,
+      sheetName: sheetName ? String(sheetName) : null,
+      headerRowIndex
+    });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Ingestion preview error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/canonical/:uploadId - Final ingestion result for an upload
+router.get('/canonical/:uploadId', async (req, res) => {
+  try {
+    const job = await getJobByUploadId(req.params.uploadId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'No ingestion job found for this upload' });
+    }
+
+    if (job.status === 'completed') {
+      return res.json(job.result);
+    }
+
+    if (!isTerminalStatus(job.status)) {
+      return res.status(202).json(await getJobSnapshot(job.jobId));
+    }
+
+    res.status(409).json({
+      error: job.error || `Ingestion ${job.status}`,
+      jobId: job.jobId,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Ingestion result error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/jobs/:jobId - Current job status and per-stage progress
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await getJobSnapshot(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Ingestion job error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/ingest/jobs/:jobId/events - Server-Sent Events progress stream
+router.get('/jobs/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  let unsubscribe = null;
+  let heartbeat = null;
+  let streaming = false;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (unsubscribe) unsubscribe();
+    if (heartbeat) clearInterval(heartbeat);
+    res.end();
+  };
+
+  const send = (job) => {
+    if (closed || !streaming) return;
+    res.write(`event: progress\ndata: ${JSON.stringify(job)}\n\n`);
+    if (isTerminalStatus(job.status)) {
+      res.write(`event: end\ndata: ${JSON.stringify({ status: job.status, uploadId: job.uploadId })}\n\n`);
+      close();
+    }
+  };
+
+  try {
+    // Subscribe before reading the snapshot so a job finishing in between is not missed
+    unsubscribe = subscribeToJob(jobId, send);
+    const snapshot = await getJobSnapshot(jobId);
+
+    if (!snapshot) {
+      unsubscribe();
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    streaming = true;
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    req.on('close', close);
+
+    send(snapshot);
+  } catch (error) {
+    console.error('Ingestion stream error:', error.message);
+    if (unsubscribe) unsubscribe();
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    close();
+  }
+});
+
+// POST /api/ingest/jobs/:jobId/cancel - Cancel a queued or running job
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await requestCancellation(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Ingestion job not found' });
+    }
+
+    if (isTerminalStatus(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job });
+    }
+
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Ingestion cancel error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,288 @@
+/**
+ * MAPPING PROFILE ROUTES
+ *
+ * CRUD for operator header mapping profiles, plus header detection for uploaded files
+ * so the upload wizard can suggest a profile and preview the first rows. A profile can also
+ * carry the column layout of an operator's fixed-width text exports and the tag map of its
+ * binary BER exports.
+ */
+
+import express from 'express';
+import fs from 'fs';
+import MappingProfile from '../models/MappingProfile.js';
+import { CANONICAL_FIELDS } from '../utils/normalizer.js';
+import { readFileSample } from '../utils/fileParser.js';
+import { validateCsvOverrides } from '../utils/csvDialect.js';
+import { sanitizeTagMap } from '../utils/berDecoder.js';
+import { getUploadedFilePath } from '../utils/ingestionJobs.js';
+import {
+  DEFAULT_PROFILE_ID,
+  listMappingProfiles,
+  getMappingProfile,
+  sanitizeProfileFields,
+  sanitizeFixedWidthLayout,
+  applyMappingProfile,
+  suggestMappingProfile,
+  suggestLayoutProfile,
+  parseHeaderRowIndex,
+  MAX_HEADER_ROW_INDEX
+} from '../utils/mappingProfiles.js';
+
+const router = express.Router();
+
+const SAMPLE_ROWS = 10;
+
+// GET /api/mapping-profiles - List mapping profiles and the canonical fields they map to
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await listMappingProfiles();
+    res.json({ profiles, canonicalFields: CANONICAL_FIELDS });
+  } catch (error) {
+    console.error('Mapping profiles error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/mapping-profiles - Create a profile
+router.post('/', async (req, res) => {
+  try {
+    const { name, operator, description } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+
+    const { fields, invalidFields } = sanitizeProfileFields(req.body.fields);
+    if (invalidFields.length > 0) {
+      return res.status(400).json({ error: `Unknown canonical fields: ${invalidFields.join(', ')}` });
+    }
+    const { layout, errors: layoutErrors } = sanitizeFixedWidthLayout(req.body.fixedWidth);
+    if (layoutErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid fixed-width layout: ${layoutErrors.join('; ')}` });
+    }
+
+    const { tagMap, errors: tagMapErrors } = sanitizeTagMap(req.body.berTagMap);
+    if (tagMapErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid BER tag map: ${tagMapErrors.join('; ')}` });
+    }
+
+    const doc = await MappingProfile.create({
+      name,
+      operator,
+      description,
+      fields,
+      fixedWidth: layout,
+      berTagMap: tagMap
+    });
+    const profile = await getMappingProfile(String(doc._id));
+
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    console.error('Create mapping profile error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/mapping-profiles/:id - Update a profile
+router.put('/:id', async (req, res) => {
+  try {
+    if (req.params.id === DEFAULT_PROFILE_ID) {
+      return res.status(400).json({ error: 'The built-in profile cannot be modified' });
+    }
+
+    const existing = await getMappingProfile(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    const update = { updatedAt: new Date() };
+    ['name', 'operator', 'description'].forEach(key => {
+      if (req.body[key] !== undefined) update[key] = req.body[key];
+    });
+    if (update.name !== undefined && !String(update.name).trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+    if (req.body.fields !== undefined) {
+      const { fields, invalidFields } = sanitizeProfileFields(req.body.fields);
+      if (invalidFields.length > 0) {
+        return res.status(400).json({ error: `Unknown canonical fields: ${invalidFields.join(', ')}` });
+      }
+      update.fields = fields;
+    }
+    if (req.body.fixedWidth !== undefined) {
+      const { layout, errors } = sanitizeFixedWidthLayout(req.body.fixedWidth);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid fixed-width layout: ${errors.join('; ')}` });
+      }
+      update.fixedWidth = layout;
+    }
+    if (req.body.berTagMap !== undefined) {
+      const { tagMap, errors } = sanitizeTagMap(req.body.berTagMap);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Invalid BER tag map: ${errors.join('; ')}` });
+      }
+      update.berTagMap = tagMap;
+    }
+
+    await MappingProfile.updateOne({ _id: req.params.id }, { $set: update }, { runValidators: true });
+
+    res.json(await getMappingProfile(req.params.id));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    console.error('Update mapping profile error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/mapping-profiles/:id - Delete a profile
+router.delete('/:id', async (req, res) => {
+  try {
+    if (req.params.id === DEFAULT_PROFILE_ID) {
+      return res.status(400).json({ error: 'The built-in profile cannot be deleted' });
+    }
+
+    const existing = await getMappingProfile(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    await MappingProfile.deleteOne({ _id: req.params.id });
+
+    res.json({ deleted: true, id: req.params.id });
+  } catch (error) {
+    console.error('Delete mapping profile error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/mapping-profiles/detect - Detect headers of an uploaded file and suggest a profile
+router.post('/detect', async (req, res) => {
+  try {
+    const { filename, originalName, profileId, encoding, delimiter, sheetName } = req.body;
+
+    if (!filename) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    const dialectError = validateCsvOverrides({ encoding, delimiter });
+    if (dialectError) {
+      return res.status(400).json({ error: dialectError });
+    }
+    const headerRowIndex = parseHeaderRowIndex(req.body.headerRowIndex);
+    if (Number.isNaN(headerRowIndex)) {
+      return res.status(400).json({ error: `headerRowIndex must be an integer from 0 to ${MAX_HEADER_ROW_INDEX}` });
+    }
+    if (headerRowIndex !== null && !sheetName) {
+      return res.status(400).json({ error: 'headerRowIndex needs a sheetName' });
+    }
+
+    const filePath = getUploadedFilePath(filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Uploaded file not found' });
+    }
+
+    const profiles = await listMappingProfiles();
+    let profile = null;
+    if (profileId) {
+      profile = profiles.find(p => p.id === profileId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Mapping profile not found' });
+      }
+    }
+
+    const fileName = originalName || filename;
+    const readSample = source => readFileSample(filePath, fileName, {
+      sampleRows: SAMPLE_ROWS,
+      encoding,
+      delimiter,
+      layout: source?.fixedWidth,
+      berTagMap: source?.berTagMap,
+      sheetName: sheetName ? String(sheetName) : undefined,
+      headerRowIndexes: sheetName ? { [sheetName]: headerRowIndex } : {}
+    });
+    let sample = await readSample(profile);
+
+    // A fixed-width file cannot be read without a layout: try the profile whose layout is as
+    // wide as the file's lines. A BER file goes to the vendor tag map that decodes most of its
+    // first records, if one does better than the 3GPP defaults.
+    let formatProfile = null;
+    if (sample.format === 'fixed-width' && !profile) {
+      formatProfile = suggestLayoutProfile(sample.lineLength, profiles);
+      if (formatProfile) {
+        sample = await readSample(formatProfile);
+      }
+    } else if (sample.format === 'ber' && !profile) {
+      for (const candidate of profiles.filter(p => p.berTagMap)) {
+        const candidateSample = await readSample(candidate);
+        if (candidateSample.rows.length > sample.rows.length
+          || (candidateSample.rows.length === sample.rows.length && candidateSample.decodeErrors < sample.decodeErrors)) {
+          sample = candidateSample;
+          formatProfile = candidate;
+        }
+      }
+    }
+    if (sample.error) {
+      return res.status(400).json({
+        error: sample.format === 'fixed-width'
+          ? `${sample.error}; choose or create a profile whose layout matches these ${sample.lineLength}-character lines`
+          : sample.error,
+        format: sample.format,
+        lineLength: sample.lineLength
+      });
+    }
+
+    // Each workbook sheet gets its own suggestion; the chosen profile applies to the requested
+    // sheet, or to every sheet when none is named
+    const sheets = sample.sheets?.map(sheet => {
+      const sheetSuggestion = suggestMappingProfile(sheet.headers, profiles);
+      const sheetProfile = (profile && (!sheetName || sheet.sheetName === sheetName)) ? profile : sheetSuggestion.profile;
+      const sheetMapping = applyMappingProfile(sheet.headers, sheetProfile);
+      return {
+        ...sheet,
+        suggestedProfileId: sheetSuggestion.profile.id,
+        profileId: sheetProfile.id,
+        mapping: sheetMapping.mapping,
+        matchTypes: sheetMapping.matchTypes,
+        // Cover, summary and legend tabs have no start time and party columns to ingest
+        include: sheet.rowCount > 0 && Boolean(sheetMapping.mapping.startTime
+          && (sheetMapping.mapping.aParty || sheetMapping.mapping.bParty))
+      };
+    });
+
+    const suggestion = formatProfile
+      ? { profile: formatProfile }
+      : suggestMappingProfile(sample.headers, profiles);
+    profile = profile || suggestion.profile;
+
+    // BER columns are named by the decoder, not the operator, so the built-in synonyms map them
+    const { mapping, matchTypes } = applyMappingProfile(
+      sample.headers,
+      sample.format === 'ber' ? profiles.find(p => p.builtIn) : profile
+    );
+
+    res.json({
+      filename,
+      originalName: originalName || filename,
+      sheetName: sample.sheetName,
+      headerRowIndex: sample.headerRowIndex,
+      format: sample.format,
+      dialect: sample.dialect,
+      headers: sample.headers,
+      rows: sample.rows,
+      suggestedProfileId: suggestion.profile.id,
+      profileId: profile.id,
+      mapping,
+      matchTypes,
+      ...(sheets && { sheets })
+    });
+  } catch (error) {
+    console.error('Mapping detection error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
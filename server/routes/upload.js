@@ -3,12 +3,26 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import Upload from '../models/Upload.js';
+import EventCanonical from '../models/EventCanonical.js';
+import IngestionJob from '../models/IngestionJob.js';
+import Case from '../models/Case.js';
+import { deleteUploadSession, relinkMovedUpload } from '../utils/uploadSession.js';
+import { adoptUploadEntities } from '../utils/entities.js';
+import { getActiveJobForUpload, createReprocessJob } from '../utils/ingestionJobs.js';
+import { previewReprocess } from '../utils/reprocessUpload.js';
+import { hashFile, checkRetainedFile, retainFile, RETAIN_EVIDENCE_DEFAULT } from '../utils/evidenceStore.js';
+import { expandArchive, isArchive, ARCHIVE_EXTENSIONS } from '../utils/archiveExpander.js';
+import { getSupportedExtensions } from '../utils/fileParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// Operator tower dumps routinely exceed hundreds of MB; files are streamed during ingestion
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 2048;
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -26,46 +40,455 @@ const storage = multer.diskStorage({
 
 const upload = multer({
   storage: storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    if (['.csv', '.xls', '.xlsx'].includes(ext)) {
+    const allowed = [...getSupportedExtensions(), ...ARCHIVE_EXTENSIONS];
+    if (allowed.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV, XLS, and XLSX files are allowed'), false);
+      cb(new Error(`Only ${allowed.join(', ')} files are allowed`), false);
     }
   }
 });
 
+// Files re-presented for verification are only hashed, so any type is accepted
+const verifyUpload = multer({
+  storage: storage,
+  limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024 }
+});
+
+function removeFiles(filePaths) {
+  return Promise.all(filePaths.map(filePath => fs.promises.unlink(filePath).catch(() => null)));
+}
+
 // POST /api/uploads - Upload files
-router.post('/', upload.array('files', 10), (req, res) => {
+// ZIP and GZ archives are expanded; each supported file inside is listed as an upload of its own
+// and the members that cannot be ingested are listed under rejected. With retainEvidence the
+// archive as delivered is kept in the evidence store, since only its members reach ingestion.
+router.post('/', upload.array('files', 10), async (req, res) => {
+  const fileInfo = [];
+  const pending = [...(req.files || [])];
+
   try {
-    if (!req.files || req.files.length === 0) {
+    if (pending.length === 0) {
       return res.status(400).json({ error: 'No files uploaded' });
     }
+    const retainArchives = req.body.retainEvidence === undefined
+      ? RETAIN_EVIDENCE_DEFAULT
+      : req.body.retainEvidence === 'true';
 
-    const fileInfo = req.files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      size: file.size,
-      path: file.path
-    }));
+    const rejected = [];
+    while (pending.length > 0) {
+      const file = pending.shift();
+
+      if (!isArchive(file.originalname)) {
+        fileInfo.push({
+          filename: file.filename,
+          originalName: file.originalname,
+          size: file.size,
+          path: file.path
+        });
+        continue;
+      }
+
+      const expanded = await expandArchive(file.path, file.originalname, { destination: file.destination });
+      if (!expanded.error && retainArchives) {
+        try {
+          await retainFile(file.path, expanded.archive.sha256);
+        } catch (error) {
+          await removeFiles([file.path, ...expanded.files.map(f => f.path)]);
+          throw error;
+        }
+      }
+      await removeFiles([file.path]);
+      if (expanded.error) {
+        // Nothing from a request with a bad archive is kept, so it can simply be sent again
+        await removeFiles([...pending, ...fileInfo].map(f => f.path));
+        return res.status(400).json({ error: expanded.error });
+      }
+      fileInfo.push(...expanded.files);
+      rejected.push(...expanded.rejected);
+    }
+
+    if (fileInfo.length === 0) {
+      return res.status(400).json({ error: 'The archives contain no files that can be ingested', rejected });
+    }
 
     res.json({
       message: 'Files uploaded successfully',
-      files: fileInfo
+      files: fileInfo,
+      rejected
     });
   } catch (error) {
+    await removeFiles([...pending, ...fileInfo].map(f => f.path));
     console.error('Upload error:', error.message);
     res.status(500).json({ error: error.message || 'Upload failed' });
   }
 });
 
+// DELETE /api/uploads/files/:filename - Discard an uploaded file that will not be ingested
+router.delete('/files/:filename', (req, res) => {
+  try {
+    const filePath = path.join(__dirname, '../uploads', path.basename(req.params.filename));
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    fs.unlinkSync(filePath);
+    res.json({ deleted: true, filename: req.params.filename });
+  } catch (error) {
+    console.error('Delete upload error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Event count, time span and latest ingestion job of each upload session
+ */
+async function getSessionDetails(uploadIds) {
+  const [eventStats, jobs] = await Promise.all([
+    EventCanonical.aggregate([
+      { $match: { uploadId: { $in: uploadIds } } },
+      {
+        $group: {
+          _id: '$uploadId',
+          eventCount: { $sum: 1 },
+          firstEvent: { $min: '$timestamp_utc' },
+          lastEvent: { $max: '$timestamp_utc' }
+        }
+      }
+    ]),
+    IngestionJob.aggregate([
+      { $match: { uploadId: { $in: uploadIds } } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$uploadId',
+          jobId: { $first: '$jobId' },
+          mode: { $first: '$mode' },
+          status: { $first: '$status' },
+          error: { $first: '$error' },
+          finishedAt: { $first: '$finishedAt' }
+        }
+      }
+    ])
+  ]);
+
+  const details = new Map(uploadIds.map(id => [id, { eventCount: 0, firstEvent: null, lastEvent: null, job: null }]));
+  eventStats.forEach(({ _id, ...stats }) => Object.assign(details.get(_id), stats));
+  jobs.forEach(({ _id, ...job }) => { details.get(_id).job = job; });
+  return details;
+}
+
+function toSessionSummary(upload, details) {
+  return {
+    uploadId: upload.uploadId,
+    caseId: upload.caseId || null,
+    label: upload.label || null,
+    notes: upload.notes || null,
+    createdAt: upload.createdAt,
+    timezone: upload.timezone,
+    country: upload.country,
+    fileNames: (upload.fileSummaries || []).map(f => f.fileName),
+    stats: upload.stats,
+    reprocessedAt: upload.reprocessedAt || null,
+    // Uploads stored before the status was recorded are committed
+    status: upload.status || 'committed',
+    failureReason: upload.failureReason || null,
+    ...details
+  };
+}
+
+// GET /api/uploads - List upload sessions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { search, caseId, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    // caseId=none lists uploads that are not filed under any case
+    if (caseId) {
+      filter.caseId = caseId === 'none' ? null : String(caseId);
+    }
+    if (search) {
+      const pattern = String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { label: { $regex: pattern, $options: 'i' } },
+        { uploadId: { $regex: `^${pattern}`, $options: 'i' } },
+        { 'fileSummaries.fileName': { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [uploads, total] = await Promise.all([
+      Upload.find(filter)
+        .select('-errorSamples')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Upload.countDocuments(filter)
+    ]);
+
+    const details = await getSessionDetails(uploads.map(u => u.uploadId));
+
+    res.json({
+      uploads: uploads.map(upload => toSessionSummary(upload, details.get(upload.uploadId))),
+      pagination: { page: pageNum, limit: limitNum, total }
+    });
+  } catch (error) {
+    console.error('List uploads error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/uploads/:uploadId - Upload session with per-file summaries and error samples
+router.get('/:uploadId', async (req, res) => {
+  try {
+    const upload = await Upload.findOne({ uploadId: req.params.uploadId }).lean();
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const details = await getSessionDetails([upload.uploadId]);
+
+    res.json({
+      ...toSessionSummary(upload, details.get(upload.uploadId)),
+      fileSummaries: upload.fileSummaries || [],
+      errorSamples: upload.errorSamples || [],
+      evidence: upload.evidence || []
+    });
+  } catch (error) {
+    console.error('Get upload error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/uploads/:uploadId - Rename a session, edit its notes or move it to another case
+router.patch('/:uploadId', async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.caseId !== undefined) {
+      if (req.body.caseId !== null && !(await Case.exists({ caseId: String(req.body.caseId) }))) {
+        return res.status(404).json({ error: 'Case not found' });
+      }
+      update.caseId = req.body.caseId === null ? null : String(req.body.caseId);
+    }
+    for (const field of ['label', 'notes']) {
+      if (req.body[field] === undefined) continue;
+      if (req.body[field] !== null && typeof req.body[field] !== 'string') {
+        return res.status(400).json({ error: `${field} must be a string or null` });
+      }
+      update[field] = req.body[field] === null ? null : req.body[field].trim() || null;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update; send label, notes and/or caseId' });
+    }
+
+    const previous = await Upload.findOne({ uploadId: req.params.uploadId }).select('caseId').lean();
+    if (!previous) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    const moving = update.caseId !== undefined && (previous.caseId || null) !== update.caseId;
+
+    // A running job saves the upload and links its duplicates with the case it started in
+    if (moving) {
+      const activeJob = await getActiveJobForUpload(req.params.uploadId);
+      if (activeJob) {
+        return res.status(409).json({
+          error: 'Upload is still being ingested; wait for the job to finish before moving it',
+          jobId: activeJob.jobId
+        });
+      }
+    }
+
+    const upload = await Upload.findOneAndUpdate(
+      { uploadId: req.params.uploadId },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Duplicates are only linked within a case, so a move changes which copies count
+    if (moving) {
+      await relinkMovedUpload(upload.uploadId, previous.caseId || null, update.caseId);
+      // Entities built on the upload alone become the case's; those of a case stay with it
+      if (update.caseId) {
+        await adoptUploadEntities(upload.uploadId, update.caseId);
+      }
+    }
+
+    res.json({
+      uploadId: upload.uploadId,
+      caseId: upload.caseId || null,
+      label: upload.label || null,
+      notes: upload.notes || null
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update upload error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/uploads/:uploadId/reprocess - Rebuild the upload's records from raw_record
+// Without { confirm: true } nothing is written and the diff against the stored records is returned;
+// with it the replacement runs as a background ingestion job (poll /api/ingest/jobs/:jobId)
+router.post('/:uploadId/reprocess', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+
+    const upload = await Upload.findOne({ uploadId });
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (upload.status === 'failed') {
+      return res.status(400).json({ error: 'Upload failed to ingest and has no records to reprocess' });
+    }
+
+    const activeJob = await getActiveJobForUpload(uploadId);
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'Upload is still being ingested; wait for the job to finish before reprocessing',
+        jobId: activeJob.jobId
+      });
+    }
+
+    if (req.body.confirm !== true) {
+      const diff = await previewReprocess(upload);
+      return res.json({ uploadId, committed: false, diff });
+    }
+
+    const job = await createReprocessJob(upload);
+    res.status(202).json({ uploadId, committed: true, jobId: job.jobId, job });
+  } catch (error) {
+    console.error('Reprocess upload error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/uploads/:uploadId/evidence - Chain of custody of the upload's source files
+// Query params: checkRetained=true re-hashes the copies kept in the evidence store
+router.get('/:uploadId/evidence', async (req, res) => {
+  try {
+    const upload = await Upload.findOne({ uploadId: req.params.uploadId }).select('uploadId evidence').lean();
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const evidence = upload.evidence || [];
+    if (req.query.checkRetained === 'true') {
+      // Files expanded from one archive share it, so each archive is re-hashed once
+      const archiveStatus = new Map();
+      for (const entry of evidence) {
+        entry.retainedStatus = entry.retained ? await checkRetainedFile(entry.sha256) : null;
+        if (entry.archive?.retained) {
+          if (!archiveStatus.has(entry.archive.sha256)) {
+            archiveStatus.set(entry.archive.sha256, await checkRetainedFile(entry.archive.sha256));
+          }
+          entry.archive.retainedStatus = archiveStatus.get(entry.archive.sha256);
+        }
+      }
+    }
+
+    res.json({ uploadId: upload.uploadId, hashAlgorithm: 'SHA-256', evidence });
+  } catch (error) {
+    console.error('Get upload evidence error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/uploads/:uploadId/evidence/verify - Check a re-presented file against the recorded hashes
+// Multipart form with a `file` field; the file is hashed and discarded
+router.post('/:uploadId/evidence/verify', verifyUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const upload = await Upload.findOne({ uploadId: req.params.uploadId }).select('uploadId evidence').lean();
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const { sha256, size } = await hashFile(req.file.path);
+    const evidence = upload.evidence || [];
+    let matches = evidence.filter(entry => entry.sha256 === sha256);
+    // An archive that was delivered is matched by the hash recorded with each file expanded from it
+    const archiveMatch = matches.length === 0;
+    if (archiveMatch) {
+      matches = evidence.filter(entry => entry.archive?.sha256 === sha256);
+    }
+    // The copy kept in the evidence store is checked too, so a match also shows it was not altered
+    const retained = matches.some(entry => (archiveMatch ? entry.archive?.retained : entry.retained));
+
+    res.json({
+      uploadId: upload.uploadId,
+      fileName: req.file.originalname,
+      sha256,
+      size,
+      match: matches.length > 0,
+      archiveMatch: archiveMatch && matches.length > 0,
+      retainedStatus: retained ? await checkRetainedFile(sha256) : null,
+      matches,
+      // Recorded files with the same name but different content, to tell an altered file from an unrelated one
+      sameNameMismatches: matches.length > 0
+        ? []
+        : evidence.filter(entry =>
+          entry.fileName === req.file.originalname || entry.archive?.fileName === req.file.originalname)
+    });
+  } catch (error) {
+    console.error('Verify evidence error:', error.message);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => null);
+    }
+  }
+});
+
+// DELETE /api/uploads/:uploadId - Delete a session and all of its events
+router.delete('/:uploadId', async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+
+    const activeJob = await getActiveJobForUpload(uploadId);
+    if (activeJob) {
+      return res.status(409).json({
+        error: 'Upload is still being ingested; cancel the job before deleting it',
+        jobId: activeJob.jobId
+      });
+    }
+
+    const result = await deleteUploadSession(uploadId);
+
+    if (!result.uploadDeleted && result.eventsDeleted === 0) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.json({ deleted: true, uploadId, ...result });
+  } catch (error) {
+    console.error('Delete upload session error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Error handling middleware for multer (must be after routes)
 router.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File size too large. Maximum size is 50MB.' });
+      return res.status(400).json({ error: `File size too large. Maximum size is ${MAX_UPLOAD_SIZE_MB}MB.` });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({ error: 'Too many files. Maximum is 10 files.' });
@@ -7,6 +7,12 @@ import ingestRoutes from './routes/ingest.js';
 import ingestCanonicalRoutes from './routes/ingestCanonical.js';
 import eventsRoutes from './routes/events.js';
 import analyticsRoutes from './routes/analytics.js';
+import mappingProfileRoutes from './routes/mappingProfiles.js';
+import cellSiteRoutes from './routes/cellSites.js';
+import caseRoutes from './routes/cases.js';
+import duplicateRoutes from './routes/duplicates.js';
+import entityRoutes from './routes/entities.js';
+import { recoverInterruptedJobs } from './utils/ingestionJobs.js';
 
 dotenv.config();
 
@@ -32,6 +38,11 @@ app.use('/api/ingest', ingestRoutes);
 app.use('/api/ingest', ingestCanonicalRoutes); // Canonical ingestion endpoint
 app.use('/api/events', eventsRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/mapping-profiles', mappingProfileRoutes);
+app.use('/api/cell-sites', cellSiteRoutes);
+app.use('/api/cases', caseRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/entities', entityRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -57,6 +68,12 @@ const connectDB = async () => {
     mongoose.connection.on('reconnected', () => {
       console.log('MongoDB reconnected');
     });
+
+    try {
+      await recoverInterruptedJobs();
+    } catch (error) {
+      console.error('Failed to clean up interrupted ingestion jobs:', error.message);
+    }
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
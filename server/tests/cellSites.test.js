@@ -0,0 +1,79 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuidv4 } from 'uuid';
+import { useMemoryModel } from './helpers/memoryModels.js';
+import { canonicalRows } from './helpers/cdrRows.js';
+import EventCanonical from '../models/EventCanonical.js';
+import Upload from '../models/Upload.js';
+import CellSite from '../models/CellSite.js';
+import { locateStoredEvents } from '../utils/cellSites.js';
+import { committedEventFilter } from '../utils/uploadSession.js';
+
+let stores;
+
+beforeEach(() => {
+  stores = {
+    events: useMemoryModel(EventCanonical),
+    uploads: useMemoryModel(Upload),
+    sites: useMemoryModel(CellSite)
+  };
+});
+
+afterEach(() => {
+  Object.values(stores).forEach(store => store.restore());
+});
+
+/**
+ * Store a committed upload with one cell-only call per cell ID, inserted by the given job
+ */
+async function storeCellEvents(cellIds, upload = {}) {
+  const uploadId = uuidv4();
+  await Upload.create({ uploadId, status: 'committed', ...upload });
+  const rows = cellIds.map((cellId, index) => `9876543210,9123456789,2024-01-05 10:0${index}:00,60,Voice`);
+  const records = await canonicalRows(rows, uploadId);
+  records.forEach((record, index) => {
+    record.cell_id = cellIds[index];
+    record.location_source = 'cell_id';
+    record.ingestionJobId = 'job-1';
+  });
+  await EventCanonical.insertMany(records);
+  return uploadId;
+}
+
+const locationOf = (cellId) => {
+  const record = stores.events.documents.find(event => event.cell_id === cellId);
+  return record.location_source === 'cell_tower' ? [record.latitude, record.longitude] : null;
+};
+
+test('a CGI cell ID is placed at the site of its own operator', async () => {
+  await CellSite.insertMany([
+    { cell_id: '1234', lac: '100', mcc: '410', mnc: '01', latitude: 33.6, longitude: 73.0 },
+    { cell_id: '1234', lac: '100', mcc: '410', mnc: '06', latitude: 24.8, longitude: 67.0 },
+    { cell_id: '5678', lac: null, mcc: null, mnc: null, latitude: 31.5, longitude: 74.3 }
+  ]);
+  await storeCellEvents(['410-06-100-1234', '410-001-100-1234', '410-03-7-5678']);
+
+  const summary = await locateStoredEvents(await committedEventFilter());
+
+  assert.equal(summary.cellsResolved, 3);
+  assert.deepEqual(locationOf('410-06-100-1234'), [24.8, 67.0]);
+  assert.deepEqual(locationOf('410-001-100-1234'), [33.6, 73.0]);
+  // A site imported without an operator matches any
+  assert.deepEqual(locationOf('410-03-7-5678'), [31.5, 74.3]);
+});
+
+test('the backfill leaves out uploads still ingesting and records staged by a running job', async () => {
+  await CellSite.insertMany([{ cell_id: '1234', lac: null, mcc: null, mnc: null, latitude: 33.6, longitude: 73.0 }]);
+  await storeCellEvents(['1234']);
+  await storeCellEvents(['01234'], { status: 'pending', stagingJobId: 'job-1' });
+  const appending = await storeCellEvents(['1234.0'], { stagingJobId: 'job-2' });
+  const [staged] = await canonicalRows(['9876543210,9123456789,2024-01-05 11:00:00,60,Voice'], appending);
+  await EventCanonical.insertMany([{ ...staged, cell_id: '1234.00', location_source: 'cell_id', ingestionJobId: 'job-2' }]);
+
+  await locateStoredEvents(await committedEventFilter());
+
+  assert.deepEqual(locationOf('1234'), [33.6, 73.0]);
+  assert.deepEqual(locationOf('1234.0'), [33.6, 73.0]);
+  assert.equal(locationOf('01234'), null);
+  assert.equal(locationOf('1234.00'), null);
+});
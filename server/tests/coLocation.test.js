@@ -0,0 +1,55 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import EventCanonical from '../models/EventCanonical.js';
+import { findMeetings } from '../utils/coLocation.js';
+
+const OPTIONS = { rule: 'cell', toleranceMinutes: 15, distanceMeters: 500, limit: 100 };
+
+let aggregate;
+let sightings;
+
+// loadSightings is a single pipeline; it is answered with the sightings of each test, oldest first
+beforeEach(() => {
+  aggregate = EventCanonical.aggregate;
+  sightings = [];
+  EventCanonical.aggregate = () => ({ allowDiskUse: async () => sightings });
+});
+
+afterEach(() => {
+  EventCanonical.aggregate = aggregate;
+});
+
+function sighting(recordId, number, minute, cell) {
+  return {
+    recordId,
+    number,
+    counterparty: '+919000000000',
+    timestampUtc: new Date(Date.UTC(2024, 0, 5, 10, minute)),
+    eventType: 'call',
+    cellId: '1234',
+    lacId: null,
+    operator: null,
+    locationSource: 'cell_id',
+    ...cell
+  };
+}
+
+test('rule cell matches a shared cell ID only when the LAC and operator agree where both are known', async () => {
+  sightings = [
+    sighting('a1', '+919876543210', 0, { lacId: '100', operator: 'Jazz' }),
+    sighting('b1', '+919123456789', 5, { lacId: '200', operator: 'Jazz' }),
+    sighting('c1', '+919123456780', 6, { lacId: '100', operator: 'Zong' }),
+    sighting('d1', '+919123456781', 7, { lacId: '100', operator: ' jazz ' }),
+    sighting('e1', '+919123456782', 8, {})
+  ];
+
+  const { meetings } = await findMeetings({}, ['+919876543210', '+919123456789', '+919123456780', '+919123456781', '+919123456782'], OPTIONS);
+
+  const pairs = meetings.map(meeting => meeting.numbers.join(' & '));
+  assert.ok(!pairs.includes('+919876543210 & +919123456789'), 'another LAC is another cell');
+  assert.ok(!pairs.includes('+919876543210 & +919123456780'), 'another operator is another cell');
+  assert.ok(pairs.includes('+919876543210 & +919123456781'));
+  // A record without LAC or operator cannot tell the cells apart
+  assert.ok(pairs.includes('+919876543210 & +919123456782'));
+  assert.ok(pairs.includes('+919123456789 & +919123456782'));
+});
@@ -0,0 +1,56 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useMemoryModel } from './helpers/memoryModels.js';
+import Entity from '../models/Entity.js';
+import { adoptUploadEntities, entityScopeFilter } from '../utils/entities.js';
+
+let entities;
+
+beforeEach(() => {
+  entities = useMemoryModel(Entity);
+});
+
+afterEach(() => {
+  entities.restore();
+});
+
+function caseEntities(caseId) {
+  return Entity.find(entityScopeFilter({ caseId })).sort({ createdAt: 1 }).lean();
+}
+
+test('entities of an upload moved into a case become the case\'s', async () => {
+  await Entity.create({ entityId: 'upload-1', uploadId: 'upload', name: 'Courier', numbers: ['+919876543210'] });
+
+  const result = await adoptUploadEntities('upload', 'case');
+
+  assert.deepEqual(result, { moved: 1, merged: 0 });
+  const adopted = await caseEntities('case');
+  assert.deepEqual(adopted.map(entity => entity.entityId), ['upload-1']);
+  assert.equal(adopted[0].uploadId, null);
+  assert.equal((await Entity.find(entityScopeFilter({ caseId: null, uploadId: 'upload' })).lean()).length, 0);
+});
+
+test('an upload entity sharing a number with a case entity is merged into it', async () => {
+  await Entity.create({
+    entityId: 'case-1', caseId: 'case', name: 'Supplier', numbers: ['+919876543210'], createdAt: new Date('2024-01-01')
+  });
+  await Entity.create({
+    entityId: 'case-2', caseId: 'case', name: 'Driver', numbers: ['+919123456780'], createdAt: new Date('2024-01-02')
+  });
+  await Entity.create({
+    entityId: 'upload-1', uploadId: 'upload', name: 'Courier',
+    numbers: ['+919876543210', '+919123456780', '+919000000001']
+  });
+  await Entity.create({ entityId: 'other-upload', uploadId: 'other', name: 'Buyer', numbers: ['+919000000002'] });
+
+  const result = await adoptUploadEntities('upload', 'case');
+
+  assert.deepEqual(result, { moved: 0, merged: 1 });
+  const adopted = await caseEntities('case');
+  assert.deepEqual(adopted.map(entity => [entity.entityId, entity.numbers]), [
+    ['case-1', ['+919876543210', '+919000000001']],
+    ['case-2', ['+919123456780']]
+  ]);
+  // Entities of other uploads are left alone
+  assert.equal(entities.documents.find(entity => entity.entityId === 'other-upload').caseId, null);
+});
@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let fileParser;
+const filePath = path.join(os.tmpdir(), `test-${process.pid}.xls`);
+
+before(async () => {
+  // The limit is read when the module loads
+  process.env.MAX_XLS_SIZE_MB = '1';
+  fileParser = await import('../utils/fileParser.js');
+  fs.writeFileSync(filePath, Buffer.alloc(1024 * 1024 + 1));
+});
+
+after(() => {
+  fs.unlinkSync(filePath);
+});
+
+test('a legacy XLS file over MAX_XLS_SIZE_MB is refused without being read', async () => {
+  const batches = [];
+  await fileParser.streamFile(filePath, 'calls.xls', async batch => { batches.push(batch); });
+
+  assert.equal(batches.length, 1);
+  assert.deepEqual(batches[0].results, []);
+  assert.match(batches[0].errors[0].reason, /limited to 1 MB/);
+});
+
+test('sampling a legacy XLS file over MAX_XLS_SIZE_MB reports the limit', async () => {
+  const sample = await fileParser.readFileSample(filePath, 'calls.xls');
+
+  assert.deepEqual(sample.headers, []);
+  assert.match(sample.error, /limited to 1 MB/);
+});
+
+test('only legacy XLS files are held to MAX_XLS_SIZE_MB', () => {
+  const oversized = 1024 * 1024 + 1;
+
+  assert.match(fileParser.legacyWorkbookSizeError('CALLS.XLS', oversized), /limited to 1 MB/);
+  assert.equal(fileParser.legacyWorkbookSizeError('calls.xls', 1024 * 1024), null);
+  assert.equal(fileParser.legacyWorkbookSizeError('calls.xlsx', oversized), null);
+  assert.equal(fileParser.legacyWorkbookSizeError('calls.csv', oversized), null);
+});
@@ -0,0 +1,32 @@
+/**
+ * CDR rows for tests, written as CSV with headers the ingestion pipeline recognises
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { canonicalizeRecords } from '../../utils/ingestionPipeline.js';
+import { streamFile } from '../../utils/fileParser.js';
+
+export const CSV_HEADER = 'A Number,B Number,Start Time,Duration,Call Type';
+
+/**
+ * Canonical records of CSV rows, as an ingestion job would insert them into the upload
+ * @param {Array<string>} rows - CSV lines under CSV_HEADER
+ * @param {string} uploadId
+ * @returns {Promise<Array>} Records ready for EventCanonical.insertMany
+ */
+export async function canonicalRows(rows, uploadId) {
+  const filePath = path.join(os.tmpdir(), `test-${uuidv4()}.csv`);
+  fs.writeFileSync(filePath, [CSV_HEADER, ...rows].join('\n') + '\n');
+  const records = [];
+  try {
+    await streamFile(filePath, 'calls.csv', async ({ results }) => {
+      records.push(...canonicalizeRecords(results, 'calls.csv', uploadId).records);
+    });
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+  return records;
+}
@@ -0,0 +1,216 @@
+/**
+ * In-memory stand-ins for the Mongoose model methods the ingestion code calls, so jobs can run
+ * in tests without a MongoDB server. Only the query and update operators the server uses are
+ * understood; anything else left unstubbed fails at once instead of waiting for a connection.
+ */
+
+import mongoose from 'mongoose';
+
+mongoose.set('bufferCommands', false);
+
+function getValues(document, path) {
+  return path.split('.').reduce((values, key) => values.flatMap(value => {
+    if (value === null || value === undefined) return [undefined];
+    const next = value[key];
+    return Array.isArray(next) ? next : [next];
+  }), [document]);
+}
+
+function comparable(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+}
+
+function equals(a, b) {
+  return comparable(a) === comparable(b);
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+function matchesCondition(values, condition) {
+  const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).every(key => key.startsWith('$'));
+  if (!isOperator) {
+    return values.some(value => equals(value, condition));
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return values.some(value => operand.some(item => equals(value, item)));
+      case '$nin': return !values.some(value => operand.some(item => equals(value, item)));
+      case '$ne': return !values.some(value => equals(value, operand));
+      case '$gte': return values.some(value => value != null && compare(value, operand) >= 0);
+      case '$lte': return values.some(value => value != null && compare(value, operand) <= 0);
+      default: throw new Error(`memoryModels: unsupported operator ${operator}`);
+    }
+  });
+}
+
+export function matches(document, filter = {}) {
+  return Object.entries(filter).every(([path, condition]) => matchesCondition(getValues(document, path), condition));
+}
+
+function applyUpdate(document, update) {
+  Object.entries(update.$set || {}).forEach(([field, value]) => { document[field] = value; });
+  Object.keys(update.$unset || {}).forEach(field => { delete document[field]; });
+  Object.entries(update.$push || {}).forEach(([field, value]) => {
+    document[field] = [...(document[field] || []), ...(value && value.$each ? value.$each : [value])];
+  });
+  Object.entries(update.$pull || {}).forEach(([field, condition]) => {
+    document[field] = (document[field] || []).filter(item =>
+      !(condition && typeof condition === 'object' ? matches(item, condition) : equals(item, condition))
+    );
+  });
+}
+
+// Copies are handed out so callers cannot change stored documents in place (ObjectIds are immutable)
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function createQuery(Model, run) {
+  let lean = false;
+  let sortSpec = null;
+  const results = () => {
+    const documents = run();
+    if (sortSpec) {
+      const fields = Object.entries(sortSpec);
+      documents.sort((a, b) => {
+        for (const [field, direction] of fields) {
+          const order = compare(a[field], b[field]);
+          if (order !== 0) return order * direction;
+        }
+        return 0;
+      });
+    }
+    return documents.map(document => (lean ? clone(document) : Model.hydrate(clone(document))));
+  };
+  const query = {
+    select: () => query,
+    allowDiskUse: () => query,
+    sort: (spec) => { sortSpec = spec; return query; },
+    lean: () => { lean = true; return query; },
+    cursor: () => results()[Symbol.iterator](),
+    then: (resolve, reject) => Promise.resolve().then(results).then(resolve, reject)
+  };
+  return query;
+}
+
+/**
+ * Replace a model's data methods with ones backed by an array
+ * @param {mongoose.Model} Model
+ * @returns {Object} { documents, restore } documents is the live collection; restore puts the real methods back
+ */
+export function useMemoryModel(Model) {
+  const documents = [];
+  const originals = {};
+  const stub = (target, name, implementation) => {
+    originals[name] = { target, value: target[name] };
+    target[name] = implementation;
+  };
+  const toStored = (data) => new Model(data).toObject();
+  const findAll = (filter) => documents.filter(document => matches(document, filter));
+  const updateWhere = (filter, update, many) => {
+    const targets = many ? findAll(filter) : findAll(filter).slice(0, 1);
+    targets.forEach(document => applyUpdate(document, update));
+    return { matchedCount: targets.length, modifiedCount: targets.length };
+  };
+
+  stub(Model, 'insertMany', async (data) => {
+    const stored = data.map(toStored);
+    documents.push(...stored);
+    return stored;
+  });
+  stub(Model, 'create', async (data) => {
+    const document = toStored(data);
+    documents.push(document);
+    return Model.hydrate(clone(document));
+  });
+  stub(Model, 'find', (filter) => createQuery(Model, () => findAll(filter)));
+  stub(Model, 'findOne', (filter) => {
+    const query = createQuery(Model, () => findAll(filter).slice(0, 1));
+    const then = query.then;
+    query.then = (resolve, reject) => then(results => results[0] || null).then(resolve, reject);
+    return query;
+  });
+  stub(Model, 'distinct', async (field, filter) => [...new Set(findAll(filter).map(document => document[field]))]);
+  stub(Model, 'countDocuments', async (filter) => findAll(filter).length);
+  stub(Model, 'updateOne', async (filter, update) => updateWhere(filter, update, false));
+  stub(Model, 'updateMany', async (filter, update) => updateWhere(filter, update, true));
+  stub(Model, 'deleteMany', async (filter) => {
+    const removed = findAll(filter);
+    removed.forEach(document => documents.splice(documents.indexOf(document), 1));
+    return { deletedCount: removed.length };
+  });
+  stub(Model, 'deleteOne', async (filter) => {
+    const [removed] = findAll(filter);
+    if (removed) documents.splice(documents.indexOf(removed), 1);
+    return { deletedCount: removed ? 1 : 0 };
+  });
+  stub(Model, 'bulkWrite', async (operations) => {
+    let modifiedCount = 0;
+    operations.forEach(({ updateOne, updateMany }) => {
+      const operation = updateOne || updateMany;
+      modifiedCount += updateWhere(operation.filter, operation.update, Boolean(updateMany)).modifiedCount;
+    });
+    return { modifiedCount };
+  });
+  // Only $match followed by one $group: by null with $min/$max (the time range of
+  // enrichStoredRecords), or by an object of fields without accumulators (distinct combinations)
+  stub(Model, 'aggregate', ([{ $match }, { $group }, ...rest]) => {
+    const isCombination = $group && $group._id && typeof $group._id === 'object' && Object.keys($group).length === 1;
+    if (!$group || ($group._id !== null && !isCombination) || rest.length > 0) {
+      throw new Error('memoryModels: unsupported aggregate pipeline');
+    }
+    const run = () => {
+      const matched = findAll($match);
+      if (isCombination) {
+        const combinations = new Map();
+        matched.forEach(document => {
+          const _id = Object.fromEntries(Object.entries($group._id).map(([key, expression]) => [key, document[expression.slice(1)]]));
+          combinations.set(JSON.stringify(_id), { _id });
+        });
+        return [...combinations.values()];
+      }
+      if (matched.length === 0) return [];
+      const result = { _id: null };
+      Object.entries($group).filter(([field]) => field !== '_id').forEach(([field, accumulator]) => {
+        const [[operator, expression]] = Object.entries(accumulator);
+        const values = matched.map(document => document[expression.slice(1)]).filter(value => value != null);
+        const order = operator === '$min' ? 1 : -1;
+        result[field] = values.sort((a, b) => compare(a, b) * order)[0] ?? null;
+      });
+      return [result];
+    };
+    const aggregate = {
+      allowDiskUse: () => aggregate,
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return aggregate;
+  });
+  stub(Model.prototype, 'save', async function save() {
+    const data = this.toObject();
+    const existing = documents.findIndex(document => equals(document._id, data._id));
+    if (existing >= 0) documents[existing] = data;
+    else documents.push(data);
+    return this;
+  });
+
+  const restore = () => {
+    Object.entries(originals).forEach(([name, { target, value }]) => { target[name] = value; });
+  };
+  return { documents, restore };
+}
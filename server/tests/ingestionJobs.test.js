@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { useMemoryModel } from './helpers/memoryModels.js';
+import { CSV_HEADER, canonicalRows } from './helpers/cdrRows.js';
+import EventCanonical from '../models/EventCanonical.js';
+import Upload from '../models/Upload.js';
+import IngestionJob from '../models/IngestionJob.js';
+import DuplicateDecision from '../models/DuplicateDecision.js';
+import {
+  createIngestionJob,
+  getUploadedFilePath,
+  isTerminalStatus,
+  requestCancellation,
+  subscribeToJob
+} from '../utils/ingestionJobs.js';
+
+let stores;
+
+beforeEach(() => {
+  stores = {
+    events: useMemoryModel(EventCanonical),
+    uploads: useMemoryModel(Upload),
+    jobs: useMemoryModel(IngestionJob),
+    decisions: useMemoryModel(DuplicateDecision)
+  };
+});
+
+afterEach(() => {
+  Object.values(stores).forEach(store => store.restore());
+});
+
+/**
+ * Store a CSV as POST /api/uploads would and describe it the way the upload route passes files on
+ */
+function storeCsv(rows) {
+  const filename = `test-${uuidv4()}.csv`;
+  fs.mkdirSync(getUploadedFilePath(''), { recursive: true });
+  fs.writeFileSync(getUploadedFilePath(filename), [CSV_HEADER, ...rows].join('\n') + '\n');
+  return { filename, originalName: 'calls.csv' };
+}
+
+/**
+ * Run a job to its end, calling onSnapshot with each progress snapshot on the way
+ */
+async function runJob(files, options, onSnapshot = () => {}) {
+  let unsubscribe;
+  const finished = new Promise(resolve => {
+    createIngestionJob(files, { retainEvidence: false, ...options }).then(snapshot => {
+      unsubscribe = subscribeToJob(snapshot.jobId, update => {
+        onSnapshot(update);
+        if (isTerminalStatus(update.status)) resolve(update);
+      });
+    });
+  });
+  const snapshot = await finished;
+  unsubscribe();
+  return snapshot;
+}
+
+test('a failed insert fails the job and leaves no staged records', async () => {
+  const insertMany = EventCanonical.insertMany;
+  EventCanonical.insertMany = async (records) => {
+    // Part of the batch is written before the database gives up
+    await insertMany(records.slice(0, 1));
+    const error = new Error('connection reset');
+    error.insertedDocs = records.slice(0, 1);
+    throw error;
+  };
+
+  const snapshot = await runJob([storeCsv([
+    '9876543210,9123456789,2024-01-05 10:00:00,60,Voice',
+    '9876543210,9123456780,2024-01-05 11:00:00,30,Voice'
+  ])], {});
+
+  assert.equal(snapshot.status, 'failed');
+  assert.match(snapshot.error, /connection reset/);
+  const [upload] = stores.uploads.documents;
+  assert.equal(upload.status, 'failed');
+  assert.equal(upload.stagingJobId, null);
+  assert.equal(stores.events.documents.length, 0);
+});
+
+test('cancelling an append keeps a stored record whose appended copy is earlier', async () => {
+  const uploadId = uuidv4();
+  await Upload.create({ uploadId, status: 'committed', stagingJobId: null });
+  // Stored by an earlier job half a second after the time the appended file reports
+  const [stored] = await canonicalRows(['9876543210,9123456789,2024-01-05 10:00:00,60,Voice'], uploadId);
+  stored.timestamp_utc = new Date(stored.timestamp_utc.getTime() + 500);
+  stored.ingestionJobId = 'earlier-job';
+  await EventCanonical.insertMany([stored]);
+
+  let afterDedupe = null;
+  const snapshot = await runJob(
+    [storeCsv(['9876543210,9123456789,2024-01-05 10:00:00,60,Voice'])],
+    { appendTo: uploadId },
+    update => {
+      const dedupe = update.stages.find(stage => stage.name === 'dedupe');
+      if (!afterDedupe && dedupe.processed > 0) {
+        afterDedupe = structuredClone(stores.events.documents.map(({ record_id, sources }) => ({ record_id, sources })));
+        requestCancellation(update.jobId);
+      }
+    }
+  );
+
+  // The appended copy was the one dropped, its row merged into the stored record
+  assert.deepEqual(afterDedupe.map(record => record.record_id), [stored.record_id]);
+  assert.equal(afterDedupe[0].sources.length, 2);
+  assert.equal(afterDedupe[0].sources[1].ingestionJobId, snapshot.jobId);
+
+  assert.equal(snapshot.status, 'cancelled');
+  assert.equal(stores.events.documents.length, 1);
+  const [record] = stores.events.documents;
+  assert.equal(record.record_id, stored.record_id);
+  assert.equal(record.ingestionJobId, 'earlier-job');
+  assert.deepEqual(record.sources.map(source => source.ingestionJobId ?? null), [null]);
+  assert.equal(stores.uploads.documents[0].stagingJobId, null);
+});
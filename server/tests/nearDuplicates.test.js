@@ -0,0 +1,117 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuidv4 } from 'uuid';
+import { useMemoryModel } from './helpers/memoryModels.js';
+import { canonicalRows } from './helpers/cdrRows.js';
+import EventCanonical from '../models/EventCanonical.js';
+import Upload from '../models/Upload.js';
+import DuplicateDecision from '../models/DuplicateDecision.js';
+import { applyMergeDecisions, findNearDuplicateClusters, getClusterKey } from '../utils/nearDuplicates.js';
+import { generateFingerprint } from '../utils/deduplication.js';
+
+// Two records of one call, a few seconds apart: a near-duplicate cluster
+const CLUSTER_ROWS = [
+  '9876543210,9123456789,2024-01-05 10:00:00,60,Voice',
+  '9876543210,9123456789,2024-01-05 10:00:04,60,Voice'
+];
+
+let stores;
+
+beforeEach(() => {
+  stores = {
+    events: useMemoryModel(EventCanonical),
+    uploads: useMemoryModel(Upload),
+    decisions: useMemoryModel(DuplicateDecision)
+  };
+});
+
+afterEach(() => {
+  Object.values(stores).forEach(store => store.restore());
+});
+
+/**
+ * Store an upload holding the cluster's records, inserted by the given job
+ */
+async function ingestCluster(caseId, jobId) {
+  const uploadId = uuidv4();
+  await Upload.create({ uploadId, caseId, status: 'committed' });
+  const records = await canonicalRows(CLUSTER_ROWS, uploadId);
+  records.forEach(record => { record.ingestionJobId = jobId; });
+  await EventCanonical.insertMany(records);
+  return { uploadId, records };
+}
+
+/**
+ * Record a merge of the records as decideCluster would
+ */
+async function recordMerge(uploadId, records) {
+  const times = records.map(record => record.timestamp_utc.getTime());
+  await DuplicateDecision.create({
+    decisionId: uuidv4(),
+    uploadId,
+    clusterKey: getClusterKey(records),
+    decision: 'merge',
+    fingerprints: records.map(generateFingerprint),
+    contact_pair_key: records[0].contact_pair_key,
+    firstTimestamp: new Date(Math.min(...times)),
+    lastTimestamp: new Date(Math.max(...times))
+  });
+}
+
+const recordsOf = (uploadId) => stores.events.documents.filter(record => record.uploadId === uploadId);
+
+test('a merge made in one upload applies when the same files are ingested as another upload of the case', async () => {
+  const reviewed = await ingestCluster('case-1', 'job-1');
+  await recordMerge(reviewed.uploadId, reviewed.records);
+
+  const again = await ingestCluster('case-1', 'job-2');
+  const result = await applyMergeDecisions(again.uploadId, { jobId: 'job-2' });
+
+  assert.deepEqual(result, { decisionsApplied: 1, recordsRemoved: 1 });
+  const [kept, ...rest] = recordsOf(again.uploadId);
+  assert.equal(rest.length, 0);
+  assert.equal(kept.sources.length, 2);
+  // The reviewed upload is left as it was
+  assert.equal(recordsOf(reviewed.uploadId).length, 2);
+});
+
+test('a merge is not applied to uploads of another case or to records of another job', async () => {
+  const reviewed = await ingestCluster('case-1', 'job-1');
+  await recordMerge(reviewed.uploadId, reviewed.records);
+
+  const elsewhere = await ingestCluster('case-2', 'job-2');
+  assert.deepEqual(await applyMergeDecisions(elsewhere.uploadId, { jobId: 'job-2' }), { decisionsApplied: 0, recordsRemoved: 0 });
+  assert.equal(recordsOf(elsewhere.uploadId).length, 2);
+
+  const stored = await ingestCluster('case-1', 'job-3');
+  assert.deepEqual(await applyMergeDecisions(stored.uploadId, { jobId: 'job-4' }), { decisionsApplied: 0, recordsRemoved: 0 });
+  assert.equal(recordsOf(stored.uploadId).length, 2);
+});
+
+test('the cluster scan leaves out records staged by a running job and copies of another upload', async () => {
+  const { uploadId } = await ingestCluster('case-1', 'job-1');
+
+  // An append still running for the upload stages the same call again
+  await Upload.updateOne({ uploadId }, { $set: { stagingJobId: 'job-2' } });
+  const staged = await canonicalRows([CLUSTER_ROWS[1]], uploadId);
+  staged[0].ingestionJobId = 'job-2';
+  staged[0].timestamp_utc = new Date(staged[0].timestamp_utc.getTime() + 2000);
+  await EventCanonical.insertMany(staged);
+
+  // Copies whose original is stored in another upload of the case
+  const copies = await canonicalRows(CLUSTER_ROWS, uploadId);
+  copies.forEach(record => {
+    record.ingestionJobId = 'job-1';
+    record.caller_number = '+919000000001';
+    record.contact_pair_key = 'copies';
+    record.is_duplicate = true;
+    record.duplicate_of_upload = 'other-upload';
+  });
+  await EventCanonical.insertMany(copies);
+
+  const result = await findNearDuplicateClusters(uploadId);
+
+  assert.equal(result.totalClusters, 1);
+  assert.equal(result.clusters[0].records.length, 2);
+  assert.ok(result.clusters[0].records.every(record => record.record_id !== staged[0].record_id));
+});
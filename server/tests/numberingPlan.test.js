@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeNumber } from '../utils/numberingPlan.js';
+
+test('numbers a spreadsheet wrote in scientific notation are subscriber numbers', () => {
+  ['9.23001234567E+11', '9.23001234567E11', '9.23001234567e11'].forEach(value => {
+    assert.deepEqual(
+      canonicalizeNumber(value, 'PK'),
+      { number: '+923001234567', raw: value, numberClass: 'subscriber' },
+      value
+    );
+  });
+});
+
+test('sender IDs with letters stay alphanumeric', () => {
+  assert.equal(canonicalizeNumber('Jazz', 'PK').numberClass, 'alphanumeric');
+  assert.equal(canonicalizeNumber('9E11X', 'PK').numberClass, 'alphanumeric');
+});
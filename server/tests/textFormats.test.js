@@ -0,0 +1,44 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { keyValueFormat } from '../utils/textFormats.js';
+import { streamFile } from '../utils/fileParser.js';
+
+const filePath = path.join(os.tmpdir(), `test-${process.pid}.log`);
+
+after(() => {
+  fs.rmSync(filePath, { force: true });
+});
+
+// Enough lines without a cell for the columns to be fixed before the first one that has it
+function writeLateCellLog() {
+  const lines = [];
+  for (let i = 0; i < keyValueFormat.scanLines + 5; i++) {
+    const cell = i >= keyValueFormat.scanLines ? ` SITE_CELL=${1000 + i}` : '';
+    lines.push(`CALLING=923001234567 CALLED=923007654321 START=2024-01-01 10:00:00 DUR=${i}${cell}`);
+  }
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+}
+
+test('a key that first appears after the scanned lines becomes a column', () => {
+  const head = ['A=1 B=2', 'A=3 B=4'];
+  const prepared = keyValueFormat.prepare(head);
+
+  assert.deepEqual(prepared.toRow('A=5 C=6 B=7'), ['5', '7', '6']);
+  assert.deepEqual(prepared.headers, ['A', 'B', 'C']);
+  assert.deepEqual(prepared.toRow('c=8'), ['', '', '8']);
+});
+
+test('a mapping can name a key that only appears late in the file', async () => {
+  writeLateCellLog();
+  const results = [];
+  await streamFile(filePath, 'calls.log', async batch => { results.push(...batch.results); }, {
+    mapping: { aParty: 'CALLING', bParty: 'CALLED', startTime: 'START', durationSec: 'DUR', cellId: 'SITE_CELL' }
+  });
+
+  assert.equal(results.length, keyValueFormat.scanLines + 5);
+  assert.equal(results[0].cellId, null);
+  assert.equal(results[results.length - 1].cellId, String(1000 + keyValueFormat.scanLines + 4));
+});
@@ -0,0 +1,218 @@
+/**
+ * ARCHIVE EXPANSION
+ *
+ * Operators deliver CDR exports as ZIP archives of per-day CSVs, or as single GZIP-compressed
+ * files. POST /api/uploads expands them here so each contained file is mapped, parsed and
+ * summarized like a file uploaded on its own.
+ *
+ * Member names are reduced to a relative path without '..', absolute or drive prefixes, and only
+ * the last segment is used on disk, so nothing is written outside the uploads directory.
+ * Expansion stops when an archive has too many members, expands beyond the size limit, or a
+ * member compresses far better than CDR text does (a zip bomb); the sizes declared in the ZIP
+ * directory are not trusted, bytes are counted as they are written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import unzipper from 'unzipper';
+import { hashFile } from './evidenceStore.js';
+import { getSupportedExtensions } from './fileParser.js';
+
+export const ARCHIVE_EXTENSIONS = ['.zip', '.gz'];
+
+export const MAX_ARCHIVE_MEMBERS = parseInt(process.env.ARCHIVE_MAX_MEMBERS, 10) || 1000;
+export const MAX_EXPANDED_SIZE_MB = parseInt(process.env.ARCHIVE_MAX_EXPANDED_MB, 10) || 8192;
+export const MAX_COMPRESSION_RATIO = parseInt(process.env.ARCHIVE_MAX_RATIO, 10) || 200;
+
+// Small members (headers-only CSVs, empty sheets) compress far beyond any sane ratio
+const RATIO_CHECK_FLOOR_BYTES = 1024 * 1024;
+
+// Archive clutter that is dropped without being reported
+const IGNORED_SEGMENTS = ['__MACOSX'];
+const IGNORED_NAMES = ['Thumbs.db', 'desktop.ini'];
+
+export function isArchive(fileName) {
+  return ARCHIVE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Relative path of an archive member with directory traversal and absolute prefixes removed
+ * @returns {string|null} null when nothing usable is left
+ */
+export function sanitizeMemberPath(memberPath) {
+  const segments = String(memberPath)
+    .replace(/\\/g, '/')
+    .replace(/[\u0000-\u001f]/g, '')
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..' && !/^[a-zA-Z]:$/.test(segment));
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+function isIgnoredMember(memberPath) {
+  const segments = memberPath.split('/');
+  const name = segments[segments.length - 1];
+  return segments.some(segment => IGNORED_SEGMENTS.includes(segment))
+    || name.startsWith('.')
+    || IGNORED_NAMES.includes(name);
+}
+
+/**
+ * Why a member cannot be ingested, or null if it can
+ */
+function getUnsupportedReason(memberPath) {
+  const ext = path.extname(memberPath).toLowerCase();
+  if (ARCHIVE_EXTENSIONS.includes(ext) || ['.tar', '.7z', '.rar'].includes(ext)) {
+    return 'Nested archives are not expanded; extract it and upload its files directly';
+  }
+  if (!getSupportedExtensions().includes(ext)) {
+    return `Unsupported file type${ext ? ` (${ext})` : ''}; only ${getSupportedExtensions().join(', ')} files can be ingested`;
+  }
+  return null;
+}
+
+function limitError(message) {
+  const error = new Error(message);
+  error.code = 'ARCHIVE_LIMIT';
+  return error;
+}
+
+/**
+ * Pass-through stream that fails once more bytes come through than the limits allow
+ */
+function createByteLimiter(state, compressedSize, memberPath) {
+  let memberBytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      memberBytes += chunk.length;
+      state.expandedBytes += chunk.length;
+      if (state.expandedBytes > state.maxExpandedBytes) {
+        return callback(limitError(
+          `Archive expands to more than ${state.maxExpandedBytes / (1024 * 1024)}MB`
+        ));
+      }
+      if (compressedSize > 0 && memberBytes > RATIO_CHECK_FLOOR_BYTES
+        && memberBytes / compressedSize > state.maxRatio) {
+        return callback(limitError(
+          `${memberPath} expands more than ${state.maxRatio} times its compressed size`
+        ));
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Write one member to the destination directory under a unique name
+ */
+async function writeMember(source, memberPath, compressedSize, state) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = `${uniqueSuffix}-${path.posix.basename(memberPath)}`;
+  const filePath = path.join(state.destination, filename);
+  state.written.push(filePath);
+
+  await pipeline(source, createByteLimiter(state, compressedSize, memberPath), fs.createWriteStream(filePath));
+
+  const { size } = await fs.promises.stat(filePath);
+  return {
+    filename,
+    originalName: `${state.archiveName}/${memberPath}`,
+    size,
+    path: filePath
+  };
+}
+
+async function expandZip(archivePath, state) {
+  const directory = await unzipper.Open.file(archivePath);
+  const entries = directory.files.filter(entry => entry.type === 'File');
+
+  if (entries.length > state.maxMembers) {
+    throw limitError(`Archive has ${entries.length} files; the limit is ${state.maxMembers}`);
+  }
+
+  for (const entry of entries) {
+    const memberPath = sanitizeMemberPath(entry.path);
+    if (!memberPath || isIgnoredMember(memberPath)) continue;
+
+    // Bit 0 of the general purpose flags marks an encrypted member
+    const reason = (entry.flags & 0x1)
+      ? 'Encrypted archive members are not supported'
+      : getUnsupportedReason(memberPath);
+    if (reason) {
+      state.rejected.push({ fileName: `${state.archiveName}/${memberPath}`, reason });
+      continue;
+    }
+
+    state.files.push(await writeMember(entry.stream(), memberPath, entry.compressedSize, state));
+  }
+}
+
+async function expandGzip(archivePath, state) {
+  // A GZIP file holds one file: the archive name without .gz
+  const memberPath = sanitizeMemberPath(path.basename(state.archiveName, path.extname(state.archiveName)));
+  const reason = memberPath ? getUnsupportedReason(memberPath) : 'Compressed file has no name';
+  if (reason) {
+    state.rejected.push({ fileName: state.archiveName, reason });
+    return;
+  }
+
+  const { size } = await fs.promises.stat(archivePath);
+  const file = await writeMember(
+    fs.createReadStream(archivePath).pipe(zlib.createGunzip()),
+    memberPath,
+    size,
+    state
+  );
+  // The member is named after the archive itself rather than listed inside it
+  state.files.push({ ...file, originalName: memberPath });
+}
+
+/**
+ * Expand a received archive into the destination directory
+ * @param {string} archivePath - Archive as written by multer
+ * @param {string} archiveName - Name the archive was uploaded under
+ * @param {Object} options - { destination, maxMembers, maxExpandedBytes, maxRatio }
+ * @returns {Promise<Object>} { archive: { fileName, sha256, size }, files, rejected } or { error }
+ *   when the archive is unreadable or over a limit, in which case nothing is left on disk.
+ *   Each file is { filename, originalName, size, path } like a multer upload.
+ */
+export async function expandArchive(archivePath, archiveName, options) {
+  const state = {
+    archiveName,
+    destination: options.destination,
+    maxMembers: options.maxMembers ?? MAX_ARCHIVE_MEMBERS,
+    maxExpandedBytes: options.maxExpandedBytes ?? MAX_EXPANDED_SIZE_MB * 1024 * 1024,
+    maxRatio: options.maxRatio ?? MAX_COMPRESSION_RATIO,
+    expandedBytes: 0,
+    written: [],
+    files: [],
+    rejected: []
+  };
+
+  try {
+    // Recorded with each member's evidence entry; the archive itself is removed once expanded
+    const { sha256, size } = await hashFile(archivePath);
+
+    if (path.extname(archiveName).toLowerCase() === '.zip') {
+      await expandZip(archivePath, state);
+    } else {
+      await expandGzip(archivePath, state);
+    }
+
+    const archive = { fileName: archiveName, sha256, size };
+    return {
+      archive,
+      files: state.files.map(file => ({ ...file, archive })),
+      rejected: state.rejected
+    };
+  } catch (error) {
+    await Promise.all(state.written.map(filePath => fs.promises.unlink(filePath).catch(() => null)));
+    if (error.code === 'ARCHIVE_LIMIT') {
+      return { error: error.message };
+    }
+    return { error: `Could not expand ${archiveName} (${error.message}); check that it is a complete ZIP or GZIP file` };
+  }
+}
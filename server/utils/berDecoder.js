@@ -0,0 +1,524 @@
+/**
+ * ASN.1 BER CDR DECODING
+ *
+ * MSCs write each call or SMS event as one BER record in the style of 3GPP TS 32.298
+ * (CallEventRecord): a context-tagged SET per record type whose members are context-tagged
+ * fields. A tag map says which record tags are read and which member tags hold the parties,
+ * times, duration, IMSI, IMEI and cell. DEFAULT_TAG_MAP follows TS 32.298; a mapping profile's
+ * berTagMap replaces or adds record types for vendors that number their fields differently.
+ *
+ * Each record becomes a row under fixed column names (A Party, Start Time, ...) that the default
+ * header synonyms match exactly. fileParser.js feeds those rows through normalizeRow like CSV
+ * rows, so canonicalization and everything after it is unchanged.
+ */
+
+import { DateTime, FixedOffsetZone } from 'luxon';
+import { CANONICAL_FIELDS } from './normalizer.js';
+
+export const BER_EXTENSIONS = ['.ber', '.asn', '.asn1', '.cdr', '.dat'];
+
+export const FIELD_TYPES = ['address', 'tbcd', 'bcd', 'timestamp', 'integer', 'unsigned', 'text', 'hex'];
+
+// Column each canonical field is emitted under; the default header synonyms match these exactly
+const COLUMN_NAMES = {
+  aParty: 'A Party',
+  bParty: 'B Party',
+  startTime: 'Start Time',
+  endTime: 'End Time',
+  duration: 'Duration',
+  eventType: 'Event Type',
+  direction: 'Direction',
+  imsi: 'IMSI',
+  imei: 'IMEI',
+  cellId: 'Cell ID',
+  lacId: 'LAC'
+};
+
+const EVENT_TYPES = ['CALL', 'SMS'];
+const DIRECTIONS = ['INCOMING', 'OUTGOING'];
+
+const CONTEXT_CLASS = 2;
+// SEQUENCE and SET wrappers around blocks of records are looked into rather than read as records
+const UNIVERSAL_SEQUENCE = 16;
+const UNIVERSAL_SET = 17;
+// Block padding some switches write between records
+const FILLER_BYTES = [0x00, 0xff];
+
+const MAX_RECORD_BYTES = 1024 * 1024;
+const MAX_DEPTH = 16;
+const MAX_TAG_NUMBER = 0xffff;
+const MAX_TAG_PATH_DEPTH = 4;
+const MAX_RECORD_TYPES = 64;
+const MAX_FIELDS_PER_RECORD = 64;
+
+// Records read from the start of a file to decide whether it is BER
+const DETECT_RECORDS = 5;
+
+/**
+ * TS 32.298 record types; member tags are the IMPLICIT context tags of the record's SET.
+ * Earlier entries for a field win, so answerTime is used before seizureTime.
+ */
+export const DEFAULT_TAG_MAP = {
+  records: {
+    0: {
+      name: 'moCallRecord',
+      eventType: 'CALL',
+      direction: 'OUTGOING',
+      fields: [
+        { tag: 3, field: 'aParty', type: 'address' }, // servedMSISDN
+        { tag: 4, field: 'aParty', type: 'address' }, // callingNumber
+        { tag: 5, field: 'bParty', type: 'address' }, // calledNumber
+        { tag: 6, field: 'bParty', type: 'address' }, // translatedNumber
+        { tag: 1, field: 'imsi', type: 'tbcd' },
+        { tag: 2, field: 'imei', type: 'tbcd' },
+        { tag: [12, 0], field: 'lacId', type: 'unsigned' }, // location.locationAreaCode
+        { tag: [12, 1], field: 'cellId', type: 'unsigned' }, // location.cellId
+        { tag: 23, field: 'startTime', type: 'timestamp' }, // answerTime
+        { tag: 22, field: 'startTime', type: 'timestamp' }, // seizureTime
+        { tag: 24, field: 'endTime', type: 'timestamp' }, // releaseTime
+        { tag: 25, field: 'duration', type: 'integer' }
+      ]
+    },
+    1: {
+      name: 'mtCallRecord',
+      eventType: 'CALL',
+      direction: 'INCOMING',
+      fields: [
+        { tag: 3, field: 'aParty', type: 'address' }, // servedMSISDN
+        { tag: 4, field: 'bParty', type: 'address' }, // callingNumber
+        { tag: 1, field: 'imsi', type: 'tbcd' },
+        { tag: 2, field: 'imei', type: 'tbcd' },
+        { tag: [9, 0], field: 'lacId', type: 'unsigned' },
+        { tag: [9, 1], field: 'cellId', type: 'unsigned' },
+        { tag: 20, field: 'startTime', type: 'timestamp' }, // answerTime
+        { tag: 19, field: 'startTime', type: 'timestamp' }, // seizureTime
+        { tag: 21, field: 'endTime', type: 'timestamp' }, // releaseTime
+        { tag: 22, field: 'duration', type: 'integer' }
+      ]
+    },
+    6: {
+      name: 'moSMSRecord',
+      eventType: 'SMS',
+      direction: 'OUTGOING',
+      fields: [
+        { tag: 3, field: 'aParty', type: 'address' }, // servedMSISDN
+        { tag: 12, field: 'bParty', type: 'address' }, // destinationNumber
+        { tag: 1, field: 'imsi', type: 'tbcd' },
+        { tag: 2, field: 'imei', type: 'tbcd' },
+        { tag: [7, 0], field: 'lacId', type: 'unsigned' },
+        { tag: [7, 1], field: 'cellId', type: 'unsigned' },
+        { tag: 9, field: 'startTime', type: 'timestamp' } // originationTime
+      ]
+    },
+    // The standard MT SMS record does not name the sender; vendor maps that add it can map bParty
+    7: {
+      name: 'mtSMSRecord',
+      eventType: 'SMS',
+      direction: 'INCOMING',
+      fields: [
+        { tag: 5, field: 'aParty', type: 'address' }, // servedMSISDN
+        { tag: 3, field: 'imsi', type: 'tbcd' },
+        { tag: 4, field: 'imei', type: 'tbcd' },
+        { tag: [7, 0], field: 'lacId', type: 'unsigned' },
+        { tag: [7, 1], field: 'cellId', type: 'unsigned' },
+        { tag: 8, field: 'startTime', type: 'timestamp' } // deliveryTime
+      ]
+    }
+  }
+};
+
+function berError(message, offset) {
+  const error = new Error(`${message} at byte ${offset}`);
+  error.code = 'BER_STRUCTURE';
+  return error;
+}
+
+/**
+ * Tag and length of the element starting at offset
+ * @returns {Object|null} { tagClass, constructed, tagNumber, headerLength, length } with length null
+ *   for the indefinite form; null when the buffer ends inside the header
+ */
+function readHeader(buffer, offset) {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+  const constructed = (first & 0x20) !== 0;
+  let tagNumber = first & 0x1f;
+  let pos = offset + 1;
+
+  // High tag numbers continue in base-128 octets
+  if (tagNumber === 0x1f) {
+    tagNumber = 0;
+    let octet;
+    do {
+      if (pos >= buffer.length) return null;
+      octet = buffer[pos++];
+      tagNumber = tagNumber * 128 + (octet & 0x7f);
+      if (tagNumber > MAX_TAG_NUMBER) throw berError('Tag number out of range', offset);
+    } while (octet & 0x80);
+  }
+
+  if (pos >= buffer.length) return null;
+  const lengthOctet = buffer[pos++];
+  let length = lengthOctet;
+  if (lengthOctet === 0x80) {
+    if (!constructed) throw berError('Indefinite length on a primitive element', offset);
+    length = null;
+  } else if (lengthOctet & 0x80) {
+    const count = lengthOctet & 0x7f;
+    if (count > 4) throw berError('Length out of range', offset);
+    if (pos + count > buffer.length) return null;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + buffer[pos++];
+    }
+  }
+
+  return { tagClass: first >> 6, constructed, tagNumber, headerLength: pos - offset, length };
+}
+
+/**
+ * Whole element starting at offset, following indefinite lengths to their end-of-contents
+ * @returns {Object|null} Header plus { contentStart, contentEnd, end }; null when incomplete
+ */
+function readElement(buffer, offset, depth = 0) {
+  if (depth > MAX_DEPTH) throw berError('Elements nested too deeply', offset);
+  const header = readHeader(buffer, offset);
+  if (!header) return null;
+
+  const contentStart = offset + header.headerLength;
+  if (header.length !== null) {
+    const end = contentStart + header.length;
+    return end <= buffer.length ? { ...header, contentStart, contentEnd: end, end } : null;
+  }
+
+  let pos = contentStart;
+  for (;;) {
+    if (pos + 2 > buffer.length) return null;
+    if (buffer[pos] === 0 && buffer[pos + 1] === 0) {
+      return { ...header, contentStart, contentEnd: pos, end: pos + 2 };
+    }
+    const child = readElement(buffer, pos, depth + 1);
+    if (!child) return null;
+    pos = child.end;
+  }
+}
+
+/**
+ * Content of the member reached by a path of context tags, or null if the record has none
+ */
+function findMember(content, path) {
+  let current = content;
+  for (const tag of path) {
+    let found = null;
+    let pos = 0;
+    while (pos < current.length) {
+      const element = readElement(current, pos, 1);
+      if (!element) throw berError('Member runs past the end of its record', pos);
+      if (element.tagClass === CONTEXT_CLASS && element.tagNumber === tag) {
+        found = current.subarray(element.contentStart, element.contentEnd);
+        break;
+      }
+      pos = element.end;
+    }
+    if (!found) return null;
+    current = found;
+  }
+  return current;
+}
+
+/**
+ * Telephony BCD: low nibble first, 0xF fills the last octet
+ */
+function decodeTbcd(bytes) {
+  const symbols = '0123456789*#abc';
+  let digits = '';
+  for (const octet of bytes) {
+    for (const nibble of [octet & 0x0f, octet >> 4]) {
+      if (nibble === 0x0f) return digits;
+      digits += symbols[nibble];
+    }
+  }
+  return digits;
+}
+
+/**
+ * Plain BCD: high nibble first
+ */
+function decodeBcd(bytes) {
+  return Array.from(bytes, octet => `${octet >> 4}${octet & 0x0f}`).join('').replace(/f+$/i, '');
+}
+
+/**
+ * AddressString: a type-of-number/numbering-plan octet, then TBCD digits.
+ * International numbers get a leading + so they are not read in the upload's numbering plan.
+ */
+function decodeAddress(bytes) {
+  if (bytes.length < 2) return '';
+  const typeOfNumber = (bytes[0] >> 4) & 0x07;
+  const digits = decodeTbcd(bytes.subarray(1));
+  return typeOfNumber === 1 && digits ? `+${digits}` : digits;
+}
+
+/**
+ * TimeStamp: BCD YYMMDDhhmmss, then an optional sign octet ('+' or '-') and BCD hhmm offset from
+ * UTC. With an offset and a source timezone, the time is given as wall-clock time in that zone,
+ * which is how the pipeline reads every start time.
+ */
+function decodeTimestamp(bytes, timezone) {
+  if (bytes.length < 6) return null;
+  const pair = i => (bytes[i] >> 4) * 10 + (bytes[i] & 0x0f);
+  const fields = {
+    year: 2000 + pair(0),
+    month: pair(1),
+    day: pair(2),
+    hour: pair(3),
+    minute: pair(4),
+    second: pair(5)
+  };
+
+  let time = DateTime.fromObject(fields, { zone: 'UTC' });
+  const sign = bytes[6];
+  if (timezone && bytes.length >= 9 && (sign === 0x2b || sign === 0x2d)) {
+    const offsetMinutes = (sign === 0x2d ? -1 : 1) * (pair(7) * 60 + pair(8));
+    time = DateTime.fromObject(fields, { zone: FixedOffsetZone.instance(offsetMinutes) }).setZone(timezone);
+  }
+  return time.isValid ? time.toFormat('yyyy-MM-dd HH:mm:ss') : null;
+}
+
+function decodeInteger(bytes, signed) {
+  if (bytes.length === 0 || bytes.length > 6) return null;
+  let value = 0;
+  for (const octet of bytes) {
+    value = value * 256 + octet;
+  }
+  if (signed && bytes[0] & 0x80) {
+    value -= 2 ** (8 * bytes.length);
+  }
+  return value;
+}
+
+function decodeValue(bytes, type, options) {
+  switch (type) {
+    case 'address': return decodeAddress(bytes);
+    case 'tbcd': return decodeTbcd(bytes);
+    case 'bcd': return decodeBcd(bytes);
+    case 'timestamp': return decodeTimestamp(bytes, options.timezone);
+    case 'integer': return decodeInteger(bytes, true);
+    case 'unsigned': return decodeInteger(bytes, false);
+    case 'text': return bytes.toString('latin1').trim();
+    default: return bytes.toString('hex');
+  }
+}
+
+/**
+ * Default tag map with a profile's record types laid over it (null drops a default record type)
+ */
+export function resolveTagMap(overrides) {
+  const records = { ...DEFAULT_TAG_MAP.records };
+  Object.entries(overrides?.records || {}).forEach(([tag, record]) => {
+    if (record) records[tag] = record;
+    else delete records[tag];
+  });
+  return { records };
+}
+
+/**
+ * Column names the rows of a tag map carry, in a fixed order
+ */
+export function getTagMapColumns(tagMap) {
+  const fields = new Set(['eventType', 'direction']);
+  Object.values(tagMap.records).forEach(record => {
+    record.fields.forEach(({ field }) => fields.add(field));
+  });
+  return Object.keys(COLUMN_NAMES)
+    .filter(field => fields.has(field))
+    .concat([...fields].filter(field => !COLUMN_NAMES[field]))
+    .map(field => COLUMN_NAMES[field] || field);
+}
+
+function sanitizeTagPath(tag) {
+  const path = Array.isArray(tag) ? tag : [tag];
+  if (path.length === 0 || path.length > MAX_TAG_PATH_DEPTH) return null;
+  const numbers = path.map(Number);
+  return numbers.every(n => Number.isInteger(n) && n >= 0 && n <= MAX_TAG_NUMBER) ? numbers : null;
+}
+
+/**
+ * Validate a profile's BER tag map from a request body (null clears it)
+ * @returns {{ tagMap: Object|null, errors: Array }}
+ */
+export function sanitizeTagMap(input) {
+  if (input === null || input === undefined) {
+    return { tagMap: null, errors: [] };
+  }
+  const entries = Object.entries(input.records || {});
+  if (typeof input.records !== 'object' || entries.length === 0) {
+    return { tagMap: null, errors: ['Tag map needs at least one record type under records'] };
+  }
+  if (entries.length > MAX_RECORD_TYPES) {
+    return { tagMap: null, errors: [`Tag map can have at most ${MAX_RECORD_TYPES} record types`] };
+  }
+
+  const errors = [];
+  const records = {};
+  entries.forEach(([tag, record]) => {
+    const label = `Record [${tag}]`;
+    if (!sanitizeTagPath(tag) || sanitizeTagPath(tag).length !== 1) {
+      errors.push(`${label}: record tags must be context tag numbers`);
+      return;
+    }
+    if (record === null) {
+      records[tag] = null;
+      return;
+    }
+    if (record.eventType && !EVENT_TYPES.includes(record.eventType)) {
+      errors.push(`${label}: eventType must be one of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (record.direction && !DIRECTIONS.includes(record.direction)) {
+      errors.push(`${label}: direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (!Array.isArray(record.fields) || record.fields.length === 0 || record.fields.length > MAX_FIELDS_PER_RECORD) {
+      errors.push(`${label}: fields must list 1 to ${MAX_FIELDS_PER_RECORD} members`);
+      return;
+    }
+
+    const fields = [];
+    record.fields.forEach((entry, index) => {
+      const path = sanitizeTagPath(entry?.tag);
+      if (!path) {
+        errors.push(`${label} field ${index + 1}: tag must be a context tag number or a path of them`);
+      }
+      if (!CANONICAL_FIELDS.includes(entry?.field)) {
+        errors.push(`${label} field ${index + 1}: unknown canonical field "${entry?.field}"`);
+      }
+      if (!FIELD_TYPES.includes(entry?.type)) {
+        errors.push(`${label} field ${index + 1}: type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      fields.push({ tag: path && path.length === 1 ? path[0] : path, field: entry?.field, type: entry?.type });
+    });
+
+    records[tag] = {
+      name: record.name ? String(record.name).trim() : `record${tag}`,
+      eventType: record.eventType || 'CALL',
+      direction: record.direction || null,
+      fields
+    };
+  });
+
+  return errors.length > 0 ? { tagMap: null, errors } : { tagMap: { records }, errors };
+}
+
+/**
+ * Splits BER bytes into top-level records as they arrive. push() takes the next chunk and
+ * returns the records it completed; the bytes of an unfinished record wait for the next chunk.
+ * A structural error ends the file: BER has no way to find the next record after one.
+ */
+export function createRecordSplitter() {
+  let pending = Buffer.alloc(0);
+  // Offset of pending in the file, for error messages
+  let consumed = 0;
+  let failed = false;
+
+  return {
+    /**
+     * @returns {Object} { records: [{ tagClass, tagNumber, content, offset }], error }
+     */
+    push(chunk, final = false) {
+      if (failed) return { records: [], error: null };
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      const records = [];
+      let pos = 0;
+
+      try {
+        while (pos < pending.length) {
+          if (FILLER_BYTES.includes(pending[pos])) {
+            pos++;
+            continue;
+          }
+          const header = readHeader(pending, pos);
+          if (!header) break;
+          if (header.tagClass === 0 && header.constructed
+            && (header.tagNumber === UNIVERSAL_SEQUENCE || header.tagNumber === UNIVERSAL_SET)) {
+            pos += header.headerLength;
+            continue;
+          }
+
+          const element = readElement(pending, pos);
+          if (!element) {
+            if (pending.length - pos > MAX_RECORD_BYTES) {
+              throw berError(`Record larger than ${MAX_RECORD_BYTES / 1024}KB`, consumed + pos);
+            }
+            break;
+          }
+          if (!element.constructed) {
+            throw berError('Expected a record, found a primitive element', consumed + pos);
+          }
+          records.push({
+            tagClass: element.tagClass,
+            tagNumber: element.tagNumber,
+            content: pending.subarray(element.contentStart, element.contentEnd),
+            offset: consumed + pos
+          });
+          pos = element.end;
+        }
+
+        if (final && pending.subarray(pos).some(octet => !FILLER_BYTES.includes(octet))) {
+          throw berError('File ends inside a record', consumed + pos);
+        }
+      } catch (error) {
+        if (error.code !== 'BER_STRUCTURE') throw error;
+        failed = true;
+        return { records, error: `BER decoding error: ${error.message}` };
+      }
+
+      consumed += pos;
+      pending = pending.subarray(pos);
+      return { records, error: null };
+    },
+    get failed() {
+      return failed;
+    }
+  };
+}
+
+/**
+ * Row for one record, aligned to getTagMapColumns(tagMap)
+ * @param {Object} options - { timezone } source timezone for timestamps that carry a UTC offset
+ * @returns {Object} { row } or { error }
+ */
+export function decodeRecord(record, tagMap, headers, options = {}) {
+  const spec = record.tagClass === CONTEXT_CLASS ? tagMap.records[record.tagNumber] : null;
+  if (!spec) {
+    return { error: `Record type [${record.tagNumber}] is not in the tag map` };
+  }
+
+  const values = {
+    [COLUMN_NAMES.eventType]: spec.eventType,
+    [COLUMN_NAMES.direction]: spec.direction
+  };
+  try {
+    spec.fields.forEach(({ tag, field, type }) => {
+      const column = COLUMN_NAMES[field] || field;
+      if (values[column] !== undefined && values[column] !== null && values[column] !== '') return;
+      const bytes = findMember(record.content, Array.isArray(tag) ? tag : [tag]);
+      if (bytes) values[column] = decodeValue(bytes, type, options);
+    });
+  } catch (error) {
+    if (error.code !== 'BER_STRUCTURE') throw error;
+    return { error: `${spec.name}: ${error.message}` };
+  }
+
+  return { row: headers.map(header => (values[header] === null || values[header] === undefined ? '' : String(values[header]))) };
+}
+
+/**
+ * How confidently the start of a file reads as BER records of the tag map (0 when it does not)
+ */
+export function scoreBerSample(head, tagMap) {
+  const { records, error } = createRecordSplitter().push(head);
+  if (error || records.length === 0) return 0;
+  const known = records
+    .slice(0, DETECT_RECORDS)
+    .filter(record => record.tagClass === CONTEXT_CLASS && tagMap.records[record.tagNumber]);
+  return known.length > 0 ? 3 : 0;
+}
@@ -0,0 +1,248 @@
+/**
+ * CALL CHAINS
+ *
+ * Relayed contact: A calls B, and soon after B calls C. A chain is a run of calls (or SMS) where
+ * each one is made by the receiver of the one before, starts after it started, and starts no later
+ * than the maximum gap after it ended. The numbers of a chain are all different, so a call back
+ * (A→B→A) is not a relay.
+ *
+ * caller_number → receiver_number is the direction of the call whichever party's CDR the record
+ * came from, so records of both sides can be chained together.
+ *
+ * Chains through the same numbers in the same order are counted together. Occurrences of one chain
+ * never share a call, so one A→B call followed by several B→C calls counts once.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+import { NON_SUBSCRIBER_CLASSES } from './numberingPlan.js';
+
+export const MIN_CHAIN_LENGTH = 2;
+export const MAX_CHAIN_LENGTH = 4;
+export const DEFAULT_MAX_GAP_MINUTES = 10;
+export const MAX_GAP_MINUTES = 24 * 60;
+export const CHAIN_EVENT_TYPES = ['call', 'sms', 'all'];
+
+// Events read per request, oldest first; later events of a larger range are not searched
+const MAX_EVENTS = 200000;
+
+// Partial chains followed per request, so a number that calls everyone cannot stall the search
+const MAX_STEPS = 500000;
+
+const MAX_SAMPLES = 5;
+
+/**
+ * Length, gap, event type and minimum occurrences of a request, with defaults applied
+ * @param {Object} query - { length, maxGapMinutes, eventType, minOccurrences }
+ * @returns {Object} { options: { length, maxGapMinutes, eventType, minOccurrences } } or { error }
+ */
+export function parseChainOptions(query) {
+  const length = query.length === undefined ? MIN_CHAIN_LENGTH : Number(query.length);
+  if (!Number.isInteger(length) || length < MIN_CHAIN_LENGTH || length > MAX_CHAIN_LENGTH) {
+    return { error: `length must be a whole number of calls from ${MIN_CHAIN_LENGTH} to ${MAX_CHAIN_LENGTH}` };
+  }
+
+  const maxGapMinutes = query.maxGapMinutes === undefined ? DEFAULT_MAX_GAP_MINUTES : Number(query.maxGapMinutes);
+  if (!Number.isFinite(maxGapMinutes) || maxGapMinutes < 0 || maxGapMinutes > MAX_GAP_MINUTES) {
+    return { error: `maxGapMinutes must be between 0 and ${MAX_GAP_MINUTES}` };
+  }
+
+  const eventType = query.eventType || 'call';
+  if (!CHAIN_EVENT_TYPES.includes(eventType)) {
+    return { error: `eventType must be one of ${CHAIN_EVENT_TYPES.join(', ')}` };
+  }
+
+  const minOccurrences = query.minOccurrences === undefined ? 1 : Number(query.minOccurrences);
+  if (!Number.isInteger(minOccurrences) || minOccurrences < 1) {
+    return { error: 'minOccurrences must be a whole number of at least 1' };
+  }
+
+  return { options: { length, maxGapMinutes, eventType, minOccurrences } };
+}
+
+/**
+ * Directed events of the scope in time order, one per call where both parties' records are present
+ */
+async function loadChainEvents(filter, options, grouping) {
+  const match = {
+    ...filter,
+    caller_number: { $nin: [null, ''] },
+    receiver_number: { $nin: [null, ''] }
+  };
+  if (options.eventType !== 'all') {
+    match.event_type = options.eventType;
+  }
+  // Short codes and sender IDs do not pass instructions on
+  if (!options.includeServiceNumbers) {
+    match.caller_number_class = { $nin: NON_SUBSCRIBER_CLASSES };
+    match.receiver_number_class = { $nin: NON_SUBSCRIBER_CLASSES };
+  }
+
+  const records = await EventCanonical.aggregate([
+    { $match: match },
+    ...grouping.stages,
+    { $match: { $expr: { $ne: ['$caller_number', '$receiver_number'] } } },
+    { $sort: { timestamp_utc: 1, record_id: 1 } },
+    { $limit: MAX_EVENTS + 1 },
+    {
+      $project: {
+        _id: 0,
+        record_id: 1,
+        timestamp_utc: 1,
+        caller_number: 1,
+        receiver_number: 1,
+        call_duration_seconds: 1,
+        event_type: 1
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const truncated = records.length > MAX_EVENTS;
+  const seen = new Set();
+  const events = [];
+  records.slice(0, MAX_EVENTS).forEach(record => {
+    const time = record.timestamp_utc.getTime();
+    const key = `${record.caller_number}|${record.receiver_number}|${time}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    events.push({
+      recordId: record.record_id,
+      caller: record.caller_number,
+      receiver: record.receiver_number,
+      time,
+      end: time + (record.call_duration_seconds || 0) * 1000,
+      durationSeconds: record.call_duration_seconds || 0,
+      eventType: record.event_type
+    });
+  });
+
+  return { events, truncated };
+}
+
+/**
+ * Position of the first event in a time-ordered list that starts after the given time
+ */
+function firstAfter(list, time) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].time <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function toSample(chain) {
+  return {
+    start: new Date(chain[0].time),
+    events: chain.map(event => ({
+      recordId: event.recordId,
+      caller: event.caller,
+      receiver: event.receiver,
+      timestamp: new Date(event.time),
+      durationSeconds: event.durationSeconds,
+      eventType: event.eventType
+    }))
+  };
+}
+
+/**
+ * Recurring call chains
+ * @param {Object} filter - events_canonical match (scope and date range)
+ * @param {Object} options - { length, maxGapMinutes, eventType, minOccurrences, includeServiceNumbers,
+ *   seed (party key the chains start from, or null for every number), limit }
+ * @param {Object} grouping - Party grouping (see resolveGrouping in entities.js)
+ * @returns {Promise<Object>} { chains: [{ path, occurrences, dayCount, firstSeen, lastSeen, avgGapMinutes,
+ *   maxGapMinutes, samples }], totalChains, eventsScanned, truncated }, most occurrences first.
+ *   A gap is the time from the end of one call to the start of the next (0 when they overlap)
+ */
+export async function findCallChains(filter, options, grouping) {
+  const { events, truncated: eventsTruncated } = await loadChainEvents(filter, options, grouping);
+  const maxGapMs = options.maxGapMinutes * 60 * 1000;
+
+  const outgoing = new Map();
+  events.forEach(event => {
+    if (!outgoing.has(event.caller)) outgoing.set(event.caller, []);
+    outgoing.get(event.caller).push(event);
+  });
+
+  const paths = new Map();
+  let steps = 0;
+
+  const record = (chain) => {
+    const key = chain.map(event => event.caller).concat(chain[chain.length - 1].receiver).join('>');
+    if (!paths.has(key)) {
+      paths.set(key, {
+        path: key.split('>'),
+        occurrences: 0,
+        days: new Set(),
+        usedEvents: new Set(),
+        gapTotalMs: 0,
+        maxGapMs: 0,
+        firstSeen: null,
+        lastSeen: null,
+        samples: []
+      });
+    }
+    const entry = paths.get(key);
+    if (chain.some(event => entry.usedEvents.has(event))) return;
+
+    chain.forEach(event => entry.usedEvents.add(event));
+    const gaps = chain.slice(1).map((event, index) => Math.max(0, event.time - chain[index].end));
+    const gapMs = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    entry.occurrences++;
+    entry.days.add(new Date(chain[0].time).toISOString().slice(0, 10));
+    entry.gapTotalMs += gapMs;
+    entry.maxGapMs = Math.max(entry.maxGapMs, ...gaps);
+    entry.firstSeen = entry.firstSeen || new Date(chain[0].time);
+    entry.lastSeen = new Date(chain[chain.length - 1].time);
+    if (entry.samples.length < MAX_SAMPLES) entry.samples.push(toSample(chain));
+  };
+
+  const extend = (chain, numbers) => {
+    if (chain.length === options.length) {
+      record(chain);
+      return;
+    }
+    const last = chain[chain.length - 1];
+    const next = outgoing.get(last.receiver);
+    if (!next) return;
+
+    for (let i = firstAfter(next, last.time); i < next.length && next[i].time <= last.end + maxGapMs; i++) {
+      if (steps >= MAX_STEPS) return;
+      steps++;
+      const event = next[i];
+      if (numbers.has(event.receiver)) continue;
+      numbers.add(event.receiver);
+      extend([...chain, event], numbers);
+      numbers.delete(event.receiver);
+    }
+  };
+
+  const starts = options.seed ? outgoing.get(options.seed) || [] : events;
+  for (const event of starts) {
+    if (steps >= MAX_STEPS) break;
+    extend([event], new Set([event.caller, event.receiver]));
+  }
+
+  const chains = [...paths.values()]
+    .filter(entry => entry.occurrences >= options.minOccurrences)
+    .map(entry => ({
+      path: entry.path,
+      occurrences: entry.occurrences,
+      dayCount: entry.days.size,
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+      avgGapMinutes: Math.round(entry.gapTotalMs / entry.occurrences / 6000) / 10,
+      maxGapMinutes: Math.round(entry.maxGapMs / 6000) / 10,
+      samples: entry.samples
+    }))
+    .sort((a, b) => b.occurrences - a.occurrences || b.dayCount - a.dayCount || a.avgGapMinutes - b.avgGapMinutes);
+
+  return {
+    chains: chains.slice(0, options.limit),
+    totalChains: chains.length,
+    eventsScanned: events.length,
+    truncated: eventsTruncated || steps >= MAX_STEPS
+  };
+}
@@ -7,8 +7,19 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
-import { DateTime } from 'luxon';
+import { DateTime, IANAZone } from 'luxon';
 import { normalizePhone, parseDate, parseDuration, parseEventType, parseDirection } from './normalizer.js';
+import { canonicalizeNumber, DEFAULT_COUNTRY } from './numberingPlan.js';
+
+// Source timezone assumed when an upload does not specify one
+export const DEFAULT_TIMEZONE = 'Asia/Karachi';
+
+/**
+ * Check that a timezone is a valid IANA zone name (e.g. 'Asia/Dubai', 'Europe/London', 'UTC')
+ */
+export function isValidTimezone(zone) {
+  return typeof zone === 'string' && IANAZone.isValidZone(zone);
+}
 
 /**
  * Generate contact pair key (sorted hash of both numbers)
@@ -40,56 +51,56 @@ function determineLocationSource(lat, lng, cellId) {
 
 /**
  * Determine if timestamp is in night hours
- * ASSUMPTION: Night hours are 22:00 (10 PM) to 06:00 (6 AM) local time (Asia/Karachi)
+ * ASSUMPTION: Night hours are 22:00 (10 PM) to 06:00 (6 AM) local time in the source timezone
  * Uses Luxon to ensure correct local timezone interpretation.
  */
-function isNightHour(timestamp) {
+function isNightHour(timestamp, zone = DEFAULT_TIMEZONE) {
   if (!timestamp) return false;
-  const dt = DateTime.fromJSDate(timestamp, { zone: 'Asia/Karachi' });
+  const dt = DateTime.fromJSDate(timestamp, { zone });
   if (!dt.isValid) return false;
   const hour = dt.hour;
   return hour >= 22 || hour < 6;
 }
 
 /**
- * Get day of week (0 = Sunday, 6 = Saturday) based on LOCAL time (Asia/Karachi)
+ * Get day of week (0 = Sunday, 6 = Saturday) based on LOCAL time in the source timezone
  * Uses Luxon to ensure correct local timezone interpretation.
  */
-function getDayOfWeek(timestamp) {
+function getDayOfWeek(timestamp, zone = DEFAULT_TIMEZONE) {
   if (!timestamp) return null;
-  const dt = DateTime.fromJSDate(timestamp, { zone: 'Asia/Karachi' });
+  const dt = DateTime.fromJSDate(timestamp, { zone });
   if (!dt.isValid) return null;
   return dt.weekday % 7; // Luxon weekday: 1=Monday, 7=Sunday. Convert to 0=Sunday, 6=Saturday
 }
 
 /**
- * Check if date is weekend based on LOCAL time (Asia/Karachi)
+ * Check if date is weekend based on LOCAL time in the source timezone
  * Uses Luxon to ensure correct local timezone interpretation.
  */
-function isWeekend(timestamp) {
+function isWeekend(timestamp, zone = DEFAULT_TIMEZONE) {
   if (!timestamp) return false;
-  const day = getDayOfWeek(timestamp);
+  const day = getDayOfWeek(timestamp, zone);
   return day === 0 || day === 6; // Sunday or Saturday
 }
 
 /**
- * Extract date part (YYYY-MM-DD) based on LOCAL time (Asia/Karachi)
+ * Extract date part (YYYY-MM-DD) based on LOCAL time in the source timezone
  * Uses Luxon to ensure correct local calendar date.
  */
-function extractDate(timestamp) {
+function extractDate(timestamp, zone = DEFAULT_TIMEZONE) {
   if (!timestamp) return null;
-  const dt = DateTime.fromJSDate(timestamp, { zone: 'Asia/Karachi' });
+  const dt = DateTime.fromJSDate(timestamp, { zone });
   if (!dt.isValid) return null;
   return dt.toFormat('yyyy-MM-dd');
 }
 
 /**
- * Extract hour (0-23) based on LOCAL time (Asia/Karachi)
+ * Extract hour (0-23) based on LOCAL time in the source timezone
  * Uses Luxon to ensure correct local hour.
  */
-function extractHour(timestamp) {
+function extractHour(timestamp, zone = DEFAULT_TIMEZONE) {
   if (!timestamp) return null;
-  const dt = DateTime.fromJSDate(timestamp, { zone: 'Asia/Karachi' });
+  const dt = DateTime.fromJSDate(timestamp, { zone });
   if (!dt.isValid) return null;
   return dt.hour;
 }
@@ -170,15 +181,15 @@ function normalizeDirection(value, aParty, bParty) {
  * 
  * Rules:
  * - If startTime has explicit timezone (e.g. ends with 'Z' or '+05:00'), respect it.
- * - Otherwise, treat it as LOCAL time in Asia/Karachi and convert to UTC.
+ * - Otherwise, treat it as LOCAL time in the source timezone and convert to UTC.
  * - Derived fields (date/hour/day_of_week/is_weekend/is_night) use LOCAL time.
  */
-function computeTimestamps(startTime) {
+function computeTimestamps(startTime, zone = DEFAULT_TIMEZONE) {
   if (!startTime) {
     return { error: 'Missing startTime' };
   }
 
-  // If we get a Date, interpret its wall-clock fields as Asia/Karachi local time
+  // If we get a Date, interpret its wall-clock fields as local time in the source timezone
   const buildFromDate = (d) => {
     if (!(d instanceof Date) || isNaN(d.getTime())) {
       return { error: 'Invalid startTime (Date)' };
@@ -193,10 +204,10 @@ function computeTimestamps(startTime) {
         second: d.getSeconds(),
         millisecond: d.getMilliseconds()
       },
-      { zone: 'Asia/Karachi' }
+      { zone }
     );
     if (!local.isValid) {
-      return { error: 'Invalid startTime (local Asia/Karachi)' };
+      return { error: `Invalid startTime (local ${zone})` };
     }
     return {
       timestamp_local: local.toJSDate(),
@@ -209,8 +220,8 @@ function computeTimestamps(startTime) {
   }
 
   if (typeof startTime === 'number') {
-    // Treat as epoch milliseconds in Asia/Karachi local time
-    const local = DateTime.fromMillis(startTime, { zone: 'Asia/Karachi' });
+    // Treat as epoch milliseconds, expressed in the source timezone
+    const local = DateTime.fromMillis(startTime, { zone });
     if (!local.isValid) {
       return { error: 'Invalid startTime (number)' };
     }
@@ -227,15 +238,15 @@ function computeTimestamps(startTime) {
       // Respect explicit timezone information
       dt = DateTime.fromISO(startTime, { setZone: true });
     } else {
-      // Assume local Asia/Karachi when no explicit timezone
-      dt = DateTime.fromISO(startTime, { zone: 'Asia/Karachi' });
+      // Assume local source time when no explicit timezone
+      dt = DateTime.fromISO(startTime, { zone });
     }
 
     if (!dt.isValid) {
       return { error: 'Invalid startTime (unparseable string)' };
     }
 
-    const local = dt.setZone('Asia/Karachi');
+    const local = dt.setZone(zone);
     return {
       timestamp_local: local.toJSDate(),
       timestamp_utc: local.toUTC().toJSDate()
@@ -250,12 +261,16 @@ function computeTimestamps(startTime) {
  * 
  * @param {Object} rawRecord - Raw normalized record from normalizer.js
  * @param {Object} source - Source metadata
+ * @param {Object} options - { timezone, country } IANA zone the source file's wall-clock times are in,
+ *   and the numbering plan (ISO country code) used for national-format phone numbers
  * @returns {Object} Canonical normalized record
  */
-export function createCanonicalRecord(rawRecord, source) {
+export function createCanonicalRecord(rawRecord, source, options = {}) {
   const recordId = uuidv4();
+  const zone = options.timezone || DEFAULT_TIMEZONE;
+  const country = options.country || DEFAULT_COUNTRY;
 
-  const tsResult = computeTimestamps(rawRecord.startTime);
+  const tsResult = computeTimestamps(rawRecord.startTime, zone);
   if (tsResult.error) {
     // Surface a clear error up to the ingestion pipeline
     throw new Error(tsResult.error);
@@ -264,17 +279,22 @@ export function createCanonicalRecord(rawRecord, source) {
   const timestampUtc = tsResult.timestamp_utc;
   const timestampLocal = tsResult.timestamp_local;
   
+  // Canonicalize both parties to E.164 first, so direction and pair keys compare like with like
+  const aParty = canonicalizeNumber(rawRecord.aPartyRaw ?? rawRecord.aParty, country);
+  const bParty = canonicalizeNumber(rawRecord.bPartyRaw ?? rawRecord.bParty, country);
+
   // Determine caller/receiver based on direction
-  const direction = normalizeDirection(rawRecord.direction, rawRecord.aParty, rawRecord.bParty);
-  const { caller, receiver } = determineCallerReceiver(rawRecord.aParty, rawRecord.bParty, direction);
+  const direction = normalizeDirection(rawRecord.direction, aParty.number, bParty.number);
+  const { caller, receiver } = determineCallerReceiver(aParty.number, bParty.number, direction);
+  const [callerParty, receiverParty] = direction === 'incoming' ? [bParty, aParty] : [aParty, bParty];
   
   // Generate contact pair key
   const contactPairKey = generateContactPairKey(caller, receiver);
   
   // Extract temporal fields (using LOCAL time)
-  const date = extractDate(timestampLocal);
-  const hour = extractHour(timestampLocal);
-  const dayOfWeek = getDayOfWeek(timestampLocal);
+  const date = extractDate(timestampLocal, zone);
+  const hour = extractHour(timestampLocal, zone);
+  const dayOfWeek = getDayOfWeek(timestampLocal, zone);
   
   // Determine location source
   const locationSource = determineLocationSource(rawRecord.lat, rawRecord.lng, rawRecord.cellId);
@@ -302,12 +322,18 @@ export function createCanonicalRecord(rawRecord, source) {
     date: date,
     hour: hour,
     day_of_week: dayOfWeek,
-    is_weekend: isWeekend(timestampLocal),
-    is_night: isNightHour(timestampLocal),
+    is_weekend: isWeekend(timestampLocal, zone),
+    is_night: isNightHour(timestampLocal, zone),
+    source_timezone: zone,
+    source_country: country,
     
     // Communication parties
     caller_number: caller,
     receiver_number: receiver,
+    caller_number_raw: callerParty.raw,
+    receiver_number_raw: receiverParty.raw,
+    caller_number_class: callerParty.numberClass,
+    receiver_number_class: receiverParty.numberClass,
     direction: direction,
     call_duration_seconds: rawRecord.durationSec || 0,
     contact_pair_key: contactPairKey,
@@ -331,6 +357,13 @@ export function createCanonicalRecord(rawRecord, source) {
     // Metadata (preserved for compatibility)
     uploadId: rawRecord.uploadId || null,
     ingestedAt: rawRecord.ingestedAt || new Date(),
+    // Rows of other records merged into this one are appended by deduplication
+    sources: [{
+      uploadId: rawRecord.uploadId || null,
+      source_file: source.fileName || null,
+      source_sheet: source.sheetName || null,
+      source_row_number: source.rowNumber || null
+    }],
     normalizationWarnings: rawRecord.normalizationWarnings || [],
     
     // Legacy fields (for backward compatibility during transition)
@@ -344,6 +377,14 @@ export function createCanonicalRecord(rawRecord, source) {
     lacId: rawRecord.lacId
   };
 
+  [['aParty', aParty], ['bParty', bParty]].forEach(([label, party]) => {
+    if (party.numberClass === 'service') {
+      canonical.normalizationWarnings.push(`${label}_service_number`);
+    } else if (party.numberClass === 'alphanumeric') {
+      canonical.normalizationWarnings.push(`${label}_alphanumeric_sender`);
+    }
+  });
+
   // Direction safety note: if direction is unknown, we assumed aParty as caller.
   if (direction === 'unknown' && (rawRecord.aParty || rawRecord.bParty)) {
     canonical.normalizationWarnings.push('Unknown direction; assumed aParty as caller.');
@@ -0,0 +1,303 @@
+/**
+ * CELL SITES
+ *
+ * Imports operator cell site reference tables and geolocates stored events that carry a
+ * cell ID but no coordinates. Located events get the tower's position and are marked
+ * location_source 'cell_tower', so maps can tell tower positions apart from GPS fixes.
+ */
+
+import XLSX from 'xlsx';
+import CellSite from '../models/CellSite.js';
+import EventCanonical from '../models/EventCanonical.js';
+import { findHeaderRow, matchHeaders } from './normalizer.js';
+
+// Header synonyms for reference files (matched exactly, case-insensitive)
+export const CELL_SITE_HEADERS = {
+  cellId: ['Cell ID', 'cell_id', 'CellID', 'CI', 'Cell', 'Cell Identity'],
+  lac: ['LAC', 'lac_id', 'Lac ID', 'TAC', 'Location Area Code'],
+  mcc: ['MCC'],
+  mnc: ['MNC'],
+  lat: ['Latitude', 'lat'],
+  lng: ['Longitude', 'lng', 'lon', 'long'],
+  azimuth: ['Azimuth', 'azi', 'Bearing'],
+  siteName: ['Site Name', 'site_name', 'SiteName', 'Site', 'Tower Name']
+};
+
+const REQUIRED_COLUMNS = ['cellId', 'lat', 'lng'];
+const WRITE_BATCH_SIZE = 1000;
+const LOOKUP_BATCH_SIZE = 500;
+const MAX_ERROR_SAMPLES = 50;
+
+// Cell global identity written as MCC-MNC-LAC-CI (some operators export cell IDs this way)
+const CGI_PATTERN = /^(\d{3})[-:](\d{2,3})[-:](\w+)[-:](\w+)$/;
+
+/**
+ * Normalize a cell ID or LAC so reference rows and CDR values compare equal
+ * ("01234", "1234" and "1234.0" all become "1234"; hex IDs are upper-cased)
+ */
+export function normalizeCellCode(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (/^\d+(\.0+)?$/.test(text)) {
+    return String(parseInt(text, 10));
+  }
+  return text.toUpperCase();
+}
+
+/**
+ * Cell ID and LAC of an event, unpacking CGI-formatted cell IDs (the only form that also carries
+ * the operator's MCC/MNC)
+ */
+function parseEventCell(cellId, lacId) {
+  const text = cellId === null || cellId === undefined ? '' : String(cellId).trim();
+  const cgi = text.match(CGI_PATTERN);
+  if (cgi) {
+    return {
+      cellId: normalizeCellCode(cgi[4]),
+      lac: normalizeCellCode(cgi[3]),
+      mcc: normalizeCellCode(cgi[1]),
+      mnc: normalizeCellCode(cgi[2])
+    };
+  }
+  return { cellId: normalizeCellCode(text), lac: normalizeCellCode(lacId), mcc: null, mnc: null };
+}
+
+function parseCoordinate(value, limit) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(value);
+  return isNaN(num) || Math.abs(num) > limit ? null : num;
+}
+
+/**
+ * Parse a cell site reference file (CSV/XLS/XLSX; first sheet)
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name (stored on each site)
+ * @returns {Object} { sites, errors, totalRows, missingColumns, headers }
+ */
+export function parseCellSiteFile(buffer, fileName) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true }) : [];
+
+  const headerRowIndex = findHeaderRow(rows);
+  const headers = (rows[headerRowIndex] || []).map(h => String(h || '').trim());
+  const { columnMap } = matchHeaders(headers, CELL_SITE_HEADERS, { allowPartial: false });
+
+  const missingColumns = REQUIRED_COLUMNS.filter(field => columnMap[field] === undefined);
+  if (missingColumns.length > 0) {
+    return { sites: [], errors: [], totalRows: 0, missingColumns, headers };
+  }
+
+  const getValue = (row, field) => (columnMap[field] !== undefined ? row[columnMap[field]] : null);
+  const optionalText = (value) => {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    return text || null;
+  };
+
+  // Keyed by cell identity so a repeated row in the same file updates rather than duplicates
+  const sitesByKey = new Map();
+  const errors = [];
+  let totalRows = 0;
+
+  rows.slice(headerRowIndex + 1).forEach((row, offset) => {
+    if (!Array.isArray(row) || row.every(cell => cell === '' || cell === null)) return;
+    totalRows++;
+    const rowNumber = headerRowIndex + offset + 2; // 1-based, after the header row
+
+    const reject = (reason) => {
+      if (errors.length < MAX_ERROR_SAMPLES) {
+        errors.push({ rowNumber, reason });
+      }
+    };
+
+    const cellId = normalizeCellCode(getValue(row, 'cellId'));
+    if (!cellId) return reject('Missing cell ID');
+
+    const latitude = parseCoordinate(getValue(row, 'lat'), 90);
+    const longitude = parseCoordinate(getValue(row, 'lng'), 180);
+    if (latitude === null || longitude === null) return reject('Missing or invalid coordinates');
+    if (latitude === 0 && longitude === 0) return reject('Placeholder coordinates (0, 0)');
+
+    const azimuth = parseCoordinate(getValue(row, 'azimuth'), 360);
+
+    const site = {
+      cell_id: cellId,
+      lac: normalizeCellCode(getValue(row, 'lac')),
+      mcc: optionalText(getValue(row, 'mcc')),
+      mnc: optionalText(getValue(row, 'mnc')),
+      latitude,
+      longitude,
+      azimuth: azimuth !== null && azimuth >= 0 ? azimuth : null,
+      site_name: optionalText(getValue(row, 'siteName')),
+      source_file: fileName
+    };
+    sitesByKey.set(`${site.cell_id}|${site.lac}|${site.mcc}|${site.mnc}`, site);
+  });
+
+  return {
+    sites: Array.from(sitesByKey.values()),
+    errors,
+    totalRows,
+    missingColumns: [],
+    headers
+  };
+}
+
+/**
+ * Upsert parsed cell sites into cell_sites
+ * @param {Array} sites - Output of parseCellSiteFile
+ * @param {Object} options - { replace } drop all existing sites first
+ * @returns {Promise<Object>} { inserted, updated, removed }
+ */
+export async function saveCellSites(sites, options = {}) {
+  let removed = 0;
+  if (options.replace) {
+    removed = (await CellSite.deleteMany({})).deletedCount;
+  }
+
+  let inserted = 0;
+  let updated = 0;
+  const importedAt = new Date();
+
+  for (let i = 0; i < sites.length; i += WRITE_BATCH_SIZE) {
+    const ops = sites.slice(i, i + WRITE_BATCH_SIZE).map(site => ({
+      updateOne: {
+        filter: { cell_id: site.cell_id, lac: site.lac, mcc: site.mcc, mnc: site.mnc },
+        update: { $set: { ...site, importedAt } },
+        upsert: true
+      }
+    }));
+    const result = await CellSite.bulkWrite(ops, { ordered: false });
+    inserted += result.upsertedCount;
+    updated += result.matchedCount;
+  }
+
+  return { inserted, updated, removed };
+}
+
+/**
+ * Narrow candidate sites to those whose field matches the event's value, falling back to sites
+ * that do not record the field; an event without the value keeps every candidate
+ */
+function narrowSites(candidates, value, siteValue) {
+  if (!value) return candidates;
+  const exact = candidates.filter(site => siteValue(site) === value);
+  return exact.length > 0 ? exact : candidates.filter(site => !siteValue(site));
+}
+
+/**
+ * Pick the reference site for one event cell. When the event names its operator (a CGI cell ID),
+ * sites of that MCC/MNC are preferred, then a LAC match; sites without an operator or LAC match
+ * any. Several candidates in different places are ambiguous and left unresolved.
+ */
+function resolveSite(candidates, cell) {
+  let matches = narrowSites(candidates, cell.mcc, site => normalizeCellCode(site.mcc));
+  matches = narrowSites(matches, cell.mnc, site => normalizeCellCode(site.mnc));
+  matches = narrowSites(matches, cell.lac, site => site.lac);
+  if (matches.length === 0) return { site: null, ambiguous: false };
+
+  const [first] = matches;
+  const samePlace = matches.every(site =>
+    Math.abs(site.latitude - first.latitude) < 1e-4 && Math.abs(site.longitude - first.longitude) < 1e-4
+  );
+  return samePlace ? { site: first, ambiguous: false } : { site: null, ambiguous: true };
+}
+
+/**
+ * Resolve coordinates for stored events that only have a cell ID (used after ingestion and
+ * by the backfill endpoint). Events located earlier are re-resolved, so a corrected reference
+ * import moves them, and a removed site returns them to cell-only.
+ * @param {Object} filter - MongoDB filter selecting the scope, e.g. { uploadId } ({} for all events)
+ * @param {Object} options - { onProgress({ processed, total }) }
+ * @returns {Promise<Object>} { cellsChecked, cellsResolved, cellsAmbiguous, cellsUnmatched, eventsLocated, eventsCleared }
+ */
+export async function locateStoredEvents(filter = {}, options = {}) {
+  const scope = {
+    ...filter,
+    cell_id: { $nin: [null, ''] },
+    location_source: { $in: ['cell_id', 'cell_tower'] }
+  };
+
+  const cells = await EventCanonical.aggregate([
+    { $match: scope },
+    { $group: { _id: { cellId: '$cell_id', lacId: '$lacId' } } }
+  ]).allowDiskUse(true);
+
+  const summary = {
+    cellsChecked: cells.length,
+    cellsResolved: 0,
+    cellsAmbiguous: 0,
+    cellsUnmatched: 0,
+    eventsLocated: 0,
+    eventsCleared: 0
+  };
+
+  for (let i = 0; i < cells.length; i += LOOKUP_BATCH_SIZE) {
+    // Keep the stored values for the update filters; the parsed ones are used for the lookup
+    const batch = cells.slice(i, i + LOOKUP_BATCH_SIZE).map(({ _id }) => ({
+      storedCellId: _id.cellId,
+      storedLacId: _id.lacId ?? null,
+      ...parseEventCell(_id.cellId, _id.lacId)
+    }));
+
+    const sites = await CellSite.find({
+      cell_id: { $in: [...new Set(batch.map(cell => cell.cellId).filter(Boolean))] }
+    }).lean();
+    const sitesByCell = new Map();
+    sites.forEach(site => {
+      if (!sitesByCell.has(site.cell_id)) sitesByCell.set(site.cell_id, []);
+      sitesByCell.get(site.cell_id).push(site);
+    });
+
+    const locateWrites = [];
+    const clearWrites = [];
+    batch.forEach(cell => {
+      const eventFilter = { ...scope, cell_id: cell.storedCellId, lacId: cell.storedLacId };
+      const { site, ambiguous } = resolveSite(sitesByCell.get(cell.cellId) || [], cell);
+
+      if (site) {
+        summary.cellsResolved++;
+        locateWrites.push({
+          updateMany: {
+            filter: eventFilter,
+            update: {
+              $set: {
+                latitude: site.latitude,
+                longitude: site.longitude,
+                location_source: 'cell_tower',
+                cell_site_name: site.site_name,
+                cell_azimuth: site.azimuth
+              }
+            }
+          }
+        });
+        return;
+      }
+
+      summary[ambiguous ? 'cellsAmbiguous' : 'cellsUnmatched']++;
+      clearWrites.push({
+        updateMany: {
+          filter: { ...eventFilter, location_source: 'cell_tower' },
+          update: {
+            $set: { latitude: null, longitude: null, location_source: 'cell_id' },
+            $unset: { cell_site_name: '', cell_azimuth: '' }
+          }
+        }
+      });
+    });
+
+    if (locateWrites.length > 0) {
+      summary.eventsLocated += (await EventCanonical.bulkWrite(locateWrites, { ordered: false })).modifiedCount;
+    }
+    if (clearWrites.length > 0) {
+      summary.eventsCleared += (await EventCanonical.bulkWrite(clearWrites, { ordered: false })).modifiedCount;
+    }
+
+    if (options.onProgress) {
+      await options.onProgress({ processed: Math.min(i + LOOKUP_BATCH_SIZE, cells.length), total: cells.length });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,351 @@
+/**
+ * CO-LOCATION
+ *
+ * When were numbers in the same place at the same time. A record places one number only: the
+ * subscriber whose CDR it is (the caller of an outgoing record, the receiver of an incoming one;
+ * see determineCallerReceiver in canonicalNormalizer.js), at its serving cell or coordinates. The
+ * other party of a call is not located by it, so two numbers talking to each other is not a meeting.
+ *
+ * Two sightings of different numbers match when they are at most the time tolerance apart and
+ * share the cell (rule 'cell') or lie within the distance of each other (rule 'distance'). Cell IDs
+ * are only unique within an operator's location area, so under rule 'cell' the LAC and the
+ * operator must agree too wherever both records carry them. Matches of the same two numbers that
+ * follow each other within the tolerance form one meeting.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+
+export const CO_LOCATION_RULES = ['cell', 'distance'];
+
+export const DEFAULT_TOLERANCE_MINUTES = 15;
+export const MAX_TOLERANCE_MINUTES = 24 * 60;
+export const DEFAULT_DISTANCE_METERS = 500;
+export const MAX_DISTANCE_METERS = 50000;
+
+const MAX_SUPPORTING_EVENTS = 20;
+
+// Time ranges around the subject's sightings fetched per query when searching the whole scope
+const RANGE_BATCH_SIZE = 200;
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// The number a record places (its subscriber) and the other party of the record. The subscriber is
+// also the one whose handset and SIM the record's IMEI and IMSI are (see deviceHistory.js)
+export const SUBSCRIBER_NUMBER = { $cond: [{ $eq: ['$direction', 'incoming'] }, '$receiver_number', '$caller_number'] };
+export const OTHER_NUMBER = { $cond: [{ $eq: ['$direction', 'incoming'] }, '$caller_number', '$receiver_number'] };
+
+/**
+ * Rule, tolerance and distance of a request, with defaults applied
+ * @param {Object} query - { rule, toleranceMinutes, distanceMeters }
+ * @returns {Object} { options: { rule, toleranceMinutes, distanceMeters } } or { error }
+ */
+export function parseCoLocationOptions(query) {
+  const rule = query.rule || 'cell';
+  if (!CO_LOCATION_RULES.includes(rule)) {
+    return { error: `rule must be one of ${CO_LOCATION_RULES.join(', ')}` };
+  }
+
+  const toleranceMinutes = query.toleranceMinutes === undefined
+    ? DEFAULT_TOLERANCE_MINUTES
+    : Number(query.toleranceMinutes);
+  if (!Number.isFinite(toleranceMinutes) || toleranceMinutes < 0 || toleranceMinutes > MAX_TOLERANCE_MINUTES) {
+    return { error: `toleranceMinutes must be between 0 and ${MAX_TOLERANCE_MINUTES}` };
+  }
+
+  const distanceMeters = query.distanceMeters === undefined
+    ? DEFAULT_DISTANCE_METERS
+    : Number(query.distanceMeters);
+  if (!Number.isFinite(distanceMeters) || distanceMeters <= 0 || distanceMeters > MAX_DISTANCE_METERS) {
+    return { error: `distanceMeters must be greater than 0 and at most ${MAX_DISTANCE_METERS}` };
+  }
+
+  return { options: { rule, toleranceMinutes, distanceMeters } };
+}
+
+/**
+ * Great-circle distance between two sightings in meters
+ */
+export function distanceBetween(a, b) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function locatedFilter(rule) {
+  return rule === 'cell'
+    ? { cell_id: { $nin: [null, ''] } }
+    : { latitude: { $ne: null }, longitude: { $ne: null } };
+}
+
+// Records placing any of the numbers
+function placesNumbers(numbers) {
+  return {
+    $or: [
+      { caller_number: { $in: numbers }, direction: { $ne: 'incoming' } },
+      { receiver_number: { $in: numbers }, direction: 'incoming' }
+    ]
+  };
+}
+
+/**
+ * Located records as sightings { recordId, number, counterparty, timestampUtc, eventType, cellId,
+ * lacId, operator, cellSiteName, lat, lng, locationSource }, oldest first
+ */
+async function loadSightings(match, excludeNumber = null) {
+  const pipeline = [
+    { $match: match },
+    { $sort: { timestamp_utc: 1 } },
+    {
+      $project: {
+        _id: 0,
+        recordId: '$record_id',
+        number: SUBSCRIBER_NUMBER,
+        counterparty: OTHER_NUMBER,
+        timestampUtc: '$timestamp_utc',
+        eventType: '$event_type',
+        cellId: '$cell_id',
+        lacId: '$lacId',
+        operator: '$service_provider',
+        cellSiteName: '$cell_site_name',
+        lat: '$latitude',
+        lng: '$longitude',
+        locationSource: '$location_source'
+      }
+    },
+    { $match: { number: excludeNumber ? { $nin: [null, '', excludeNumber] } : { $nin: [null, ''] } } }
+  ];
+  return EventCanonical.aggregate(pipeline).allowDiskUse(true);
+}
+
+// Values that differ only when both records carry one
+function agreeWhenKnown(a, b) {
+  const left = a === null || a === undefined ? '' : String(a).trim().toLowerCase();
+  const right = b === null || b === undefined ? '' : String(b).trim().toLowerCase();
+  return !left || !right || left === right;
+}
+
+function isSamePlace(a, b, options) {
+  if (options.rule === 'cell') {
+    return String(a.cellId) === String(b.cellId) &&
+      agreeWhenKnown(a.lacId, b.lacId) &&
+      agreeWhenKnown(a.operator, b.operator);
+  }
+  return distanceBetween(a, b) <= options.distanceMeters;
+}
+
+/**
+ * Pairs of sightings of different numbers that match, in order of the later sighting
+ * @param {Array} sightings - Oldest first
+ * @param {Function} isCandidatePair - (numberA, numberB) => whether the pair is of interest
+ */
+function findMatches(sightings, options, isCandidatePair) {
+  const toleranceMs = options.toleranceMinutes * 60 * 1000;
+  const matches = [];
+  let windowStart = 0;
+
+  sightings.forEach((sighting, index) => {
+    const time = sighting.timestampUtc.getTime();
+    while (sightings[windowStart].timestampUtc.getTime() < time - toleranceMs) {
+      windowStart++;
+    }
+    for (let i = windowStart; i < index; i++) {
+      const earlier = sightings[i];
+      if (earlier.number === sighting.number || !isCandidatePair(earlier.number, sighting.number)) continue;
+      if (isSamePlace(earlier, sighting, options)) {
+        matches.push([earlier, sighting]);
+      }
+    }
+  });
+  return matches;
+}
+
+function toMeeting(group, options) {
+  const sightings = [...group.sightings.values()].sort((a, b) => a.timestampUtc - b.timestampUtc);
+  const located = sightings.filter(sighting => sighting.lat != null && sighting.lng != null);
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    numbers: group.numbers,
+    start: group.start,
+    end: group.end,
+    durationMinutes: Math.round((group.end - group.start) / 60000),
+    eventCount: sightings.length,
+    cellIds: [...new Set(sightings.map(sighting => sighting.cellId).filter(Boolean))],
+    cellSiteName: sightings.find(sighting => sighting.cellSiteName)?.cellSiteName || null,
+    // Where to plot the meeting; null when none of its records has coordinates
+    lat: located.length > 0 ? average(located.map(sighting => sighting.lat)) : null,
+    lng: located.length > 0 ? average(located.map(sighting => sighting.lng)) : null,
+    distanceMeters: options.rule === 'distance' ? Math.round(group.minDistance) : null,
+    events: sightings.slice(0, MAX_SUPPORTING_EVENTS).map(sighting => ({
+      ...sighting,
+      lacId: sighting.lacId || null,
+      operator: sighting.operator || null,
+      cellSiteName: sighting.cellSiteName || null,
+      lat: sighting.lat ?? null,
+      lng: sighting.lng ?? null
+    }))
+  };
+}
+
+/**
+ * Merge matches of the same two numbers that follow each other within the tolerance
+ * @param {Function} orderNumbers - (numberA, numberB) => the pair in the order it is reported
+ * @returns {Array} Meetings, earliest first
+ */
+function groupMeetings(matches, options, orderNumbers) {
+  const toleranceMs = options.toleranceMinutes * 60 * 1000;
+  const openByPair = new Map();
+  const groups = [];
+
+  matches.forEach(([earlier, later]) => {
+    const numbers = orderNumbers(earlier.number, later.number);
+    const key = numbers.join('|');
+    const distance = options.rule === 'distance' ? distanceBetween(earlier, later) : 0;
+
+    let group = openByPair.get(key);
+    if (!group || earlier.timestampUtc - group.end > toleranceMs) {
+      group = {
+        numbers,
+        start: earlier.timestampUtc,
+        end: later.timestampUtc,
+        minDistance: distance,
+        sightings: new Map()
+      };
+      openByPair.set(key, group);
+      groups.push(group);
+    }
+    if (earlier.timestampUtc < group.start) group.start = earlier.timestampUtc;
+    if (later.timestampUtc > group.end) group.end = later.timestampUtc;
+    group.minDistance = Math.min(group.minDistance, distance);
+    group.sightings.set(earlier.recordId, earlier);
+    group.sightings.set(later.recordId, later);
+  });
+
+  return groups
+    .map(group => toMeeting(group, options))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Meetings between any two of the target numbers
+ * @param {Object} filter - events_canonical match (scope and date range)
+ * @param {Array<string>} targets - Canonical numbers
+ * @param {Object} options - { rule, toleranceMinutes, distanceMeters } (see parseCoLocationOptions) and { limit }
+ * @returns {Promise<Object>} { meetings, totalMeetings } each meeting { numbers, start, end, durationMinutes,
+ *   eventCount, cellIds, cellSiteName, lat, lng, distanceMeters, events }
+ */
+export async function findMeetings(filter, targets, options) {
+  const sightings = await loadSightings({ ...filter, ...locatedFilter(options.rule), ...placesNumbers(targets) });
+  const order = new Map(targets.map((target, index) => [target, index]));
+  const matches = findMatches(sightings, options, () => true);
+  const meetings = groupMeetings(matches, options, (a, b) => (order.get(a) < order.get(b) ? [a, b] : [b, a]));
+
+  return { meetings: meetings.slice(0, options.limit), totalMeetings: meetings.length };
+}
+
+/**
+ * Disjoint time ranges covering every sighting widened by the tolerance
+ */
+function toTimeRanges(sightings, toleranceMs) {
+  const ranges = [];
+  sightings.forEach(sighting => {
+    const from = sighting.timestampUtc.getTime() - toleranceMs;
+    const to = sighting.timestampUtc.getTime() + toleranceMs;
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Where other numbers can have met the subject: its cells, or the area around its coordinates
+ */
+function nearSubjectFilter(subjectSightings, options) {
+  if (options.rule === 'cell') {
+    return { cell_id: { $in: [...new Set(subjectSightings.map(sighting => sighting.cellId))] } };
+  }
+  // Reduced rather than spread: a number can have more sightings than a call takes arguments
+  const bounds = subjectSightings.reduce((box, sighting) => ({
+    minLat: Math.min(box.minLat, sighting.lat),
+    maxLat: Math.max(box.maxLat, sighting.lat),
+    minLng: Math.min(box.minLng, sighting.lng),
+    maxLng: Math.max(box.maxLng, sighting.lng)
+  }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+  const latMargin = options.distanceMeters / METERS_PER_DEGREE_LAT;
+  const widestLat = Math.min(89, Math.max(Math.abs(bounds.minLat), Math.abs(bounds.maxLat)) + latMargin);
+  const lngMargin = options.distanceMeters / (METERS_PER_DEGREE_LAT * Math.cos(widestLat * Math.PI / 180));
+  return {
+    latitude: { $gte: bounds.minLat - latMargin, $lte: bounds.maxLat + latMargin },
+    longitude: { $gte: bounds.minLng - lngMargin, $lte: bounds.maxLng + lngMargin }
+  };
+}
+
+/**
+ * Every number that met the subject number anywhere in the scope
+ * @param {Object} filter - events_canonical match (scope and date range)
+ * @param {string} subject - Canonical number
+ * @param {Object} options - As for findMeetings
+ * @returns {Promise<Object>} { coLocatedNumbers: [{ number, meetingCount, eventCount, firstMet, lastMet }],
+ *   meetings, totalMeetings } where each meeting's numbers are [subject, other]
+ */
+export async function findCoLocatedNumbers(filter, subject, options) {
+  const locatedMatch = { ...filter, ...locatedFilter(options.rule) };
+  const subjectSightings = await loadSightings({ ...locatedMatch, ...placesNumbers([subject]) });
+  if (subjectSightings.length === 0) {
+    return { coLocatedNumbers: [], meetings: [], totalMeetings: 0 };
+  }
+
+  const toleranceMs = options.toleranceMinutes * 60 * 1000;
+  const ranges = toTimeRanges(subjectSightings, toleranceMs);
+  const nearSubject = nearSubjectFilter(subjectSightings, options);
+  const isWithSubject = (a, b) => a === subject || b === subject;
+  const matches = [];
+
+  // A match lies inside one range, so each batch of ranges is searched on its own
+  for (let i = 0; i < ranges.length; i += RANGE_BATCH_SIZE) {
+    const batch = ranges.slice(i, i + RANGE_BATCH_SIZE);
+    const batchFrom = batch[0].from;
+    const batchTo = batch[batch.length - 1].to;
+
+    const others = await loadSightings({
+      ...locatedMatch,
+      ...nearSubject,
+      $or: batch.map(range => ({ timestamp_utc: { $gte: new Date(range.from), $lte: new Date(range.to) } }))
+    }, subject);
+    if (others.length === 0) continue;
+
+    const batchSightings = subjectSightings
+      .filter(sighting => sighting.timestampUtc.getTime() >= batchFrom && sighting.timestampUtc.getTime() <= batchTo)
+      .concat(others)
+      .sort((a, b) => a.timestampUtc - b.timestampUtc);
+    matches.push(...findMatches(batchSightings, options, isWithSubject));
+  }
+
+  const meetings = groupMeetings(matches, options, (a, b) => (a === subject ? [a, b] : [b, a]));
+
+  const byNumber = new Map();
+  meetings.forEach(meeting => {
+    const other = meeting.numbers[1];
+    if (!byNumber.has(other)) {
+      byNumber.set(other, { number: other, meetingCount: 0, eventCount: 0, firstMet: meeting.start, lastMet: meeting.end });
+    }
+    const entry = byNumber.get(other);
+    entry.meetingCount++;
+    entry.eventCount += meeting.eventCount;
+    if (meeting.end > entry.lastMet) entry.lastMet = meeting.end;
+  });
+
+  return {
+    coLocatedNumbers: [...byNumber.values()].sort((a, b) => b.meetingCount - a.meetingCount || b.eventCount - a.eventCount),
+    meetings: meetings.slice(0, options.limit),
+    totalMeetings: meetings.length
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * COMMON CONTACTS
+ *
+ * Counterparties shared by several target numbers: for each one, how often and how long every
+ * target was in contact with it and when. Targets that contacted each other are reported as
+ * direct links rather than as shared counterparties.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+import { canonicalizeNumber, NON_SUBSCRIBER_CLASSES } from './numberingPlan.js';
+
+export const MAX_TARGETS = 10;
+
+/**
+ * Target numbers of a request in canonical form, without repeats
+ * @param {string|Array<string>} value - Comma-separated list, or the values of a repeated query param
+ * @param {string} country - Numbering plan for national-format numbers
+ * @returns {Object} { targets } or { error }
+ */
+export function parseTargetNumbers(value, country) {
+  const entries = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => (typeof entry === 'string' ? entry.split(',') : []))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const targets = [...new Set(entries.map(entry => canonicalizeNumber(entry, country).number).filter(Boolean))];
+  if (targets.length < 2) {
+    return { error: 'Provide at least two different numbers' };
+  }
+  if (targets.length > MAX_TARGETS) {
+    return { error: `At most ${MAX_TARGETS} numbers can be compared at once` };
+  }
+  return { targets };
+}
+
+/**
+ * Per target and counterparty totals over the events of the given filter. Each event counts once
+ * for every target taking part in it, so an event between two targets shows up on both sides.
+ */
+async function aggregateTargetContacts(filter, targets) {
+  const side = (targetField, counterpartyField) => ({
+    $cond: [
+      { $in: [`$${targetField}`, targets] },
+      { target: `$${targetField}`, counterparty: `$${counterpartyField}`, numberClass: `$${counterpartyField}_class` },
+      null
+    ]
+  });
+
+  return EventCanonical.aggregate([
+    {
+      $match: {
+        ...filter,
+        $or: [{ caller_number: { $in: targets } }, { receiver_number: { $in: targets } }]
+      }
+    },
+    {
+      $project: {
+        event_type: 1,
+        call_duration_seconds: 1,
+        timestamp_utc: 1,
+        sides: [side('caller_number', 'receiver_number'), side('receiver_number', 'caller_number')]
+      }
+    },
+    { $unwind: '$sides' },
+    { $match: { sides: { $ne: null }, 'sides.counterparty': { $nin: [null, ''] } } },
+    // Self-calls have no counterparty
+    { $match: { $expr: { $ne: ['$sides.counterparty', '$sides.target'] } } },
+    {
+      $group: {
+        _id: { target: '$sides.target', counterparty: '$sides.counterparty' },
+        numberClass: { $first: '$sides.numberClass' },
+        count: { $sum: 1 },
+        totalDuration: { $sum: { $ifNull: ['$call_duration_seconds', 0] } },
+        calls: { $sum: { $cond: [{ $eq: ['$event_type', 'call'] }, 1, 0] } },
+        sms: { $sum: { $cond: [{ $eq: ['$event_type', 'sms'] }, 1, 0] } },
+        firstSeen: { $min: '$timestamp_utc' },
+        lastSeen: { $max: '$timestamp_utc' }
+      }
+    }
+  ]).allowDiskUse(true);
+}
+
+function toContactStats(group) {
+  return {
+    count: group.count,
+    totalDuration: group.totalDuration,
+    calls: group.calls,
+    sms: group.sms,
+    firstSeen: group.firstSeen || null,
+    lastSeen: group.lastSeen || null
+  };
+}
+
+/**
+ * Counterparties in contact with at least minTargets of the targets
+ * @param {Object} filter - events_canonical match (scope, dates, event type)
+ * @param {Array<string>} targets - Canonical target numbers (see parseTargetNumbers)
+ * @param {Object} options - { minTargets (default: all targets), includeServiceNumbers, limit }
+ * @returns {Promise<Object>} { commonContacts, totalCommonContacts, directLinks } where each contact is
+ *   { number, numberClass, targetCount, totalEvents, totalDuration, perTarget } and perTarget lines up
+ *   with targets, holding { count, totalDuration, calls, sms, firstSeen, lastSeen } or null when that
+ *   target never contacted the number
+ */
+export async function findCommonContacts(filter, targets, options = {}) {
+  const { minTargets = targets.length, includeServiceNumbers = false, limit = 50 } = options;
+  const targetIndex = new Map(targets.map((target, index) => [target, index]));
+  const groups = await aggregateTargetContacts(filter, targets);
+
+  const contacts = new Map();
+  const directLinks = [];
+  groups.forEach(group => {
+    const { target, counterparty } = group._id;
+
+    if (targetIndex.has(counterparty)) {
+      // Both sides of a link between targets carry the same events; keep one
+      if (target < counterparty) {
+        directLinks.push({ numbers: [target, counterparty], ...toContactStats(group) });
+      }
+      return;
+    }
+    if (!includeServiceNumbers && NON_SUBSCRIBER_CLASSES.includes(group.numberClass)) {
+      return;
+    }
+
+    if (!contacts.has(counterparty)) {
+      contacts.set(counterparty, {
+        number: counterparty,
+        numberClass: group.numberClass || null,
+        targetCount: 0,
+        totalEvents: 0,
+        totalDuration: 0,
+        perTarget: targets.map(() => null)
+      });
+    }
+    const contact = contacts.get(counterparty);
+    contact.targetCount++;
+    contact.totalEvents += group.count;
+    contact.totalDuration += group.totalDuration;
+    contact.perTarget[targetIndex.get(target)] = toContactStats(group);
+  });
+
+  const commonContacts = [...contacts.values()]
+    .filter(contact => contact.targetCount >= minTargets)
+    .sort((a, b) => b.targetCount - a.targetCount || b.totalEvents - a.totalEvents);
+
+  return {
+    commonContacts: commonContacts.slice(0, limit),
+    totalCommonContacts: commonContacts.length,
+    directLinks: directLinks.sort((a, b) => b.count - a.count)
+  };
+}
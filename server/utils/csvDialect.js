@@ -0,0 +1,192 @@
+/**
+ * CSV DIALECT DETECTION
+ *
+ * Carrier CSV exports are not always UTF-8 and comma separated: UTF-16 with a byte order mark,
+ * Windows-1252 or Windows-1256 (Arabic site names), and semicolon, tab or pipe delimiters all
+ * occur. The dialect is sniffed from the first bytes of the file; an explicit encoding or
+ * delimiter from the caller always wins. Rows are decoded to UTF-8 before csv-parse sees them.
+ */
+
+import fs from 'fs';
+import { Transform } from 'stream';
+
+export const SUPPORTED_ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'windows-1256'];
+export const SUPPORTED_DELIMITERS = [',', ';', '\t', '|'];
+
+// Bytes read from the start of a file to sniff its dialect
+export const DIALECT_SAMPLE_BYTES = 64 * 1024;
+
+const DELIMITER_SAMPLE_LINES = 20;
+
+// Arabic words are runs of bytes >= 0x80 in Windows-1256; accented Latin letters in
+// Windows-1252 mostly sit alone between ASCII letters
+const ARABIC_RUN_SHARE = 0.6;
+
+/**
+ * Encoding announced by a byte order mark, or null
+ */
+function getBomEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return 'utf-8';
+  if (sample[0] === 0xff && sample[1] === 0xfe) return 'utf-16le';
+  if (sample[0] === 0xfe && sample[1] === 0xff) return 'utf-16be';
+  return null;
+}
+
+/**
+ * UTF-16 without a BOM: ASCII text leaves every other byte zero
+ */
+function detectUtf16(sample) {
+  const length = Math.min(sample.length, 4096) & ~1;
+  if (length < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  const pairs = length / 2;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+function isValidUtf8(sample) {
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tell Windows-1256 from Windows-1252 by how the high bytes are grouped
+ */
+function detectSingleByteEncoding(sample) {
+  let highBytes = 0;
+  let inRuns = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] < 0x80) continue;
+    highBytes++;
+    if (sample[i - 1] >= 0x80 || sample[i + 1] >= 0x80) inRuns++;
+  }
+  return highBytes > 0 && inRuns / highBytes >= ARABIC_RUN_SHARE ? 'windows-1256' : 'windows-1252';
+}
+
+/**
+ * Sniff the character encoding of a file sample
+ * @returns {Object} { encoding, source } source is 'bom' or 'detected'
+ */
+export function detectEncoding(sample) {
+  const bomEncoding = getBomEncoding(sample);
+  if (bomEncoding) return { encoding: bomEncoding, source: 'bom' };
+
+  const encoding = detectUtf16(sample)
+    || (isValidUtf8(sample) ? 'utf-8' : detectSingleByteEncoding(sample));
+  return { encoding, source: 'detected' };
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the same, non-zero number of fields
+ * @param {string} text - Decoded start of the file
+ * @returns {string} One of SUPPORTED_DELIMITERS (',' when nothing fits better)
+ */
+export function detectDelimiter(text) {
+  const lines = text
+    // Delimiters inside quoted values do not count
+    .replace(/"(?:[^"]|"")*"/g, '""')
+    .split(/\r\n|\n|\r/)
+    .filter(line => line.trim())
+    // The last line of the sample may be cut short
+    .slice(0, DELIMITER_SAMPLE_LINES + 1);
+  if (lines.length > DELIMITER_SAMPLE_LINES) lines.pop();
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', consistency: 0, fields: 0 };
+  SUPPORTED_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    const headerCount = counts[0];
+    if (headerCount === 0) return;
+    const consistency = counts.filter(count => count === headerCount).length / counts.length;
+    if (consistency > best.consistency || (consistency === best.consistency && headerCount > best.fields)) {
+      best = { delimiter, consistency, fields: headerCount };
+    }
+  });
+  return best.delimiter;
+}
+
+export function decodeBuffer(buffer, encoding) {
+  // TextDecoder drops a leading BOM
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Encoding and delimiter of a CSV sample, with the caller's overrides applied
+ * @param {Buffer} sample - First bytes of the file (see DIALECT_SAMPLE_BYTES)
+ * @param {Object} overrides - { encoding, delimiter }
+ * @returns {Object} { encoding, delimiter, encodingSource, delimiterSource }
+ *   sources are 'override', 'bom' (encoding only) or 'detected'
+ */
+export function resolveCsvDialect(sample, overrides = {}) {
+  const detected = overrides.encoding ? null : detectEncoding(sample);
+  const encoding = overrides.encoding || detected.encoding;
+  const delimiter = overrides.delimiter
+    || detectDelimiter(decodeBuffer(sample.subarray(0, DIALECT_SAMPLE_BYTES), encoding));
+
+  return {
+    encoding,
+    delimiter,
+    encodingSource: overrides.encoding ? 'override' : detected.source,
+    delimiterSource: overrides.delimiter ? 'override' : 'detected'
+  };
+}
+
+/**
+ * First bytes of a file, for sniffing its format and dialect
+ */
+export async function readFileHead(filePath, bytes = DIALECT_SAMPLE_BYTES) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read a file's first bytes and resolve its dialect
+ */
+export async function readCsvDialect(filePath, overrides = {}) {
+  return resolveCsvDialect(await readFileHead(filePath), overrides);
+}
+
+/**
+ * Stream that re-encodes the file's text as UTF-8 for csv-parse
+ */
+export function createDecoderStream(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+}
+
+/**
+ * Check caller-supplied overrides
+ * @returns {string|null} Error message, or null when they are usable
+ */
+export function validateCsvOverrides({ encoding, delimiter } = {}) {
+  if (encoding && !SUPPORTED_ENCODINGS.includes(encoding)) {
+    return `Unsupported encoding: ${encoding} (use one of ${SUPPORTED_ENCODINGS.join(', ')})`;
+  }
+  if (delimiter && !SUPPORTED_DELIMITERS.includes(delimiter)) {
+    return `Unsupported delimiter: ${JSON.stringify(delimiter)} (use comma, semicolon, tab or pipe)`;
+  }
+  return null;
+}
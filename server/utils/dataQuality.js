@@ -200,11 +200,12 @@ export function validateRecord(record) {
 }
 
 /**
- * Generate data quality summary for a batch of records
+ * Incremental form of generateQualitySummary for records that arrive in batches
+ * @returns {{ add: Function, finalize: Function }}
  */
-export function generateQualitySummary(records) {
+export function createQualitySummaryAccumulator() {
   const summary = {
-    totalRecords: records.length,
+    totalRecords: 0,
     validRecords: 0,
     invalidRecords: 0,
     errorCounts: {},
@@ -220,56 +221,73 @@ export function generateQualitySummary(records) {
     invalidDurationCount: 0
   };
   
-  records.forEach(record => {
-    const validation = validateRecord(record);
-    
-    if (validation.isValid) {
-      summary.validRecords++;
-    } else {
-      summary.invalidRecords++;
-    }
-    
-    // Count errors
-    validation.errors.forEach(error => {
-      summary.errorCounts[error] = (summary.errorCounts[error] || 0) + 1;
-    });
-    
-    // Count warnings
-    validation.warnings.forEach(warning => {
-      summary.warningCounts[warning] = (summary.warningCounts[warning] || 0) + 1;
+  const add = (records) => {
+    summary.totalRecords += records.length;
+
+    records.forEach(record => {
+      const validation = validateRecord(record);
+      
+      if (validation.isValid) {
+        summary.validRecords++;
+      } else {
+        summary.invalidRecords++;
+      }
+      
+      // Count errors
+      validation.errors.forEach(error => {
+        summary.errorCounts[error] = (summary.errorCounts[error] || 0) + 1;
+      });
+      
+      // Count warnings
+      validation.warnings.forEach(warning => {
+        summary.warningCounts[warning] = (summary.warningCounts[warning] || 0) + 1;
+      });
+      
+      // Confidence distribution
+      if (validation.confidence) {
+        summary.confidenceDistribution[validation.confidence.confidence]++;
+      }
+      
+      // Specific counts
+      if (record.caller_number === record.receiver_number) {
+        summary.selfCallCount++;
+      }
+      
+      if (!record.latitude && !record.longitude && !record.cell_id) {
+        summary.missingLocationCount++;
+      }
+      
+      if (validation.warnings.some(w => w.includes('Future timestamp'))) {
+        summary.futureTimestampCount++;
+      }
+      
+      if (validation.errors.some(e => e.includes('duration'))) {
+        summary.invalidDurationCount++;
+      }
     });
+  };
+  
+  const finalize = () => {
+    // Calculate percentages
+    summary.validPercentage = summary.totalRecords > 0 
+      ? ((summary.validRecords / summary.totalRecords) * 100).toFixed(2)
+      : 0;
     
-    // Confidence distribution
-    if (validation.confidence) {
-      summary.confidenceDistribution[validation.confidence.confidence]++;
-    }
-    
-    // Specific counts
-    if (record.caller_number === record.receiver_number) {
-      summary.selfCallCount++;
-    }
-    
-    if (!record.latitude && !record.longitude && !record.cell_id) {
-      summary.missingLocationCount++;
-    }
-    
-    if (validation.warnings.some(w => w.includes('Future timestamp'))) {
-      summary.futureTimestampCount++;
-    }
+    summary.invalidPercentage = summary.totalRecords > 0
+      ? ((summary.invalidRecords / summary.totalRecords) * 100).toFixed(2)
+      : 0;
     
-    if (validation.errors.some(e => e.includes('duration'))) {
-      summary.invalidDurationCount++;
-    }
-  });
-  
-  // Calculate percentages
-  summary.validPercentage = summary.totalRecords > 0 
-    ? ((summary.validRecords / summary.totalRecords) * 100).toFixed(2)
-    : 0;
-  
-  summary.invalidPercentage = summary.totalRecords > 0
-    ? ((summary.invalidRecords / summary.totalRecords) * 100).toFixed(2)
-    : 0;
+    return summary;
+  };
   
-  return summary;
+  return { add, finalize };
+}
+
+/**
+ * Generate data quality summary for a batch of records
+ */
+export function generateQualitySummary(records) {
+  const accumulator = createQualitySummaryAccumulator();
+  accumulator.add(records);
+  return accumulator.finalize();
 }
@@ -11,7 +11,7 @@ import crypto from 'crypto';
  * Generate deterministic record fingerprint for reporting
  * Uses caller/receiver, event_type, 1-second timestamp bucket and rounded duration
  */
-function generateFingerprint(record) {
+export function generateFingerprint(record) {
   const ts = record.timestamp_utc ? new Date(record.timestamp_utc) : null;
   const timestampBucket = ts && !isNaN(ts.getTime())
     ? Math.floor(ts.getTime() / 1000) // 1-second buckets
@@ -32,6 +32,42 @@ function generateFingerprint(record) {
   return crypto.createHash('sha256').update(key).digest('hex');
 }
 
+/**
+ * Only records sharing caller|receiver|event_type can be duplicates of each other
+ */
+export function getDuplicateGroupKey(record) {
+  return [
+    record.caller_number || '',
+    record.receiver_number || '',
+    record.event_type || ''
+  ].join('|');
+}
+
+/**
+ * Whether a record duplicates the reference record it follows (same caller/receiver/event_type
+ * group, sorted by time): timestamps and durations both within 1 second.
+ * Records with invalid timestamps are never treated as duplicates.
+ */
+export function isDuplicateOf(record, reference) {
+  const ts = new Date(record.timestamp_utc);
+  const refTs = new Date(reference.timestamp_utc);
+  if (isNaN(ts.getTime()) || isNaN(refTs.getTime())) {
+    return false;
+  }
+
+  const duration = typeof record.call_duration_seconds === 'number'
+    ? record.call_duration_seconds
+    : 0;
+  const refDuration = typeof reference.call_duration_seconds === 'number'
+    ? reference.call_duration_seconds
+    : 0;
+
+  const timeDiffSec = Math.abs(ts.getTime() - refTs.getTime()) / 1000;
+  const durationDiffSec = Math.abs(duration - refDuration);
+
+  return timeDiffSec <= 1 && durationDiffSec <= 1;
+}
+
 /**
  * Deduplicate records deterministically
  * 
@@ -41,20 +77,18 @@ function generateFingerprint(record) {
  * - Same event type
  * - Same duration (within 1 second tolerance)
  * 
- * Strategy: Keep first occurrence, mark others as duplicates
+ * Strategy: Keep first occurrence, mark others as duplicates; the kept record's sources
+ * gain the source rows of the duplicates dropped
  */
 export function deduplicateRecords(records) {
   const duplicates = [];
   const isDuplicate = new Array(records.length).fill(false);
+  const mergedSources = new Map(); // kept index -> sources of its duplicates
 
   // Group candidates by caller|receiver|event_type
   const groups = new Map();
   records.forEach((record, index) => {
-    const key = [
-      record.caller_number || '',
-      record.receiver_number || '',
-      record.event_type || ''
-    ].join('|');
+    const key = getDuplicateGroupKey(record);
 
     if (!groups.has(key)) {
       groups.set(key, []);
@@ -74,33 +108,13 @@ export function deduplicateRecords(records) {
 
     sorted.forEach(item => {
       const { record, index } = item;
-      const ts = new Date(record.timestamp_utc);
-      if (isNaN(ts.getTime())) {
-        // Invalid timestamp: cannot safely deduplicate, always keep
-        lastKept = item;
-        return;
-      }
-
-      const duration = typeof record.call_duration_seconds === 'number'
-        ? record.call_duration_seconds
-        : 0;
-
-      if (!lastKept) {
-        lastKept = item;
-        return;
-      }
-
-      const lastTs = new Date(lastKept.record.timestamp_utc);
-      const lastDuration = typeof lastKept.record.call_duration_seconds === 'number'
-        ? lastKept.record.call_duration_seconds
-        : 0;
-
-      const timeDiffSec = Math.abs(ts.getTime() - lastTs.getTime()) / 1000;
-      const durationDiffSec = Math.abs(duration - lastDuration);
-
-      if (timeDiffSec <= 1 && durationDiffSec <= 1) {
+      if (lastKept && isDuplicateOf(record, lastKept.record)) {
         // Within 1 second tolerance on both time and duration: treat as duplicate
         isDuplicate[index] = true;
+        if (!mergedSources.has(lastKept.index)) {
+          mergedSources.set(lastKept.index, []);
+        }
+        mergedSources.get(lastKept.index).push(...(record.sources || []));
         duplicates.push({
           record_id: record.record_id,
           original_index: index,
@@ -122,6 +136,7 @@ export function deduplicateRecords(records) {
     .filter(item => !isDuplicate[item.index])
     .map(item => ({
       ...item.record,
+      sources: [...(item.record.sources || []), ...(mergedSources.get(item.index) || [])],
       is_duplicate: false
     }));
 
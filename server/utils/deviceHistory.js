@@ -0,0 +1,194 @@
+/**
+ * DEVICE HISTORY
+ *
+ * Which handsets (IMEI) and SIMs (IMSI) each number appeared with, and when. A record's IMEI and
+ * IMSI are those of its subscriber (see SUBSCRIBER_NUMBER in coLocation.js), never of the other
+ * party. Several numbers in one handset usually means one person swapping SIMs, so handsets used
+ * by more than one number link those numbers.
+ *
+ * Handsets are keyed by the first 14 digits of the IMEI (type allocation code and serial number):
+ * the 15-digit IMEI and the 16-digit IMEISV of one handset differ only after that.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+import { SUBSCRIBER_NUMBER } from './coLocation.js';
+
+const IMEI_KEY_DIGITS = 14;
+
+export const MAX_TIMELINE_SEGMENTS = 500;
+
+/**
+ * Handset key of an IMEI or IMEISV; null for a missing or all-zero placeholder value
+ */
+export function handsetKey(imei) {
+  const digits = String(imei || '').replace(/\D/g, '');
+  if (!digits || /^0+$/.test(digits)) return null;
+  return digits.slice(0, IMEI_KEY_DIGITS);
+}
+
+function simKey(imsi) {
+  const digits = String(imsi || '').replace(/\D/g, '');
+  return digits && !/^0+$/.test(digits) ? digits : null;
+}
+
+// Records whose subscriber is the number (or one of the numbers)
+function subscriberFilter(number) {
+  const numbers = [].concat(number);
+  return {
+    $or: [
+      { direction: 'incoming', receiver_number: { $in: numbers } },
+      { direction: { $ne: 'incoming' }, caller_number: { $in: numbers } }
+    ]
+  };
+}
+
+function identifiedRecordsFilter(filter, number) {
+  const conditions = [{ $or: [{ imei: { $nin: [null, ''] } }, { imsi: { $nin: [null, ''] } }] }];
+  if (number) conditions.push(subscriberFilter(number));
+  return { ...filter, $and: [...(filter.$and || []), ...conditions] };
+}
+
+function addSighting(entries, key, group) {
+  if (!entries.has(key)) {
+    entries.set(key, { eventCount: 0, firstSeen: group.firstSeen, lastSeen: group.lastSeen, related: new Set() });
+  }
+  const entry = entries.get(key);
+  entry.eventCount += group.count;
+  if (group.firstSeen < entry.firstSeen) entry.firstSeen = group.firstSeen;
+  if (group.lastSeen > entry.lastSeen) entry.lastSeen = group.lastSeen;
+  return entry;
+}
+
+function toSightings(entries, keyField, relatedField) {
+  return [...entries.entries()]
+    .map(([key, entry]) => ({
+      [keyField]: key,
+      [relatedField]: [...entry.related],
+      eventCount: entry.eventCount,
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen
+    }))
+    .sort((a, b) => a.firstSeen - b.firstSeen);
+}
+
+/**
+ * Handsets and SIMs of every subscriber in the filter, or of some numbers only
+ * @param {Object} filter - events_canonical match (scope, dates)
+ * @param {string|Array<string>} [number] - Canonical number(s) to limit the result to
+ * @param {Array<Object>} [stages] - Stages renaming numbers before they are grouped (entity grouping)
+ * @returns {Promise<Map>} number -> { handsets: [{ imei, imsis, eventCount, firstSeen, lastSeen }],
+ *   sims: [{ imsi, imeis, eventCount, firstSeen, lastSeen }] }, each ordered by firstSeen
+ */
+export async function getDeviceUsage(filter, number, stages = []) {
+  const groups = await EventCanonical.aggregate([
+    { $match: identifiedRecordsFilter(filter, number) },
+    ...stages,
+    {
+      $group: {
+        _id: { number: SUBSCRIBER_NUMBER, imei: '$imei', imsi: '$imsi' },
+        count: { $sum: 1 },
+        firstSeen: { $min: '$timestamp_utc' },
+        lastSeen: { $max: '$timestamp_utc' }
+      }
+    },
+    { $match: { '_id.number': { $nin: [null, ''] } } }
+  ]).allowDiskUse(true);
+
+  const byNumber = new Map();
+  groups.forEach(group => {
+    const imei = handsetKey(group._id.imei);
+    const imsi = simKey(group._id.imsi);
+    if (!imei && !imsi) return;
+
+    if (!byNumber.has(group._id.number)) {
+      byNumber.set(group._id.number, { handsets: new Map(), sims: new Map() });
+    }
+    const usage = byNumber.get(group._id.number);
+    if (imei) {
+      const handset = addSighting(usage.handsets, imei, group);
+      if (imsi) handset.related.add(imsi);
+    }
+    if (imsi) {
+      const sim = addSighting(usage.sims, imsi, group);
+      if (imei) sim.related.add(imei);
+    }
+  });
+
+  const result = new Map();
+  byNumber.forEach((usage, subscriber) => {
+    result.set(subscriber, {
+      handsets: toSightings(usage.handsets, 'imei', 'imsis'),
+      sims: toSightings(usage.sims, 'imsi', 'imeis')
+    });
+  });
+  return result;
+}
+
+/**
+ * Handsets used by two or more numbers
+ * @param {Map} usage - Result of getDeviceUsage over the whole scope
+ * @returns {Array<Object>} [{ imei, numbers: [{ number, imsis, eventCount, firstSeen, lastSeen }],
+ *   eventCount, firstSeen, lastSeen }], most numbers first
+ */
+export function findSharedHandsets(usage) {
+  const handsets = new Map();
+  usage.forEach(({ handsets: numberHandsets }, number) => {
+    numberHandsets.forEach(({ imei, ...sighting }) => {
+      if (!handsets.has(imei)) handsets.set(imei, []);
+      handsets.get(imei).push({ number, ...sighting });
+    });
+  });
+
+  return [...handsets.entries()]
+    .filter(([, numbers]) => numbers.length > 1)
+    .map(([imei, numbers]) => ({
+      imei,
+      numbers: numbers.sort((a, b) => a.firstSeen - b.firstSeen),
+      eventCount: numbers.reduce((sum, entry) => sum + entry.eventCount, 0),
+      firstSeen: numbers[0].firstSeen,
+      lastSeen: numbers.reduce((last, entry) => (entry.lastSeen > last ? entry.lastSeen : last), numbers[0].lastSeen)
+    }))
+    .sort((a, b) => b.numbers.length - a.numbers.length || b.eventCount - a.eventCount);
+}
+
+/**
+ * Periods in which a number kept the same handset and SIM, in time order. A record missing its
+ * IMEI or IMSI does not end a period; a different value does.
+ * @param {Object} filter - events_canonical match (scope, dates)
+ * @param {string} number - Canonical number
+ * @returns {Promise<Object>} { segments: [{ imei, imsi, start, end, eventCount }], truncated }
+ */
+export async function getDeviceTimeline(filter, number) {
+  const cursor = EventCanonical.find(identifiedRecordsFilter(filter, number))
+    .select('timestamp_utc imei imsi')
+    .sort({ timestamp_utc: 1 })
+    .lean()
+    .cursor();
+
+  const segments = [];
+  let truncated = false;
+  for await (const record of cursor) {
+    const imei = handsetKey(record.imei);
+    const imsi = simKey(record.imsi);
+    if (!imei && !imsi) continue;
+
+    const current = segments[segments.length - 1];
+    const sameDevice = current &&
+      (!imei || !current.imei || imei === current.imei) &&
+      (!imsi || !current.imsi || imsi === current.imsi);
+    if (sameDevice) {
+      current.imei = current.imei || imei;
+      current.imsi = current.imsi || imsi;
+      current.end = record.timestamp_utc;
+      current.eventCount++;
+      continue;
+    }
+    if (segments.length === MAX_TIMELINE_SEGMENTS) {
+      truncated = true;
+      break;
+    }
+    segments.push({ imei, imsi, start: record.timestamp_utc, end: record.timestamp_utc, eventCount: 1 });
+  }
+
+  return { segments, truncated };
+}
@@ -263,33 +263,44 @@ export function enrichBaselineWindow(records) {
 
   const minTime = new Date(Math.min(...validTimes));
   const maxTime = new Date(Math.max(...validTimes));
+  const cutoffTime = computeBaselineCutoff(minTime, maxTime);
 
-  if (minTime.getTime() === maxTime.getTime()) {
-    // All timestamps identical: mark everything as baseline
-    return records.map(record => ({
-      ...record,
-      baseline_window_label: 'baseline'
-    }));
+  return records.map(record => ({
+    ...record,
+    baseline_window_label: getBaselineWindowLabel(record.timestamp_utc, cutoffTime)
+  }));
+}
+
+/**
+ * Cutoff between the baseline (earliest 70%) and recent windows of a time range.
+ * Returns null when all timestamps are identical.
+ */
+export function computeBaselineCutoff(minTime, maxTime) {
+  const min = new Date(minTime);
+  const max = new Date(maxTime);
+
+  if (min.getTime() === max.getTime()) {
+    return null;
   }
 
-  const rangeMs = maxTime.getTime() - minTime.getTime();
-  const cutoffTime = new Date(minTime.getTime() + rangeMs * 0.7);
+  const rangeMs = max.getTime() - min.getTime();
+  return new Date(min.getTime() + rangeMs * 0.7);
+}
 
-  return records.map(record => {
-    const recordTime = new Date(record.timestamp_utc);
-    if (isNaN(recordTime.getTime())) {
-      // If timestamp is invalid, treat as baseline (conservative)
-      return {
-        ...record,
-        baseline_window_label: 'baseline'
-      };
-    }
+/**
+ * Window label for a timestamp given the cutoff from computeBaselineCutoff
+ */
+export function getBaselineWindowLabel(timestamp, cutoffTime) {
+  // All timestamps identical: everything is baseline
+  if (!cutoffTime) return 'baseline';
 
-    return {
-      ...record,
-      baseline_window_label: recordTime <= cutoffTime ? 'baseline' : 'recent'
-    };
-  });
+  const recordTime = new Date(timestamp);
+  if (isNaN(recordTime.getTime())) {
+    // If timestamp is invalid, treat as baseline (conservative)
+    return 'baseline';
+  }
+
+  return recordTime <= cutoffTime ? 'baseline' : 'recent';
 }
 
 /**
@@ -0,0 +1,130 @@
+/**
+ * ENTITIES
+ *
+ * Investigators link the numbers one person uses into an entity. Analytics that take
+ * groupBy=entity then treat those numbers as one party: every linked number is replaced by the
+ * entity's key (ENTITY_KEY_PREFIX + entityId) right after the scope match, so the rest of a
+ * pipeline runs unchanged. Numbers outside any entity stay as they are.
+ */
+
+import Entity from '../models/Entity.js';
+
+export const ENTITY_KEY_PREFIX = 'entity:';
+export const GROUP_BY_OPTIONS = ['number', 'entity'];
+
+export function entityKey(entityId) {
+  return `${ENTITY_KEY_PREFIX}${entityId}`;
+}
+
+/**
+ * Entities visible in a scope: the case's, or those of a single upload outside a case
+ */
+export function entityScopeFilter(scope) {
+  return scope.caseId ? { caseId: scope.caseId } : { caseId: null, uploadId: scope.uploadId };
+}
+
+/**
+ * Hand the entities of an upload outside a case to the case it was moved into, where they would
+ * otherwise match no scope. An entity sharing numbers with an entity of the case is merged into
+ * the oldest such entity (numbers already held by other case entities stay with those), so a
+ * number still belongs to one entity of the case.
+ * @param {string} uploadId
+ * @param {string} caseId - Case the upload now belongs to
+ * @returns {Promise<Object>} { moved, merged }
+ */
+export async function adoptUploadEntities(uploadId, caseId) {
+  const entities = await Entity.find({ caseId: null, uploadId }).sort({ createdAt: 1 }).lean();
+  let moved = 0;
+  let merged = 0;
+
+  for (const entity of entities) {
+    const overlapping = await Entity.find({ caseId, numbers: { $in: entity.numbers } })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (overlapping.length === 0) {
+      await Entity.updateOne(
+        { entityId: entity.entityId },
+        { $set: { caseId, uploadId: null, updatedAt: new Date() } }
+      );
+      moved++;
+      continue;
+    }
+
+    const taken = new Set(overlapping.flatMap(other => other.numbers));
+    const added = entity.numbers.filter(number => !taken.has(number));
+    await Entity.updateOne(
+      { entityId: overlapping[0].entityId },
+      { $push: { numbers: { $each: added } }, $set: { updatedAt: new Date() } }
+    );
+    await Entity.deleteOne({ entityId: entity.entityId });
+    merged++;
+  }
+
+  return { moved, merged };
+}
+
+// Grouping of groupBy=number: every number is its own party
+export const NUMBER_GROUPING = {
+  groupBy: 'number',
+  stages: [],
+  signature: '',
+  keyOf: number => number,
+  numbersOf: key => [key],
+  entityOf: () => null,
+  label: key => key
+};
+
+function toEntitySummary(entity) {
+  return { entityId: entity.entityId, name: entity.name, numbers: entity.numbers };
+}
+
+/**
+ * Number-to-entity grouping of a scope
+ * @param {Object} scope - Result of resolveScope
+ * @returns {Promise<Object>} { groupBy, stages, signature, keyOf, numbersOf, entityOf, label }:
+ *   stages rewrite caller_number and receiver_number to party keys, keyOf/numbersOf convert
+ *   between numbers and keys, entityOf(key) is { entityId, name, numbers } or null, and
+ *   signature changes whenever the links do (for caches)
+ */
+export async function loadEntityGrouping(scope) {
+  const entities = await Entity.find(entityScopeFilter(scope)).sort({ createdAt: 1 }).lean();
+
+  const keyByNumber = new Map();
+  const entityByKey = new Map();
+  entities.forEach(entity => {
+    const key = entityKey(entity.entityId);
+    entityByKey.set(key, toEntitySummary(entity));
+    entity.numbers.forEach(number => keyByNumber.set(number, key));
+  });
+
+  const numbers = [...keyByNumber.keys()];
+  const keys = numbers.map(number => keyByNumber.get(number));
+  const toKey = field => ({
+    $let: {
+      vars: { index: { $indexOfArray: [{ $literal: numbers }, `$${field}`] } },
+      in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: [{ $literal: keys }, '$$index'] }, `$${field}`] }
+    }
+  });
+
+  return {
+    groupBy: 'entity',
+    stages: numbers.length > 0
+      ? [{ $addFields: { caller_number: toKey('caller_number'), receiver_number: toKey('receiver_number') } }]
+      : [],
+    signature: entities.map(entity => `${entity.entityId}:${entity.numbers.join(',')}`).join('|'),
+    keyOf: number => keyByNumber.get(number) || number,
+    numbersOf: key => entityByKey.get(key)?.numbers || [key],
+    entityOf: key => entityByKey.get(key) || null,
+    label: key => entityByKey.get(key)?.name || key
+  };
+}
+
+/**
+ * Grouping for a request's groupBy param
+ * @returns {Promise<Object|null>} The grouping, or null when groupBy is not a known option
+ */
+export async function resolveGrouping(scope, groupBy = 'number') {
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) return null;
+  return groupBy === 'entity' ? loadEntityGrouping(scope) : NUMBER_GROUPING;
+}
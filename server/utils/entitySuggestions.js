@@ -0,0 +1,166 @@
+/**
+ * ENTITY SUGGESTIONS
+ *
+ * Pairs of numbers that are probably used by one person, with the evidence for each:
+ * - shared_handset: both numbers were used in the same handset (IMEI)
+ * - co_location: both were at the same cell at the same time on several days (carried together)
+ * - handover: one number went quiet and the other started soon after, talking to the same people
+ *
+ * Only subscribers (numbers whose own records are in the data) can be suggested; other numbers
+ * are seen from one side only. Pairs already linked in one entity are left out.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+import { SUBSCRIBER_NUMBER, OTHER_NUMBER, findMeetings, DEFAULT_TOLERANCE_MINUTES } from './coLocation.js';
+import { getDeviceUsage, findSharedHandsets } from './deviceHistory.js';
+import { NON_SUBSCRIBER_CLASSES } from './numberingPlan.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Busiest subscribers compared pairwise; co-location scans every located record of them
+const MAX_SUBSCRIBERS = 50;
+
+export const MIN_CO_LOCATION_DAYS = 3;
+export const MAX_HANDOVER_GAP_DAYS = 7;
+export const MIN_HANDOVER_SHARED_CONTACTS = 3;
+
+/**
+ * Activity period and subscriber contacts of the busiest subscribers
+ */
+async function getSubscriberActivity(filter) {
+  return EventCanonical.aggregate([
+    { $match: filter },
+    {
+      $project: {
+        timestamp_utc: 1,
+        number: SUBSCRIBER_NUMBER,
+        counterparty: OTHER_NUMBER,
+        counterpartyClass: { $cond: [{ $eq: ['$direction', 'incoming'] }, '$caller_number_class', '$receiver_number_class'] }
+      }
+    },
+    { $match: { number: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: '$number',
+        eventCount: { $sum: 1 },
+        firstSeen: { $min: '$timestamp_utc' },
+        lastSeen: { $max: '$timestamp_utc' },
+        // Shared short codes and sender IDs say nothing about who holds the phone
+        contacts: {
+          $addToSet: { $cond: [{ $in: ['$counterpartyClass', NON_SUBSCRIBER_CLASSES] }, null, '$counterparty'] }
+        }
+      }
+    },
+    { $sort: { eventCount: -1 } },
+    { $limit: MAX_SUBSCRIBERS }
+  ]).allowDiskUse(true);
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function findHandovers(subscribers) {
+  const handovers = [];
+  subscribers.forEach(earlier => {
+    const earlierContacts = new Set(earlier.contacts.filter(Boolean));
+    subscribers.forEach(later => {
+      const gapMs = later.firstSeen - earlier.lastSeen;
+      if (later === earlier || gapMs < 0 || gapMs > MAX_HANDOVER_GAP_DAYS * DAY_MS) return;
+
+      const sharedContacts = later.contacts.filter(contact => contact && earlierContacts.has(contact));
+      if (sharedContacts.length < MIN_HANDOVER_SHARED_CONTACTS) return;
+
+      handovers.push({
+        numbers: [earlier._id, later._id],
+        reason: {
+          type: 'handover',
+          fromNumber: earlier._id,
+          toNumber: later._id,
+          lastSeenEarlier: earlier.lastSeen,
+          firstSeenLater: later.firstSeen,
+          gapHours: Math.round(gapMs / (60 * 60 * 1000)),
+          sharedContactCount: sharedContacts.length,
+          sharedContacts: sharedContacts.slice(0, 10)
+        }
+      });
+    });
+  });
+  return handovers;
+}
+
+async function findCoLocations(filter, subscribers) {
+  if (subscribers.length < 2) return [];
+
+  const { meetings } = await findMeetings(filter, subscribers.map(subscriber => subscriber._id), {
+    rule: 'cell',
+    toleranceMinutes: DEFAULT_TOLERANCE_MINUTES,
+    limit: Infinity
+  });
+
+  const pairs = new Map();
+  meetings.forEach(meeting => {
+    const key = pairKey(...meeting.numbers);
+    if (!pairs.has(key)) pairs.set(key, { numbers: meeting.numbers, meetingCount: 0, days: new Set() });
+    const pair = pairs.get(key);
+    pair.meetingCount++;
+    pair.days.add(meeting.start.toISOString().slice(0, 10));
+  });
+
+  return [...pairs.values()]
+    .filter(pair => pair.days.size >= MIN_CO_LOCATION_DAYS)
+    .map(pair => ({
+      numbers: pair.numbers,
+      reason: { type: 'co_location', meetingCount: pair.meetingCount, dayCount: pair.days.size }
+    }));
+}
+
+function toConfidence(reasons) {
+  if (reasons.some(reason => reason.type === 'shared_handset') || reasons.length > 1) return 'high';
+  return reasons[0].type === 'co_location' ? 'medium' : 'low';
+}
+
+/**
+ * Suggested links between numbers
+ * @param {Object} filter - events_canonical match of the scope
+ * @param {Object} grouping - Entity grouping of the scope (see loadEntityGrouping)
+ * @returns {Promise<Array>} [{ numbers: [a, b], confidence, reasons, entities }], strongest first;
+ *   entities lines up with numbers and holds the entity each number already belongs to, or null
+ */
+export async function suggestEntityLinks(filter, grouping) {
+  const [usage, subscribers] = await Promise.all([getDeviceUsage(filter), getSubscriberActivity(filter)]);
+
+  const candidates = [
+    ...findSharedHandsets(usage).flatMap(handset =>
+      handset.numbers.flatMap((first, index) => handset.numbers.slice(index + 1).map(second => ({
+        numbers: [first.number, second.number],
+        reason: { type: 'shared_handset', imei: handset.imei }
+      })))
+    ),
+    ...(await findCoLocations(filter, subscribers)),
+    ...findHandovers(subscribers)
+  ];
+
+  const suggestions = new Map();
+  candidates.forEach(({ numbers, reason }) => {
+    const [a, b] = numbers;
+    if (grouping.keyOf(a) === grouping.keyOf(b)) return;
+
+    const key = pairKey(a, b);
+    if (!suggestions.has(key)) {
+      suggestions.set(key, { numbers, reasons: [] });
+    }
+    suggestions.get(key).reasons.push(reason);
+  });
+
+  return [...suggestions.values()]
+    .map(suggestion => ({
+      ...suggestion,
+      confidence: toConfidence(suggestion.reasons),
+      entities: suggestion.numbers.map(number => grouping.entityOf(grouping.keyOf(number)))
+    }))
+    .sort((a, b) => {
+      const order = { high: 3, medium: 2, low: 1 };
+      return order[b.confidence] - order[a.confidence] || b.reasons.length - a.reasons.length;
+    });
+}
@@ -0,0 +1,96 @@
+/**
+ * EVIDENCE STORE
+ *
+ * SHA-256 fingerprints of the source files an upload was built from, and an optional
+ * content-addressed store that keeps the original bytes after ingestion removes the working
+ * copy from uploads/. A retained file lives at <EVIDENCE_DIR>/<first 2 hex chars>/<sha256> and
+ * is written once, read-only; the same file received twice is stored once.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const EVIDENCE_DIR = process.env.EVIDENCE_DIR
+  ? path.resolve(process.env.EVIDENCE_DIR)
+  : path.join(__dirname, '../evidence');
+
+// Whether originals are retained when the ingest request does not say
+export const RETAIN_EVIDENCE_DEFAULT = process.env.RETAIN_EVIDENCE === 'true';
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Stream a file through SHA-256
+ * @returns {Promise<Object>} { sha256, size }
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        size += chunk.length;
+        hash.update(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+  });
+}
+
+/**
+ * Path of a retained file in the store (whether or not it exists)
+ */
+export function getRetainedPath(sha256) {
+  if (!SHA256_PATTERN.test(sha256)) {
+    throw new Error(`Invalid SHA-256: ${sha256}`);
+  }
+  return path.join(EVIDENCE_DIR, sha256.substring(0, 2), sha256);
+}
+
+/**
+ * Copy a received file into the store under its hash; an existing copy is left as it is
+ * @returns {Promise<string>} Path of the retained copy
+ */
+export async function retainFile(filePath, sha256) {
+  const target = getRetainedPath(sha256);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.promises.copyFile(filePath, target, fs.constants.COPYFILE_EXCL);
+    await fs.promises.chmod(target, 0o444);
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+  return target;
+}
+
+/**
+ * Whether the store holds a file with this hash (without re-hashing it)
+ */
+export async function hasRetainedFile(sha256) {
+  try {
+    await fs.promises.access(getRetainedPath(sha256));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Re-hash a retained copy to confirm it is still the file that was received
+ * @returns {Promise<string>} 'intact', 'altered' or 'missing'
+ */
+export async function checkRetainedFile(sha256) {
+  const target = getRetainedPath(sha256);
+  try {
+    const { sha256: actual } = await hashFile(target);
+    return actual === sha256 ? 'intact' : 'altered';
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'missing';
+    throw error;
+  }
+}
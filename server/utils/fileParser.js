@@ -1,27 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
 import XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
 import { parse } from 'csv-parse/sync';
-import { findHeaderRow, normalizeRow } from './normalizer.js';
+import { parse as parseStream } from 'csv-parse';
+import { findHeaderRow, normalizeRow, resolveColumnMap } from './normalizer.js';
+import {
+  resolveCsvDialect,
+  readCsvDialect,
+  readFileHead,
+  detectEncoding,
+  decodeBuffer,
+  createDecoderStream,
+  DIALECT_SAMPLE_BYTES
+} from './csvDialect.js';
+import { fixedWidthFormat, keyValueFormat, getTypicalLineLength } from './textFormats.js';
+import {
+  BER_EXTENSIONS,
+  resolveTagMap,
+  getTagMapColumns,
+  createRecordSplitter,
+  decodeRecord,
+  scoreBerSample
+} from './berDecoder.js';
 
-/** Parse CSV file using csv-parse */
-export function parseCSV(buffer, fileName) {
+export const DEFAULT_STREAM_BATCH_SIZE = 1000;
+
+// Rows buffered at the top of each streamed sheet to locate the header row (matches findHeaderRow's scan)
+const HEADER_SCAN_ROWS = 30;
+
+// Legacy XLS has no streaming reader, so its workbooks are read into memory whole up to this size
+export const MAX_XLS_SIZE_MB = parseInt(process.env.MAX_XLS_SIZE_MB, 10) || 100;
+
+/**
+ * Why a file is a legacy XLS workbook too large to read, or null when it is not one or is within
+ * MAX_XLS_SIZE_MB
+ * @param {string} fileName - Original file name (its extension picks the parser)
+ * @param {number} size - Size in bytes
+ */
+export function legacyWorkbookSizeError(fileName, size) {
+  if (fileName.toLowerCase().split('.').pop() !== 'xls' || size <= MAX_XLS_SIZE_MB * 1024 * 1024) {
+    return null;
+  }
+  return `Legacy .xls files are read into memory and are limited to ${MAX_XLS_SIZE_MB} MB; ` +
+    'save the workbook as .xlsx or CSV to ingest it';
+}
+
+/**
+ * Parse CSV file using csv-parse
+ * @param {Object} options - { mapping } confirmed canonical field -> header name (see resolveColumnMap);
+ *   { encoding, delimiter } override the detected dialect (see csvDialect.js)
+ * @returns {Object} { results, errors, dialect }
+ */
+export function parseCSV(buffer, fileName, options = {}) {
   const results = [];
   const errors = [];
+  const dialect = resolveCsvDialect(buffer, options);
 
   try {
-    const text = buffer.toString('utf-8');
+    const text = decodeBuffer(buffer, dialect.encoding);
     const records = parse(text, {
       columns: true,
+      delimiter: dialect.delimiter,
       skip_empty_lines: true,
       relax_column_count: true,
       trim: true
     });
 
     if (records.length === 0) {
-      return { results, errors: [{ reason: 'No data rows found', rowNumber: 0 }] };
+      return { results, errors: [{ reason: 'No data rows found', rowNumber: 0 }], dialect };
     }
 
     // Get headers from first record keys
     const headers = Object.keys(records[0]);
+    const columnMap = options.mapping ? resolveColumnMap(headers, options.mapping) : null;
 
     records.forEach((record, index) => {
       const row = headers.map(h => record[h] || '');
@@ -29,7 +82,7 @@ export function parseCSV(buffer, fileName) {
         fileName,
         sheetName: null,
         rowNumber: index + 2 // +2 because header is row 1, data starts at row 2
-      });
+      }, columnMap);
 
       if (normalized.error) {
         errors.push({
@@ -48,13 +101,137 @@ export function parseCSV(buffer, fileName) {
     });
   }
 
-  return { results, errors };
+  return { results, errors, dialect };
+}
+
+/**
+ * Columns whose header suggests a phone number
+ */
+function findPhoneColumns(headers) {
+  const phoneColumnIndices = new Set();
+  headers.forEach((header, idx) => {
+    const headerStr = String(header || '').trim().toLowerCase();
+    if (headerStr && (headerStr.includes('number') || headerStr.includes('party') || headerStr.includes('msisdn'))) {
+      phoneColumnIndices.add(idx);
+    }
+  });
+  return phoneColumnIndices;
 }
 
-/** Parse Excel file (XLS/XLSX) */
-export function parseExcel(buffer, fileName) {
+/**
+ * Convert Excel cells to strings, keeping phone number columns free of scientific notation
+ */
+function stringifyExcelRow(row, phoneColumnIndices) {
+  return row.map((cell, colIdx) => {
+    if (phoneColumnIndices.has(colIdx)) {
+      if (typeof cell === 'number') {
+        // Large numbers that might be phone numbers - convert to string without scientific notation
+        if (cell > 1000000000 || cell < -1000000000) {
+          // Use toFixed(0) to avoid scientific notation for large integers
+          return cell.toFixed(0);
+        }
+        return String(cell);
+      }
+      return cell !== null && cell !== undefined ? String(cell) : '';
+    }
+    if (cell === null || cell === undefined) {
+      return '';
+    }
+    // Convert other non-string cells to strings for consistency
+    return typeof cell !== 'string' ? String(cell) : cell;
+  });
+}
+
+/**
+ * Drop empty and "Unnamed" header columns, remembering the original indices
+ */
+function cleanHeaders(headerRow) {
+  const validHeaderIndices = [];
+  const cleanedHeaders = [];
+
+  headerRow.forEach((header, idx) => {
+    const headerStr = String(header || '').trim();
+    if (headerStr && !headerStr.startsWith('Unnamed:')) {
+      validHeaderIndices.push(idx);
+      cleanedHeaders.push(headerStr);
+    }
+  });
+
+  return { validHeaderIndices, cleanedHeaders };
+}
+
+function isBlankRow(rawRow) {
+  return !rawRow || rawRow.every(cell => !cell || String(cell).trim() === '');
+}
+
+/**
+ * Map row to cleaned headers using SAME validHeaderIndices for consistency
+ * This ensures columns don't shift when "Unnamed" columns are dropped
+ */
+function selectColumns(rawRow, validHeaderIndices) {
+  return validHeaderIndices.map(idx => {
+    // Ensure we don't go out of bounds
+    return (idx < rawRow.length) ? (rawRow[idx] || '') : '';
+  });
+}
+
+/**
+ * Locate the header row in the first rows of a sheet and work out which columns to keep
+ * @param {Array} headRows - Raw row arrays from the top of the sheet
+ * @param {number|null} headerRowIndex - Header row chosen by the user instead of the detected one
+ * @returns {Object} { headerRowIndex, phoneColumnIndices, validHeaderIndices, cleanedHeaders }
+ */
+function resolveSheetLayout(headRows, chosenHeaderRowIndex = null) {
+  const headerRowIndex = chosenHeaderRowIndex ?? findHeaderRow(headRows);
+  const headerRow = headRows[headerRowIndex] || [];
+  const phoneColumnIndices = findPhoneColumns(headerRow);
+  const { validHeaderIndices, cleanedHeaders } = cleanHeaders(stringifyExcelRow(headerRow, phoneColumnIndices));
+  return { headerRowIndex, phoneColumnIndices, validHeaderIndices, cleanedHeaders };
+}
+
+/**
+ * How one sheet of a workbook is read. Without options.sheets every sheet is read with the
+ * file's mapping and a detected header row; with it, only the listed sheets are.
+ * @returns {Object|null} { headerRowIndex, mapping }, or null when the sheet is left out
+ */
+function getSheetSettings(options, sheetName) {
+  if (!Array.isArray(options.sheets)) {
+    return { headerRowIndex: null, mapping: options.mapping };
+  }
+  const sheet = options.sheets.find(s => s.name === sheetName);
+  if (!sheet) return null;
+  return {
+    headerRowIndex: Number.isInteger(sheet.headerRowIndex) ? sheet.headerRowIndex : null,
+    mapping: sheet.mapping || options.mapping
+  };
+}
+
+/**
+ * Errors for sheets listed in options.sheets that the workbook does not have
+ */
+function missingSheetErrors(options, sheetNames, fileName) {
+  if (!Array.isArray(options.sheets)) return [];
+  return options.sheets
+    .filter(sheet => !sheetNames.includes(sheet.name))
+    .map(sheet => ({
+      rowNumber: 0,
+      reason: `Sheet "${sheet.name}" not found`,
+      fileName,
+      sheetName: sheet.name
+    }));
+}
+
+/**
+ * Parse Excel file (XLS/XLSX)
+ * @param {Object} options - { mapping } confirmed canonical field -> header name, applied to every sheet;
+ *   { sheets } [{ name, headerRowIndex, mapping }] reads only those sheets, each with its own header
+ *   row (null to detect it) and mapping (falls back to options.mapping);
+ *   { maxRows } stops after that many data rows
+ */
+export function parseExcel(buffer, fileName, options = {}) {
   const results = [];
   const errors = [];
+  const limitReached = () => options.maxRows > 0 && results.length + errors.length >= options.maxRows;
 
   try {
     // Read Excel with options to preserve phone numbers as strings and handle dates
@@ -67,6 +244,9 @@ export function parseExcel(buffer, fileName) {
     });
 
     workbook.SheetNames.forEach(sheetName => {
+      if (limitReached()) return;
+      const settings = getSheetSettings(options, sheetName);
+      if (!settings) return;
       const worksheet = workbook.Sheets[sheetName];
       
       // Convert to JSON array format with raw values
@@ -88,61 +268,23 @@ export function parseExcel(buffer, fileName) {
       }
 
       // Find header row first
-      const headerRowIndex = findHeaderRow(rawData);
-      const headers = rawData[headerRowIndex] || [];
+      const headerRowIndex = settings.headerRowIndex ?? findHeaderRow(rawData);
 
       // Identify phone number columns based on headers BEFORE processing rows
-      const phoneColumnIndices = new Set();
-      headers.forEach((header, idx) => {
-        const headerStr = String(header || '').trim().toLowerCase();
-        if (headerStr && (headerStr.includes('number') || headerStr.includes('party') || headerStr.includes('msisdn'))) {
-          phoneColumnIndices.add(idx);
-        }
-      });
+      const phoneColumnIndices = findPhoneColumns(rawData[headerRowIndex] || []);
       
       // Process ALL rows (including header) to convert phone number columns to strings
-      rawData.forEach((row) => {
-        if (Array.isArray(row)) {
-          row.forEach((cell, colIdx) => {
-            if (phoneColumnIndices.has(colIdx)) {
-              // Convert phone number columns to strings, preventing scientific notation
-              if (typeof cell === 'number') {
-                // Large numbers that might be phone numbers - convert to string without scientific notation
-                if (cell > 1000000000 || cell < -1000000000) {
-                  // Use toFixed(0) to avoid scientific notation for large integers
-                  row[colIdx] = cell.toFixed(0);
-                } else {
-                  row[colIdx] = String(cell);
-                }
-              } else if (cell !== null && cell !== undefined) {
-                row[colIdx] = String(cell);
-              } else {
-                row[colIdx] = '';
-              }
-            } else if (cell !== null && cell !== undefined && typeof cell !== 'string') {
-              // Convert other non-string cells to strings for consistency
-              row[colIdx] = String(cell);
-            } else if (cell === null || cell === undefined) {
-              row[colIdx] = '';
-            }
-          });
+      for (let i = 0; i < rawData.length; i++) {
+        if (Array.isArray(rawData[i])) {
+          rawData[i] = stringifyExcelRow(rawData[i], phoneColumnIndices);
         }
-      });
+      }
 
       // Now get headers again after processing (they may have been converted)
       const processedHeaders = rawData[headerRowIndex] || [];
 
       // Filter out empty columns and "Unnamed" columns
-      const validHeaderIndices = [];
-      const cleanedHeaders = [];
-
-      processedHeaders.forEach((header, idx) => {
-        const headerStr = String(header || '').trim();
-        if (headerStr && !headerStr.startsWith('Unnamed:')) {
-          validHeaderIndices.push(idx);
-          cleanedHeaders.push(headerStr);
-        }
-      });
+      const { validHeaderIndices, cleanedHeaders } = cleanHeaders(processedHeaders);
 
       if (cleanedHeaders.length === 0) {
         errors.push({
@@ -161,28 +303,25 @@ export function parseExcel(buffer, fileName) {
           if (originalSiteIndex >= 0 && siteColumnIndex < 0) {
             console.error(`[ERROR] Site column was dropped during cleaning for ${fileName}! Original index: ${originalSiteIndex}`);
           }
+
+      const columnMap = settings.mapping ? resolveColumnMap(cleanedHeaders, settings.mapping) : null;
       
       // Process data rows (skip header row and any rows before it)
-      for (let i = headerRowIndex + 1; i < rawData.length; i++) {
+      for (let i = headerRowIndex + 1; i < rawData.length && !limitReached(); i++) {
         const rawRow = rawData[i];
         
         // Skip completely empty rows
-        if (!rawRow || rawRow.every(cell => !cell || String(cell).trim() === '')) {
+        if (isBlankRow(rawRow)) {
           continue;
         }
 
-        // Map row to cleaned headers using SAME validHeaderIndices for consistency
-        // This ensures columns don't shift when "Unnamed" columns are dropped
-        const row = validHeaderIndices.map(idx => {
-          // Ensure we don't go out of bounds
-          return (idx < rawRow.length) ? (rawRow[idx] || '') : '';
-        });
+        const row = selectColumns(rawRow, validHeaderIndices);
 
         const normalized = normalizeRow(row, cleanedHeaders, {
           fileName,
           sheetName,
           rowNumber: i + 1
-        });
+        }, columnMap);
 
         if (normalized.error) {
           errors.push({
@@ -197,6 +336,8 @@ export function parseExcel(buffer, fileName) {
       }
     });
 
+    errors.push(...missingSheetErrors(options, workbook.SheetNames, fileName));
+
   } catch (error) {
     errors.push({
       rowNumber: 0,
@@ -208,19 +349,942 @@ export function parseExcel(buffer, fileName) {
 }
 
 /**
- * Parse file based on extension
+ * Collects normalized rows and row errors, handing them to onBatch in fixed-size batches.
+ * onBatch is awaited, so a slow consumer (e.g. database inserts) pauses the reader.
+ * With maxRows set, isFull() tells the reader to stop once that many rows were collected.
+ */
+function createRowBatcher(onBatch, batchSize, getBytesRead, maxRows = 0) {
+  let results = [];
+  let errors = [];
+  let rowCount = 0;
+
+  const flush = async () => {
+    if (results.length === 0 && errors.length === 0) return;
+    const batch = { results, errors, bytesRead: getBytesRead() };
+    results = [];
+    errors = [];
+    await onBatch(batch);
+  };
+
+  const checkSize = async () => {
+    if (results.length + errors.length >= batchSize) {
+      await flush();
+    }
+  };
+
+  return {
+    async addResult(normalized) {
+      rowCount++;
+      results.push(normalized);
+      await checkSize();
+    },
+    async addError(error) {
+      rowCount++;
+      errors.push(error);
+      await checkSize();
+    },
+    isFull() {
+      return maxRows > 0 && rowCount >= maxRows;
+    },
+    flush
+  };
+}
+
+/**
+ * Stream a CSV file row by row
+ * @param {string} filePath - Path on disk
+ * @param {string} fileName - Original file name (recorded in row sources)
+ * @param {Function} onBatch - Awaited with { results, errors, bytesRead }
+ * @param {Object} options - { batchSize, mapping, maxRows, encoding, delimiter }
+ * @returns {Promise<Object>} { dialect } the encoding and delimiter the file was read with
+ */
+export async function streamCSV(filePath, fileName, onBatch, options = {}) {
+  const dialect = await readCsvDialect(filePath, options);
+  const input = fs.createReadStream(filePath);
+  const decoder = createDecoderStream(dialect.encoding);
+  const parser = parseStream({
+    columns: true,
+    delimiter: dialect.delimiter,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+  input.on('error', err => parser.destroy(err));
+  decoder.on('error', err => parser.destroy(err));
+  input.pipe(decoder).pipe(parser);
+
+  const batcher = createRowBatcher(
+    onBatch,
+    options.batchSize || DEFAULT_STREAM_BATCH_SIZE,
+    () => input.bytesRead,
+    options.maxRows
+  );
+  let headers = null;
+  let columnMap = null;
+  let index = 0;
+
+  try {
+    for await (const record of parser) {
+      if (batcher.isFull()) break;
+
+      // Get headers from first record keys
+      if (!headers) {
+        headers = Object.keys(record);
+        columnMap = options.mapping ? resolveColumnMap(headers, options.mapping) : null;
+      }
+
+      const rowNumber = index + 2; // +2 because header is row 1, data starts at row 2
+      index++;
+
+      const row = headers.map(h => record[h] || '');
+      const normalized = normalizeRow(row, headers, {
+        fileName,
+        sheetName: null,
+        rowNumber
+      }, columnMap);
+
+      if (normalized.error) {
+        await batcher.addError({ rowNumber, reason: normalized.error });
+      } else {
+        await batcher.addResult(normalized);
+      }
+    }
+
+    if (index === 0) {
+      await batcher.addError({ reason: 'No data rows found', rowNumber: 0 });
+    }
+  } catch (error) {
+    if (error.cancelled) throw error;
+    await batcher.addError({
+      rowNumber: 0,
+      reason: `CSV parsing error: ${error.message}`
+    });
+  } finally {
+    input.destroy();
+  }
+
+  await batcher.flush();
+  return { dialect };
+}
+
+/**
+ * Plain value of an exceljs cell (rich text, formulas and hyperlinks unwrapped)
+ */
+function excelCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    // exceljs stores the sheet's wall-clock time in UTC fields; rebuild it as a local Date
+    // so it matches what SheetJS (cellDates) produces for the buffered parser
+    return new Date(
+      value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate(),
+      value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds(), value.getUTCMilliseconds()
+    );
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return excelCellValue(value.result);
+    if (value.text !== undefined) return value.text;
+    return '';
+  }
+  return value;
+}
+
+function excelRowValues(row) {
+  // row.values is 1-based and sparse
+  return Array.from(row.values, excelCellValue).slice(1);
+}
+
+/**
+ * Stream one worksheet: buffer the first rows to find the header, then normalize the rest as they arrive
+ * @param {Object|null} settings - { headerRowIndex, mapping } from getSheetSettings; null skips the sheet
+ */
+async function streamWorksheet(worksheet, fileName, batcher, settings) {
+  const sheetName = worksheet.name;
+  if (!settings) {
+    // The reader only moves on to the next sheet once this one is drained
+    for await (const _row of worksheet) { /* skipped sheet */ }
+    return;
+  }
+
+  const { headerRowIndex: chosenHeaderRowIndex, mapping } = settings;
+  // A chosen header row further down than the scan still has to be buffered
+  const scanRows = Math.max(HEADER_SCAN_ROWS, (chosenHeaderRowIndex ?? 0) + 1);
+  const headRows = [];
+  let layout = null;
+  let skipSheet = false;
+
+  const processRow = async (rawValues, rowNumber) => {
+    if (batcher.isFull()) return;
+    const rawRow = stringifyExcelRow(rawValues, layout.phoneColumnIndices);
+
+    // Skip completely empty rows
+    if (isBlankRow(rawRow)) return;
+
+    const row = selectColumns(rawRow, layout.validHeaderIndices);
+    const normalized = normalizeRow(row, layout.cleanedHeaders, {
+      fileName,
+      sheetName,
+      rowNumber
+    }, layout.columnMap);
+
+    if (normalized.error) {
+      await batcher.addError({ rowNumber, reason: normalized.error, fileName, sheetName });
+    } else {
+      await batcher.addResult(normalized);
+    }
+  };
+
+  const resolveLayout = async () => {
+    const { headerRowIndex, phoneColumnIndices, validHeaderIndices, cleanedHeaders } =
+      resolveSheetLayout(headRows.map(r => r.values), chosenHeaderRowIndex);
+    const headerRow = headRows[headerRowIndex];
+
+    if (cleanedHeaders.length === 0) {
+      await batcher.addError({
+        rowNumber: headerRow ? headerRow.rowNumber : 0,
+        reason: `No valid headers found in sheet "${sheetName}"`,
+        fileName,
+        sheetName
+      });
+      skipSheet = true;
+      return;
+    }
+
+    layout = {
+      phoneColumnIndices,
+      validHeaderIndices,
+      cleanedHeaders,
+      columnMap: mapping ? resolveColumnMap(cleanedHeaders, mapping) : null
+    };
+
+    // Rows buffered after the header are data rows
+    for (const buffered of headRows.slice(headerRowIndex + 1)) {
+      await processRow(buffered.values, buffered.rowNumber);
+    }
+  };
+
+  for await (const row of worksheet) {
+    // Drain the remaining rows so the reader can move on to the next sheet
+    if (skipSheet) continue;
+    if (batcher.isFull()) break;
+
+    if (!layout) {
+      headRows.push({ values: excelRowValues(row), rowNumber: row.number });
+      if (headRows.length >= scanRows) {
+        await resolveLayout();
+      }
+      continue;
+    }
+
+    await processRow(excelRowValues(row), row.number);
+  }
+
+  if (!layout && !skipSheet) {
+    if (headRows.length === 0) {
+      await batcher.addError({
+        rowNumber: 0,
+        reason: `Sheet "${sheetName}" is empty`,
+        fileName,
+        sheetName
+      });
+      return;
+    }
+    await resolveLayout();
+  }
+}
+
+/**
+ * Stream an Excel file sheet by sheet.
+ * XLSX is read incrementally; legacy XLS has no streaming reader, but its sheets
+ * are capped at 65,536 rows so the buffered parser is used and emitted in batches.
+ * An XLS file over MAX_XLS_SIZE_MB is not read and yields a single file-level error.
+ */
+export async function streamExcel(filePath, fileName, onBatch, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_STREAM_BATCH_SIZE;
+  const ext = fileName.toLowerCase().split('.').pop();
+
+  if (ext === 'xls') {
+    const { size } = fs.statSync(filePath);
+    const sizeError = legacyWorkbookSizeError(fileName, size);
+    if (sizeError) {
+      await onBatch({ results: [], errors: [{ reason: sizeError, rowNumber: 0 }], bytesRead: size });
+      return;
+    }
+    const { results, errors } = parseExcel(fs.readFileSync(filePath), fileName, options);
+    for (let i = 0; i < Math.max(results.length, errors.length); i += batchSize) {
+      await onBatch({
+        results: results.slice(i, i + batchSize),
+        errors: errors.slice(i, i + batchSize),
+        bytesRead: size
+      });
+    }
+    return;
+  }
+
+  const input = fs.createReadStream(filePath);
+  const batcher = createRowBatcher(onBatch, batchSize, () => input.bytesRead, options.maxRows);
+
+  try {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+      sharedStrings: 'cache',
+      styles: 'cache', // Needed to recognise date-formatted cells
+      hyperlinks: 'ignore',
+      worksheets: 'emit'
+    });
+
+    const sheetNames = [];
+    for await (const worksheet of workbook) {
+      sheetNames.push(worksheet.name);
+      await streamWorksheet(worksheet, fileName, batcher, getSheetSettings(options, worksheet.name));
+      if (batcher.isFull()) break;
+    }
+    if (!batcher.isFull()) {
+      for (const error of missingSheetErrors(options, sheetNames, fileName)) {
+        await batcher.addError(error);
+      }
+    }
+  } catch (error) {
+    if (error.cancelled) throw error;
+    await batcher.addError({
+      rowNumber: 0,
+      reason: `Excel parsing error: ${error.message}`
+    });
+  } finally {
+    input.destroy();
+  }
+
+  await batcher.flush();
+}
+
+/**
+ * Date cells are shown as local wall-clock time in previews rather than Date#toString
  */
-export function parseFile(buffer, fileName) {
+function formatSampleCell(cell) {
+  if (!(cell instanceof Date) || isNaN(cell.getTime())) return cell;
+  const pad = n => String(n).padStart(2, '0');
+  return `${cell.getFullYear()}-${pad(cell.getMonth() + 1)}-${pad(cell.getDate())} ` +
+    `${pad(cell.getHours())}:${pad(cell.getMinutes())}:${pad(cell.getSeconds())}`;
+}
+
+/**
+ * Header and first rows of a CSV file
+ */
+async function sampleCSV(filePath, fileName, { sampleRows = 10, encoding, delimiter } = {}) {
+  const dialect = await readCsvDialect(filePath, { encoding, delimiter });
+  const input = fs.createReadStream(filePath);
+  const decoder = createDecoderStream(dialect.encoding);
+  const parser = parseStream({
+    delimiter: dialect.delimiter,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+  input.on('error', err => parser.destroy(err));
+  decoder.on('error', err => parser.destroy(err));
+  input.pipe(decoder).pipe(parser);
+
+  const lines = [];
+  try {
+    for await (const line of parser) {
+      lines.push(line);
+      if (lines.length > sampleRows) break;
+    }
+  } finally {
+    input.destroy();
+  }
+
+  const headers = lines[0] || [];
+  return {
+    sheetName: null,
+    headerRowIndex: 0,
+    headers,
+    rows: lines.slice(1).map(line => headers.map((_, idx) => line[idx] || '')),
+    dialect
+  };
+}
+
+/**
+ * Header row, data row count and first rows of one sheet
+ * @param {Object} sheet - { sheetName, headRows, laterRows } headRows are the first raw rows,
+ *   laterRows the number of non-blank rows after them
+ */
+function describeSheet({ sheetName, headRows, laterRows }, sampleRows, chosenHeaderRowIndex) {
+  const detectedHeaderRowIndex = findHeaderRow(headRows);
+  const layout = resolveSheetLayout(headRows, chosenHeaderRowIndex);
+  const rows = [];
+  let rowCount = laterRows;
+  for (let i = layout.headerRowIndex + 1; i < headRows.length; i++) {
+    const rawRow = stringifyExcelRow(headRows[i].map(formatSampleCell), layout.phoneColumnIndices);
+    if (isBlankRow(rawRow)) continue;
+    rowCount++;
+    if (rows.length < sampleRows) rows.push(selectColumns(rawRow, layout.validHeaderIndices));
+  }
+
+  return {
+    sheetName,
+    headerRowIndex: layout.headerRowIndex,
+    detectedHeaderRowIndex,
+    headers: layout.cleanedHeaders,
+    rows,
+    rowCount
+  };
+}
+
+/**
+ * Every sheet of a workbook with its header row, data row count and first rows, so that cover,
+ * summary and legend tabs can be told apart from the CDR sheets. Counting the rows reads the
+ * whole workbook.
+ * @param {Object} options - { sampleRows, sheetName, headerRowIndexes } headerRowIndexes maps a
+ *   sheet name to the header row to use instead of the detected one
+ * @returns {Promise<Object>} { sheetName, headerRowIndex, headers, rows, dialect, sheets } where the
+ *   top-level fields describe options.sheetName (error when there is no such sheet, or when a legacy XLS
+ *   file is over MAX_XLS_SIZE_MB), or else the
+ *   first sheet with headers and data rows; sheets holds
+ *   { sheetName, headerRowIndex, detectedHeaderRowIndex, headers, rows, rowCount } for each sheet
+ */
+async function sampleWorkbook(filePath, fileName, { sampleRows = 10, sheetName, headerRowIndexes = {} } = {}) {
   const ext = fileName.toLowerCase().split('.').pop();
-  
-  if (ext === 'csv') {
-    return parseCSV(buffer, fileName);
-  } else if (ext === 'xls' || ext === 'xlsx') {
-    return parseExcel(buffer, fileName);
+  const chosenHeaderRow = name => (Number.isInteger(headerRowIndexes[name]) ? headerRowIndexes[name] : null);
+  // Rows kept as they are; past these, rows are only counted
+  const headRowLimit = name => Math.max(HEADER_SCAN_ROWS, (chosenHeaderRow(name) ?? 0) + 1) + sampleRows;
+
+  const rawSheets = [];
+  if (ext === 'xls') {
+    const sizeError = legacyWorkbookSizeError(fileName, fs.statSync(filePath).size);
+    if (sizeError) {
+      return { sheetName: null, headerRowIndex: 0, headers: [], rows: [], dialect: null, sheets: [], error: sizeError };
+    }
+    const workbook = XLSX.read(fs.readFileSync(filePath), { type: 'buffer', cellDates: true });
+    workbook.SheetNames.forEach(name => {
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', raw: true });
+      const limit = headRowLimit(name);
+      rawSheets.push({
+        sheetName: name,
+        headRows: rows.slice(0, limit),
+        laterRows: rows.slice(limit).filter(row => !isBlankRow(row)).length
+      });
+    });
+  } else if (ext === 'xlsx') {
+    const input = fs.createReadStream(filePath);
+    try {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+        sharedStrings: 'cache',
+        styles: 'cache',
+        hyperlinks: 'ignore',
+        worksheets: 'emit'
+      });
+      for await (const worksheet of workbook) {
+        const limit = headRowLimit(worksheet.name);
+        const sheet = { sheetName: worksheet.name, headRows: [], laterRows: 0 };
+        for await (const row of worksheet) {
+          if (sheet.headRows.length < limit) sheet.headRows.push(excelRowValues(row));
+          else if (!isBlankRow(excelRowValues(row))) sheet.laterRows++;
+        }
+        rawSheets.push(sheet);
+      }
+    } finally {
+      input.destroy();
+    }
   } else {
+    throw new Error(`Unsupported file type: .${ext}`);
+  }
+
+  const sheets = rawSheets.map(sheet => describeSheet(sheet, sampleRows, chosenHeaderRow(sheet.sheetName)));
+  const selected = sheetName
+    ? sheets.find(sheet => sheet.sheetName === sheetName)
+    : sheets.find(sheet => sheet.headers.length > 0 && sheet.rowCount > 0) || sheets[0];
+
+  if (!selected) {
     return {
-      results: [],
-      errors: [{ reason: `Unsupported file type: .${ext}`, rowNumber: 0 }]
+      sheetName: sheetName || null,
+      headerRowIndex: 0,
+      headers: [],
+      rows: [],
+      dialect: null,
+      sheets,
+      ...(sheetName && { error: `Sheet "${sheetName}" not found` })
     };
   }
+
+  return {
+    sheetName: selected.sheetName,
+    headerRowIndex: selected.headerRowIndex,
+    headers: selected.headers,
+    rows: selected.rows,
+    dialect: null,
+    sheets
+  };
+}
+
+const LINE_BREAK = /\r\n|\n|\r/;
+
+/**
+ * Encoding of a line-oriented text file; there is no delimiter to detect
+ */
+function resolveTextDialect(sample, { encoding } = {}) {
+  const detected = encoding ? null : detectEncoding(sample);
+  return {
+    encoding: encoding || detected.encoding,
+    delimiter: null,
+    encodingSource: encoding ? 'override' : detected.source,
+    delimiterSource: null
+  };
+}
+
+/**
+ * Turns the lines of a text file into normalized rows through a text format (see textFormats.js).
+ * Lines are held back until the format has seen enough of the file to fix its columns.
+ * add() and end() return the outcomes ready so far: { normalized } or { error }.
+ */
+function createLineRowReader(format, fileName, options) {
+  let pending = [];
+  let prepared = null;
+  let columnMap = null;
+  let mappedColumns = 0;
+  let rowCount = 0;
+
+  const toOutcome = ({ text, lineNumber }) => {
+    rowCount++;
+    const row = prepared.toRow(text);
+    // Key-value files can gain a column part way through; a mapping may name it
+    if (options.mapping && prepared.headers.length !== mappedColumns) {
+      columnMap = resolveColumnMap(prepared.headers, options.mapping);
+      mappedColumns = prepared.headers.length;
+    }
+    const normalized = normalizeRow(row, prepared.headers, {
+      fileName,
+      sheetName: null,
+      rowNumber: lineNumber
+    }, columnMap);
+    return normalized.error
+      ? { error: { rowNumber: lineNumber, reason: normalized.error } }
+      : { normalized };
+  };
+
+  const prepare = () => {
+    prepared = format.prepare(pending.map(line => line.text), options);
+    if (prepared.error) {
+      pending = [];
+      return [{ error: { rowNumber: 0, reason: prepared.error } }];
+    }
+    const ready = pending.filter(line => line.lineNumber > prepared.skipLines).map(toOutcome);
+    pending = [];
+    return ready;
+  };
+
+  return {
+    add(text, lineNumber) {
+      if (!text.trim() || prepared?.error) return [];
+      if (prepared) {
+        return lineNumber > prepared.skipLines ? [toOutcome({ text, lineNumber })] : [];
+      }
+      pending.push({ text, lineNumber });
+      return pending.length >= format.scanLines ? prepare() : [];
+    },
+    end() {
+      const ready = prepared ? [] : prepare();
+      if (rowCount === 0 && !prepared.error) {
+        ready.push({ error: { reason: 'No data rows found', rowNumber: 0 } });
+      }
+      return ready;
+    },
+    get failed() {
+      return Boolean(prepared?.error);
+    }
+  };
+}
+
+/**
+ * Parse a text file held in memory through a text format
+ */
+function parseTextLines(format, buffer, fileName, options = {}) {
+  const results = [];
+  const errors = [];
+  const dialect = resolveTextDialect(buffer.subarray(0, DIALECT_SAMPLE_BYTES), options);
+  const reader = createLineRowReader(format, fileName, options);
+  const collect = outcomes => outcomes.forEach(outcome => {
+    if (outcome.error) errors.push(outcome.error);
+    else results.push(outcome.normalized);
+  });
+
+  decodeBuffer(buffer, dialect.encoding)
+    .split(LINE_BREAK)
+    .forEach((line, index) => collect(reader.add(line, index + 1)));
+  collect(reader.end());
+
+  return { results, errors, dialect };
+}
+
+/**
+ * Stream a text file line by line through a text format
+ */
+async function streamTextLines(format, filePath, fileName, onBatch, options = {}) {
+  const dialect = resolveTextDialect(await readFileHead(filePath), options);
+  const input = fs.createReadStream(filePath);
+  const decoder = createDecoderStream(dialect.encoding);
+  input.on('error', err => decoder.destroy(err));
+  const lines = readline.createInterface({ input: input.pipe(decoder), crlfDelay: Infinity });
+
+  const batcher = createRowBatcher(
+    onBatch,
+    options.batchSize || DEFAULT_STREAM_BATCH_SIZE,
+    () => input.bytesRead,
+    options.maxRows
+  );
+  const reader = createLineRowReader(format, fileName, options);
+  const emit = async outcomes => {
+    for (const outcome of outcomes) {
+      if (batcher.isFull()) return;
+      if (outcome.error) await batcher.addError(outcome.error);
+      else await batcher.addResult(outcome.normalized);
+    }
+  };
+
+  let lineNumber = 0;
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      await emit(reader.add(line, lineNumber));
+      if (batcher.isFull() || reader.failed) break;
+    }
+    if (!batcher.isFull()) {
+      await emit(reader.end());
+    }
+  } catch (error) {
+    if (error.cancelled) throw error;
+    await batcher.addError({
+      rowNumber: 0,
+      reason: `Text parsing error: ${error.message}`
+    });
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+
+  await batcher.flush();
+  return { dialect };
+}
+
+/**
+ * Columns and first rows of a text file, read from its first bytes only.
+ * lineLength is used to suggest a fixed-width layout of the same width.
+ */
+async function sampleTextLines(format, filePath, fileName, { sampleRows = 10, encoding, layout } = {}) {
+  const head = await readFileHead(filePath);
+  const dialect = resolveTextDialect(head, { encoding });
+  const lines = decodeBuffer(head, dialect.encoding).split(LINE_BREAK);
+  // The last line of a full sample may be cut short
+  if (head.length === DIALECT_SAMPLE_BYTES) lines.pop();
+
+  const contentLines = lines.filter(line => line.trim());
+  const prepared = format.prepare(contentLines.slice(0, format.scanLines), { layout });
+  const sample = {
+    sheetName: null,
+    headerRowIndex: 0,
+    headers: [],
+    rows: [],
+    dialect,
+    lineLength: getTypicalLineLength(contentLines)
+  };
+  if (prepared.error) {
+    return { ...sample, error: prepared.error };
+  }
+
+  return {
+    ...sample,
+    headerRowIndex: prepared.skipLines,
+    headers: prepared.headers,
+    rows: lines
+      .slice(prepared.skipLines)
+      .filter(line => line.trim())
+      .slice(0, sampleRows)
+      .map(prepared.toRow)
+  };
+}
+
+/**
+ * Parser for a line-oriented text format from textFormats.js
+ */
+function createTextParser(format) {
+  return {
+    name: format.name,
+    extensions: format.extensions,
+    detect: (headLines, options) => format.detect(headLines, options),
+    parse: (buffer, fileName, options) => parseTextLines(format, buffer, fileName, options),
+    stream: (filePath, fileName, onBatch, options) => streamTextLines(format, filePath, fileName, onBatch, options),
+    sample: (filePath, fileName, options) => sampleTextLines(format, filePath, fileName, options)
+  };
+}
+
+/**
+ * Turns BER bytes into normalized rows, one per record (see berDecoder.js). Row numbers count
+ * records from 1. push() returns the outcomes of the records a chunk completed: { normalized } or
+ * { error }.
+ */
+function createBerRowReader(fileName, options) {
+  const tagMap = resolveTagMap(options.berTagMap);
+  const headers = getTagMapColumns(tagMap);
+  const columnMap = options.mapping ? resolveColumnMap(headers, options.mapping) : null;
+  const splitter = createRecordSplitter();
+  let recordNumber = 0;
+
+  return {
+    push(chunk, final = false) {
+      const { records, error } = splitter.push(chunk, final);
+      const outcomes = records.map(record => {
+        recordNumber++;
+        const decoded = decodeRecord(record, tagMap, headers, options);
+        const normalized = decoded.error
+          ? decoded
+          : normalizeRow(decoded.row, headers, { fileName, sheetName: null, rowNumber: recordNumber }, columnMap);
+        return normalized.error
+          ? { error: { rowNumber: recordNumber, reason: normalized.error } }
+          : { normalized };
+      });
+
+      if (error) {
+        outcomes.push({ error: { rowNumber: 0, reason: error } });
+      } else if (final && recordNumber === 0) {
+        outcomes.push({ error: { rowNumber: 0, reason: 'No BER records found' } });
+      }
+      return outcomes;
+    },
+    get failed() {
+      return splitter.failed;
+    }
+  };
+}
+
+function parseBer(buffer, fileName, options = {}) {
+  const results = [];
+  const errors = [];
+  createBerRowReader(fileName, options).push(buffer, true).forEach(outcome => {
+    if (outcome.error) errors.push(outcome.error);
+    else results.push(outcome.normalized);
+  });
+  return { results, errors, dialect: null };
+}
+
+/**
+ * Stream a BER file record by record; only the record being read is held in memory
+ */
+async function streamBer(filePath, fileName, onBatch, options = {}) {
+  const input = fs.createReadStream(filePath);
+  const batcher = createRowBatcher(
+    onBatch,
+    options.batchSize || DEFAULT_STREAM_BATCH_SIZE,
+    () => input.bytesRead,
+    options.maxRows
+  );
+  const reader = createBerRowReader(fileName, options);
+  const emit = async outcomes => {
+    for (const outcome of outcomes) {
+      if (batcher.isFull()) return;
+      if (outcome.error) await batcher.addError(outcome.error);
+      else await batcher.addResult(outcome.normalized);
+    }
+  };
+
+  try {
+    for await (const chunk of input) {
+      await emit(reader.push(chunk));
+      if (batcher.isFull() || reader.failed) break;
+    }
+    if (!batcher.isFull() && !reader.failed) {
+      await emit(reader.push(Buffer.alloc(0), true));
+    }
+  } catch (error) {
+    if (error.cancelled) throw error;
+    await batcher.addError({
+      rowNumber: 0,
+      reason: `BER parsing error: ${error.message}`
+    });
+  } finally {
+    input.destroy();
+  }
+
+  await batcher.flush();
+  return { dialect: null };
+}
+
+/**
+ * Decoded fields of the first records of a BER file, read from its first bytes only.
+ * decodeErrors counts the sampled records that could not be decoded with the tag map.
+ */
+async function sampleBer(filePath, fileName, { sampleRows = 10, berTagMap, timezone } = {}) {
+  const tagMap = resolveTagMap(berTagMap);
+  const headers = getTagMapColumns(tagMap);
+  const { records, error } = createRecordSplitter().push(await readFileHead(filePath));
+
+  const rows = [];
+  let decodeErrors = 0;
+  for (const record of records) {
+    if (rows.length >= sampleRows) break;
+    const decoded = decodeRecord(record, tagMap, headers, { timezone });
+    if (decoded.error) decodeErrors++;
+    else rows.push(decoded.row);
+  }
+
+  const sample = { sheetName: null, headerRowIndex: 0, headers, rows, dialect: null, decodeErrors };
+  if (rows.length === 0 && (error || records.length === 0)) {
+    return { ...sample, error: error || 'No BER records found' };
+  }
+  if (rows.length === 0) {
+    return { ...sample, error: 'None of the first records are in the tag map' };
+  }
+  return sample;
+}
+
+// Lines of a text file handed to detect() when several parsers claim its extension
+const DETECT_LINES = 200;
+
+const parsers = [];
+
+/**
+ * Register a parser for another source format. A parser is
+ *   { name, extensions: ['.ext'], detect?(headLines, options, head) -> score,
+ *     parse(buffer, fileName, options) -> { results, errors, dialect },
+ *     stream(filePath, fileName, onBatch, options) -> Promise<{ dialect }>,
+ *     sample(filePath, fileName, options) -> Promise<{ sheetName, headerRowIndex, headers, rows, dialect }> }
+ * and its rows must go through normalizeRow like the built-in ones. When several parsers claim an
+ * extension, the one whose detect() scores the start of the file highest is used (headLines are
+ * its first lines as text, head its first bytes).
+ * Registering a name again replaces the earlier parser.
+ */
+export function registerParser(parser) {
+  if (!parser?.name || !Array.isArray(parser.extensions)) {
+    throw new Error('A parser needs a name and a list of extensions');
+  }
+  ['parse', 'stream', 'sample'].forEach(method => {
+    if (typeof parser[method] !== 'function') {
+      throw new Error(`Parser ${parser.name} has no ${method}() function`);
+    }
+  });
+
+  const entry = { ...parser, extensions: parser.extensions.map(ext => ext.toLowerCase()) };
+  const index = parsers.findIndex(existing => existing.name === parser.name);
+  if (index === -1) parsers.push(entry);
+  else parsers[index] = entry;
+}
+
+/**
+ * Extensions (with the dot) that some registered parser reads
+ */
+export function getSupportedExtensions() {
+  return [...new Set(parsers.flatMap(parser => parser.extensions))];
+}
+
+/**
+ * Parser for a file, by extension and, when that is ambiguous, by the file's first bytes
+ * @param {Buffer} head - Start of the file (only read when several parsers claim the extension)
+ * @returns {Object|null} Registered parser, or null when no parser reads the extension
+ */
+function resolveParser(fileName, head, options = {}) {
+  const ext = path.extname(fileName).toLowerCase();
+  const candidates = parsers.filter(parser => parser.extensions.includes(ext));
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const sample = head.subarray(0, DIALECT_SAMPLE_BYTES);
+  const lines = decodeBuffer(sample, options.encoding || detectEncoding(sample).encoding)
+    .split(LINE_BREAK)
+    .slice(0, DETECT_LINES);
+  let best = candidates[0];
+  let bestScore = -Infinity;
+  candidates.forEach(parser => {
+    const score = parser.detect ? parser.detect(lines, options, sample) : 0;
+    if (score > bestScore) {
+      best = parser;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function unsupportedTypeError(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  return { reason: `Unsupported file type${ext ? `: ${ext}` : ''}`, rowNumber: 0 };
+}
+
+registerParser({
+  name: 'csv',
+  extensions: ['.csv'],
+  parse: parseCSV,
+  stream: streamCSV,
+  sample: sampleCSV
+});
+
+registerParser({
+  name: 'excel',
+  extensions: ['.xls', '.xlsx'],
+  parse: parseExcel,
+  async stream(filePath, fileName, onBatch, options) {
+    await streamExcel(filePath, fileName, onBatch, options);
+    return { dialect: null };
+  },
+  sample: sampleWorkbook
+});
+
+registerParser(createTextParser(fixedWidthFormat));
+registerParser(createTextParser(keyValueFormat));
+
+registerParser({
+  name: 'ber',
+  extensions: BER_EXTENSIONS,
+  detect: (headLines, options, head) => scoreBerSample(head, resolveTagMap(options.berTagMap)),
+  parse: parseBer,
+  stream: streamBer,
+  sample: sampleBer
+});
+
+/**
+ * Parse a file held in memory with the parser registered for it
+ * @param {Object} options - { mapping } for every parser; { encoding, delimiter } for CSV;
+ *   { sheets } for workbooks (see parseExcel); { encoding, layout } for text formats (layout is a mapping profile's fixedWidth);
+ *   { berTagMap, timezone } for BER (a mapping profile's berTagMap, and the zone that timestamps
+ *   with a UTC offset are converted to)
+ * @returns {Object} { results, errors, dialect, format }
+ */
+export function parseFile(buffer, fileName, options = {}) {
+  const parser = resolveParser(fileName, buffer, options);
+  if (!parser) {
+    return { results: [], errors: [unsupportedTypeError(fileName)], dialect: null, format: null };
+  }
+  const { results, errors, dialect = null } = parser.parse(buffer, fileName, options);
+  return { results, errors, dialect, format: parser.name };
+}
+
+/**
+ * Stream a file from disk with the parser registered for it. Memory use is bounded by the batch
+ * size, not the file size.
+ * @param {Function} onBatch - Awaited with { results, errors, bytesRead }
+ * @param {Object} options - { batchSize, mapping, maxRows } plus the parser options of parseFile
+ * @returns {Promise<Object>} { dialect, format } dialect is null for workbooks
+ */
+export async function streamFile(filePath, fileName, onBatch, options = {}) {
+  const parser = resolveParser(fileName, await readFileHead(filePath), options);
+  if (!parser) {
+    await onBatch({ results: [], errors: [unsupportedTypeError(fileName)], bytesRead: 0 });
+    return { dialect: null, format: null };
+  }
+  const { dialect = null } = await parser.stream(filePath, fileName, onBatch, options);
+  return { dialect, format: parser.name };
+}
+
+/**
+ * Read the header row and the first data rows of a file without parsing the rest.
+ * For workbooks the top-level fields describe options.sheetName, or else the first sheet with data.
+ * @param {Object} options - { sampleRows } plus the parser options of parseFile; { sheetName,
+ *   headerRowIndexes } for workbooks (see sampleWorkbook)
+ * @returns {Promise<Object>} { sheetName, headerRowIndex, headers, rows, dialect, format } (rows are
+ *   aligned to headers; dialect is null for workbooks and BER). Workbooks add sheets, text formats
+ *   add lineLength and BER adds decodeErrors; all add error when nothing can be read (e.g. a
+ *   fixed-width file without a layout, or a sheet name the workbook does not have).
+ */
+export async function readFileSample(filePath, fileName, options = {}) {
+  const parser = resolveParser(fileName, await readFileHead(filePath), options);
+  if (!parser) {
+    throw new Error(`Unsupported file type: ${path.extname(fileName).toLowerCase() || fileName}`);
+  }
+  const sample = await parser.sample(filePath, fileName, options);
+  return { ...sample, format: parser.name };
 }
@@ -0,0 +1,783 @@
+/**
+ * INGESTION JOBS
+ *
+ * Runs canonical ingestion in the background so the HTTP request returns immediately.
+ * Each job persists its per-stage status to the ingestion_jobs collection and broadcasts
+ * progress to in-process listeners (the SSE endpoint subscribes here).
+ *
+ * Records are staged: a job inserts them under the upload with its jobId while the upload's
+ * stagingJobId names the job, which hides them from every scope (uploadSession.resolveScope).
+ * The job commits by clearing stagingJobId and marking the upload committed in one write, so an
+ * upload's records become visible all at once. A job that fails, is cancelled or is cut short by
+ * a restart has its staged records removed.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { processFiles } from './ingestionPipeline.js';
+import { enrichStoredRecords } from './uploadFinalizer.js';
+import { relinkCaseDuplicates } from './uploadSession.js';
+import { reprocessUpload } from './reprocessUpload.js';
+import { hashFile, retainFile, hasRetainedFile, RETAIN_EVIDENCE_DEFAULT } from './evidenceStore.js';
+import { generateChainOfCustodyReport } from './reportGenerator.js';
+import EventCanonical from '../models/EventCanonical.js';
+import Upload from '../models/Upload.js';
+import IngestionJob from '../models/IngestionJob.js';
+import { generateAnalyticsReadinessVerdict, generateColumnSummary } from './analyticsReadiness.js';
+import { DEFAULT_TIMEZONE } from './canonicalNormalizer.js';
+import { DEFAULT_COUNTRY } from './numberingPlan.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+
+// Files are hashed first; parse, canonicalize and insert then run together batch by batch, and
+// dedupe, locate and enrich run over the stored records
+export const INGESTION_STAGES = ['hash', 'parse', 'canonicalize', 'insert', 'dedupe', 'locate', 'enrich', 'readiness'];
+// A reprocess rebuilds records from raw_record, so there are no files to hash or parse
+export const REPROCESS_STAGES = INGESTION_STAGES.filter(stage => stage !== 'hash' && stage !== 'parse');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Live state for jobs running in this process, keyed by jobId
+const activeJobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Resolve the on-disk path of a file previously stored by POST /api/uploads
+ */
+export function getUploadedFilePath(filename) {
+  return path.join(UPLOAD_DIR, path.basename(filename));
+}
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Public view of a job (omits the stored result, which can be large)
+ */
+function toSnapshot(job) {
+  return {
+    jobId: job.jobId,
+    uploadId: job.uploadId,
+    mode: job.mode || 'create',
+    status: job.status,
+    stages: job.stages.map(stage => ({
+      name: stage.name,
+      status: stage.status,
+      processed: stage.processed,
+      total: stage.total,
+      message: stage.message || null
+    })),
+    cancelRequested: !!job.cancelRequested,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+/**
+ * Persist the mutable parts of a job and notify subscribers
+ */
+async function publish(job) {
+  await IngestionJob.updateOne(
+    { jobId: job.jobId },
+    {
+      $set: {
+        status: job.status,
+        stages: job.stages,
+        error: job.error,
+        result: job.result,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+      }
+    }
+  );
+  jobEvents.emit(job.jobId, toSnapshot(job));
+}
+
+function throwIfCancelled(job) {
+  // Once a job has committed there is nothing left to roll back to
+  if (job.cancelRequested && !job.committed) {
+    const error = new Error('Ingestion cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+/**
+ * Record stage progress. A stage completes once processed reaches a known total, or when
+ * `done` is set (used for streamed stages whose total is unknown until the end).
+ */
+async function updateStage(job, stageName, { processed, total, message, done = false }) {
+  throwIfCancelled(job);
+
+  const stage = job.stages.find(s => s.name === stageName);
+  if (!stage) return;
+
+  if (!stage.startedAt) {
+    stage.startedAt = new Date();
+  }
+  stage.processed = processed;
+  stage.total = total;
+  if (message !== undefined) {
+    stage.message = message;
+  }
+  if (done || (total > 0 && processed >= total)) {
+    stage.status = 'completed';
+    stage.finishedAt = new Date();
+  } else {
+    stage.status = 'running';
+  }
+
+  await publish(job);
+}
+
+/**
+ * Mark whichever stages were still open when the job stopped
+ */
+function closeOpenStages(job, status) {
+  job.stages.forEach(stage => {
+    if (stage.status === 'running' || stage.status === 'pending') {
+      stage.status = stage.status === 'running' ? status : 'cancelled';
+      stage.finishedAt = new Date();
+    }
+  });
+}
+
+function removeUploadedFiles(files) {
+  files.forEach(fileInfo => {
+    const filePath = getUploadedFilePath(fileInfo.filename);
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (err) {
+      console.warn(`Could not delete file ${filePath}:`, err.message);
+    }
+  });
+}
+
+/**
+ * Undo a job that did not commit. A cancelled new upload is removed entirely; a failed one is
+ * kept, without records, as 'failed' so the failure shows in Upload History. An append removes
+ * only its own records and the source rows it merged into records stored before it, and
+ * re-enriches what was stored before, since enrichment may have been rewritten. A reprocess only
+ * drops its rebuilt copies.
+ * @param {string|null} failureReason - Set when the job failed rather than was cancelled
+ */
+async function rollBackJob(job, uploadRecord, failureReason = null) {
+  const uploadId = job.uploadId;
+  if (job.mode === 'reprocess') {
+    await EventCanonical.deleteMany({ uploadId, ingestionJobId: job.jobId });
+    await Upload.updateOne({ uploadId, stagingJobId: job.jobId }, { $set: { stagingJobId: null } });
+    return;
+  }
+  if (job.mode === 'append') {
+    await EventCanonical.deleteMany({ uploadId, ingestionJobId: job.jobId });
+    await EventCanonical.updateMany(
+      { uploadId, 'sources.ingestionJobId': job.jobId },
+      { $pull: { sources: { ingestionJobId: job.jobId } } }
+    );
+    await Upload.updateOne(
+      { uploadId },
+      { $pull: { evidence: { jobId: job.jobId } }, $set: { stagingJobId: null } }
+    );
+    await enrichStoredRecords({ uploadId });
+  } else if (failureReason) {
+    await EventCanonical.deleteMany({ uploadId });
+    await Upload.updateOne(
+      { uploadId },
+      { $set: { status: 'failed', failureReason, stagingJobId: null } }
+    );
+  } else {
+    await EventCanonical.deleteMany({ uploadId });
+    await Upload.deleteOne({ uploadId });
+  }
+  // Only committed uploads are linked, so this matters once an append's records are gone
+  await relinkCaseDuplicates(uploadRecord.caseId);
+}
+
+/**
+ * Roll back a job that stopped without committing, logging rather than throwing when that fails
+ * too (what is left is still staged, and is removed on the next start)
+ */
+async function rollBackSafely(job, uploadRecord, failureReason = null) {
+  try {
+    await rollBackJob(job, uploadRecord, failureReason);
+  } catch (error) {
+    console.error(`Could not roll back ingestion job ${job.jobId}:`, error.message);
+  }
+}
+
+/**
+ * Hash each received file before it is parsed (copying it into the evidence store when the
+ * job asks for it) and add it to the upload's chain of custody. An archive a file was expanded
+ * from is marked retained when POST /api/uploads kept it in the store.
+ */
+async function recordEvidence(job, uploadRecord, files) {
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  let hashedBytes = 0;
+  await updateStage(job, 'hash', { processed: 0, total: totalBytes });
+
+  for (const file of files) {
+    const { sha256, size } = await hashFile(file.filePath);
+    if (job.retainEvidence) {
+      await retainFile(file.filePath, sha256);
+    }
+    if (file.archive) {
+      file.archive = { ...file.archive, retained: await hasRetainedFile(file.archive.sha256) };
+    }
+    file.sha256 = sha256;
+    uploadRecord.evidence.push({
+      fileName: file.originalName,
+      sha256,
+      size,
+      receivedAt: file.receivedAt,
+      uploadedBy: job.uploadedBy || null,
+      jobId: job.jobId,
+      archive: file.archive,
+      retained: !!job.retainEvidence
+    });
+    hashedBytes += size;
+    await updateStage(job, 'hash', { processed: hashedBytes, total: totalBytes });
+  }
+
+  await uploadRecord.save();
+  await updateStage(job, 'hash', { processed: hashedBytes, total: totalBytes, done: true });
+}
+
+async function runIngestionJob(job, uploadRecord) {
+  const appending = job.mode === 'append';
+
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await publish(job);
+
+    // Resolve stored files; they are streamed from disk rather than read into memory
+    const filesToProcess = [];
+    const unreadableFiles = [];
+    for (const fileInfo of job.files) {
+      const filePath = getUploadedFilePath(fileInfo.filename);
+
+      try {
+        const stat = fs.statSync(filePath);
+        filesToProcess.push({
+          filePath,
+          originalName: fileInfo.originalName,
+          fileName: fileInfo.filename,
+          mapping: fileInfo.mapping || null,
+          mappingProfile: fileInfo.mappingProfile || null,
+          timezone: fileInfo.timezone || uploadRecord.timezone,
+          country: uploadRecord.country,
+          encoding: fileInfo.encoding || null,
+          delimiter: fileInfo.delimiter || null,
+          layout: fileInfo.layout || null,
+          berTagMap: fileInfo.berTagMap || null,
+          sheets: fileInfo.sheets || null,
+          archive: fileInfo.archive?.sha256 ? fileInfo.archive : null,
+          size: stat.size,
+          // Written by POST /api/uploads; the time it finished is when the file was received
+          receivedAt: stat.mtime
+        });
+      } catch (statError) {
+        unreadableFiles.push({
+          fileName: fileInfo.originalName,
+          inserted: 0,
+          skipped: 0,
+          totalRows: 0,
+          error: statError.code === 'ENOENT' ? 'File not found' : `File read error: ${statError.message}`
+        });
+      }
+    }
+
+    if (filesToProcess.length === 0) {
+      throw new Error('No valid files to process');
+    }
+
+    await recordEvidence(job, uploadRecord, filesToProcess);
+
+    // Stream files through the canonical pipeline (inserts as it goes). Duplicates across the
+    // case are linked after the commit, since only committed uploads take part.
+    const pipelineResult = await processFiles(filesToProcess, job.uploadId, {
+      jobId: job.jobId,
+      combinedScope: appending,
+      onProgress: (stage, progress) => updateStage(job, stage, progress)
+    });
+
+    // Calculate accurate summary statistics
+    const totalInserted = pipelineResult.insertedCount;
+    const totalInvalid = pipelineResult.errorCount;
+    const totalDuplicates = pipelineResult.duplicateCount;
+    const totalSkipped = totalInvalid + totalDuplicates; // Skipped = invalid + duplicates
+    const totalProcessed = totalInserted + totalSkipped;
+
+    const fileSummaries = [...unreadableFiles, ...pipelineResult.fileSummaries];
+
+    if (appending) {
+      // Upload stats describe every file in the upload; the job result below describes this batch
+      const previous = uploadRecord.stats || {};
+      const storedCount = await EventCanonical.countDocuments({ uploadId: job.uploadId });
+      const combinedInvalid = (previous.totalInvalid || 0) + totalInvalid;
+      const combinedDuplicates = (previous.totalDuplicates || 0) + totalDuplicates;
+
+      uploadRecord.fileSummaries = [...uploadRecord.fileSummaries, ...fileSummaries];
+      uploadRecord.errorSamples = [...uploadRecord.errorSamples, ...pipelineResult.errorSamples].slice(0, 50);
+      uploadRecord.stats = {
+        totalInserted: storedCount,
+        totalInvalid: combinedInvalid,
+        totalDuplicates: combinedDuplicates,
+        totalSkipped: combinedInvalid + combinedDuplicates,
+        totalProcessed: storedCount + combinedInvalid + combinedDuplicates,
+        totalFiles: (previous.totalFiles || 0) + job.files.length
+      };
+    } else {
+      uploadRecord.fileSummaries = fileSummaries;
+      uploadRecord.errorSamples = pipelineResult.errorSamples.slice(0, 50);
+      uploadRecord.stats = {
+        totalInserted,
+        totalInvalid,
+        totalDuplicates,
+        totalSkipped,
+        totalProcessed,
+        totalFiles: job.files.length
+      };
+    }
+
+    // Commit: the staged records become visible with the stats that describe them
+    throwIfCancelled(job);
+    uploadRecord.status = 'committed';
+    uploadRecord.stagingJobId = null;
+    uploadRecord.failureReason = null;
+    await uploadRecord.save();
+    job.committed = true;
+
+    // Links to the rest of the case are made only now that this upload's records are visible
+    const linkResult = await relinkCaseDuplicates(uploadRecord.caseId, {
+      onProgress: ({ processed, total }) => updateStage(job, 'readiness', {
+        processed: 0,
+        total: 1,
+        message: `Linking duplicates across the case (${processed}/${total})`
+      })
+    });
+    await updateStage(job, 'readiness', {
+      processed: 0,
+      total: 1,
+      message: linkResult.duplicateCount > 0
+        ? `${linkResult.duplicateCount} events also found in other uploads of the case`
+        : undefined
+    });
+
+    // Generate analytics readiness assessment
+    let analyticsVerdict = null;
+    let columnSummary = null;
+
+    try {
+      analyticsVerdict = await generateAnalyticsReadinessVerdict(job.uploadId);
+      columnSummary = await generateColumnSummary(job.uploadId);
+    } catch (error) {
+      console.error('Error generating analytics readiness:', error.message);
+    }
+    await updateStage(job, 'readiness', { processed: 1, total: 1 });
+
+    job.result = {
+      uploadId: job.uploadId,
+      mode: job.mode,
+      caseId: uploadRecord.caseId,
+      timezone: uploadRecord.timezone,
+      country: uploadRecord.country,
+      summary: {
+        totalInserted,
+        totalInvalid,
+        totalDuplicates,
+        totalSkipped,
+        totalProcessed,
+        totalFiles: job.files.length,
+        linkedDuplicates: linkResult.duplicateCount,
+        reviewMerged: pipelineResult.reviewMergedCount,
+        fileSummaries,
+        errorSamples: pipelineResult.errorSamples.slice(0, 20)
+      },
+      location: pipelineResult.location,
+      reports: {
+        normalization: pipelineResult.reports?.normalization,
+        schemaMapping: pipelineResult.reports?.schemaMapping,
+        dataQuality: pipelineResult.reports?.dataQuality,
+        chainOfCustody: generateChainOfCustodyReport(uploadRecord)
+      },
+      analyticsReadiness: analyticsVerdict,
+      columnSummary
+    };
+    job.status = 'completed';
+  } catch (error) {
+    if (error.cancelled) {
+      await rollBackSafely(job, uploadRecord);
+      job.status = 'cancelled';
+      closeOpenStages(job, 'cancelled');
+    } else {
+      console.error('Canonical ingestion error:', error.message);
+      console.error('Error stack:', error.stack);
+      job.status = 'failed';
+      job.error = error.message || 'An unexpected error occurred during canonical ingestion';
+      if (!job.committed) {
+        await rollBackSafely(job, uploadRecord, job.error);
+      }
+      closeOpenStages(job, 'failed');
+    }
+  } finally {
+    removeUploadedFiles(job.files);
+    job.finishedAt = new Date();
+    try {
+      await publish(job);
+    } catch (error) {
+      console.error('Failed to persist ingestion job status:', error.message);
+    }
+    // Dropped only after the final state is persisted, so readers never see a stale status
+    activeJobs.delete(job.jobId);
+  }
+}
+
+/**
+ * Per-file inserted counts after the records of an upload were rebuilt
+ */
+async function recountFileSummaries(uploadRecord) {
+  const counts = await EventCanonical.aggregate([
+    { $match: { uploadId: uploadRecord.uploadId } },
+    { $group: { _id: '$source_file', count: { $sum: 1 } } }
+  ]);
+  const countByFile = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  return uploadRecord.fileSummaries.map(summary => {
+    const plain = typeof summary.toObject === 'function' ? summary.toObject() : summary;
+    const inserted = countByFile.get(plain.fileName) ?? 0;
+    return { ...plain, inserted, totalRows: inserted + (plain.skipped || 0) };
+  });
+}
+
+async function runReprocessJob(job, uploadRecord) {
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await publish(job);
+
+    const reprocessResult = await reprocessUpload(uploadRecord, {
+      jobId: job.jobId,
+      onProgress: (stage, progress) => updateStage(job, stage, progress),
+      // The rebuilt records are committed just before the ones they replace are deleted
+      beforeReplace: async () => {
+        throwIfCancelled(job);
+        await Upload.updateOne({ uploadId: job.uploadId }, { $set: { stagingJobId: null } });
+        job.committed = true;
+      }
+    });
+    const { diff } = reprocessResult;
+
+    // Other uploads of the case may have been linked to the replaced records
+    const linkResult = await relinkCaseDuplicates(uploadRecord.caseId);
+
+    const previous = uploadRecord.stats || {};
+    const storedCount = await EventCanonical.countDocuments({ uploadId: job.uploadId });
+    const removedDuplicates = reprocessResult.duplicateCount + reprocessResult.reviewMergedCount;
+    const combinedInvalid = (previous.totalInvalid || 0) + diff.rejectedRows;
+    const combinedDuplicates = (previous.totalDuplicates || 0) + removedDuplicates;
+    const rejectedSamples = diff.rejectedSamples.map(({ record_id, ...sample }) => sample);
+
+    uploadRecord.fileSummaries = await recountFileSummaries(uploadRecord);
+    uploadRecord.errorSamples = [...rejectedSamples, ...uploadRecord.errorSamples].slice(0, 50);
+    uploadRecord.stats = {
+      totalInserted: storedCount,
+      totalInvalid: combinedInvalid,
+      totalDuplicates: combinedDuplicates,
+      totalSkipped: combinedInvalid + combinedDuplicates,
+      totalProcessed: storedCount + combinedInvalid + combinedDuplicates,
+      totalFiles: previous.totalFiles || uploadRecord.fileSummaries.length
+    };
+    uploadRecord.reprocessedAt = new Date();
+    await uploadRecord.save();
+
+    await updateStage(job, 'readiness', { processed: 0, total: 1 });
+    let analyticsVerdict = null;
+    let columnSummary = null;
+
+    try {
+      analyticsVerdict = await generateAnalyticsReadinessVerdict(job.uploadId);
+      columnSummary = await generateColumnSummary(job.uploadId);
+    } catch (error) {
+      console.error('Error generating analytics readiness:', error.message);
+    }
+    await updateStage(job, 'readiness', { processed: 1, total: 1 });
+
+    job.result = {
+      uploadId: job.uploadId,
+      mode: job.mode,
+      caseId: uploadRecord.caseId,
+      timezone: uploadRecord.timezone,
+      country: uploadRecord.country,
+      summary: {
+        totalInserted: storedCount,
+        totalInvalid: diff.rejectedRows,
+        totalDuplicates: removedDuplicates,
+        totalSkipped: diff.rejectedRows + removedDuplicates,
+        totalProcessed: diff.recordsChecked,
+        totalFiles: uploadRecord.stats.totalFiles,
+        linkedDuplicates: linkResult.duplicateCount,
+        reviewMerged: reprocessResult.reviewMergedCount,
+        fileSummaries: uploadRecord.fileSummaries,
+        errorSamples: rejectedSamples
+      },
+      diff,
+      location: reprocessResult.location,
+      reports: {
+        chainOfCustody: generateChainOfCustodyReport(uploadRecord)
+      },
+      analyticsReadiness: analyticsVerdict,
+      columnSummary
+    };
+    job.status = 'completed';
+  } catch (error) {
+    if (!job.committed) {
+      await rollBackSafely(job, uploadRecord);
+    }
+    if (error.cancelled) {
+      job.status = 'cancelled';
+      closeOpenStages(job, 'cancelled');
+    } else {
+      console.error('Reprocess error:', error.message);
+      job.status = 'failed';
+      job.error = error.message || 'An unexpected error occurred while reprocessing';
+      closeOpenStages(job, 'failed');
+    }
+  } finally {
+    job.finishedAt = new Date();
+    try {
+      await publish(job);
+    } catch (error) {
+      console.error('Failed to persist ingestion job status:', error.message);
+    }
+    activeJobs.delete(job.jobId);
+  }
+}
+
+/**
+ * Start a background job that rebuilds an upload's records from raw_record and replaces them
+ * (see reprocessUpload.js); progress and cancellation work as for any ingestion job
+ * @param {Object} uploadRecord - Upload document to reprocess
+ * @returns {Promise<Object>} Job snapshot
+ */
+export async function createReprocessJob(uploadRecord) {
+  const jobId = uuidv4();
+  // The rebuilt records stay hidden until they replace the current ones
+  uploadRecord.stagingJobId = jobId;
+  await uploadRecord.save();
+
+  const jobDoc = await IngestionJob.create({
+    jobId,
+    uploadId: uploadRecord.uploadId,
+    mode: 'reprocess',
+    files: [],
+    stages: REPROCESS_STAGES.map(name => ({ name }))
+  });
+
+  const job = jobDoc.toObject();
+  activeJobs.set(job.jobId, job);
+
+  setImmediate(() => {
+    runReprocessJob(job, uploadRecord).catch(error => {
+      console.error('Reprocess job crashed:', error.message);
+    });
+  });
+
+  return toSnapshot(job);
+}
+
+/**
+ * Archive details a file was sent back with; kept only when they look like what POST /api/uploads returned
+ */
+function getArchiveInfo(archive) {
+  if (!/^[0-9a-f]{64}$/.test(archive.sha256)) return undefined;
+  return {
+    fileName: String(archive.fileName || ''),
+    sha256: archive.sha256,
+    size: Number(archive.size) || 0
+  };
+}
+
+/**
+ * Create an ingestion job for files stored by POST /api/uploads and start it in the background
+ * @param {Array} files - [{ filename, originalName, mapping, mappingProfile, timezone, encoding, delimiter, layout, berTagMap,
+ *   sheets, archive }] sheets are { name, headerRowIndex, mapping, mappingProfile } for workbooks
+ * @param {Object} options - { timezone, country, caseId } source timezone for the upload (files may override it),
+ *   the numbering plan for its phone numbers and the case it is filed under;
+ *   { appendTo } adds the files to that existing upload, which keeps its own country and case
+ *   (timezone then only applies to the new files);
+ *   { uploadedBy, retainEvidence } are recorded in the chain of custody (retainEvidence defaults to RETAIN_EVIDENCE)
+ * @returns {Promise<Object>} Job snapshot including jobId and uploadId
+ */
+export async function createIngestionJob(files, options = {}) {
+  const jobId = uuidv4();
+  let uploadRecord;
+
+  if (options.appendTo) {
+    uploadRecord = await Upload.findOne({ uploadId: options.appendTo });
+    if (!uploadRecord) {
+      throw new Error(`Upload ${options.appendTo} not found`);
+    }
+    // The upload's existing records stay visible; the appended ones are staged under this job
+    uploadRecord.stagingJobId = jobId;
+    await uploadRecord.save();
+  } else {
+    uploadRecord = new Upload({
+      uploadId: uuidv4(),
+      status: 'pending',
+      stagingJobId: jobId,
+      timezone: options.timezone || DEFAULT_TIMEZONE,
+      country: options.country || DEFAULT_COUNTRY,
+      caseId: options.caseId || null,
+      fileSummaries: [],
+      errorSamples: [],
+      stats: {
+        totalInserted: 0,
+        totalSkipped: 0,
+        totalFiles: files.length
+      }
+    });
+    await uploadRecord.save();
+  }
+
+  const fileTimezoneDefault = options.appendTo ? options.timezone || null : null;
+
+  const jobDoc = await IngestionJob.create({
+    jobId,
+    uploadId: uploadRecord.uploadId,
+    mode: options.appendTo ? 'append' : 'create',
+    uploadedBy: options.uploadedBy || null,
+    retainEvidence: options.retainEvidence ?? RETAIN_EVIDENCE_DEFAULT,
+    files: files.map(f => ({
+      filename: f.filename,
+      originalName: f.originalName,
+      mapping: f.mapping || null,
+      mappingProfile: f.mappingProfile || null,
+      timezone: f.timezone || fileTimezoneDefault,
+      encoding: f.encoding || null,
+      delimiter: f.delimiter || null,
+      layout: f.layout || null,
+      berTagMap: f.berTagMap || null,
+      sheets: f.sheets || null,
+      archive: f.archive ? getArchiveInfo(f.archive) : undefined
+    })),
+    stages: INGESTION_STAGES.map(name => ({ name }))
+  });
+
+  const job = jobDoc.toObject();
+  activeJobs.set(job.jobId, job);
+
+  setImmediate(() => {
+    runIngestionJob(job, uploadRecord).catch(error => {
+      console.error('Ingestion job crashed:', error.message);
+    });
+  });
+
+  return toSnapshot(job);
+}
+
+/**
+ * Queued or running job for an upload, if any (an upload takes one job at a time)
+ */
+export async function getActiveJobForUpload(uploadId) {
+  return IngestionJob.findOne({ uploadId, status: { $in: ['queued', 'running'] } })
+    .select('jobId status')
+    .lean();
+}
+
+/**
+ * Current status of a job, from memory if it is running here, otherwise from the database
+ */
+export async function getJobSnapshot(jobId) {
+  if (activeJobs.has(jobId)) {
+    return toSnapshot(activeJobs.get(jobId));
+  }
+  const job = await IngestionJob.findOne({ jobId }).select('-result').lean();
+  return job ? toSnapshot(job) : null;
+}
+
+/**
+ * Most recent job for an upload, including its stored result
+ */
+export async function getJobByUploadId(uploadId) {
+  return IngestionJob.findOne({ uploadId }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Request cancellation. The running job stops at the next stage boundary or insert batch
+ * and removes whatever it already wrote.
+ * @returns {Promise<Object|null>} Updated snapshot, or null if the job does not exist
+ */
+export async function requestCancellation(jobId) {
+  const job = activeJobs.get(jobId);
+  if (job) {
+    job.cancelRequested = true;
+    await IngestionJob.updateOne({ jobId }, { $set: { cancelRequested: true } });
+    jobEvents.emit(jobId, toSnapshot(job));
+    return toSnapshot(job);
+  }
+
+  const stored = await IngestionJob.findOneAndUpdate(
+    { jobId, status: { $in: ['queued', 'running'] } },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  ).select('-result').lean();
+
+  if (stored) return toSnapshot(stored);
+  return getJobSnapshot(jobId);
+}
+
+/**
+ * Subscribe to progress snapshots for a job
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Jobs left queued/running by a previous process can never finish. On startup they are marked
+ * failed and whatever they staged is rolled back, as if they had failed while running.
+ */
+export async function recoverInterruptedJobs() {
+  const result = await IngestionJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    {
+      $set: {
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        finishedAt: new Date()
+      }
+    }
+  );
+  if (result.modifiedCount > 0) {
+    console.warn(`Marked ${result.modifiedCount} interrupted ingestion job(s) as failed`);
+  }
+
+  const stagedUploads = await Upload.find({
+    $or: [{ status: 'pending' }, { stagingJobId: { $ne: null } }]
+  }).select('uploadId caseId stagingJobId').lean();
+
+  for (const uploadRecord of stagedUploads) {
+    const job = (uploadRecord.stagingJobId
+      && await IngestionJob.findOne({ jobId: uploadRecord.stagingJobId }).select('jobId uploadId mode').lean())
+      || { jobId: uploadRecord.stagingJobId, uploadId: uploadRecord.uploadId, mode: 'create' };
+    await rollBackSafely(job, uploadRecord, 'Interrupted by server restart');
+  }
+  if (stagedUploads.length > 0) {
+    console.warn(`Rolled back staged records of ${stagedUploads.length} upload(s)`);
+  }
+}
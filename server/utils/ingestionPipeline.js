@@ -5,46 +5,47 @@
  * This is the main entry point for processing CDR files into analytics-ready canonical records.
  */
 
-import { parseFile } from './fileParser.js';
-import { normalizeRow } from './normalizer.js';
-import { createCanonicalRecord, validateCanonicalRecord } from './canonicalNormalizer.js';
-import { enrichRecords } from './enrichment.js';
-import { deduplicateRecords } from './deduplication.js';
-import { validateRecord, generateQualitySummary } from './dataQuality.js';
-import { generateAllReports } from './reportGenerator.js';
+import { streamFile, readFileSample } from './fileParser.js';
+import { HEADER_MAPPINGS, matchHeaders, resolveColumnMap } from './normalizer.js';
+import { createCanonicalRecord, validateCanonicalRecord, DEFAULT_TIMEZONE } from './canonicalNormalizer.js';
+import { DEFAULT_COUNTRY } from './numberingPlan.js';
+import { validateRecord } from './dataQuality.js';
+import { createReportAccumulator } from './reportGenerator.js';
+import { deduplicateStoredRecords, enrichStoredRecords } from './uploadFinalizer.js';
+import { locateStoredEvents } from './cellSites.js';
+import { applyMergeDecisions } from './nearDuplicates.js';
+import EventCanonical from '../models/EventCanonical.js';
+
+export const STREAM_BATCH_SIZE = 1000;
+const MAX_ERROR_SAMPLES = 50;
+export const PREVIEW_DEFAULT_ROWS = 200;
+export const PREVIEW_MAX_ROWS = 5000;
+const PREVIEW_SAMPLE_RECORDS = 20;
 
 /**
- * Process a single file through the complete pipeline
+ * Convert normalized rows to validated canonical records (schema conversion, canonical
+ * validation and per-record confidence scoring). Every step here is per-record, so it
+ * can run on any batch of rows.
+ * @param {Object} options - { timezone, country } source timezone for the file's wall-clock times and
+ *   numbering plan for its phone numbers
+ * @returns {{ records: Array, errors: Array }}
  */
-export async function processFile(buffer, fileName, uploadId) {
-  const results = [];
+export function canonicalizeRecords(rawRecords, fileName, uploadId, options = {}) {
+  const records = [];
   const errors = [];
-  const rawRecords = [];
-  
-  // Step 1: Parse file
-  const parseResult = parseFile(buffer, fileName);
-  
-  if (parseResult.errors && parseResult.errors.length > 0) {
-    errors.push(...parseResult.errors);
-  }
   
-  // Step 2: Normalize rows (existing normalizer)
-  parseResult.results.forEach(rawRecord => {
-    rawRecords.push({
-      ...rawRecord,
+  rawRecords.forEach(normalizedRow => {
+    const rawRecord = {
+      ...normalizedRow,
       uploadId: uploadId
-    });
-  });
-  
-  // Step 3: Convert to canonical schema
-  const canonicalRecords = [];
-  rawRecords.forEach(rawRecord => {
+    };
+    
     try {
       const canonical = createCanonicalRecord(rawRecord, {
         fileName: fileName,
         sheetName: rawRecord.source?.sheetName || null,
         rowNumber: rawRecord.source?.rowNumber || 0
-      });
+      }, { timezone: options.timezone, country: options.country });
       
       // Validate canonical record
       const validation = validateCanonicalRecord(canonical);
@@ -64,7 +65,8 @@ export async function processFile(buffer, fileName, uploadId) {
         ...validation.warnings
       ];
       
-      canonicalRecords.push(canonical);
+      applyQualityScore(canonical);
+      records.push(canonical);
     } catch (error) {
       errors.push({
         rowNumber: rawRecord.source?.rowNumber || 0,
@@ -74,103 +76,389 @@ export async function processFile(buffer, fileName, uploadId) {
     }
   });
   
-  // Step 4: Enrich records (derived analytics fields)
-  let enrichedRecords = [];
-  if (canonicalRecords.length > 0) {
-    try {
-      enrichedRecords = enrichRecords(canonicalRecords);
-    } catch (error) {
-      console.error(`Enrichment error for ${fileName}:`, error.message);
-      // Continue with non-enriched records
-      enrichedRecords = canonicalRecords;
-    }
+  return { records, errors };
+}
+
+/**
+ * Final validation and confidence scoring for a single record (mutates the record)
+ */
+function applyQualityScore(record) {
+  const validation = validateRecord(record);
+  
+  // Add confidence score
+  if (validation.confidence) {
+    record.normalizationConfidence = {
+      score: validation.confidence.score,
+      confidence: validation.confidence.confidence,
+      factors: validation.confidence.factors
+    };
   }
   
-  // Step 5: Deduplicate
-  const dedupResult = deduplicateRecords(enrichedRecords);
-  const finalRecords = dedupResult.records;
+  // Add any additional validation warnings
+  if (validation.warnings.length > 0) {
+    record.normalizationWarnings = [
+      ...(record.normalizationWarnings || []),
+      ...validation.warnings
+    ];
+  }
+}
+
+/**
+ * Stream files from disk into events_canonical and run the cross-record steps on the stored data.
+ * Rows are parsed, canonicalized and inserted in batches, so peak memory does not grow with file size.
+ * Deduplication then runs over the whole upload, so the same event reported in two files (e.g. the
+ * A-party and B-party operator CDRs) is stored once, and is linked to copies in the rest of the case.
+ * Enrichment runs per file; when files are appended to an existing upload it runs over the whole
+ * upload, so contact history, rolling averages and bursts carry across the files.
+ * @param {Array} files - [{ filePath, originalName, size, mapping, mappingProfile, timezone, country,
+ *   encoding, delimiter, layout, berTagMap, sheets }] encoding and delimiter override what is detected
+ *   for CSV files; sheets lists the workbook sheets to read, each with its own header row and mapping
+ * @param {string} uploadId
+ * @param {Object} options - Optional hooks
+ * @param {Function} options.onProgress - Awaited with (stage, { processed, total, done })
+ * @param {string} options.jobId - Stored on each inserted record as ingestionJobId
+ * @param {boolean} options.combinedScope - Enrich the whole upload rather than each file
+ * @returns {Promise<Object>} { insertedCount, errorCount, errorSamples, duplicateCount,
+ *   reviewMergedCount, duplicates, fileSummaries, location, reports }
+ */
+export async function processFiles(files, uploadId, options = {}) {
+  const report = async (stage, progress) => {
+    if (options.onProgress) {
+      await options.onProgress(stage, progress);
+    }
+  };
+  
+  const totalBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  const errorSamples = [];
+  const fileStats = [];
+  let errorCount = 0;
+  let bytesBeforeFile = 0;
+  let canonicalCount = 0;
+  let insertedCount = 0;
   
-  // Step 6: Final validation and confidence scoring
-  finalRecords.forEach(record => {
-    const validation = validateRecord(record);
-    
-    // Add confidence score
-    if (validation.confidence) {
-      record.normalizationConfidence = {
-        score: validation.confidence.score,
-        confidence: validation.confidence.confidence,
-        factors: validation.confidence.factors
-      };
+  const recordErrors = (errors) => {
+    errorCount += errors.length;
+    for (const error of errors) {
+      if (errorSamples.length >= MAX_ERROR_SAMPLES) break;
+      errorSamples.push(error);
     }
+  };
+  
+  // Steps 1-3 plus insert, batch by batch
+  for (const file of files) {
+    const fileName = file.originalName || file.fileName;
+    const stats = {
+      fileName,
+      mappingProfile: file.mappingProfile || null,
+      timezone: file.timezone || DEFAULT_TIMEZONE,
+      country: file.country || DEFAULT_COUNTRY,
+      sha256: file.sha256 || null,
+      format: null,
+      csvDialect: null,
+      sheets: file.sheets
+        ? file.sheets.map(({ name, headerRowIndex, mappingProfile }) => ({ name, headerRowIndex, mappingProfile }))
+        : null,
+      inserted: 0,
+      errors: 0
+    };
+    fileStats.push(stats);
     
-    // Add any additional validation warnings
-    if (validation.warnings.length > 0) {
-      record.normalizationWarnings = [
-        ...(record.normalizationWarnings || []),
-        ...validation.warnings
+    const { dialect, format } = await streamFile(file.filePath, fileName, async ({ results, errors, bytesRead }) => {
+      await report('parse', { processed: bytesBeforeFile + bytesRead, total: totalBytes });
+      
+      const canonicalResult = canonicalizeRecords(results, fileName, uploadId, {
+        timezone: stats.timezone,
+        country: stats.country
+      });
+      const batchErrors = [
+        ...errors.map(error => ({ fileName, ...error })),
+        ...canonicalResult.errors
       ];
+      recordErrors(batchErrors);
+      stats.errors += batchErrors.length;
+      canonicalCount += canonicalResult.records.length;
+      await report('canonicalize', { processed: canonicalCount, total: 0 });
+      
+      if (canonicalResult.records.length > 0) {
+        if (options.jobId) {
+          canonicalResult.records.forEach(record => { record.ingestionJobId = options.jobId; });
+        }
+        const inserted = await insertRecords(canonicalResult.records);
+        stats.inserted += inserted;
+        insertedCount += inserted;
+        await report('insert', { processed: insertedCount, total: 0 });
+      }
+    }, {
+      batchSize: STREAM_BATCH_SIZE,
+      mapping: file.mapping,
+      encoding: file.encoding,
+      delimiter: file.delimiter,
+      layout: file.layout,
+      berTagMap: file.berTagMap,
+      sheets: file.sheets,
+      timezone: stats.timezone
+    });
+    stats.format = format;
+    stats.csvDialect = dialect;
+    
+    bytesBeforeFile += file.size || 0;
+  }
+  
+  await report('parse', { processed: totalBytes, total: totalBytes, done: true });
+  await report('canonicalize', { processed: canonicalCount, total: canonicalCount, done: true });
+  await report('insert', { processed: insertedCount, total: insertedCount, done: true });
+  
+  // Step 5: Deduplicate stored records across the upload. Only this job's records are removed,
+  // so an event re-sent in an appended file is dropped from that file even when its copy is earlier.
+  const dedupeResult = await deduplicateStoredRecords(
+    { uploadId },
+    {
+      jobId: options.jobId,
+      onProgress: ({ processed, total }) => report('dedupe', { processed, total })
     }
+  );
+  fileStats.forEach(stats => {
+    stats.duplicates = dedupeResult.duplicatesByFile[stats.fileName] || 0;
+  });
+  const duplicates = dedupeResult.duplicates;
+  const duplicateCount = fileStats.reduce((sum, stats) => sum + stats.duplicates, 0);
+  
+  // Near-duplicates an analyst already merged, in this upload or another of its case, stay merged
+  // when their files are ingested again
+  const mergeResult = await applyMergeDecisions(uploadId, { jobId: options.jobId });
+  
+  await report('dedupe', {
+    processed: dedupeResult.processed,
+    total: dedupeResult.processed,
+    done: true
+  });
+  
+  // Cell-only events take their serving tower's coordinates, so the reports below include them
+  const locationResult = await locateStoredEvents(
+    { uploadId },
+    { onProgress: ({ processed, total }) => report('locate', { processed, total }) }
+  );
+  await report('locate', {
+    processed: locationResult.cellsChecked,
+    total: locationResult.cellsChecked,
+    message: `${locationResult.eventsLocated} events located from ${locationResult.cellsResolved} cells`,
+    done: true
   });
   
-  results.push(...finalRecords);
+  // Step 4: Enrich the remaining records; reports are accumulated from the same pass
+  const reportAccumulator = createReportAccumulator(uploadId);
+  const remainingCount = insertedCount - duplicateCount;
+  const countWarnings = (records) => records.filter(r =>
+    r.normalizationWarnings && r.normalizationWarnings.length > 0
+  ).length;
+  fileStats.forEach(stats => { stats.warningsCount = 0; });
+  
+  if (options.combinedScope) {
+    // Every stored record is re-enriched, but reports only describe this batch
+    const statsByFile = new Map(fileStats.map(stats => [stats.fileName, stats]));
+    const result = await enrichStoredRecords(
+      { uploadId },
+      {
+        onRecords: (records) => {
+          const batchRecords = records.filter(r => r.ingestionJobId === options.jobId);
+          reportAccumulator.add(batchRecords);
+          batchRecords.forEach(record => {
+            const stats = statsByFile.get(record.source_file);
+            if (stats) stats.warningsCount += countWarnings([record]);
+          });
+        },
+        onProgress: ({ processed, total }) => report('enrich', { processed, total })
+      }
+    );
+    await report('enrich', { processed: result.enrichedCount, total: result.enrichedCount, done: true });
+  } else {
+    let enrichedBefore = 0;
+    for (const stats of fileStats) {
+      const result = await enrichStoredRecords(
+        { uploadId, source_file: stats.fileName },
+        {
+          onRecords: (records) => {
+            reportAccumulator.add(records);
+            stats.warningsCount += countWarnings(records);
+          },
+          onProgress: ({ processed }) => report('enrich', { processed: enrichedBefore + processed, total: remainingCount })
+        }
+      );
+      enrichedBefore += result.enrichedCount;
+    }
+    await report('enrich', { processed: remainingCount, total: remainingCount, done: true });
+  }
+  
+  const fileSummaries = fileStats.map(stats => {
+    const inserted = stats.inserted - stats.duplicates;
+    return {
+      fileName: stats.fileName,
+      inserted,
+      skipped: stats.errors,
+      totalRows: inserted + stats.errors,
+      duplicates: stats.duplicates,
+      warningsCount: stats.warningsCount,
+      mappingProfile: stats.mappingProfile,
+      timezone: stats.timezone,
+      sha256: stats.sha256,
+      format: stats.format,
+      csvDialect: stats.csvDialect,
+      sheets: stats.sheets
+    };
+  });
   
   return {
-    results,
-    errors,
-    duplicates: dedupResult.duplicates,
-    duplicateCount: dedupResult.duplicateCount
+    insertedCount: remainingCount,
+    errorCount,
+    errorSamples,
+    duplicateCount,
+    reviewMergedCount: mergeResult.recordsRemoved,
+    duplicates,
+    fileSummaries,
+    location: locationResult,
+    reports: reportAccumulator.build(fileSummaries, HEADER_MAPPINGS || {})
   };
 }
 
 /**
- * Process multiple files and generate reports
+ * Insert a batch of canonical records, returning how many were written. A failed insert throws:
+ * an upload committed with part of a batch missing would look complete, so the job fails instead
+ * and its staged records are rolled back.
  */
-export async function processFiles(files, uploadId) {
-  const allResults = [];
-  const allErrors = [];
-  const allDuplicates = [];
-  const fileSummaries = [];
-  
-  // Get header mappings from normalizer
-  const { HEADER_MAPPINGS } = await import('./normalizer.js');
-  const headerMappings = HEADER_MAPPINGS || {};
-  
-  for (const fileInfo of files) {
-    const fileResult = await processFile(
-      fileInfo.buffer,
-      fileInfo.originalName || fileInfo.fileName,
-      uploadId
-    );
-    
-    allResults.push(...fileResult.results);
-    allErrors.push(...fileResult.errors);
-    allDuplicates.push(...fileResult.duplicates);
-    
-    fileSummaries.push({
-      fileName: fileInfo.originalName || fileInfo.fileName,
-      inserted: fileResult.results.length,
-      skipped: fileResult.errors.length,
-      totalRows: fileResult.results.length + fileResult.errors.length,
-      duplicates: fileResult.duplicateCount,
-      warningsCount: fileResult.results.filter(r => 
-        r.normalizationWarnings && r.normalizationWarnings.length > 0
-      ).length
+async function insertRecords(records) {
+  await EventCanonical.insertMany(records, { ordered: false });
+  return records.length;
+}
+
+
+/**
+ * Dry run: parse, normalize and canonicalize the first rows of a file without writing anything.
+ * Used to check a column mapping before ingesting.
+ * @param {string} filePath - Path on disk
+ * @param {string} fileName - Original file name
+ * @param {Object} options - { mapping, maxRows, timezone, country, encoding, delimiter, layout, berTagMap,
+ *   sheetName, headerRowIndex } layout and berTagMap are the fixed-width column layout and BER tag map
+ *   of the mapping profile; sheetName limits a workbook to that sheet, read from headerRowIndex when
+ *   given
+ * @returns {Promise<Object>} Header detection, format and CSV dialect, column mapping, sample records, row warnings
+ *   and projected reject rate
+ */
+export async function previewFile(filePath, fileName, options = {}) {
+  const maxRows = Math.min(options.maxRows || PREVIEW_DEFAULT_ROWS, PREVIEW_MAX_ROWS);
+  const parserOptions = {
+    encoding: options.encoding,
+    delimiter: options.delimiter,
+    layout: options.layout,
+    berTagMap: options.berTagMap,
+    timezone: options.timezone || DEFAULT_TIMEZONE
+  };
+  if (options.sheetName) {
+    const headerRowIndex = options.headerRowIndex ?? null;
+    Object.assign(parserOptions, {
+      sheetName: options.sheetName,
+      headerRowIndexes: { [options.sheetName]: headerRowIndex },
+      sheets: [{ name: options.sheetName, headerRowIndex, mapping: options.mapping }]
     });
   }
-  
-  // Generate reports
-  const reports = await generateAllReports(
-    allResults,
-    fileSummaries,
-    uploadId,
-    headerMappings
-  );
-  
+  const sample = await readFileSample(filePath, fileName, { sampleRows: 0, ...parserOptions });
+
+  // Column -> field mapping as the parser will apply it to the previewed sheet
+  let columnMap;
+  let matchTypes = {};
+  if (options.mapping) {
+    columnMap = resolveColumnMap(sample.headers, options.mapping);
+    Object.keys(columnMap).forEach(field => { matchTypes[field] = 'confirmed'; });
+  } else {
+    ({ columnMap, matchTypes } = matchHeaders(sample.headers));
+  }
+  const fieldByColumn = {};
+  Object.entries(columnMap).forEach(([field, idx]) => {
+    if (fieldByColumn[idx] === undefined) fieldByColumn[idx] = field;
+  });
+  const columns = sample.headers.map((header, index) => ({
+    index,
+    header,
+    field: fieldByColumn[index] || null,
+    matchType: fieldByColumn[index] ? matchTypes[fieldByColumn[index]] : null
+  }));
+
+  const sampleRecords = [];
+  const rowWarnings = [];
+  const rejectReasons = {};
+  const errorSamples = [];
+  let rowsScanned = 0;
+  let acceptedCount = 0;
+  let rejectedCount = 0;
+
+  const reject = (error) => {
+    rejectedCount++;
+    const reason = error.reason || 'Unknown error';
+    rejectReasons[reason] = (rejectReasons[reason] || 0) + 1;
+    if (errorSamples.length < MAX_ERROR_SAMPLES) {
+      errorSamples.push({ fileName, ...error });
+    }
+  };
+
+  await streamFile(filePath, fileName, async ({ results, errors }) => {
+    // File-level errors (rowNumber 0) are reported but not counted as rejected rows
+    errors.forEach(error => {
+      if (error.rowNumber > 0) {
+        rowsScanned++;
+        reject(error);
+      } else if (errorSamples.length < MAX_ERROR_SAMPLES) {
+        errorSamples.push({ fileName, ...error });
+      }
+    });
+
+    rowsScanned += results.length;
+    const canonicalResult = canonicalizeRecords(results, fileName, 'preview', {
+      timezone: options.timezone,
+      country: options.country
+    });
+    canonicalResult.errors.forEach(reject);
+
+    canonicalResult.records.forEach(record => {
+      acceptedCount++;
+      if (record.normalizationWarnings && record.normalizationWarnings.length > 0) {
+        rowWarnings.push({
+          rowNumber: record.source_row_number,
+          sheetName: record.source_sheet || null,
+          warnings: record.normalizationWarnings
+        });
+      }
+      if (sampleRecords.length < PREVIEW_SAMPLE_RECORDS) {
+        const { raw_record, ...rest } = record;
+        sampleRecords.push(rest);
+      }
+    });
+  }, { batchSize: STREAM_BATCH_SIZE, mapping: options.mapping, maxRows, ...parserOptions });
+
+  const warningCounts = {};
+  rowWarnings.forEach(({ warnings }) => {
+    warnings.forEach(warning => {
+      warningCounts[warning] = (warningCounts[warning] || 0) + 1;
+    });
+  });
+
   return {
-    records: allResults,
-    errors: allErrors,
-    duplicates: allDuplicates,
-    fileSummaries,
-    reports
+    fileName,
+    timezone: options.timezone || DEFAULT_TIMEZONE,
+    country: options.country || DEFAULT_COUNTRY,
+    sheetName: sample.sheetName,
+    headerRowIndex: sample.headerRowIndex,
+    format: sample.format,
+    dialect: sample.dialect,
+    columns,
+    mapping: Object.fromEntries(Object.entries(columnMap).map(([field, idx]) => [field, sample.headers[idx]])),
+    unmappedFields: Object.keys(HEADER_MAPPINGS).filter(field => columnMap[field] === undefined),
+    rowsScanned,
+    acceptedCount,
+    rejectedCount,
+    projectedRejectRate: rowsScanned > 0 ? Math.round((rejectedCount / rowsScanned) * 10000) / 100 : 0,
+    rejectReasons,
+    warningCounts,
+    rowWarnings,
+    sampleRecords,
+    errorSamples
   };
 }
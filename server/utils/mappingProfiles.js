@@ -0,0 +1,271 @@
+/**
+ * MAPPING PROFILES
+ *
+ * Operator-specific header mapping profiles. A profile lists, for each canonical field,
+ * the header names a carrier uses in its exports. Stored profiles match headers exactly;
+ * the built-in default profile is the HEADER_MAPPINGS synonym table and keeps the
+ * substring fallback, with those matches flagged so the investigator can confirm them.
+ */
+
+import mongoose from 'mongoose';
+import MappingProfile from '../models/MappingProfile.js';
+import { HEADER_MAPPINGS, CANONICAL_FIELDS, matchHeaders } from './normalizer.js';
+import { getLayoutWidth } from './textFormats.js';
+
+const MAX_LAYOUT_COLUMNS = 200;
+
+// Furthest header row a workbook sheet can be read from (0-based)
+export const MAX_HEADER_ROW_INDEX = 1000;
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  operator: null,
+  description: 'Built-in header synonyms',
+  fields: HEADER_MAPPINGS,
+  fixedWidth: null,
+  berTagMap: null,
+  builtIn: true
+};
+
+function toProfile(doc) {
+  const fields = doc.fields instanceof Map ? Object.fromEntries(doc.fields) : (doc.fields || {});
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    operator: doc.operator || null,
+    description: doc.description || null,
+    fields,
+    fixedWidth: doc.fixedWidth || null,
+    berTagMap: doc.berTagMap || null,
+    builtIn: false,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * All profiles, built-in default first
+ */
+export async function listMappingProfiles() {
+  const docs = await MappingProfile.find().sort({ name: 1 }).lean();
+  return [DEFAULT_PROFILE, ...docs.map(toProfile)];
+}
+
+/**
+ * @returns {Promise<Object|null>} Profile, or null if the id is unknown
+ */
+export async function getMappingProfile(profileId) {
+  if (!profileId || profileId === DEFAULT_PROFILE_ID) {
+    return DEFAULT_PROFILE;
+  }
+  if (!mongoose.Types.ObjectId.isValid(profileId)) {
+    return null;
+  }
+  const doc = await MappingProfile.findById(profileId).lean();
+  return doc ? toProfile(doc) : null;
+}
+
+/**
+ * Validate profile fields from a request body
+ * @returns {{ fields: Object, invalidFields: Array }} Cleaned fields (trimmed, de-duplicated header names)
+ */
+export function sanitizeProfileFields(input) {
+  const fields = {};
+  const invalidFields = [];
+
+  for (const [field, headers] of Object.entries(input || {})) {
+    if (!CANONICAL_FIELDS.includes(field)) {
+      invalidFields.push(field);
+      continue;
+    }
+    const list = (Array.isArray(headers) ? headers : [headers])
+      .map(h => String(h || '').trim())
+      .filter(Boolean);
+    if (list.length > 0) {
+      fields[field] = [...new Set(list)];
+    }
+  }
+
+  return { fields, invalidFields };
+}
+
+/**
+ * Validate a fixed-width column layout from a request body (null clears it)
+ * @returns {{ layout: Object|null, errors: Array }} Layout with integer positions, or null
+ */
+export function sanitizeFixedWidthLayout(input) {
+  if (input === null || input === undefined) {
+    return { layout: null, errors: [] };
+  }
+  if (!Array.isArray(input.columns) || input.columns.length === 0) {
+    return { layout: null, errors: ['Fixed-width layout needs at least one column'] };
+  }
+  if (input.columns.length > MAX_LAYOUT_COLUMNS) {
+    return { layout: null, errors: [`Fixed-width layout can have at most ${MAX_LAYOUT_COLUMNS} columns`] };
+  }
+
+  const errors = [];
+  const names = new Set();
+  const columns = input.columns.map((column, index) => {
+    const name = String(column?.name || '').trim();
+    const start = Number(column?.start);
+    const length = Number(column?.length);
+    const label = name || `Column ${index + 1}`;
+    if (!name) {
+      errors.push(`Column ${index + 1} has no name`);
+    } else if (names.has(name.toLowerCase())) {
+      errors.push(`Column "${name}" appears more than once`);
+    }
+    names.add(name.toLowerCase());
+    if (!Number.isInteger(start) || start < 1) {
+      errors.push(`${label}: start must be a position from 1`);
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      errors.push(`${label}: length must be a positive integer`);
+    }
+    return { name, start, length };
+  });
+
+  const skipLines = input.skipLines === undefined || input.skipLines === null ? 0 : Number(input.skipLines);
+  if (!Number.isInteger(skipLines) || skipLines < 0) {
+    errors.push('skipLines must be zero or a positive integer');
+  }
+
+  return errors.length > 0
+    ? { layout: null, errors }
+    : { layout: { skipLines, columns }, errors };
+}
+
+/**
+ * Pick the profile whose fixed-width layout is closest to a file's line length
+ * @returns {Object|null} Profile, or null when no profile has a layout
+ */
+export function suggestLayoutProfile(lineLength, profiles) {
+  let best = null;
+  for (const profile of profiles) {
+    if (!profile.fixedWidth) continue;
+    const distance = Math.abs(getLayoutWidth(profile.fixedWidth) - lineLength);
+    if (!best || distance < best.distance) {
+      best = { profile, distance };
+    }
+  }
+  return best ? best.profile : null;
+}
+
+/**
+ * Map a file's headers with one profile
+ * @returns {Object} { mapping: { field: header|null }, matchTypes: { field: 'exact'|'partial' } }
+ */
+export function applyMappingProfile(headers, profile) {
+  const { columnMap, matchTypes } = matchHeaders(headers, profile.fields, { allowPartial: !!profile.builtIn });
+
+  const mapping = {};
+  CANONICAL_FIELDS.forEach(field => {
+    mapping[field] = columnMap[field] !== undefined ? headers[columnMap[field]] : null;
+  });
+
+  return { mapping, matchTypes };
+}
+
+/**
+ * Pick the profile whose header names exactly match the most columns.
+ * Operator profiles win ties with the default, since they are more specific.
+ * @returns {Object} { profile, matchedFields }
+ */
+export function suggestMappingProfile(headers, profiles) {
+  const candidates = [
+    ...profiles.filter(p => !p.builtIn),
+    ...profiles.filter(p => p.builtIn)
+  ];
+
+  let best = null;
+  for (const profile of candidates) {
+    const { columnMap } = matchHeaders(headers, profile.fields, { allowPartial: false });
+    const matchedFields = Object.keys(columnMap).length;
+    if (!best || matchedFields > best.matchedFields) {
+      best = { profile, matchedFields };
+    }
+  }
+
+  return best || { profile: DEFAULT_PROFILE, matchedFields: 0 };
+}
+
+/**
+ * Check a confirmed mapping from the wizard: known canonical fields only, headers must exist in the file
+ * @returns {{ mapping: Object, errors: Array }}
+ */
+export function sanitizeConfirmedMapping(input, headers = null) {
+  const mapping = {};
+  const errors = [];
+  const headerSet = headers ? new Set(headers.map(h => String(h || '').toLowerCase().trim())) : null;
+
+  for (const [field, header] of Object.entries(input || {})) {
+    if (!CANONICAL_FIELDS.includes(field)) {
+      errors.push(`Unknown field "${field}"`);
+      continue;
+    }
+    if (header === null || header === undefined || header === '') {
+      mapping[field] = null;
+      continue;
+    }
+    if (headerSet && !headerSet.has(String(header).toLowerCase().trim())) {
+      errors.push(`Column "${header}" not found for field "${field}"`);
+      continue;
+    }
+    mapping[field] = String(header);
+  }
+
+  return { mapping, errors };
+}
+
+/**
+ * Header row index from a request: null when not given, NaN when it is not usable
+ */
+export function parseHeaderRowIndex(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 && index <= MAX_HEADER_ROW_INDEX ? index : NaN;
+}
+
+/**
+ * Check the workbook sheets chosen for ingestion in the wizard. Each sheet carries its own
+ * confirmed mapping; sheets left out of the list are not read.
+ * @param {Array} input - [{ name, headerRowIndex, mapping, mappingProfileId }]
+ * @returns {{ sheets: Array, errors: Array }} sheets keep mappingProfileId for the caller to resolve
+ */
+export function sanitizeSheetSelection(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { sheets: [], errors: ['Select at least one sheet'] };
+  }
+
+  const errors = [];
+  const names = new Set();
+  const sheets = input.map((sheet, index) => {
+    const name = typeof sheet?.name === 'string' ? sheet.name : '';
+    const label = name ? `Sheet "${name}"` : `Sheet ${index + 1}`;
+    if (!name) {
+      errors.push(`${label} has no name`);
+    } else if (names.has(name)) {
+      errors.push(`${label} is listed more than once`);
+    }
+    names.add(name);
+
+    const headerRowIndex = parseHeaderRowIndex(sheet?.headerRowIndex);
+    if (Number.isNaN(headerRowIndex)) {
+      errors.push(`${label}: headerRowIndex must be an integer from 0 to ${MAX_HEADER_ROW_INDEX}`);
+    }
+
+    const { mapping, errors: mappingErrors } = sanitizeConfirmedMapping(sheet?.mapping);
+    mappingErrors.forEach(error => errors.push(`${label}: ${error}`));
+    if (!mapping.startTime || (!mapping.aParty && !mapping.bParty)) {
+      errors.push(`${label}: mapping must include startTime and at least one of aParty or bParty`);
+    }
+
+    return { name, headerRowIndex, mapping, mappingProfileId: sheet?.mappingProfileId || null };
+  });
+
+  return { sheets, errors };
+}
@@ -0,0 +1,288 @@
+/**
+ * NEAR-DUPLICATE REVIEW
+ *
+ * Finds records of an upload that look like the same event but fall outside the exact
+ * deduplication tolerance (deduplication.detectNearDuplicates), and applies the analyst's
+ * merge / keep-separate decisions. Decisions are stored against the records' content
+ * fingerprints rather than their record IDs, so re-ingesting the upload re-applies them. Merges
+ * also apply to the other uploads of the upload's case, where the same evidence ingested again as
+ * a new upload lands.
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import EventCanonical from '../models/EventCanonical.js';
+import Upload from '../models/Upload.js';
+import DuplicateDecision from '../models/DuplicateDecision.js';
+import { detectNearDuplicates, generateFingerprint } from './deduplication.js';
+import { enrichStoredRecords, mergeStoredRecords } from './uploadFinalizer.js';
+import { scopeEventFilters } from './uploadSession.js';
+
+export const DEFAULT_TOLERANCE_SECONDS = 5;
+export const MAX_TOLERANCE_SECONDS = 300;
+export const DEFAULT_CLUSTER_LIMIT = 200;
+export const MAX_CLUSTER_LIMIT = 1000;
+
+// Fields shown side by side for the members of a cluster
+const COMPARED_FIELDS = [
+  'timestamp_utc',
+  'caller_number',
+  'receiver_number',
+  'direction',
+  'call_duration_seconds',
+  'cell_id',
+  'imei',
+  'imsi',
+  'latitude',
+  'longitude',
+  'service_provider',
+  'source_file'
+];
+
+const RECORD_FIELDS = [
+  'record_id', 'uploadId', 'contact_pair_key', 'event_type', 'source_sheet', 'source_row_number', 'sources',
+  ...COMPARED_FIELDS
+].join(' ');
+
+/**
+ * Stable identifier of a cluster: the same records produce the same key after re-ingestion
+ */
+export function getClusterKey(records) {
+  const fingerprints = records.map(generateFingerprint).sort();
+  return crypto.createHash('sha256').update(fingerprints.join('|')).digest('hex');
+}
+
+function comparableValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Compared fields whose values are not the same across the cluster
+ */
+function getFieldDifferences(records) {
+  return COMPARED_FIELDS
+    .map(field => ({ field, values: records.map(record => comparableValue(record[field])) }))
+    .filter(({ values }) => new Set(values.map(value => JSON.stringify(value))).size > 1);
+}
+
+/**
+ * Chain the consecutive near-duplicate pairs of one contact pair into clusters
+ */
+function buildClusters(group, toleranceSeconds) {
+  const recordsById = new Map(group.map(record => [record.record_id, record]));
+  const clusters = [];
+  let current = null;
+
+  detectNearDuplicates(group, toleranceSeconds).forEach(pair => {
+    if (current && current[current.length - 1] === pair.record1_id) {
+      current.push(pair.record2_id);
+    } else {
+      current = [pair.record1_id, pair.record2_id];
+      clusters.push(current);
+    }
+  });
+
+  return clusters.map(ids => ids.map(id => recordsById.get(id)));
+}
+
+function toClusterResponse(records, decision) {
+  const times = records.map(record => new Date(record.timestamp_utc).getTime());
+  return {
+    clusterKey: getClusterKey(records),
+    contactPairKey: records[0].contact_pair_key,
+    eventType: records[0].event_type,
+    spanSeconds: (Math.max(...times) - Math.min(...times)) / 1000,
+    records: records.map(record => ({
+      record_id: record.record_id,
+      timestamp_utc: record.timestamp_utc,
+      caller_number: record.caller_number,
+      receiver_number: record.receiver_number,
+      direction: record.direction,
+      call_duration_seconds: record.call_duration_seconds,
+      cell_id: record.cell_id || null,
+      imei: record.imei || null,
+      imsi: record.imsi || null,
+      source_file: record.source_file,
+      source_row_number: record.source_row_number || null
+    })),
+    differences: getFieldDifferences(records),
+    decision: decision
+      ? { decisionId: decision.decisionId, decision: decision.decision, note: decision.note, decidedAt: decision.decidedAt }
+      : null
+  };
+}
+
+/**
+ * Near-duplicate clusters of an upload, with any decision already recorded for them
+ * @param {string} uploadId
+ * @param {Object} options - { toleranceSeconds, limit, pendingOnly }
+ * @returns {Promise<Object>} { clusters, totalClusters, pendingClusters }; clusters is capped at limit
+ */
+export async function findNearDuplicateClusters(uploadId, options = {}) {
+  const toleranceSeconds = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const limit = options.limit ?? DEFAULT_CLUSTER_LIMIT;
+
+  const decisions = await DuplicateDecision.find({ uploadId }).lean();
+  const decisionsByKey = new Map(decisions.map(decision => [decision.clusterKey, decision]));
+
+  // Records staged by a running job are not the upload's yet, and a copy of an event stored in
+  // another upload of the case is already hidden behind that upload's record
+  const { filter } = await scopeEventFilters([uploadId]);
+  const cursor = EventCanonical.find({ ...filter, is_duplicate: { $ne: true }, contact_pair_key: { $nin: [null, ''] } })
+    .select(RECORD_FIELDS)
+    .sort({ contact_pair_key: 1, timestamp_utc: 1, _id: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  const clusters = [];
+  let totalClusters = 0;
+  let pendingClusters = 0;
+  let group = [];
+  let groupKey = null;
+
+  const flushGroup = () => {
+    if (group.length > 1) {
+      buildClusters(group, toleranceSeconds).forEach(records => {
+        const decision = decisionsByKey.get(getClusterKey(records)) || null;
+        totalClusters++;
+        if (!decision) pendingClusters++;
+        if (options.pendingOnly && decision) return;
+        if (clusters.length < limit) {
+          clusters.push(toClusterResponse(records, decision));
+        }
+      });
+    }
+    group = [];
+  };
+
+  for await (const record of cursor) {
+    if (record.contact_pair_key !== groupKey) {
+      flushGroup();
+      groupKey = record.contact_pair_key;
+    }
+    group.push(record);
+  }
+  flushGroup();
+
+  return { clusters, totalClusters, pendingClusters };
+}
+
+/**
+ * Merge the records of a cluster and re-enrich their contact pair against the upload's time range
+ */
+async function mergeCluster(uploadId, records) {
+  const result = await mergeStoredRecords(records);
+  await enrichStoredRecords(
+    { uploadId, contact_pair_key: records[0].contact_pair_key },
+    { rangeFilter: { uploadId } }
+  );
+  return result;
+}
+
+/**
+ * Record an analyst's decision on a cluster; 'merge' also merges the records now
+ * @param {string} uploadId
+ * @param {Array<string>} recordIds - record_id of every record in the cluster
+ * @param {Object} options - { decision: 'merge' | 'separate', note }
+ * @returns {Promise<Object>} { decision, merge } or { error, status } when the records do not form a cluster
+ */
+export async function decideCluster(uploadId, recordIds, options) {
+  const records = await EventCanonical.find({ uploadId, record_id: { $in: recordIds } })
+    .select(RECORD_FIELDS)
+    .lean();
+
+  if (records.length !== new Set(recordIds).size) {
+    return { status: 404, error: 'Some records were not found in this upload (already merged?)' };
+  }
+  if (records.length < 2) {
+    return { status: 400, error: 'A cluster needs at least two records' };
+  }
+  if (new Set(records.map(record => record.contact_pair_key)).size > 1) {
+    return { status: 400, error: 'Records of a cluster must share a contact pair' };
+  }
+
+  const times = records.map(record => new Date(record.timestamp_utc).getTime());
+  const decision = await DuplicateDecision.findOneAndUpdate(
+    { uploadId, clusterKey: getClusterKey(records) },
+    {
+      $set: {
+        decision: options.decision,
+        fingerprints: records.map(generateFingerprint),
+        contact_pair_key: records[0].contact_pair_key,
+        firstTimestamp: new Date(Math.min(...times)),
+        lastTimestamp: new Date(Math.max(...times)),
+        note: options.note || null,
+        decidedAt: new Date()
+      },
+      $setOnInsert: { decisionId: uuidv4() }
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+
+  const merge = options.decision === 'merge' ? await mergeCluster(uploadId, records) : null;
+  return { decision, merge };
+}
+
+/**
+ * Uploads whose merge decisions apply to an upload: itself and the other uploads of its case
+ */
+async function getDecisionUploadIds(uploadId) {
+  const upload = await Upload.findOne({ uploadId }).select('caseId').lean();
+  if (!upload?.caseId) {
+    return [uploadId];
+  }
+  const caseUploadIds = await Upload.distinct('uploadId', { caseId: upload.caseId });
+  return [...new Set([uploadId, ...caseUploadIds])];
+}
+
+/**
+ * Re-apply stored merge decisions after an upload's records were (re-)ingested: the upload's own,
+ * and those made in other uploads of its case. Records are found again by fingerprint within the
+ * cluster's time span; enrichment is left to the caller.
+ * @param {string} uploadId
+ * @param {Object} options - { jobId } only consider records inserted by that job
+ * @returns {Promise<Object>} { decisionsApplied, recordsRemoved }
+ */
+export async function applyMergeDecisions(uploadId, options = {}) {
+  const uploadIds = await getDecisionUploadIds(uploadId);
+  const decisions = await DuplicateDecision.find({ uploadId: { $in: uploadIds }, decision: 'merge' }).lean();
+  const appliedClusters = new Set();
+  let decisionsApplied = 0;
+  let recordsRemoved = 0;
+
+  for (const decision of decisions) {
+    // The same cluster may have been merged in several uploads of the case
+    if (appliedClusters.has(decision.clusterKey)) continue;
+    appliedClusters.add(decision.clusterKey);
+
+    // Fingerprints bucket timestamps to the second, so allow a second either side
+    const candidates = await EventCanonical.find({
+      uploadId,
+      ...(options.jobId ? { ingestionJobId: options.jobId } : {}),
+      contact_pair_key: decision.contact_pair_key,
+      timestamp_utc: {
+        $gte: new Date(decision.firstTimestamp.getTime() - 1000),
+        $lte: new Date(decision.lastTimestamp.getTime() + 1000)
+      }
+    }).select(RECORD_FIELDS).lean();
+
+    const wanted = new Set(decision.fingerprints);
+    const matched = candidates.filter(record => {
+      const fingerprint = generateFingerprint(record);
+      if (!wanted.has(fingerprint)) return false;
+      wanted.delete(fingerprint);
+      return true;
+    });
+
+    if (matched.length > 1) {
+      const result = await mergeStoredRecords(matched);
+      decisionsApplied++;
+      recordsRemoved += result.removedCount;
+    }
+  }
+
+  return { decisionsApplied, recordsRemoved };
+}
@@ -64,15 +64,22 @@ export function findHeaderRow(rows, maxScan = 30) {
   return bestRow;
 }
 
+// Canonical fields a column can be mapped to (the keys normalizeRow reads)
+export const CANONICAL_FIELDS = Object.keys(HEADER_MAPPINGS);
+
 /**
- * Normalize header names to canonical keys
- * Prioritizes exact matches over partial matches
+ * Match headers against a synonym table ({ canonicalField: [header names] })
+ * Exact matches (case-insensitive) win; substring matches are only tried when allowPartial is set.
+ * @returns {{ columnMap: Object, matchTypes: Object }} Column index and 'exact' | 'partial' per canonical field
  */
-export function normalizeHeaders(headers) {
+export function matchHeaders(headers, synonymTable = HEADER_MAPPINGS, { allowPartial = true } = {}) {
   const normalized = {};
+  const matchTypes = {};
   const headerLower = headers.map(h => String(h || '').toLowerCase().trim());
 
-  for (const [canonical, synonyms] of Object.entries(HEADER_MAPPINGS)) {
+  for (const [canonical, synonyms] of Object.entries(synonymTable)) {
+    if (!Array.isArray(synonyms) || synonyms.length === 0) continue;
+
     // First pass: look for exact matches (case-insensitive)
     let found = false;
     for (let i = 0; i < headers.length && !found; i++) {
@@ -80,36 +87,69 @@ export function normalizeHeaders(headers) {
       if (!header) continue;
 
       // Check for exact match first (highest priority)
-      const exactMatch = synonyms.some(syn => header === syn.toLowerCase().trim());
+      const exactMatch = synonyms.some(syn => header === String(syn).toLowerCase().trim());
       if (exactMatch) {
         normalized[canonical] = i;
+        matchTypes[canonical] = 'exact';
         found = true;
         break;
       }
     }
 
-    if (!found) {
+    if (!found && allowPartial) {
       for (let i = 0; i < headers.length; i++) {
         const header = headerLower[i];
         if (!header) continue;
 
         // Check if header matches any synonym (partial match)
         const matches = synonyms.some(syn => 
-          header.includes(syn.toLowerCase()) ||
-          syn.toLowerCase().includes(header)
+          header.includes(String(syn).toLowerCase()) ||
+          String(syn).toLowerCase().includes(header)
         );
 
         if (matches && !normalized[canonical]) {
           normalized[canonical] = i;
+          matchTypes[canonical] = 'partial';
           break;
         }
       }
     }
   }
 
-  return normalized;
+  return { columnMap: normalized, matchTypes };
+}
+
+/**
+ * Normalize header names to canonical keys
+ * Prioritizes exact matches over partial matches
+ */
+export function normalizeHeaders(headers) {
+  return matchHeaders(headers).columnMap;
+}
+
+/**
+ * Build a column map from a confirmed mapping of canonical field -> header name.
+ * Only the listed headers are used (no synonym or fuzzy fallback); fields that are
+ * null or whose header is absent from this sheet stay unmapped.
+ */
+export function resolveColumnMap(headers, mapping) {
+  const columnMap = {};
+  const headerLower = headers.map(h => String(h || '').toLowerCase().trim());
+
+  for (const [canonical, headerName] of Object.entries(mapping || {})) {
+    if (!headerName) continue;
+    const idx = headerLower.indexOf(String(headerName).toLowerCase().trim());
+    if (idx >= 0) {
+      columnMap[canonical] = idx;
+    }
+  }
+
+  return columnMap;
 }
 
+// A number in scientific notation; spreadsheets write the exponent's sign ("E+11"), some exports leave it out ("E11")
+const SCIENTIFIC_NOTATION = /^\d+(\.\d+)?e[+-]?\d+$/i;
+
 /**
  * Normalize phone number
  * Prevents scientific notation and ensures string format
@@ -120,8 +160,8 @@ export function normalizePhone(value) {
   // Convert to string first, handling numbers that might be in scientific notation
   let phone = String(value).trim();
   
-  // Check for scientific notation (e.g., 9.23838E+11)
-  if (phone.includes('e+') || phone.includes('E+') || phone.includes('e-') || phone.includes('E-')) {
+  // Check for scientific notation (e.g., 9.23838E+11, or 9.23838E11 as some exports write it)
+  if (SCIENTIFIC_NOTATION.test(phone)) {
     // Try to convert from scientific notation
     const num = parseFloat(phone);
     if (!isNaN(num)) {
@@ -145,6 +185,14 @@ export function normalizePhone(value) {
   return phone || null;
 }
 
+/**
+ * Cell value as trimmed text (null when empty), without any phone clean-up
+ */
+function toRawString(value) {
+  if (value === null || value === undefined) return null;
+  return String(value).trim() || null;
+}
+
 /**
  * Parse date from various formats including Excel serial dates
  * Handles: Date objects, Excel serial numbers (with time), DD/MM/YYYY and MM/DD/YYYY strings
@@ -410,9 +458,10 @@ export function parseDirection(value) {
 
 /**
  * Normalize a single row to canonical schema
+ * @param {Object} columnMap - Optional confirmed column map (see resolveColumnMap); detected from headers when omitted
  */
-export function normalizeRow(row, headers, source) {
-  const normalized = normalizeHeaders(headers);
+export function normalizeRow(row, headers, source, columnMap = null) {
+  const normalized = columnMap || normalizeHeaders(headers);
   const result = {
     eventType: 'CALL',
     direction: 'UNKNOWN',
@@ -457,6 +506,9 @@ export function normalizeRow(row, headers, source) {
   // Parse aParty and bParty (at least one required)
   result.aParty = normalizePhone(getValue('aParty'));
   result.bParty = normalizePhone(getValue('bParty'));
+  // Original cell text, kept so canonical records can show what the operator actually sent
+  result.aPartyRaw = toRawString(getValue('aParty'));
+  result.bPartyRaw = toRawString(getValue('bParty'));
   if (!result.aParty && !result.bParty) {
     return { error: 'Missing both aParty and bParty' };
   }
@@ -522,8 +574,8 @@ export function normalizeRow(row, headers, source) {
   // Parse site with priority: exact "Site" column first, then other synonyms
   let siteValue = null;
   
-  // Priority 1: Check for exact "Site" column (case-insensitive)
-  const siteHeaderIdx = headers.findIndex(h => String(h || '').trim().toLowerCase() === 'site');
+  // Priority 1: Check for exact "Site" column (case-insensitive), unless the mapping was confirmed
+  const siteHeaderIdx = columnMap ? -1 : headers.findIndex(h => String(h || '').trim().toLowerCase() === 'site');
   if (siteHeaderIdx >= 0 && siteHeaderIdx < row.length) {
     const exactSiteValue = row[siteHeaderIdx];
     if (exactSiteValue && String(exactSiteValue).trim()) {
@@ -584,11 +636,11 @@ export function normalizeRow(row, headers, source) {
   // Data quality warnings
   const warnings = [];
   
-  // Check for short codes (common in SMS)
-  if (result.aParty && result.aParty.length < 8) {
+  // Check for short codes (common in SMS); alphanumeric sender IDs are classified by the numbering plan
+  if (result.aParty && result.aParty.length < 8 && /^\+?\d+$/.test(result.aParty)) {
     warnings.push('aParty_short_code');
   }
-  if (result.bParty && result.bParty.length < 8) {
+  if (result.bParty && result.bParty.length < 8 && /^\+?\d+$/.test(result.bParty)) {
     warnings.push('bParty_short_code');
   }
   
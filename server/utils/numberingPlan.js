@@ -0,0 +1,239 @@
+/**
+ * NUMBERING PLAN
+ *
+ * Canonicalizes phone numbers to E.164 using country-specific dialing rules, so that
+ * "03001234567", "923001234567" and "+92 300 1234567" resolve to the same party.
+ * Values that do not identify a subscriber (short codes, service numbers and alphanumeric
+ * SMS sender IDs) are classified separately so analytics can leave them out.
+ *
+ * Plans are plain data: supporting another country only needs a new entry in NUMBERING_PLANS.
+ */
+
+import { normalizePhone } from './normalizer.js';
+
+// Country assumed for national-format numbers when an upload does not specify one
+export const DEFAULT_COUNTRY = 'PK';
+
+export const NUMBER_CLASSES = ['subscriber', 'short_code', 'service', 'alphanumeric', 'unknown'];
+
+// Classes that never belong to a person; kept out of contact graphs and anomaly subjects
+export const NON_SUBSCRIBER_CLASSES = ['short_code', 'service', 'alphanumeric'];
+
+/**
+ * Per-country dialing rules (keyed by ISO 3166-1 alpha-2 code)
+ * - countryCode: E.164 country calling code
+ * - trunkPrefix: digit(s) dialed before a national number domestically (null if none)
+ * - nationalLengths: valid subscriber number lengths after the trunk prefix
+ * - servicePatterns: national numbers that are toll-free, premium or shared-cost lines
+ * - maxShortCodeLength: digit-only values up to this length are short codes
+ */
+const NUMBERING_PLANS = {
+  PK: {
+    name: 'Pakistan',
+    countryCode: '92',
+    trunkPrefix: '0',
+    nationalLengths: [9, 10],
+    // 0800 toll-free, 0900 premium, 111 UAN
+    servicePatterns: [/^800\d{5}$/, /^900\d{5}$/, /^111\d{6}$/],
+    maxShortCodeLength: 6
+  },
+  AE: {
+    name: 'United Arab Emirates',
+    countryCode: '971',
+    trunkPrefix: '0',
+    nationalLengths: [8, 9],
+    // 800 toll-free, 600 shared-cost
+    servicePatterns: [/^800\d{3,7}$/, /^600\d{6}$/],
+    maxShortCodeLength: 5
+  },
+  SA: {
+    name: 'Saudi Arabia',
+    countryCode: '966',
+    trunkPrefix: '0',
+    nationalLengths: [9],
+    // 800 toll-free, 9200 unified numbers
+    servicePatterns: [/^800\d{7}$/, /^9200\d{5}$/],
+    maxShortCodeLength: 5
+  },
+  QA: {
+    name: 'Qatar',
+    countryCode: '974',
+    trunkPrefix: null,
+    nationalLengths: [8],
+    servicePatterns: [/^800\d{4}$/],
+    maxShortCodeLength: 5
+  },
+  KW: {
+    name: 'Kuwait',
+    countryCode: '965',
+    trunkPrefix: null,
+    nationalLengths: [8],
+    servicePatterns: [/^1800\d{3}$/],
+    maxShortCodeLength: 5
+  },
+  BH: {
+    name: 'Bahrain',
+    countryCode: '973',
+    trunkPrefix: null,
+    nationalLengths: [8],
+    servicePatterns: [/^80\d{6}$/, /^90\d{6}$/],
+    maxShortCodeLength: 5
+  },
+  OM: {
+    name: 'Oman',
+    countryCode: '968',
+    trunkPrefix: null,
+    nationalLengths: [8],
+    servicePatterns: [/^800\d{5}$/, /^900\d{5}$/],
+    maxShortCodeLength: 5
+  },
+  GB: {
+    name: 'United Kingdom',
+    countryCode: '44',
+    trunkPrefix: '0',
+    nationalLengths: [9, 10],
+    // 0800/0808 freephone, 087 and 09 premium rate
+    servicePatterns: [/^80[08]\d{6,7}$/, /^87\d{8}$/, /^9\d{9}$/],
+    maxShortCodeLength: 6
+  }
+};
+
+// E.164 allows at most 15 digits including the country code
+const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+export function isSupportedCountry(country) {
+  return typeof country === 'string' && Object.prototype.hasOwnProperty.call(NUMBERING_PLANS, country);
+}
+
+function getPlan(country) {
+  return NUMBERING_PLANS[country] || NUMBERING_PLANS[DEFAULT_COUNTRY];
+}
+
+/**
+ * Plan whose country code prefixes the digits and leaves a valid national number
+ */
+function findPlanByCountryCode(digits) {
+  return Object.values(NUMBERING_PLANS).find(plan =>
+    digits.startsWith(plan.countryCode) &&
+    plan.nationalLengths.includes(digits.length - plan.countryCode.length)
+  ) || null;
+}
+
+function isServiceNumber(plan, national) {
+  return plan.servicePatterns.some(pattern => pattern.test(national));
+}
+
+/**
+ * Strip the country code or trunk prefix from a number dialed in national or
+ * international-without-plus format
+ * @returns {string|null} National significant number, or null if the digits do not fit the plan
+ */
+function toNationalNumber(digits, plan) {
+  const afterCountryCode = digits.slice(plan.countryCode.length);
+  if (digits.startsWith(plan.countryCode) && plan.nationalLengths.includes(afterCountryCode.length)) {
+    return afterCountryCode;
+  }
+  if (plan.trunkPrefix && digits.startsWith(plan.trunkPrefix)) {
+    const afterTrunk = digits.slice(plan.trunkPrefix.length);
+    if (plan.nationalLengths.includes(afterTrunk.length)) return afterTrunk;
+  }
+  if (plan.nationalLengths.includes(digits.length)) {
+    return digits;
+  }
+  return null;
+}
+
+/**
+ * Canonicalize a phone number or sender ID
+ *
+ * - Subscriber numbers become E.164 ("+923001234567")
+ * - Service numbers (toll-free, premium, UAN) are also written in E.164 when they fit the plan
+ * - Short codes keep their digits ("8558"); alphanumeric sender IDs are upper-cased ("JAZZ")
+ * - Anything that cannot be placed in the plan keeps its digits and is classed 'unknown'
+ *
+ * @param {*} value - Cell value as parsed from the source file
+ * @param {string} country - ISO country code of the numbering plan for national-format numbers
+ * @returns {Object} { number, raw, numberClass } (all null when the value is empty)
+ */
+export function canonicalizeNumber(value, country = DEFAULT_COUNTRY) {
+  const raw = value === null || value === undefined ? '' : String(value).trim();
+  if (!raw) {
+    return { number: null, raw: null, numberClass: null };
+  }
+
+  // normalizePhone undoes scientific notation and "x.0" artefacts from spreadsheets
+  const cleaned = (normalizePhone(value) || '').replace(/[().\/]/g, '');
+
+  if (/[a-z]/i.test(cleaned)) {
+    return { number: cleaned.toUpperCase(), raw, numberClass: 'alphanumeric' };
+  }
+
+  // "+" and the "00" international access prefix both mean the country code follows
+  const international = cleaned.startsWith('+') || cleaned.startsWith('00');
+  let digits = cleaned.replace(/\D/g, '');
+  if (cleaned.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+  if (!digits) {
+    return { number: cleaned || raw, raw, numberClass: 'unknown' };
+  }
+
+  const plan = getPlan(country);
+
+  if (international) {
+    if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+      return { number: `+${digits}`, raw, numberClass: 'unknown' };
+    }
+    const knownPlan = findPlanByCountryCode(digits);
+    const national = knownPlan ? digits.slice(knownPlan.countryCode.length) : null;
+    const numberClass = knownPlan && isServiceNumber(knownPlan, national) ? 'service' : 'subscriber';
+    return { number: `+${digits}`, raw, numberClass };
+  }
+
+  if (digits.length <= plan.maxShortCodeLength) {
+    return { number: digits, raw, numberClass: 'short_code' };
+  }
+
+  // Service numbers are often dialed without the trunk prefix (e.g. UAN 111-xxx-xxx)
+  const nationalDigits = plan.trunkPrefix && digits.startsWith(plan.trunkPrefix)
+    ? digits.slice(plan.trunkPrefix.length)
+    : digits;
+  if (isServiceNumber(plan, nationalDigits)) {
+    return { number: `+${plan.countryCode}${nationalDigits}`, raw, numberClass: 'service' };
+  }
+
+  const national = toNationalNumber(digits, plan);
+  if (national) {
+    return { number: `+${plan.countryCode}${national}`, raw, numberClass: 'subscriber' };
+  }
+
+  // Foreign numbers recorded with their country code but without "+" or "00"
+  const foreignPlan = findPlanByCountryCode(digits);
+  if (foreignPlan) {
+    const foreignNational = digits.slice(foreignPlan.countryCode.length);
+    const numberClass = isServiceNumber(foreignPlan, foreignNational) ? 'service' : 'subscriber';
+    return { number: `+${digits}`, raw, numberClass };
+  }
+
+  return { number: digits, raw, numberClass: 'unknown' };
+}
+
+/**
+ * Regex-safe search term for a user-typed (possibly partial) number. Full numbers are matched in
+ * their canonical form; partial input drops formatting and the trunk prefix so that "0300123"
+ * still matches "+92300123...".
+ */
+export function toNumberSearchPattern(input, country = DEFAULT_COUNTRY) {
+  const { number, numberClass } = canonicalizeNumber(input, country);
+  if (!number) return null;
+
+  let term = number;
+  if (numberClass === 'unknown' || numberClass === 'short_code') {
+    const plan = getPlan(country);
+    term = plan.trunkPrefix && number.startsWith(plan.trunkPrefix)
+      ? number.slice(plan.trunkPrefix.length)
+      : number;
+  }
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
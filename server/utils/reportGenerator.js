@@ -5,16 +5,23 @@
  * These reports are critical for understanding data correctness and analytics readiness.
  */
 
-import { generateQualitySummary } from './dataQuality.js';
+import { generateQualitySummary, createQualitySummaryAccumulator } from './dataQuality.js';
+
+const COMPLETENESS_FIELDS = [
+  'timestamp_utc', 'caller_number', 'receiver_number', 'direction',
+  'event_type', 'call_duration_seconds', 'latitude', 'longitude',
+  'cell_id', 'imei', 'imsi', 'service_provider'
+];
 
 /**
- * Generate normalization report
+ * Incremental normalization report for records that arrive in batches
+ * @returns {{ add: Function, finalize: Function }}
  */
-export function generateNormalizationReport(records, uploadId) {
+export function createNormalizationAccumulator(uploadId) {
   const report = {
     uploadId: uploadId,
-    generatedAt: new Date().toISOString(),
-    totalRecords: records.length,
+    generatedAt: null,
+    totalRecords: 0,
     normalizationStats: {
       recordsWithWarnings: 0,
       recordsWithoutWarnings: 0,
@@ -27,58 +34,76 @@ export function generateNormalizationReport(records, uploadId) {
       low: 0
     }
   };
+  const nonNullCounts = Object.fromEntries(COMPLETENESS_FIELDS.map(field => [field, 0]));
   
-  // Analyze normalization warnings
-  records.forEach(record => {
-    if (record.normalizationWarnings && record.normalizationWarnings.length > 0) {
-      report.normalizationStats.recordsWithWarnings++;
+  const add = (records) => {
+    report.totalRecords += records.length;
+
+    records.forEach(record => {
+      // Analyze normalization warnings
+      if (record.normalizationWarnings && record.normalizationWarnings.length > 0) {
+        report.normalizationStats.recordsWithWarnings++;
+        
+        record.normalizationWarnings.forEach(warning => {
+          report.normalizationStats.warningTypes[warning] = 
+            (report.normalizationStats.warningTypes[warning] || 0) + 1;
+        });
+      } else {
+        report.normalizationStats.recordsWithoutWarnings++;
+      }
       
-      record.normalizationWarnings.forEach(warning => {
-        report.normalizationStats.warningTypes[warning] = 
-          (report.normalizationStats.warningTypes[warning] || 0) + 1;
+      // Field completeness
+      COMPLETENESS_FIELDS.forEach(field => {
+        if (record[field] !== null && record[field] !== undefined) {
+          nonNullCounts[field]++;
+        }
       });
-    } else {
-      report.normalizationStats.recordsWithoutWarnings++;
-    }
-  });
+      
+      // Confidence distribution (if available)
+      // This would be populated if we run validation
+      // For now, we'll calculate it here
+      const hasWarnings = record.normalizationWarnings && record.normalizationWarnings.length > 0;
+      const hasMissingFields = !record.timestamp_utc || (!record.caller_number && !record.receiver_number);
+      
+      if (!hasWarnings && !hasMissingFields) {
+        report.confidenceDistribution.high++;
+      } else if (hasWarnings && !hasMissingFields) {
+        report.confidenceDistribution.medium++;
+      } else {
+        report.confidenceDistribution.low++;
+      }
+    });
+  };
   
-  // Field completeness
-  const fields = [
-    'timestamp_utc', 'caller_number', 'receiver_number', 'direction',
-    'event_type', 'call_duration_seconds', 'latitude', 'longitude',
-    'cell_id', 'imei', 'imsi', 'service_provider'
-  ];
-  
-  fields.forEach(field => {
-    const nonNullCount = records.filter(r => r[field] !== null && r[field] !== undefined).length;
-    const percentage = records.length > 0 
-      ? ((nonNullCount / records.length) * 100).toFixed(2)
-      : 0;
+  const finalize = () => {
+    report.generatedAt = new Date().toISOString();
     
-    report.fieldCompleteness[field] = {
-      nonNull: nonNullCount,
-      null: records.length - nonNullCount,
-      percentage: parseFloat(percentage)
-    };
-  });
-  
-  // Confidence distribution (if available)
-  records.forEach(record => {
-    // This would be populated if we run validation
-    // For now, we'll calculate it here
-    const hasWarnings = record.normalizationWarnings && record.normalizationWarnings.length > 0;
-    const hasMissingFields = !record.timestamp_utc || (!record.caller_number && !record.receiver_number);
+    COMPLETENESS_FIELDS.forEach(field => {
+      const nonNullCount = nonNullCounts[field];
+      const percentage = report.totalRecords > 0 
+        ? ((nonNullCount / report.totalRecords) * 100).toFixed(2)
+        : 0;
+      
+      report.fieldCompleteness[field] = {
+        nonNull: nonNullCount,
+        null: report.totalRecords - nonNullCount,
+        percentage: parseFloat(percentage)
+      };
+    });
     
-    if (!hasWarnings && !hasMissingFields) {
-      report.confidenceDistribution.high++;
-    } else if (hasWarnings && !hasMissingFields) {
-      report.confidenceDistribution.medium++;
-    } else {
-      report.confidenceDistribution.low++;
-    }
-  });
+    return report;
+  };
   
-  return report;
+  return { add, finalize };
+}
+
+/**
+ * Generate normalization report
+ */
+export function generateNormalizationReport(records, uploadId) {
+  const accumulator = createNormalizationAccumulator(uploadId);
+  accumulator.add(records);
+  return accumulator.finalize();
 }
 
 /**
@@ -102,7 +127,16 @@ export function generateSchemaMappingReport(fileSummaries, headerMappings) {
       totalRows: fileSummary.totalRows,
       inserted: fileSummary.inserted,
       skipped: fileSummary.skipped,
-      mappingDetails: 'See headerMappings for canonical mappings'
+      mappingProfile: fileSummary.mappingProfile || null,
+      sha256: fileSummary.sha256 || null,
+      format: fileSummary.format || null,
+      // Encoding and delimiter a CSV was read with, and whether each was detected or given
+      csvDialect: fileSummary.csvDialect || null,
+      // Workbook sheets that were read, each with its header row and mapping profile
+      sheets: fileSummary.sheets || null,
+      mappingDetails: fileSummary.mappingProfile
+        ? `Columns confirmed with the "${fileSummary.mappingProfile}" mapping profile`
+        : 'See headerMappings for canonical mappings'
     });
   });
   
@@ -113,11 +147,31 @@ export function generateSchemaMappingReport(fileSummaries, headerMappings) {
 }
 
 /**
- * Generate data quality summary report
+ * Generate chain-of-custody report: every source file the upload was built from, with the
+ * SHA-256 it had when received
  */
-export function generateDataQualitySummary(records, uploadId) {
-  const qualitySummary = generateQualitySummary(records);
-  
+export function generateChainOfCustodyReport(uploadRecord) {
+  return {
+    uploadId: uploadRecord.uploadId,
+    generatedAt: new Date().toISOString(),
+    hashAlgorithm: 'SHA-256',
+    files: (uploadRecord.evidence || []).map(entry => ({
+      fileName: entry.fileName,
+      sha256: entry.sha256,
+      size: entry.size,
+      receivedAt: entry.receivedAt,
+      uploadedBy: entry.uploadedBy || null,
+      jobId: entry.jobId,
+      archive: entry.archive?.sha256 ? entry.archive : null,
+      retained: !!entry.retained
+    }))
+  };
+}
+
+/**
+ * Build the data quality report (summary plus recommendations) from a quality summary
+ */
+function buildDataQualityReport(qualitySummary, uploadId) {
   const report = {
     uploadId: uploadId,
     generatedAt: new Date().toISOString(),
@@ -161,6 +215,37 @@ export function generateDataQualitySummary(records, uploadId) {
   return report;
 }
 
+/**
+ * Generate data quality summary report
+ */
+export function generateDataQualitySummary(records, uploadId) {
+  return buildDataQualityReport(generateQualitySummary(records), uploadId);
+}
+
+/**
+ * Accumulates records batch by batch and builds the same reports as generateAllReports,
+ * without holding the whole upload in memory
+ * @returns {{ add: Function, build: Function }}
+ */
+export function createReportAccumulator(uploadId) {
+  const normalization = createNormalizationAccumulator(uploadId);
+  const quality = createQualitySummaryAccumulator();
+  
+  return {
+    add(records) {
+      normalization.add(records);
+      quality.add(records);
+    },
+    build(fileSummaries, headerMappings) {
+      return {
+        normalization: normalization.finalize(),
+        schemaMapping: generateSchemaMappingReport(fileSummaries, headerMappings),
+        dataQuality: buildDataQualityReport(quality.finalize(), uploadId)
+      };
+    }
+  };
+}
+
 /**
  * Generate all reports for an upload
  * NOTE: Reports are returned in-memory only (not written to disk)
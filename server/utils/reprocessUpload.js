@@ -0,0 +1,303 @@
+/**
+ * UPLOAD REPROCESSING
+ *
+ * Rebuilds an upload's canonical records from the normalized rows kept in raw_record, so
+ * improvements to canonicalization, validation and scoring reach uploads whose original files
+ * were removed after ingestion. Header mapping is not repeated: raw_record holds the row after
+ * its columns were mapped.
+ *
+ * previewReprocess compares the rebuilt records with the stored ones without writing. The
+ * replacement itself runs as an ingestion job (mode 'reprocess'): rebuilt records are inserted
+ * next to the old ones under the job's ID, deduplicated, located and enriched on their own, and
+ * only then swapped in, so a cancelled or failed run leaves the upload as it was.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+import { canonicalizeRecords, STREAM_BATCH_SIZE } from './ingestionPipeline.js';
+import { deduplicateStoredRecords, enrichStoredRecords } from './uploadFinalizer.js';
+import { locateStoredEvents } from './cellSites.js';
+import { applyMergeDecisions } from './nearDuplicates.js';
+import { DEFAULT_TIMEZONE } from './canonicalNormalizer.js';
+import { DEFAULT_COUNTRY } from './numberingPlan.js';
+
+const MAX_DIFF_SAMPLES = 20;
+const MAX_WARNING_KINDS = 20;
+
+// Canonical fields compared between the stored and the rebuilt record. Coordinates are left out:
+// cell-only events get theirs from the locate step, which runs after the rebuild.
+export const DIFF_FIELDS = [
+  'event_type',
+  'timestamp_utc',
+  'date',
+  'hour',
+  'caller_number',
+  'receiver_number',
+  'caller_number_class',
+  'receiver_number_class',
+  'direction',
+  'call_duration_seconds',
+  'contact_pair_key',
+  'cell_id',
+  'imei',
+  'imsi',
+  'service_provider'
+];
+
+const STORED_FIELDS = [
+  'record_id', 'uploadId', 'source_file', 'source_row_number', 'source_timezone', 'sources',
+  'raw_record', 'normalizationWarnings', ...DIFF_FIELDS
+].join(' ');
+
+// Dates are serialized to strings inside raw_record
+const RAW_DATE_FIELDS = ['startTime', 'endTime', 'ingestedAt'];
+
+/**
+ * Normalized row and source metadata stored with a record, or null if it has none
+ */
+function parseRawRecord(stored) {
+  if (!stored.raw_record) return null;
+  try {
+    const { original, source } = JSON.parse(stored.raw_record);
+    if (!original) return null;
+    RAW_DATE_FIELDS.forEach(field => {
+      if (original[field]) original[field] = new Date(original[field]);
+    });
+    return { original, source: source || {} };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run a stored record's normalized row through the current canonical conversion
+ * @returns {Object} { record } or { error } when the row is now rejected; null without raw_record
+ */
+function rebuildRecord(stored, uploadRecord) {
+  const raw = parseRawRecord(stored);
+  if (!raw) return null;
+
+  const fileName = stored.source_file || raw.source.fileName || null;
+  const { records, errors } = canonicalizeRecords([raw.original], fileName, uploadRecord.uploadId, {
+    timezone: stored.source_timezone || uploadRecord.timezone || DEFAULT_TIMEZONE,
+    country: uploadRecord.country || DEFAULT_COUNTRY
+  });
+  if (errors.length > 0) {
+    return { error: errors[0] };
+  }
+
+  const record = records[0];
+  // Rows merged in by deduplication are only listed on the stored record; links across the
+  // case are rebuilt once the replacement is in place
+  const ownSources = (stored.sources || []).filter(source => !source.linked);
+  if (ownSources.length > 0) {
+    record.sources = ownSources;
+  }
+  return { record };
+}
+
+function comparableValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function countTop(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_WARNING_KINDS)
+    .map(([warning, count]) => ({ warning, count }));
+}
+
+/**
+ * Collects what reprocessing changes, record by record
+ */
+function createDiffAccumulator() {
+  const fieldChanges = Object.fromEntries(DIFF_FIELDS.map(field => [field, 0]));
+  const changeSamples = [];
+  const rejectedSamples = [];
+  const newWarnings = {};
+  const resolvedWarnings = {};
+  let recordsChecked = 0;
+  let recordsChanged = 0;
+  let rejectedRows = 0;
+  let withoutRawRecord = 0;
+
+  return {
+    add(stored, rebuilt) {
+      recordsChecked++;
+      if (!rebuilt) {
+        withoutRawRecord++;
+        return;
+      }
+      if (rebuilt.error) {
+        rejectedRows++;
+        if (rejectedSamples.length < MAX_DIFF_SAMPLES) {
+          rejectedSamples.push({ record_id: stored.record_id, ...rebuilt.error });
+        }
+        return;
+      }
+
+      const changes = DIFF_FIELDS
+        .map(field => ({
+          field,
+          before: comparableValue(stored[field]),
+          after: comparableValue(rebuilt.record[field])
+        }))
+        .filter(({ before, after }) => before !== after);
+
+      if (changes.length > 0) {
+        recordsChanged++;
+        changes.forEach(({ field }) => { fieldChanges[field]++; });
+        if (changeSamples.length < MAX_DIFF_SAMPLES) {
+          changeSamples.push({
+            record_id: stored.record_id,
+            fileName: stored.source_file || null,
+            rowNumber: stored.source_row_number || null,
+            changes
+          });
+        }
+      }
+
+      const before = new Set(stored.normalizationWarnings || []);
+      const after = new Set(rebuilt.record.normalizationWarnings || []);
+      after.forEach(warning => {
+        if (!before.has(warning)) newWarnings[warning] = (newWarnings[warning] || 0) + 1;
+      });
+      before.forEach(warning => {
+        if (!after.has(warning)) resolvedWarnings[warning] = (resolvedWarnings[warning] || 0) + 1;
+      });
+    },
+
+    build() {
+      return {
+        recordsChecked,
+        recordsChanged,
+        recordsUnchanged: recordsChecked - recordsChanged - rejectedRows - withoutRawRecord,
+        rejectedRows,
+        withoutRawRecord,
+        fieldChanges: Object.fromEntries(Object.entries(fieldChanges).filter(([, count]) => count > 0)),
+        changeSamples,
+        rejectedSamples,
+        newWarnings: countTop(newWarnings),
+        resolvedWarnings: countTop(resolvedWarnings)
+      };
+    }
+  };
+}
+
+/**
+ * Compare every stored record of an upload with what the current code would make of it
+ * @param {Object} uploadRecord - Upload document (uploadId, timezone, country)
+ * @returns {Promise<Object>} Diff summary: counts of changed, rejected and unchanged records,
+ *   per-field change counts, samples, and warnings that appear or disappear
+ */
+export async function previewReprocess(uploadRecord) {
+  const diff = createDiffAccumulator();
+  const cursor = EventCanonical.find({ uploadId: uploadRecord.uploadId })
+    .select(STORED_FIELDS)
+    .lean()
+    .cursor();
+
+  for await (const stored of cursor) {
+    diff.add(stored, rebuildRecord(stored, uploadRecord));
+  }
+
+  return diff.build();
+}
+
+/**
+ * Rebuild an upload's records and replace the stored ones (see the module comment)
+ * @param {Object} uploadRecord - Upload document (uploadId, timezone, country)
+ * @param {Object} options - { jobId, onProgress(stage, progress), beforeReplace() }
+ *   beforeReplace is awaited last thing before the old records are deleted; throwing from it
+ *   (e.g. on cancellation) leaves them in place
+ * @returns {Promise<Object>} { diff, insertedCount, duplicateCount, reviewMergedCount, replacedCount, location }
+ */
+export async function reprocessUpload(uploadRecord, options = {}) {
+  const { uploadId } = uploadRecord;
+  const { jobId } = options;
+  const report = async (stage, progress) => {
+    if (options.onProgress) {
+      await options.onProgress(stage, progress);
+    }
+  };
+
+  const previousFilter = { uploadId, ingestionJobId: { $ne: jobId } };
+  const rebuiltFilter = { uploadId, ingestionJobId: jobId };
+  const total = await EventCanonical.countDocuments(previousFilter);
+  const diff = createDiffAccumulator();
+  // Records whose raw_record cannot be read are kept as they are
+  const unreadableIds = [];
+  let batch = [];
+  let checked = 0;
+  let insertedCount = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await EventCanonical.insertMany(batch, { ordered: true });
+    insertedCount += batch.length;
+    batch = [];
+    await report('insert', { processed: insertedCount, total: 0 });
+  };
+
+  const cursor = EventCanonical.find(previousFilter)
+    .select(STORED_FIELDS)
+    .lean()
+    .cursor();
+
+  for await (const stored of cursor) {
+    const rebuilt = rebuildRecord(stored, uploadRecord);
+    diff.add(stored, rebuilt);
+    checked++;
+    if (!rebuilt && stored.raw_record) {
+      unreadableIds.push(stored._id);
+    } else if (rebuilt?.record) {
+      rebuilt.record.ingestionJobId = jobId;
+      batch.push(rebuilt.record);
+    }
+    if (batch.length >= STREAM_BATCH_SIZE) {
+      await report('canonicalize', { processed: checked, total });
+      await flush();
+    }
+  }
+  await flush();
+  await report('canonicalize', { processed: total, total, done: true });
+  await report('insert', { processed: insertedCount, total: insertedCount, done: true });
+
+  const dedupeResult = await deduplicateStoredRecords(rebuiltFilter, {
+    onProgress: ({ processed, total: dedupeTotal }) => report('dedupe', { processed, total: dedupeTotal })
+  });
+  const mergeResult = await applyMergeDecisions(uploadId, { jobId });
+  await report('dedupe', { processed: dedupeResult.processed, total: dedupeResult.processed, done: true });
+
+  const location = await locateStoredEvents(rebuiltFilter, {
+    onProgress: ({ processed, total: cells }) => report('locate', { processed, total: cells })
+  });
+  await report('locate', { processed: location.cellsChecked, total: location.cellsChecked, done: true });
+
+  // Baseline window and rolling averages span the whole upload, including any records that had
+  // no raw_record and are kept as they were
+  const enrichResult = await enrichStoredRecords(rebuiltFilter, {
+    rangeFilter: { uploadId },
+    onProgress: ({ processed, total: enrichTotal }) => report('enrich', { processed, total: enrichTotal })
+  });
+  await report('enrich', { processed: enrichResult.enrichedCount, total: enrichResult.enrichedCount, done: true });
+
+  if (options.beforeReplace) {
+    await options.beforeReplace();
+  }
+  const replaced = await EventCanonical.deleteMany({
+    ...previousFilter,
+    raw_record: { $type: 'string' },
+    _id: { $nin: unreadableIds }
+  });
+
+  return {
+    diff: diff.build(),
+    insertedCount: insertedCount - dedupeResult.duplicateCount - mergeResult.recordsRemoved,
+    duplicateCount: dedupeResult.duplicateCount,
+    reviewMergedCount: mergeResult.recordsRemoved,
+    replacedCount: replaced.deletedCount,
+    location
+  };
+}
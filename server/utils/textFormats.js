@@ -0,0 +1,150 @@
+/**
+ * TEXT CDR FORMATS
+ *
+ * Line-oriented exports from legacy switches, registered as parsers in fileParser.js:
+ * - fixed-width: every field sits at a fixed character position; the column layout comes from
+ *   the mapping profile (see mappingProfiles.sanitizeFixedWidthLayout)
+ * - key-value: one event per line as KEY=value pairs, e.g.
+ *   `CALLING=923001234567 CALLED=923007654321 START=2024-01-01 10:00:00 DUR=35`
+ *
+ * A format only turns lines into header-aligned rows; fileParser.js decodes the file, feeds the
+ * rows through normalizeRow and batches them exactly as it does for CSV.
+ */
+
+// Non-empty lines at the top of the file read before the column names are fixed
+const FIXED_WIDTH_SCAN_LINES = 30;
+const KEY_VALUE_SCAN_LINES = 200;
+
+// Share of lines that must hold key=value pairs for a file to be read as key-value
+const KEY_VALUE_LINE_SHARE = 0.8;
+const MIN_PAIRS_PER_LINE = 2;
+
+// KEY=value up to the next separator that starts another KEY= (values may contain spaces)
+const PAIR_PATTERN = /([A-Za-z_][\w.-]*)\s*=\s*(.*?)(?=[\s,;|]+[A-Za-z_][\w.-]*\s*=|$)/g;
+
+/**
+ * KEY=value pairs of one line, in order
+ * @returns {Array<Array<string>>} [[key, value], ...]
+ */
+export function parseKeyValueLine(line) {
+  const pairs = [];
+  for (const match of line.matchAll(PAIR_PATTERN)) {
+    const value = match[2].trim().replace(/[,;|]+$/, '').replace(/^"(.*)"$/, '$1');
+    pairs.push([match[1], value.trim()]);
+  }
+  return pairs;
+}
+
+/**
+ * Most common length of the non-empty lines, to match a file against fixed-width layouts
+ */
+export function getTypicalLineLength(lines) {
+  const counts = new Map();
+  lines.forEach(line => {
+    const length = line.replace(/\s+$/, '').length;
+    if (length > 0) counts.set(length, (counts.get(length) || 0) + 1);
+  });
+  let typical = 0;
+  let best = 0;
+  counts.forEach((count, length) => {
+    if (count > best) {
+      typical = length;
+      best = count;
+    }
+  });
+  return typical;
+}
+
+/**
+ * Characters a fixed-width layout spans
+ */
+export function getLayoutWidth(layout) {
+  return Math.max(0, ...(layout?.columns || []).map(column => column.start + column.length - 1));
+}
+
+export const fixedWidthFormat = {
+  name: 'fixed-width',
+  extensions: ['.txt', '.dat', '.fwf'],
+  scanLines: FIXED_WIDTH_SCAN_LINES,
+
+  // Chosen whenever the profile carries a layout; otherwise only as the fallback for text files
+  detect(lines, options) {
+    return options.layout ? 2 : 0.5;
+  },
+
+  /**
+   * @param {Array<string>} headLines - First lines of the file
+   * @param {Object} options - { layout: { skipLines, columns: [{ name, start, length }] } }
+   * @returns {Object} { headers, skipLines, toRow(line) } or { error }
+   */
+  prepare(headLines, options) {
+    const layout = options.layout;
+    if (!layout || !Array.isArray(layout.columns) || layout.columns.length === 0) {
+      return { error: 'Fixed-width files need a mapping profile with a column layout' };
+    }
+    return {
+      headers: layout.columns.map(column => column.name),
+      skipLines: layout.skipLines || 0,
+      // Positions are 1-based, as switch documentation gives them
+      toRow: line => layout.columns.map(column =>
+        line.substring(column.start - 1, column.start - 1 + column.length).trim())
+    };
+  }
+};
+
+export const keyValueFormat = {
+  name: 'key-value',
+  extensions: ['.txt', '.log', '.dat'],
+  scanLines: KEY_VALUE_SCAN_LINES,
+
+  detect(lines) {
+    const content = lines.filter(line => line.trim());
+    if (content.length === 0) return 0;
+    const pairLines = content.filter(line => parseKeyValueLine(line).length >= MIN_PAIRS_PER_LINE).length;
+    return pairLines / content.length >= KEY_VALUE_LINE_SHARE ? 1 : 0;
+  },
+
+  /**
+   * Keys seen in the first lines become the columns, in the order they first appear. A key that
+   * only shows up later in the file is appended to headers by the first toRow that meets it, so
+   * callers holding a column map must re-resolve it when headers grow.
+   */
+  prepare(headLines) {
+    const headers = [];
+    const seen = new Set();
+    headLines.forEach(line => {
+      parseKeyValueLine(line).forEach(([key]) => {
+        const normalizedKey = key.toUpperCase();
+        if (!seen.has(normalizedKey)) {
+          seen.add(normalizedKey);
+          headers.push(key);
+        }
+      });
+    });
+
+    if (headers.length === 0) {
+      return { error: 'No KEY=value pairs found' };
+    }
+
+    const indexByKey = new Map(headers.map((key, index) => [key.toUpperCase(), index]));
+    return {
+      headers,
+      skipLines: 0,
+      toRow: line => {
+        const pairs = parseKeyValueLine(line);
+        pairs.forEach(([key]) => {
+          if (!indexByKey.has(key.toUpperCase())) {
+            indexByKey.set(key.toUpperCase(), headers.length);
+            headers.push(key);
+          }
+        });
+        const row = new Array(headers.length).fill('');
+        pairs.forEach(([key, value]) => {
+          const index = indexByKey.get(key.toUpperCase());
+          if (!row[index]) row[index] = value;
+        });
+        return row;
+      }
+    };
+  }
+};
@@ -0,0 +1,387 @@
+/**
+ * UPLOAD FINALIZER
+ *
+ * Runs the cross-record pipeline steps (deduplication, enrichment) over records that are
+ * already stored in events_canonical. Records are read back through sorted cursors, so memory
+ * is bounded by the largest contact pair instead of the size of the upload.
+ *
+ * Duplicates inside an upload are deleted once their source rows are merged into the kept record.
+ * Duplicates across the uploads of a case are only linked (is_duplicate), because each upload
+ * must stay complete on its own and can be deleted or moved independently.
+ */
+
+import EventCanonical from '../models/EventCanonical.js';
+import { getDuplicateGroupKey, isDuplicateOf, generateFingerprint } from './deduplication.js';
+import {
+  enrichContactTimestamps,
+  enrichDailyEventCount,
+  enrichRollingAverages,
+  enrichBurstSessions,
+  computeBaselineCutoff,
+  getBaselineWindowLabel
+} from './enrichment.js';
+
+const WRITE_BATCH_SIZE = 1000;
+const MAX_DUPLICATE_SAMPLES = 100;
+
+// Same order for both passes: the earliest copy of an event (ties: first stored) is the one kept
+const DUPLICATE_SORT = { caller_number: 1, receiver_number: 1, event_type: 1, timestamp_utc: 1, _id: 1 };
+const DUPLICATE_FIELDS = 'record_id uploadId source_file source_sheet source_row_number sources ingestionJobId ' +
+  'caller_number receiver_number event_type timestamp_utc call_duration_seconds';
+
+/**
+ * Source rows a record contributes when merged into another (records stored before sources
+ * were tracked fall back to their own row)
+ */
+function ownSources(record) {
+  const sources = (record.sources || []).filter(source => !source.linked);
+  if (sources.length > 0) return sources;
+  return [{
+    uploadId: record.uploadId,
+    source_file: record.source_file,
+    source_sheet: record.source_sheet || null,
+    source_row_number: record.source_row_number || null
+  }];
+}
+
+/**
+ * Remove stored duplicates within a scope, keeping the first occurrence (same rules as
+ * deduplicateRecords); the kept record's sources gain the rows of the copies removed
+ * @param {Object} filter - MongoDB filter selecting the scope, e.g. { uploadId, source_file }
+ * @param {Object} options - { onProgress({ processed, total }), jobId } with jobId, only records inserted by
+ *   that ingestion job are removed or counted in duplicatesByFile. A record stored before the job is kept
+ *   even when a staged copy of it is earlier, and the source rows it gains are tagged with the jobId, so
+ *   rolling the job back cannot lose committed records.
+ * @returns {Promise<Object>} { duplicateCount, duplicatesByFile, duplicates, processed } (duplicates is a capped sample)
+ */
+export async function deduplicateStoredRecords(filter, options = {}) {
+  const total = await EventCanonical.countDocuments(filter);
+  const cursor = EventCanonical.find(filter)
+    .select(DUPLICATE_FIELDS)
+    .sort(DUPLICATE_SORT)
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  const duplicates = [];
+  const duplicatesByFile = {};
+  let duplicateCount = 0;
+  let pendingDeletes = [];
+  let pendingMerges = [];
+  let mergedSources = [];
+  // Every source row merged into lastKept so far, including those already written
+  let keptSources = [];
+  let groupKey = null;
+  let lastKept = null;
+  let processed = 0;
+
+  const flushDeletes = async () => {
+    if (pendingMerges.length > 0) {
+      await EventCanonical.bulkWrite(pendingMerges, { ordered: false });
+      pendingMerges = [];
+    }
+    if (pendingDeletes.length === 0) return;
+    await EventCanonical.deleteMany({ _id: { $in: pendingDeletes } });
+    pendingDeletes = [];
+  };
+
+  const isStaged = (record) => !options.jobId || record.ingestionJobId === options.jobId;
+
+  const mergeIntoKept = () => {
+    if (lastKept && mergedSources.length > 0) {
+      const sources = isStaged(lastKept)
+        ? mergedSources
+        : mergedSources.map(source => ({ ...source, ingestionJobId: options.jobId }));
+      pendingMerges.push({
+        updateOne: {
+          filter: { _id: lastKept._id },
+          update: { $push: { sources: { $each: sources } } }
+        }
+      });
+    }
+    mergedSources = [];
+  };
+
+  const removeDuplicate = (record, keptRecord) => {
+    duplicateCount++;
+    duplicatesByFile[record.source_file] = (duplicatesByFile[record.source_file] || 0) + 1;
+    pendingDeletes.push(record._id);
+    if (duplicates.length < MAX_DUPLICATE_SAMPLES) {
+      duplicates.push({
+        record_id: record.record_id,
+        duplicate_of: keptRecord.record_id,
+        fingerprint: generateFingerprint(record)
+      });
+    }
+  };
+
+  for await (const record of cursor) {
+    processed++;
+    const key = getDuplicateGroupKey(record);
+    const duplicate = key === groupKey && isDuplicateOf(record, lastKept);
+
+    if (duplicate && isStaged(record)) {
+      removeDuplicate(record, lastKept);
+      mergedSources.push(...ownSources(record));
+      keptSources.push(...ownSources(record));
+    } else if (duplicate && isStaged(lastKept)) {
+      // The stored record takes over the staged copy and every row merged into it
+      removeDuplicate(lastKept, record);
+      duplicates.forEach(sample => {
+        if (sample.duplicate_of === lastKept.record_id) sample.duplicate_of = record.record_id;
+      });
+      keptSources = [...ownSources(lastKept), ...keptSources];
+      mergedSources = [...keptSources];
+      lastKept = record;
+    } else {
+      mergeIntoKept();
+      groupKey = key;
+      lastKept = record;
+      keptSources = [];
+    }
+
+    if (pendingDeletes.length >= WRITE_BATCH_SIZE) {
+      mergeIntoKept();
+      await flushDeletes();
+    }
+    if (options.onProgress && processed % WRITE_BATCH_SIZE === 0) {
+      await options.onProgress({ processed, total });
+    }
+  }
+
+  mergeIntoKept();
+  await flushDeletes();
+  if (options.onProgress) {
+    await options.onProgress({ processed, total });
+  }
+
+  return { duplicateCount, duplicatesByFile, duplicates, processed };
+}
+
+/**
+ * Merge stored records of one upload that an analyst confirmed are the same event: the earliest
+ * is kept and gains the source rows of the others, which are deleted
+ * @param {Array} records - Stored records (need _id, timestamp_utc and source fields)
+ * @returns {Promise<Object>} { keptRecordId, removedCount }
+ */
+export async function mergeStoredRecords(records) {
+  const [kept, ...others] = [...records].sort((a, b) =>
+    new Date(a.timestamp_utc) - new Date(b.timestamp_utc) || String(a._id).localeCompare(String(b._id))
+  );
+  if (!kept || others.length === 0) {
+    return { keptRecordId: kept ? kept.record_id : null, removedCount: 0 };
+  }
+
+  await EventCanonical.updateOne(
+    { _id: kept._id },
+    { $push: { sources: { $each: others.flatMap(ownSources) } } }
+  );
+  const removed = await EventCanonical.deleteMany({ _id: { $in: others.map(record => record._id) } });
+
+  return { keptRecordId: kept.record_id, removedCount: removed.deletedCount };
+}
+
+/**
+ * Clear cross-upload duplicate links from the given uploads (their flags, and the linked
+ * sources their records received from other uploads)
+ * @param {Array<string>} uploadIds
+ */
+export async function unlinkDuplicates(uploadIds) {
+  await EventCanonical.updateMany(
+    { uploadId: { $in: uploadIds }, $or: [{ is_duplicate: true }, { 'sources.linked': true }] },
+    {
+      $set: { is_duplicate: false, duplicate_of: null, duplicate_of_upload: null },
+      $pull: { sources: { linked: true } }
+    }
+  );
+}
+
+/**
+ * Link duplicates across a set of uploads (every upload of a case). Later copies are flagged
+ * is_duplicate and point at the kept event, whose sources list their rows with linked: true.
+ * Links are rebuilt from scratch, so this is re-run whenever an upload joins or leaves the case.
+ * @param {Array<string>} uploadIds
+ * @param {Object} options - { onProgress({ processed, total }) }
+ * @returns {Promise<Object>} { duplicateCount } records flagged
+ */
+export async function linkDuplicates(uploadIds, options = {}) {
+  await unlinkDuplicates(uploadIds);
+  if (uploadIds.length < 2) {
+    return { duplicateCount: 0 };
+  }
+
+  const filter = { uploadId: { $in: uploadIds } };
+  const total = await EventCanonical.countDocuments(filter);
+  const cursor = EventCanonical.find(filter)
+    .select(DUPLICATE_FIELDS)
+    .sort(DUPLICATE_SORT)
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  let pendingWrites = [];
+  let linkedSources = [];
+  let groupKey = null;
+  let kept = null;
+  let duplicateCount = 0;
+  let processed = 0;
+
+  const linkIntoKept = () => {
+    if (kept && linkedSources.length > 0) {
+      pendingWrites.push({
+        updateOne: {
+          filter: { _id: kept._id },
+          update: { $push: { sources: { $each: linkedSources } } }
+        }
+      });
+    }
+    linkedSources = [];
+  };
+
+  const flushWrites = async () => {
+    if (pendingWrites.length === 0) return;
+    await EventCanonical.bulkWrite(pendingWrites, { ordered: false });
+    pendingWrites = [];
+  };
+
+  for await (const record of cursor) {
+    processed++;
+    const key = getDuplicateGroupKey(record);
+
+    if (key === groupKey && isDuplicateOf(record, kept)) {
+      duplicateCount++;
+      pendingWrites.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { is_duplicate: true, duplicate_of: kept.record_id, duplicate_of_upload: kept.uploadId } }
+        }
+      });
+      linkedSources.push(...ownSources(record).map(source => ({ ...source, linked: true })));
+    } else {
+      linkIntoKept();
+      groupKey = key;
+      kept = record;
+    }
+
+    if (pendingWrites.length >= WRITE_BATCH_SIZE) {
+      await flushWrites();
+    }
+    if (options.onProgress && processed % WRITE_BATCH_SIZE === 0) {
+      await options.onProgress({ processed, total });
+    }
+  }
+
+  linkIntoKept();
+  await flushWrites();
+  if (options.onProgress) {
+    await options.onProgress({ processed, total });
+  }
+
+  return { duplicateCount };
+}
+
+/**
+ * Compute enrichment fields for stored records within a scope.
+ * Contact timestamps, daily counts, rolling averages and burst sessions are all per contact pair,
+ * so records are streamed grouped by contact_pair_key; the baseline window needs only the
+ * scope's time range.
+ * @param {Object} filter - MongoDB filter selecting the scope
+ * @param {Object} options - { onProgress({ processed, total }), onRecords(enrichedRecords), rangeFilter }
+ *   rangeFilter selects the records the baseline window is computed over (default: filter), so a
+ *   single contact pair can be re-enriched against its upload's time range
+ * @returns {Promise<Object>} { enrichedCount }
+ */
+export async function enrichStoredRecords(filter, options = {}) {
+  const total = await EventCanonical.countDocuments(filter);
+  if (total === 0) {
+    return { enrichedCount: 0 };
+  }
+
+  const [range] = await EventCanonical.aggregate([
+    { $match: options.rangeFilter || filter },
+    { $group: { _id: null, minTime: { $min: '$timestamp_utc' }, maxTime: { $max: '$timestamp_utc' } } }
+  ]);
+  const cutoffTime = range ? computeBaselineCutoff(range.minTime, range.maxTime) : null;
+
+  const cursor = EventCanonical.find(filter)
+    .select('-raw_record')
+    .sort({ contact_pair_key: 1, timestamp_utc: 1, _id: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  let group = [];
+  let groupKey;
+  let pendingWrites = [];
+  let processed = 0;
+
+  const flushWrites = async () => {
+    if (pendingWrites.length === 0) return;
+    await EventCanonical.bulkWrite(pendingWrites, { ordered: false });
+    pendingWrites = [];
+  };
+
+  const flushGroup = async () => {
+    if (group.length === 0) return;
+
+    let enriched = enrichContactTimestamps(group);
+    enriched = enrichDailyEventCount(enriched);
+    enriched = enrichRollingAverages(enriched);
+    enriched = enrichBurstSessions(enriched, 5); // 5 minute window
+    enriched = enriched.map(record => ({
+      ...record,
+      baseline_window_label: getBaselineWindowLabel(record.timestamp_utc, cutoffTime)
+    }));
+
+    enriched.forEach(record => {
+      pendingWrites.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: {
+            $set: {
+              contact_first_seen: record.contact_first_seen,
+              contact_last_seen: record.contact_last_seen,
+              daily_event_count: record.daily_event_count,
+              rolling_7_day_avg: record.rolling_7_day_avg,
+              rolling_30_day_avg: record.rolling_30_day_avg,
+              burst_session_id: record.burst_session_id,
+              baseline_window_label: record.baseline_window_label
+            }
+          }
+        }
+      });
+    });
+
+    if (options.onRecords) {
+      await options.onRecords(enriched);
+    }
+
+    processed += group.length;
+    group = [];
+
+    if (pendingWrites.length >= WRITE_BATCH_SIZE) {
+      await flushWrites();
+      if (options.onProgress) {
+        await options.onProgress({ processed, total });
+      }
+    }
+  };
+
+  for await (const record of cursor) {
+    const key = record.contact_pair_key || null;
+    // Records without a contact pair are enriched independently, so that group can be flushed in chunks
+    if (group.length > 0 && (key !== groupKey || (key === null && group.length >= WRITE_BATCH_SIZE))) {
+      await flushGroup();
+    }
+    groupKey = key;
+    group.push(record);
+  }
+
+  await flushGroup();
+  await flushWrites();
+  if (options.onProgress) {
+    await options.onProgress({ processed, total });
+  }
+
+  return { enrichedCount: processed };
+}
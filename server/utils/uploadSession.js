@@ -3,14 +3,26 @@
  * Uses uploadId (UUID string) consistently, not ObjectId
  */
 import Upload from '../models/Upload.js';
+import EventCanonical from '../models/EventCanonical.js';
+import IngestionJob from '../models/IngestionJob.js';
+import DuplicateDecision from '../models/DuplicateDecision.js';
+import Entity from '../models/Entity.js';
+import Case from '../models/Case.js';
+import { DEFAULT_TIMEZONE } from './canonicalNormalizer.js';
+import { DEFAULT_COUNTRY } from './numberingPlan.js';
+import { linkDuplicates, unlinkDuplicates } from './uploadFinalizer.js';
+
+// Uploads whose records are visible: not still ingesting and not failed (uploads stored before
+// the status was recorded have none)
+export const COMMITTED_UPLOADS = { status: { $nin: ['pending', 'failed'] } };
 
 /**
- * Get the most recent uploadId (UUID string)
+ * Get the most recent committed uploadId (UUID string)
  * @returns {Promise<string|null>} The most recent uploadId as string, or null if none exists
  */
 export async function getMostRecentUploadId() {
   try {
-    const mostRecent = await Upload.findOne()
+    const mostRecent = await Upload.findOne(COMMITTED_UPLOADS)
       .sort({ createdAt: -1 })
       .select('uploadId')
       .lean();
@@ -46,3 +58,170 @@ export async function resolveUploadId(query) {
   // Default: use most recent uploadId
   return await getMostRecentUploadId();
 }
+
+// Returned by routes when resolveScope cannot resolve the requested case
+export const SCOPE_NOT_FOUND_ERROR = 'Case not found, or the upload is not part of that case';
+
+/**
+ * Resolve the set of uploads a request reads from
+ * - caseId: every committed upload in the case, or only uploadId when it is also given and belongs to the case
+ * - otherwise as resolveUploadId (includeAll is ignored when options.allowAll is false)
+ * Uploads of different cases are only combined by an explicit includeAll. An upload that has not
+ * committed yet (or failed) shows no records, and records staged by a running job stay hidden.
+ * @param {Object} query - Express query object ({ caseId, uploadId, includeAll })
+ * @param {Object} options - { allowAll } (default true)
+ * @returns {Promise<Object|null>} { caseId, uploadId, uploadIds, filter, duplicatesFilter } where uploadIds is null
+ *   for all uploads, filter is the events_canonical match for the scope and duplicatesFilter matches the
+ *   duplicate copies it leaves out; null if the case does not exist or uploadId is not in it
+ */
+export async function resolveScope(query, options = {}) {
+  const { allowAll = true } = options;
+  const caseId = typeof query.caseId === 'string' ? query.caseId.trim() : '';
+
+  if (caseId) {
+    if (!(await Case.exists({ caseId }))) return null;
+
+    const uploadIds = await Upload.distinct('uploadId', { caseId, ...COMMITTED_UPLOADS });
+    const uploadId = typeof query.uploadId === 'string' ? query.uploadId.trim() : '';
+    if (uploadId) {
+      if (!uploadIds.includes(uploadId)) return null;
+      return { caseId, uploadId, uploadIds: [uploadId], ...(await scopeEventFilters([uploadId])) };
+    }
+    return { caseId, uploadId: null, uploadIds, ...(await scopeEventFilters(uploadIds)) };
+  }
+
+  const uploadId = await resolveUploadId(allowAll ? query : { uploadId: query.uploadId });
+  if (!uploadId) {
+    return { caseId: null, uploadId: null, uploadIds: null, ...(await scopeEventFilters(null)) };
+  }
+
+  const upload = await Upload.findOne({ uploadId }).select('caseId status').lean();
+  const uploadIds = upload && ['pending', 'failed'].includes(upload.status) ? [] : [uploadId];
+  return { caseId: upload?.caseId || null, uploadId, uploadIds, ...(await scopeEventFilters(uploadIds)) };
+}
+
+/**
+ * events_canonical matches for a scope. Copies of an event stored in another upload (is_duplicate)
+ * are left out whenever that other upload is in scope too; viewed alone, an upload keeps them.
+ * Records of a job that has not committed are left out too.
+ */
+export async function scopeEventFilters(uploadIds) {
+  const uploadFilter = uploadIds
+    ? { uploadId: { $in: uploadIds } }
+    : { uploadId: { $nin: await Upload.distinct('uploadId', { status: { $in: ['pending', 'failed'] } }) } };
+  const stagingJobIds = await Upload.distinct('stagingJobId', { ...uploadFilter, stagingJobId: { $ne: null } });
+  const stagingFilter = stagingJobIds.length > 0 ? { ingestionJobId: { $nin: stagingJobIds } } : {};
+
+  if (uploadIds && uploadIds.length === 1) {
+    const [uploadId] = uploadIds;
+    return {
+      filter: { uploadId, duplicate_of_upload: { $ne: uploadId }, ...stagingFilter },
+      duplicatesFilter: { uploadId, duplicate_of_upload: uploadId, ...stagingFilter }
+    };
+  }
+  return {
+    filter: { ...uploadFilter, is_duplicate: { $ne: true }, ...stagingFilter },
+    duplicatesFilter: { ...uploadFilter, is_duplicate: true, ...stagingFilter }
+  };
+}
+
+/**
+ * events_canonical match for the committed records of one upload, or of every upload: uploads
+ * still ingesting or failed are left out, and so are records staged by a running append or
+ * reprocess. Unlike scopeEventFilters, duplicate copies are kept.
+ * @param {string|null} uploadId
+ * @returns {Promise<Object>}
+ */
+export async function committedEventFilter(uploadId = null) {
+  const uploads = await Upload.find(uploadId ? { uploadId, ...COMMITTED_UPLOADS } : COMMITTED_UPLOADS)
+    .select('uploadId stagingJobId')
+    .lean();
+  const stagingJobIds = uploads.map(upload => upload.stagingJobId).filter(Boolean);
+  return {
+    uploadId: { $in: uploads.map(upload => upload.uploadId) },
+    ...(stagingJobIds.length > 0 ? { ingestionJobId: { $nin: stagingJobIds } } : {})
+  };
+}
+
+function scopeUploadFilter(scope) {
+  return scope?.uploadIds ? { uploadId: { $in: scope.uploadIds } } : COMMITTED_UPLOADS;
+}
+
+// Reported when a scope combines uploads recorded in different timezones
+export const MIXED_TIMEZONES = 'mixed';
+
+/**
+ * Timezone that local date/hour buckets are expressed in for a scope
+ * @param {Object|null} scope - Result of resolveScope (null for all uploads)
+ * @returns {Promise<string>} IANA zone name, or MIXED_TIMEZONES when uploads in the scope disagree
+ */
+export async function getScopeTimezone(scope) {
+  const uploadFilter = scopeUploadFilter(scope);
+  const zones = new Set(await Upload.distinct('timezone', uploadFilter));
+  // Uploads created before timezones were recorded were ingested as DEFAULT_TIMEZONE
+  if (await Upload.exists({ ...uploadFilter, timezone: { $exists: false } })) {
+    zones.add(DEFAULT_TIMEZONE);
+  }
+  if (zones.size === 0) return DEFAULT_TIMEZONE;
+  return zones.size === 1 ? [...zones][0] : MIXED_TIMEZONES;
+}
+
+/**
+ * Numbering plan used to read user-typed national-format numbers for a scope
+ * @param {Object|null} scope - Result of resolveScope (null for all uploads)
+ * @returns {Promise<string>} ISO country code; DEFAULT_COUNTRY when uploads in the scope disagree
+ */
+export async function getScopeCountry(scope) {
+  const countries = await Upload.distinct('country', scopeUploadFilter(scope));
+  return countries.length === 1 ? countries[0] : DEFAULT_COUNTRY;
+}
+
+/**
+ * Rebuild cross-upload duplicate links for a case after an upload joined, left or was removed.
+ * Only committed uploads take part; a new upload is linked once its job commits.
+ * @param {string|null} caseId
+ * @param {Object} options - Passed to linkDuplicates ({ onProgress })
+ * @returns {Promise<Object>} { duplicateCount }
+ */
+export async function relinkCaseDuplicates(caseId, options = {}) {
+  if (!caseId) return { duplicateCount: 0 };
+  const uploadIds = await Upload.distinct('uploadId', { caseId, ...COMMITTED_UPLOADS });
+  return linkDuplicates(uploadIds, options);
+}
+
+/**
+ * Rebuild duplicate links after an upload moved between cases (either side may be null)
+ */
+export async function relinkMovedUpload(uploadId, fromCaseId, toCaseId) {
+  await unlinkDuplicates([uploadId]);
+  await relinkCaseDuplicates(fromCaseId);
+  await relinkCaseDuplicates(toCaseId);
+}
+
+/**
+ * Delete an upload session with its canonical events, ingestion job records, near-duplicate decisions
+ * and entities (those of an upload outside a case)
+ * @param {string} uploadId - Upload to delete
+ * @returns {Promise<Object>} { uploadDeleted, eventsDeleted, jobsDeleted, decisionsDeleted, entitiesDeleted }
+ */
+export async function deleteUploadSession(uploadId) {
+  const record = await Upload.findOne({ uploadId }).select('caseId').lean();
+
+  // Events first, so an interrupted delete never leaves events without their upload record
+  const events = await EventCanonical.deleteMany({ uploadId });
+  const jobs = await IngestionJob.deleteMany({ uploadId });
+  const decisions = await DuplicateDecision.deleteMany({ uploadId });
+  const entities = await Entity.deleteMany({ uploadId });
+  const upload = await Upload.deleteOne({ uploadId });
+
+  // Copies in the rest of the case may have pointed at the deleted events
+  await relinkCaseDuplicates(record?.caseId);
+
+  return {
+    uploadDeleted: upload.deletedCount > 0,
+    eventsDeleted: events.deletedCount,
+    jobsDeleted: jobs.deletedCount,
+    decisionsDeleted: decisions.deletedCount,
+    entitiesDeleted: entities.deletedCount
+  };
+}